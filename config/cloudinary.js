@@ -1,5 +1,6 @@
 import { v2 as cloudinary } from "cloudinary";
 import { queueLogger } from "../utils/logger.js";
+import { generateStorageKey } from "../utils/storage.helper.js";
 
 /**
  * Cloudinary Configuration
@@ -61,15 +62,7 @@ export const CLOUDINARY_CONFIG = {
  * Generate unique public ID for upload
  * Format: {userId}/{timestamp}-{randomHash}
  */
-export const generatePublicId = (userId, filename) => {
-  const timestamp = Date.now();
-  const randomHash = Math.random().toString(36).substring(2, 15);
-  const sanitizedFilename = filename
-    .replace(/[^a-zA-Z0-9.-]/g, "_")
-    .substring(0, 50);
-
-  return `${userId}/${timestamp}-${randomHash}-${sanitizedFilename}`;
-};
+export const generatePublicId = generateStorageKey;
 
 /**
  * Generate signed URL for secure file access
@@ -61,6 +61,26 @@ const queueConfig = {
 // Create SDK Analysis Queue
 export const sdkAnalysisQueue = new Queue("sdk-analysis", queueConfig);
 
+// Create Webhook Delivery Queue - retries back off exponentially
+// (30s, 1m, 2m, 4m... with the defaults)
+export const webhookQueue = new Queue("webhook-delivery", {
+  redis: redisConfig,
+  defaultJobOptions: {
+    attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    backoff: {
+      type: "exponential",
+      delay: 30000, // 30 seconds
+    },
+    timeout: 60000, // 1 minute
+    removeOnComplete: true, // Attempts are logged in WebhookDelivery
+    removeOnFail: 100,
+  },
+});
+
+webhookQueue.on("error", (error) => {
+  console.error("❌ Webhook queue error:", error);
+});
+
 // Queue event handlers
 sdkAnalysisQueue.on("error", (error) => {
   console.error("❌ Queue error:", error);
@@ -95,5 +115,6 @@ setInterval(async () => {
 
 export default {
   sdkAnalysisQueue,
+  webhookQueue,
   queueConfig,
 };
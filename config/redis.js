@@ -26,8 +26,8 @@ const baseRedisOptions = {
     return targetErrors.some((target) => err.message.includes(target));
   },
 
-  // Lazy connect - don't connect until first command
-  lazyConnect: false,
+  // Lazy connect - don't connect until first command (tests never connect)
+  lazyConnect: process.env.NODE_ENV === "test",
 
   // Keep alive
   keepAlive: 30000, // 30s keepalive
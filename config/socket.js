@@ -0,0 +1,57 @@
+import { createAdapter } from "@socket.io/redis-adapter";
+import { Emitter } from "@socket.io/redis-emitter";
+import redisClient from "./redis.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Socket.IO over Redis
+ *
+ * API nodes attach the Redis adapter, so rooms are shared across instances.
+ * Job events are published through the emitter from any process (API node or
+ * standalone worker, see worker.js) and every API node delivers them to its
+ * own sockets - a client gets progress whichever node it is connected to.
+ */
+
+// Pub/sub channel prefix - the adapter and the emitter must agree on it
+const SOCKET_REDIS_KEY = process.env.SOCKET_REDIS_KEY || "socket.io";
+
+/**
+ * Build the Redis adapter for the API's Socket.IO server (io.adapter)
+ * Uses dedicated connections, since a subscribed client can't run commands.
+ */
+export const createSocketAdapter = () => {
+  const pubClient = redisClient.duplicate();
+  const subClient = redisClient.duplicate();
+
+  [pubClient, subClient].forEach((client) =>
+    client.on("error", (err) => {
+      console.error("❌ Socket adapter Redis error:", err.message);
+    }),
+  );
+
+  return createAdapter(pubClient, subClient, { key: SOCKET_REDIS_KEY });
+};
+
+// The emitter fires publish() without awaiting it - a Redis outage is logged
+// here instead of surfacing as an unhandled rejection
+const emitterClient = redisClient.duplicate();
+emitterClient.on("error", (err) => {
+  console.error("❌ Socket emitter Redis error:", err.message);
+});
+
+const publisher = {
+  publish: (channel, message) =>
+    emitterClient.publish(channel, message).catch((error) => {
+      logger.error("Socket event publish failed", {
+        channel,
+        error: error.message,
+      });
+    }),
+};
+
+export const socketEmitter = new Emitter(publisher, { key: SOCKET_REDIS_KEY });
+
+export default {
+  createSocketAdapter,
+  socketEmitter,
+};
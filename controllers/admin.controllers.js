@@ -1,8 +1,10 @@
+import mongoose from "mongoose";
 import User from "../models/user.model.js";
 import ApiKey from "../models/api.key.model.js";
 import AnalysisJob from "../models/analysis.job.model.js";
 import Payment from "../models/payment.model.js";
 import CreditTransaction from "../models/credit.transaction.model.js";
+import Subscription from "../models/subscription.model.js";
 import { generateToken } from "../utils/jwt.js";
 import {
   createUserService,
@@ -16,7 +18,22 @@ import {
   addCredits,
   setCredits,
   getCreditHistory,
+  addOrganizationCredits,
+  setOrganizationCredits,
+  getOrganizationCreditHistory,
 } from "../services/credit.service.js";
+import organizationService, { ORG_ERROR_STATUS } from "../services/organization.service.js";
+import { parseKeyLimits, getKeysSpend } from "../services/api.key.budget.service.js";
+import pricingService from "../services/pricing.service.js";
+import planService, { PLAN_ERROR_STATUS } from "../services/plan.service.js";
+import couponService, { COUPON_ERROR_STATUS } from "../services/coupon.service.js";
+import subscriptionService, {
+  SUBSCRIPTION_ERROR_STATUS,
+} from "../services/subscription.service.js";
+import razorpayEventService, {
+  RAZORPAY_EVENT_ERROR_STATUS,
+} from "../services/razorpay.event.service.js";
+import { DEFAULT_PRICING } from "../services/credit.calculator.js";
 
 /**
  * Admin login
@@ -96,10 +113,11 @@ export const adminLogin = async (req, res) => {
  */
 export const createUser = async (req, res) => {
   try {
-    const { email, organizationName, userType, tier } = req.body;
+    const { email, organizationName, userType, tier, organizationId, organizationRole } =
+      req.body;
 
     const result = await createUserService(
-      { email, organizationName, userType, tier },
+      { email, organizationName, userType, tier, organizationId, organizationRole },
       req.user._id
     );
 
@@ -311,6 +329,16 @@ export const createApiKey = async (req, res) => {
     const { userId } = req.params;
     const { name, expiresInDays, permissions } = req.body;
 
+    let limits;
+    try {
+      limits = parseKeyLimits(req.body.limits);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     // Validate user exists
     const user = await User.findById(userId);
     if (!user) {
@@ -346,6 +374,7 @@ export const createApiKey = async (req, res) => {
       isActive: true,
       expiresAt,
       permissions: permissions || defaultPermissions,
+      limits,
       metadata: {
         createdFrom: "admin-panel",
         ipAddress: req.ip,
@@ -367,6 +396,7 @@ export const createApiKey = async (req, res) => {
           isActive: apiKey.isActive,
           expiresAt: apiKey.expiresAt,
           permissions: apiKey.permissions,
+          limits: apiKey.limits,
           createdAt: apiKey.createdAt,
         },
         warning:
@@ -401,6 +431,7 @@ export const getUserApiKeys = async (req, res) => {
     }
 
     const apiKeys = await ApiKey.find({ userId }).sort({ createdAt: -1 });
+    const spendByKey = await getKeysSpend(apiKeys);
 
     res.status(200).json({
       success: true,
@@ -422,6 +453,9 @@ export const getUserApiKeys = async (req, res) => {
           lastUsedAt: key.lastUsedAt,
           requestCount: key.requestCount,
           permissions: key.permissions,
+          organizationId: key.organizationId,
+          limits: key.limits,
+          spend: spendByKey.get(key._id.toString()),
           createdAt: key.createdAt,
         })),
         total: apiKeys.length,
@@ -486,7 +520,7 @@ export const getAccessRequests = async (req, res) => {
 
     const [requests, total] = await Promise.all([
       User.find({ accountStatus: "pending" })
-        .select("username email organizationName reasonForJoining createdAt")
+        .select("username email organizationName organizationId reasonForJoining createdAt")
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit)),
@@ -502,6 +536,7 @@ export const getAccessRequests = async (req, res) => {
           fullName: req.username.replace(/_/g, " "),
           email: req.email,
           organizationName: req.organizationName,
+          organizationId: req.organizationId, // Joined with an invite code
           reasonForJoining: req.reasonForJoining,
           requestedAt: req.createdAt,
         })),
@@ -601,7 +636,7 @@ export const getComprehensiveUserDetails = async (req, res) => {
       // Analysis jobs
       AnalysisJob.find({ userId })
         .select(
-          "filename status tier creditsDeducted processingTimeSeconds createdAt completedAt"
+          "filename status tier creditsDeducted processingTimeSeconds createdAt completedAt container.unpackedAt"
         )
         .sort({ createdAt: -1 })
         .limit(100), // Last 100 jobs
@@ -652,11 +687,12 @@ export const getComprehensiveUserDetails = async (req, res) => {
       total: analysisTotal,
       completed: analysisJobs.filter((j) => j.status === "completed").length,
       failed: analysisJobs.filter((j) => j.status === "failed").length,
+      cancelled: analysisJobs.filter((j) => j.status === "cancelled").length,
       processing: analysisJobs.filter((j) => j.status === "processing").length,
-      totalCreditsConsumed: analysisJobs.reduce(
-        (sum, j) => sum + (j.creditsDeducted || 0),
-        0
-      ),
+      // Unpacked containers report their members' charges - don't count them twice
+      totalCreditsConsumed: analysisJobs
+        .filter((j) => !j.container?.unpackedAt)
+        .reduce((sum, j) => sum + (j.creditsDeducted || 0), 0),
       averageProcessingTime:
         analysisJobs.filter((j) => j.processingTimeSeconds).length > 0
           ? Math.round(
@@ -679,6 +715,8 @@ export const getComprehensiveUserDetails = async (req, res) => {
           username: user.username,
           email: user.email,
           organizationName: user.organizationName,
+          organizationId: user.organizationId,
+          organizationRole: user.organizationRole,
           userType: user.userType,
           accountStatus: user.accountStatus,
           isActive: user.isActive,
@@ -766,3 +804,964 @@ export const getComprehensiveUserDetails = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get pricing versions and the active pricing
+ * GET /api/admin/pricing
+ */
+export const getPricingVersions = async (req, res) => {
+  try {
+    const [active, versions] = await Promise.all([
+      pricingService.getActivePricing(),
+      pricingService.listVersions(),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Pricing retrieved successfully",
+      data: {
+        active,
+        builtIn: DEFAULT_PRICING,
+        versions,
+      },
+    });
+  } catch (error) {
+    console.error("Get pricing versions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve pricing",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get one pricing version
+ * GET /api/admin/pricing/:version
+ */
+export const getPricingVersion = async (req, res) => {
+  try {
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || version < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Pricing version must be a non-negative integer",
+      });
+    }
+
+    const pricing =
+      version === DEFAULT_PRICING.version
+        ? DEFAULT_PRICING
+        : await pricingService.getVersion(version);
+
+    if (!pricing) {
+      return res.status(404).json({
+        success: false,
+        message: `Pricing version ${version} not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Pricing version retrieved successfully",
+      data: { pricing },
+    });
+  } catch (error) {
+    console.error("Get pricing version error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve pricing version",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create a pricing version
+ * POST /api/admin/pricing
+ * Body: { description, sizeBands, timeBands, backendSurcharges, complexity,
+ *   tierMultipliers, activate } - omitted fields are copied from the active version
+ */
+export const createPricingVersion = async (req, res) => {
+  try {
+    const { activate, ...input } = req.body;
+
+    const pricing = await pricingService.createVersion(input, {
+      createdBy: req.user.email,
+      activate: activate === true,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Pricing version ${pricing.version} created${activate === true ? " and activated" : ""}`,
+      data: { pricing },
+    });
+  } catch (error) {
+    if (error.code === "INVALID_PRICING") {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    if (error.code === "PRICING_VERSION_CONFLICT") {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Create pricing version error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create pricing version",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Activate a pricing version for new jobs (0 = built-in pricing)
+ * POST /api/admin/pricing/:version/activate
+ */
+export const activatePricingVersion = async (req, res) => {
+  try {
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || version < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Pricing version must be a non-negative integer",
+      });
+    }
+
+    const pricing = await pricingService.activateVersion(version);
+
+    res.status(200).json({
+      success: true,
+      message: `Pricing version ${version} activated`,
+      data: { pricing: pricing || DEFAULT_PRICING },
+    });
+  } catch (error) {
+    if (error.code === "PRICING_NOT_FOUND") {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Activate pricing version error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to activate pricing version",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Create an organization with an optional owner and opening credits
+ * POST /api/admin/organizations
+ * Body: { name, ownerId, credits }
+ */
+export const createOrganization = async (req, res) => {
+  try {
+    const { name, ownerId, credits = 0 } = req.body;
+
+    if (typeof name !== "string" || name.trim().length < 2 || name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Organization name must be between 2 and 100 characters",
+      });
+    }
+    if (!Number.isInteger(credits) || credits < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Credits must be a positive number",
+      });
+    }
+
+    const organization = await organizationService.createOrganization(
+      { name: name.trim(), ownerId, credits },
+      req.user._id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created successfully",
+      data: { organization },
+    });
+  } catch (error) {
+    const status = ORG_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Create organization error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create organization",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get organizations with their member counts
+ * GET /api/admin/organizations?search=&page=&limit=
+ */
+export const getOrganizations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await organizationService.listOrganizations({
+      search: req.query.search,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Organizations retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Get organizations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve organizations",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get an organization with its members, pool history and member spend
+ * GET /api/admin/organizations/:orgId
+ */
+export const getOrganizationDetails = async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.params.orgId);
+
+    const [members, creditHistory, spend] = await Promise.all([
+      organizationService.listMembers(organization._id),
+      getOrganizationCreditHistory(organization._id, { page: 1, limit: 10 }),
+      organizationService.getMemberSpend(organization._id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Organization details retrieved successfully",
+      data: {
+        organization,
+        members,
+        creditHistory,
+        spend,
+      },
+    });
+  } catch (error) {
+    const status = ORG_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Get organization details error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve organization details",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update an organization's credit pool
+ * PUT /api/admin/organizations/:orgId/credits
+ * Body: { credits, action: "add" | "set" }
+ */
+export const updateOrganizationCredits = async (req, res) => {
+  try {
+    const { credits, action } = req.body;
+
+    if (!Number.isInteger(credits) || credits < 0 || !["add", "set"].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Credits must be a positive number and action either "add" or "set"',
+      });
+    }
+
+    const organization = await organizationService.getOrganization(req.params.orgId);
+
+    const result =
+      action === "add"
+        ? await addOrganizationCredits(organization._id, credits, "Credits added by admin")
+        : await setOrganizationCredits(organization._id, credits, "Credits set by admin");
+
+    res.status(200).json({
+      success: true,
+      message: `Credits ${action === "add" ? "added" : "set"} successfully`,
+      data: {
+        organization: result.organization,
+        transaction: result.transaction,
+      },
+    });
+  } catch (error) {
+    const status = ORG_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Update organization credits error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to update credits",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Activate/Deactivate an organization (members can't submit while inactive)
+ * PATCH /api/admin/organizations/:orgId/status
+ * Body: { isActive }
+ */
+export const updateOrganizationStatus = async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (typeof isActive !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "isActive must be a boolean",
+      });
+    }
+
+    const organization = await organizationService.getOrganization(req.params.orgId);
+    organization.isActive = isActive;
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Organization ${isActive ? "activated" : "deactivated"} successfully`,
+      data: { organization },
+    });
+  } catch (error) {
+    const status = ORG_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Update organization status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update organization status",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Add an existing user to an organization
+ * POST /api/admin/organizations/:orgId/members
+ * Body: { userId, role }
+ */
+export const addOrganizationMember = async (req, res) => {
+  try {
+    const { userId, role = "analyst" } = req.body;
+
+    const member = await organizationService.addMember(req.params.orgId, userId, role);
+
+    res.status(201).json({
+      success: true,
+      message: "Member added successfully",
+      data: { member },
+    });
+  } catch (error) {
+    const status = ORG_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Add organization member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add member",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Change a member's role
+ * PATCH /api/admin/organizations/:orgId/members/:userId
+ * Body: { role }
+ */
+export const updateOrganizationMember = async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.params.orgId);
+
+    const member = await organizationService.changeMemberRole(
+      organization._id,
+      req.params.userId,
+      req.body.role
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Member role updated successfully",
+      data: { member },
+    });
+  } catch (error) {
+    const status = ORG_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Update organization member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update member",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Remove a member from an organization
+ * DELETE /api/admin/organizations/:orgId/members/:userId
+ */
+export const removeOrganizationMember = async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.params.orgId);
+
+    const member = await organizationService.removeMember(organization._id, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Member removed successfully",
+      data: { member },
+    });
+  } catch (error) {
+    const status = ORG_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Remove organization member error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove member",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Give a user a subscription granted monthly by the subscription cron
+ * POST /api/admin/users/:userId/subscriptions
+ * Body: { tier, monthlyCredits, rolloverCap, creditExpiryDays, startAt } -
+ *   terms default to the tier's (null rolloverCap/creditExpiryDays = unlimited/never)
+ */
+export const createUserSubscription = async (req, res) => {
+  try {
+    const { tier, monthlyCredits, rolloverCap, creditExpiryDays, startAt } = req.body;
+
+    const subscription = await subscriptionService.createManualSubscription(
+      req.params.userId,
+      { tier, monthlyCredits, rolloverCap, creditExpiryDays, startAt },
+      req.user.email
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Subscription created successfully",
+      data: { subscription },
+    });
+  } catch (error) {
+    const status = SUBSCRIPTION_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Create subscription error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create subscription",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get a user's subscriptions and credits due to expire
+ * GET /api/admin/users/:userId/subscriptions
+ */
+export const getUserSubscriptions = async (req, res) => {
+  try {
+    const result = await subscriptionService.listForUser(req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Subscriptions retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    console.error("Get subscriptions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve subscriptions",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Cancel a subscription
+ * POST /api/admin/subscriptions/:subscriptionId/cancel
+ * Body: { immediately } - default: at the end of the current cycle
+ */
+export const cancelUserSubscription = async (req, res) => {
+  try {
+    const subscription = mongoose.isValidObjectId(req.params.subscriptionId)
+      ? await Subscription.findById(req.params.subscriptionId)
+      : null;
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "Subscription not found",
+      });
+    }
+
+    const cancelled = await subscriptionService.cancel(subscription, {
+      atPeriodEnd: req.body.immediately !== true,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: cancelled.cancelAtPeriodEnd
+        ? "Subscription will end with the current cycle"
+        : "Subscription cancelled",
+      data: { subscription: cancelled },
+    });
+  } catch (error) {
+    console.error("Cancel subscription error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel subscription",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Respond with a plan service error (500 for unknown errors)
+ */
+const sendPlanError = (res, error, label, message) => {
+  const status = PLAN_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+/**
+ * List credit plans with whether users can buy them now
+ * GET /api/admin/plans?includeArchived=true
+ */
+export const getCreditPlans = async (req, res) => {
+  try {
+    const plans = await planService.listAll({
+      includeArchived: req.query.includeArchived === "true",
+    });
+
+    const now = new Date();
+    res.status(200).json({
+      success: true,
+      message: "Plans retrieved successfully",
+      data: {
+        plans: plans.map((plan) => ({
+          ...plan.toObject(),
+          onSale: planService.isOnSale(plan, now), // Active and inside its window
+        })),
+      },
+    });
+  } catch (error) {
+    return sendPlanError(res, error, "Get plans", "Failed to retrieve plans");
+  }
+};
+
+/**
+ * Get a credit plan
+ * GET /api/admin/plans/:planId
+ */
+export const getCreditPlan = async (req, res) => {
+  try {
+    const plan = await planService.getPlan(req.params.planId);
+
+    res.status(200).json({
+      success: true,
+      message: "Plan retrieved successfully",
+      data: { plan },
+    });
+  } catch (error) {
+    return sendPlanError(res, error, "Get plan", "Failed to retrieve plan");
+  }
+};
+
+/**
+ * Create a credit plan
+ * POST /api/admin/plans
+ * Body: { planId, name, description, credits, amount (paise), currency, tiers,
+ *   popular, isActive, activeFrom, activeUntil, sortOrder }
+ */
+export const createCreditPlan = async (req, res) => {
+  try {
+    const plan = await planService.createPlan(req.body, req.user.email);
+
+    res.status(201).json({
+      success: true,
+      message: "Plan created successfully",
+      data: { plan },
+    });
+  } catch (error) {
+    return sendPlanError(res, error, "Create plan", "Failed to create plan");
+  }
+};
+
+/**
+ * Change a credit plan - orders already placed keep their snapshot
+ * PATCH /api/admin/plans/:planId
+ * Body: any plan field except planId
+ */
+export const updateCreditPlan = async (req, res) => {
+  try {
+    const plan = await planService.updatePlan(req.params.planId, req.body, req.user.email);
+
+    res.status(200).json({
+      success: true,
+      message: "Plan updated successfully",
+      data: { plan },
+    });
+  } catch (error) {
+    return sendPlanError(res, error, "Update plan", "Failed to update plan");
+  }
+};
+
+/**
+ * Archive a credit plan (it stays on past payments)
+ * DELETE /api/admin/plans/:planId
+ */
+export const deleteCreditPlan = async (req, res) => {
+  try {
+    const plan = await planService.archivePlan(req.params.planId, req.user.email);
+
+    res.status(200).json({
+      success: true,
+      message: "Plan archived successfully",
+      data: { plan },
+    });
+  } catch (error) {
+    return sendPlanError(res, error, "Archive plan", "Failed to archive plan");
+  }
+};
+
+/**
+ * Respond with a coupon service error, or a 500
+ */
+const sendCouponError = (res, error, label, message) => {
+  const status = COUPON_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+/**
+ * List coupons
+ * GET /api/admin/coupons?includeInactive=true
+ */
+export const getCoupons = async (req, res) => {
+  try {
+    const coupons = await couponService.listCoupons({
+      includeInactive: req.query.includeInactive === "true",
+    });
+
+    const now = new Date();
+    res.status(200).json({
+      success: true,
+      message: "Coupons retrieved successfully",
+      data: {
+        coupons: coupons.map((coupon) => ({
+          ...coupon.toObject(),
+          redeemable: couponService.isRedeemable(coupon, now), // Active and inside its window
+        })),
+      },
+    });
+  } catch (error) {
+    return sendCouponError(res, error, "Get coupons", "Failed to retrieve coupons");
+  }
+};
+
+/**
+ * Get a coupon with its usage
+ * GET /api/admin/coupons/:code
+ */
+export const getCoupon = async (req, res) => {
+  try {
+    const coupon = await couponService.getCoupon(req.params.code);
+    const usage = await couponService.getUsage(coupon);
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon retrieved successfully",
+      data: { coupon, usage },
+    });
+  } catch (error) {
+    return sendCouponError(res, error, "Get coupon", "Failed to retrieve coupon");
+  }
+};
+
+/**
+ * List a coupon's redemptions
+ * GET /api/admin/coupons/:code/redemptions?page=1&limit=20&status=redeemed
+ */
+export const getCouponRedemptions = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const status = ["reserved", "redeemed", "released"].includes(req.query.status)
+      ? req.query.status
+      : null;
+
+    const coupon = await couponService.getCoupon(req.params.code);
+    const { redemptions, pagination } = await couponService.listRedemptions(coupon, {
+      page,
+      limit,
+      status,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon redemptions retrieved successfully",
+      data: { redemptions, pagination },
+    });
+  } catch (error) {
+    return sendCouponError(
+      res,
+      error,
+      "Get coupon redemptions",
+      "Failed to retrieve coupon redemptions"
+    );
+  }
+};
+
+/**
+ * Create a coupon
+ * POST /api/admin/coupons
+ * Body: { code, description, discountType (none|percentage|flat), discountValue,
+ *   maxDiscount, currency, bonusCredits, planIds, maxRedemptions,
+ *   maxRedemptionsPerUser, startsAt, expiresAt, isActive }
+ */
+export const createCoupon = async (req, res) => {
+  try {
+    const coupon = await couponService.createCoupon(req.body, req.user.email);
+
+    res.status(201).json({
+      success: true,
+      message: "Coupon created successfully",
+      data: { coupon },
+    });
+  } catch (error) {
+    return sendCouponError(res, error, "Create coupon", "Failed to create coupon");
+  }
+};
+
+/**
+ * Change a coupon - orders already placed keep their price
+ * PATCH /api/admin/coupons/:code
+ * Body: any coupon field except code
+ */
+export const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await couponService.updateCoupon(req.params.code, req.body, req.user.email);
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon updated successfully",
+      data: { coupon },
+    });
+  } catch (error) {
+    return sendCouponError(res, error, "Update coupon", "Failed to update coupon");
+  }
+};
+
+/**
+ * Deactivate a coupon (its redemptions are kept)
+ * DELETE /api/admin/coupons/:code
+ */
+export const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await couponService.deactivateCoupon(req.params.code, req.user.email);
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon deactivated successfully",
+      data: { coupon },
+    });
+  } catch (error) {
+    return sendCouponError(res, error, "Deactivate coupon", "Failed to deactivate coupon");
+  }
+};
+
+/**
+ * Respond with a Razorpay event service error, or a 500
+ */
+const sendPaymentEventError = (res, error, label, message) => {
+  const status = RAZORPAY_EVENT_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+/**
+ * List stored Razorpay webhook events (without payloads)
+ * GET /api/admin/payment-events?page=1&limit=20&status=failed&event=payment.captured&paymentId=pay_X
+ */
+export const getPaymentEvents = async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const status = ["pending", "processing", "processed", "ignored", "failed"].includes(
+      req.query.status
+    )
+      ? req.query.status
+      : null;
+
+    const { events, pagination } = await razorpayEventService.listEvents({
+      page,
+      limit,
+      status,
+      event: typeof req.query.event === "string" ? req.query.event : null,
+      razorpayPaymentId: typeof req.query.paymentId === "string" ? req.query.paymentId : null,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Payment events retrieved successfully",
+      data: { events, pagination },
+    });
+  } catch (error) {
+    return sendPaymentEventError(
+      res,
+      error,
+      "Get payment events",
+      "Failed to retrieve payment events"
+    );
+  }
+};
+
+/**
+ * Get a stored Razorpay webhook event with its payload
+ * GET /api/admin/payment-events/:eventId
+ */
+export const getPaymentEvent = async (req, res) => {
+  try {
+    const event = await razorpayEventService.getEvent(req.params.eventId);
+
+    res.status(200).json({
+      success: true,
+      message: "Payment event retrieved successfully",
+      data: { event },
+    });
+  } catch (error) {
+    return sendPaymentEventError(res, error, "Get payment event", "Failed to retrieve payment event");
+  }
+};
+
+/**
+ * Process a stored Razorpay webhook event again
+ * POST /api/admin/payment-events/:eventId/replay
+ * Credits, refunds and disputes are applied once however often an event runs.
+ */
+export const replayPaymentEvent = async (req, res) => {
+  try {
+    const event = await razorpayEventService.replay(req.params.eventId, req.user.email);
+
+    res.status(200).json({
+      success: true,
+      message: "Payment event replayed successfully",
+      data: { event },
+    });
+  } catch (error) {
+    if (RAZORPAY_EVENT_ERROR_STATUS[error.code]) {
+      return sendPaymentEventError(
+        res,
+        error,
+        "Replay payment event",
+        "Failed to replay payment event"
+      );
+    }
+
+    // The event records why it failed
+    console.error("Replay payment event error:", error);
+    const event = await razorpayEventService.getEvent(req.params.eventId).catch(() => null);
+    return res.status(500).json({
+      success: false,
+      message: "Payment event replay failed",
+      data: { event },
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
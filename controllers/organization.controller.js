@@ -0,0 +1,457 @@
+import User from "../models/user.model.js";
+import ApiKey from "../models/api.key.model.js";
+import organizationService, {
+  ORG_ERROR_STATUS,
+  hasOrgRole,
+} from "../services/organization.service.js";
+import { getOrganizationCreditHistory } from "../services/credit.service.js";
+import { parseKeyLimits, getKeysSpend } from "../services/api.key.budget.service.js";
+
+// Default permissions of organization API keys
+const ORG_KEY_PERMISSIONS = [
+  "sdk:analyze",
+  "sdk:batch",
+  "sdk:results",
+  "sdk:credits",
+  "sdk:check-hash",
+];
+
+/**
+ * Respond with an organization service error
+ * Known codes map to their status; anything else is a 500.
+ */
+const sendError = (res, error, label, message) => {
+  const status = ORG_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+
+  if (error.code === "INVALID_KEY_LIMITS") {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === "development" ? error.message : undefined,
+  });
+};
+
+/**
+ * Get own organization with its credit pool and members
+ * GET /api/user/organization
+ */
+export const getMyOrganization = async (req, res) => {
+  try {
+    const organization = req.organization;
+    const members = await organizationService.listMembers(organization._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Organization retrieved successfully",
+      data: {
+        organization: {
+          id: organization._id,
+          name: organization.name,
+          credits: organization.credits,
+          // Invite codes are only shown to those who manage members
+          inviteCode: hasOrgRole(req.user, "admin") ? organization.inviteCode : undefined,
+          createdAt: organization.createdAt,
+        },
+        role: req.user.organizationRole,
+        members,
+      },
+    });
+  } catch (error) {
+    return sendError(res, error, "Get organization", "Failed to retrieve organization");
+  }
+};
+
+/**
+ * Get the organization's analysis history
+ * GET /api/user/organization/jobs?memberId=&status=&page=&limit=
+ */
+export const getOrganizationJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { jobs, pagination } = await organizationService.listJobs(req.organization._id, {
+      memberId: req.query.memberId,
+      status: req.query.status,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs: jobs.map((job) => ({
+          jobId: job._id.toString(),
+          submittedBy: job.userId
+            ? {
+                id: job.userId._id,
+                username: job.userId.username,
+                email: job.userId.email,
+              }
+            : null,
+          filename: job.filename,
+          status: job.status,
+          tier: job.tier,
+          progress: job.progress,
+          hasVulnerabilities:
+            job.results?.vulnerability_assessment?.has_vulnerabilities,
+          severity: job.results?.vulnerability_assessment?.severity,
+          creditsDeducted: job.creditsDeducted,
+          createdAt: job.createdAt,
+          completedAt: job.completedAt,
+          error: job.error,
+        })),
+        pagination,
+      },
+    });
+  } catch (error) {
+    return sendError(res, error, "Get organization jobs", "Failed to get organization jobs");
+  }
+};
+
+/**
+ * Get the organization's credit pool history
+ * GET /api/user/organization/credits/history
+ */
+export const getOrganizationCreditHistoryController = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const result = await getOrganizationCreditHistory(req.organization._id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: "Credit history retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    return sendError(
+      res,
+      error,
+      "Get organization credit history",
+      "Failed to retrieve credit history"
+    );
+  }
+};
+
+/**
+ * Get credits spent from the pool per member
+ * GET /api/user/organization/spend?from=&to=
+ */
+export const getOrganizationSpend = async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be valid dates",
+      });
+    }
+
+    const report = await organizationService.getMemberSpend(req.organization._id, {
+      from,
+      to,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Member spend retrieved successfully",
+      data: { from, to, ...report },
+    });
+  } catch (error) {
+    return sendError(res, error, "Get organization spend", "Failed to retrieve member spend");
+  }
+};
+
+/**
+ * Add an existing user to the organization
+ * POST /api/user/organization/members
+ * Body: { email, role }
+ */
+export const addOrganizationMember = async (req, res) => {
+  try {
+    const { email, role = "analyst" } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is required",
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() }).select("_id");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        code: "USER_NOT_FOUND",
+      });
+    }
+
+    const member = await organizationService.addMember(req.organization._id, user._id, role, {
+      actorRole: req.user.organizationRole,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Member added successfully",
+      data: { member },
+    });
+  } catch (error) {
+    return sendError(res, error, "Add organization member", "Failed to add member");
+  }
+};
+
+/**
+ * Change a member's role
+ * PATCH /api/user/organization/members/:userId
+ * Body: { role }
+ */
+export const updateOrganizationMember = async (req, res) => {
+  try {
+    const member = await organizationService.changeMemberRole(
+      req.organization._id,
+      req.params.userId,
+      req.body.role,
+      { actorRole: req.user.organizationRole }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Member role updated successfully",
+      data: { member },
+    });
+  } catch (error) {
+    return sendError(res, error, "Update organization member", "Failed to update member");
+  }
+};
+
+/**
+ * Remove a member from the organization
+ * DELETE /api/user/organization/members/:userId
+ */
+export const removeOrganizationMember = async (req, res) => {
+  try {
+    const member = await organizationService.removeMember(
+      req.organization._id,
+      req.params.userId,
+      { actorRole: req.user.organizationRole }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Member removed successfully",
+      data: {
+        member: {
+          id: member._id,
+          email: member.email,
+        },
+      },
+    });
+  } catch (error) {
+    return sendError(res, error, "Remove organization member", "Failed to remove member");
+  }
+};
+
+/**
+ * Replace the organization's invite code
+ * POST /api/user/organization/invite-code
+ */
+export const rotateOrganizationInviteCode = async (req, res) => {
+  try {
+    const inviteCode = await organizationService.rotateInviteCode(req.organization._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Invite code rotated successfully",
+      data: { inviteCode },
+    });
+  } catch (error) {
+    return sendError(res, error, "Rotate invite code", "Failed to rotate invite code");
+  }
+};
+
+/**
+ * Create an organization API key (charged to the pool)
+ * POST /api/user/organization/api-keys
+ * Body: { name, expiresInDays, limits } - limits are optional
+ */
+export const createOrganizationApiKey = async (req, res) => {
+  try {
+    const { name, expiresInDays } = req.body;
+    const limits = parseKeyLimits(req.body.limits);
+
+    // Calculate expiration date
+    let expiresAt = null;
+    if (expiresInDays && expiresInDays > 0) {
+      expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + expiresInDays);
+    }
+
+    const apiKey = await ApiKey.create({
+      key: ApiKey.generateKey(),
+      userId: req.user._id,
+      organizationId: req.organization._id,
+      name: name || `${req.organization.name} API Key`,
+      isActive: true,
+      expiresAt,
+      permissions: ORG_KEY_PERMISSIONS,
+      limits,
+      metadata: {
+        createdFrom: "organization-dashboard",
+        ipAddress: req.ip,
+        userAgent: req.get("user-agent"),
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Organization API key created successfully",
+      data: {
+        apiKey: {
+          id: apiKey._id,
+          key: apiKey.key,
+          name: apiKey.name,
+          organizationId: apiKey.organizationId,
+          isActive: apiKey.isActive,
+          expiresAt: apiKey.expiresAt,
+          permissions: apiKey.permissions,
+          limits: apiKey.limits,
+          createdAt: apiKey.createdAt,
+        },
+        warning:
+          "Store this API key securely. It won't be shown again in full.",
+      },
+    });
+  } catch (error) {
+    return sendError(res, error, "Create organization API key", "Failed to create API key");
+  }
+};
+
+/**
+ * Get the organization's API keys with their spend
+ * GET /api/user/organization/api-keys
+ */
+export const getOrganizationApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ organizationId: req.organization._id })
+      .select("-key")
+      .populate("userId", "username email")
+      .sort({ createdAt: -1 });
+    const spendByKey = await getKeysSpend(apiKeys);
+
+    res.status(200).json({
+      success: true,
+      message: "Organization API keys retrieved successfully",
+      data: {
+        apiKeys: apiKeys.map((key) => ({
+          ...key.toObject(),
+          keyPreview: `cray_****${key._id.toString().slice(-8)}`,
+          spend: spendByKey.get(key._id.toString()),
+        })),
+        total: apiKeys.length,
+      },
+    });
+  } catch (error) {
+    return sendError(res, error, "Get organization API keys", "Failed to retrieve API keys");
+  }
+};
+
+/**
+ * Update an organization API key's name or limits
+ * PATCH /api/user/organization/api-keys/:keyId
+ * Body: { name, limits } - a null limit removes that cap
+ */
+export const updateOrganizationApiKey = async (req, res) => {
+  try {
+    const limits = parseKeyLimits(req.body.limits);
+
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.keyId,
+      organizationId: req.organization._id,
+    }).select("-key");
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (req.body.name) apiKey.name = req.body.name;
+    Object.assign(apiKey.limits, limits);
+    await apiKey.save();
+
+    const spendByKey = await getKeysSpend([apiKey]);
+
+    res.status(200).json({
+      success: true,
+      message: "API key updated successfully",
+      data: {
+        apiKey: {
+          ...apiKey.toObject(),
+          spend: spendByKey.get(apiKey._id.toString()),
+        },
+      },
+    });
+  } catch (error) {
+    return sendError(res, error, "Update organization API key", "Failed to update API key");
+  }
+};
+
+/**
+ * Revoke an organization API key
+ * DELETE /api/user/organization/api-keys/:keyId
+ */
+export const revokeOrganizationApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.keyId,
+      organizationId: req.organization._id,
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    // Soft delete - mark as inactive
+    apiKey.isActive = false;
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      message: "API key revoked successfully",
+      data: {
+        apiKey: {
+          id: apiKey._id,
+          name: apiKey.name,
+          revokedAt: apiKey.revokedAt,
+        },
+      },
+    });
+  } catch (error) {
+    return sendError(res, error, "Revoke organization API key", "Failed to revoke API key");
+  }
+};
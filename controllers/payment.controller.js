@@ -6,69 +6,79 @@ import {
   fetchPayment,
   createRefund,
 } from "../services/razorpay.service.js";
-import { addCreditsFromPayment } from "../services/credit.service.js";
-import {
-  sendPaymentSuccessEmail,
-  sendPaymentFailedEmail,
-} from "../services/payment.email.service.js";
+import planService, { PLAN_ERROR_STATUS } from "../services/plan.service.js";
+import couponService, { COUPON_ERROR_STATUS } from "../services/coupon.service.js";
+import subscriptionService, {
+  SUBSCRIPTION_ERROR_STATUS,
+} from "../services/subscription.service.js";
+import invoiceService, { INVOICE_ERROR_STATUS } from "../services/invoice.service.js";
+import paymentService, {
+  REFUNDABLE_STATUSES,
+  PAID_STATUSES,
+} from "../services/payment.service.js";
+import razorpayEventService, {
+  RAZORPAY_EVENT_ERROR_STATUS,
+} from "../services/razorpay.event.service.js";
 import queueLogger from "../utils/logger.js";
 import mongoose from "mongoose";
 
-// Credit plans with pricing (amounts in paise)
-const CREDIT_PLANS = [
-  {
-    id: "basic",
-    name: "Basic",
-    credits: 100,
-    price: 1000, // ₹1,000
-    amount: 100000, // in paise
-    popular: false,
-  },
-  {
-    id: "standard",
-    name: "Standard",
-    credits: 500,
-    price: 4500, // ₹4,500
-    amount: 450000, // in paise
-    popular: true, // ⭐ Popular
-  },
-  {
-    id: "premium",
-    name: "Premium",
-    credits: 1000,
-    price: 8000, // ₹8,000
-    amount: 800000, // in paise
-    popular: false,
-  },
-  {
-    id: "enterprise",
-    name: "Enterprise",
-    credits: 3000,
-    price: 20000, // ₹20,000
-    amount: 2000000, // in paise
-    popular: false,
-  },
-  {
-    id: "ultimate",
-    name: "Ultimate",
-    credits: 5000,
-    price: 30000, // ₹30,000
-    amount: 3000000, // in paise
-    popular: false,
-  },
-];
+/**
+ * Respond with a plan service error
+ */
+const sendPlanError = (res, error) =>
+  res.status(PLAN_ERROR_STATUS[error.code]).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+  });
 
 /**
- * Get all credit plans
+ * Respond with a coupon service error
+ */
+const sendCouponError = (res, error) =>
+  res.status(COUPON_ERROR_STATUS[error.code]).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+  });
+
+/**
+ * Reserve a promo code for an order about to be created
+ * @returns {Object|null} Redemption (null without a code)
+ */
+const reserveCoupon = async (code, userId, plan, paymentId) => {
+  if (code === undefined || code === null || code === "") return null;
+
+  const { redemption } = await couponService.reserve({ code, userId, plan, paymentId });
+  return redemption;
+};
+
+/**
+ * Payment `coupon` fields of a redemption
+ */
+const paymentCoupon = (redemption) => ({
+  couponId: redemption.couponId,
+  redemptionId: redemption._id,
+  code: redemption.code,
+  originalAmount: redemption.originalAmount,
+  discountAmount: redemption.discountAmount,
+  bonusCredits: redemption.bonusCredits,
+});
+
+/**
+ * Get the credit plans available to the caller
  * GET /api/payment/plans
+ * Signed-in users also see the plans of their tier.
  */
 export const getPlans = async (req, res) => {
   try {
     queueLogger.info("[PAYMENT] Fetching credit plans");
 
+    const plans = await planService.listAvailable(req.user);
+
     return res.status(200).json({
       success: true,
-      plans: CREDIT_PLANS,
+      plans: plans.map((plan) => planService.toPublic(plan)),
     });
   } catch (error) {
     queueLogger.error(`[PAYMENT] Error fetching plans: ${error.message}`);
@@ -83,54 +93,78 @@ export const getPlans = async (req, res) => {
 /**
  * Create Razorpay Order
  * POST /api/payment/create-order
- * Body: { planId }
+ * Body: { planId, couponCode }
  */
 export const createPaymentOrder = async (req, res) => {
   try {
-    const { planId } = req.body;
+    const { planId, couponCode } = req.body;
     const userId = req.user.id;
 
-    // Validate plan
-    const plan = CREDIT_PLANS.find((p) => p.id === planId);
-    if (!plan) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid plan selected",
-      });
+    // Validate plan (active, in its window and visible to the user's tier)
+    let plan;
+    try {
+      plan = await planService.getPurchasablePlan(planId, req.user);
+    } catch (error) {
+      if (PLAN_ERROR_STATUS[error.code]) return sendPlanError(res, error);
+      throw error;
     }
 
     queueLogger.info(
-      `[PAYMENT] Creating order - User: ${userId}, Plan: ${plan.name}`
+      `[PAYMENT] Creating order - User: ${userId}, Plan: ${plan.name} (v${plan.version})${couponCode ? `, Coupon: ${couponCode}` : ""}`
     );
 
-    // Create Razorpay order (receipt max 40 chars)
-    const receipt = `rcpt_${Date.now()}`;
-    const notes = {
-      userId: userId.toString(),
-      planId: plan.id,
-      planName: plan.name,
-      credits: plan.credits,
-    };
+    // Reserve the promo code (usage limits count it until the order is paid or released)
+    const paymentId = new mongoose.Types.ObjectId();
+    let redemption;
+    try {
+      redemption = await reserveCoupon(couponCode, userId, plan, paymentId);
+    } catch (error) {
+      if (COUPON_ERROR_STATUS[error.code]) return sendCouponError(res, error);
+      throw error;
+    }
+    const amount = redemption ? redemption.amount : plan.amount;
+
+    let razorpayOrder;
+    let payment;
+    try {
+      // Create Razorpay order (receipt max 40 chars)
+      const receipt = `rcpt_${Date.now()}`;
+      const notes = {
+        userId: userId.toString(),
+        planId: plan.planId,
+        planName: plan.name,
+        credits: plan.credits,
+        ...(redemption && { couponCode: redemption.code }),
+      };
 
-    const razorpayOrder = await createOrder(plan.amount, "INR", receipt, notes);
+      razorpayOrder = await createOrder(amount, plan.currency, receipt, notes);
 
-    // Save payment record
-    const payment = new Payment({
-      userId,
-      razorpayOrderId: razorpayOrder.id,
-      planId: plan.id,
-      planName: plan.name,
-      creditsAmount: plan.credits,
-      amount: plan.amount,
-      currency: "INR",
-      status: "created",
-      metadata: {
-        ipAddress: req.ip,
-        userAgent: req.headers["user-agent"],
-      },
-    });
+      // Save payment record with a snapshot of the plan as ordered
+      payment = new Payment({
+        _id: paymentId,
+        userId,
+        razorpayOrderId: razorpayOrder.id,
+        planId: plan.planId,
+        planName: plan.name,
+        creditsAmount: plan.credits,
+        planSnapshot: planService.snapshot(plan),
+        ...(redemption && { coupon: paymentCoupon(redemption) }),
+        amount,
+        currency: plan.currency,
+        status: "created",
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.headers["user-agent"],
+        },
+      });
 
-    await payment.save();
+      await payment.save();
+    } catch (error) {
+      if (redemption) {
+        await couponService.releaseRedemption(redemption._id, "Order creation failed");
+      }
+      throw error;
+    }
 
     queueLogger.info(
       `[PAYMENT] ✅ Order created - OrderID: ${razorpayOrder.id}, PaymentID: ${payment._id}`
@@ -148,8 +182,16 @@ export const createPaymentOrder = async (req, res) => {
       plan: {
         name: plan.name,
         credits: plan.credits,
-        price: plan.price,
+        price: plan.amount / 100,
+        currency: plan.currency,
       },
+      coupon: redemption
+        ? {
+            code: redemption.code,
+            discount: redemption.discountAmount / 100,
+            bonusCredits: redemption.bonusCredits,
+          }
+        : null,
       key: process.env.RAZORPAY_KEY_ID, // Frontend needs this for Razorpay SDK
     });
   } catch (error) {
@@ -166,12 +208,10 @@ export const createPaymentOrder = async (req, res) => {
  * Verify Payment and Add Credits
  * POST /api/payment/verify
  * Body: { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ * The payment.captured webhook may have added the credits already - they are
+ * only added once.
  */
 export const verifyPayment = async (req, res) => {
-  // Disable sessions completely for standalone MongoDB
-  const useSession = false;
-  const session = null;
-
   try {
     const { razorpay_order_id, razorpay_payment_id, razorpay_signature } =
       req.body;
@@ -190,14 +230,9 @@ export const verifyPayment = async (req, res) => {
     );
 
     if (!isValid) {
-      payment.status = "failed";
-      payment.failureReason = "Invalid payment signature";
-      if (useSession) {
-        await payment.save({ session });
-      } else {
-        await payment.save();
-      }
-      if (useSession) await session.commitTransaction();
+      await paymentService.failPayment(payment, "Invalid payment signature", {
+        notify: false,
+      });
 
       queueLogger.error(
         `[PAYMENT] ❌ Invalid signature - PaymentID: ${payment._id}`
@@ -212,98 +247,19 @@ export const verifyPayment = async (req, res) => {
     // Fetch payment details from Razorpay
     const razorpayPayment = await fetchPayment(razorpay_payment_id);
 
-    // Update payment record
-    payment.razorpayPaymentId = razorpay_payment_id;
-    payment.razorpaySignature = razorpay_signature;
-    payment.status =
-      razorpayPayment.status === "captured" ? "success" : "pending";
-    payment.paymentMethod = razorpayPayment.method || "unknown";
-
-    // Skip card details to avoid schema validation issues
-    // Card details can be fetched from Razorpay if needed later
-
-    if (useSession) {
-      await payment.save({ session });
-    } else {
-      await payment.save();
-    }
-
-    // Add credits if payment successful
-    if (payment.status === "success") {
-      queueLogger.info(
-        `[PAYMENT] 💰 Adding credits - User: ${userId}, Credits: ${payment.creditsAmount}`
-      );
-
-      const user = useSession
-        ? await User.findById(userId).session(session)
-        : await User.findById(userId);
-
-      // Add credits using atomic transaction
-      await addCreditsFromPayment(
-        userId,
-        payment.creditsAmount,
-        payment._id,
-        `Credit purchase - ${payment.planName}`,
-        useSession ? session : null
-      );
-
-      // Update user payment history
-      user.paymentHistory.push(payment._id);
-      user.totalSpent = (user.totalSpent || 0) + payment.amount / 100; // Convert paise to rupees
-      user.lifetimeCredits =
-        (user.lifetimeCredits || 0) + payment.creditsAmount;
-      if (useSession) {
-        await user.save({ session });
-      } else {
-        await user.save();
-      }
-
-      // Mark credits as added
-      payment.creditsAdded = true;
-      payment.creditsAddedAt = new Date();
-      if (useSession) {
-        await payment.save({ session });
-      } else {
+    if (razorpayPayment.status !== "captured") {
+      // Paid payments keep their state - Razorpay reports refunded ones as
+      // "refunded"
+      if (!PAID_STATUSES.includes(payment.status)) {
+        payment.razorpayPaymentId = razorpay_payment_id;
+        payment.razorpaySignature = razorpay_signature;
+        payment.paymentMethod = razorpayPayment.method || "unknown";
+        payment.status = "pending";
         await payment.save();
       }
 
-      if (useSession) await session.commitTransaction();
-
-      queueLogger.info(
-        `[PAYMENT] ✅ Payment successful - User: ${userId}, Credits added: ${payment.creditsAmount}`
-      );
-
-      // Send success email (async, don't wait)
-      sendPaymentSuccessEmail(user.email, {
-        username: user.username,
-        planName: payment.planName,
-        creditsAmount: payment.creditsAmount,
-        amount: payment.amount,
-        paymentId: razorpay_payment_id,
-        transactionDate: payment.createdAt,
-      }).catch((err) =>
-        queueLogger.error(
-          `[EMAIL] Failed to send success email: ${err.message}`
-        )
-      );
-
-      return res.status(200).json({
-        success: true,
-        message: "Payment verified and credits added successfully",
-        credits: payment.creditsAmount,
-        payment: {
-          id: payment._id.toString(),
-          orderId: razorpay_order_id,
-          paymentId: razorpay_payment_id,
-          amount: payment.amount / 100, // Convert to rupees
-          status: payment.status,
-        },
-      });
-    } else {
-      if (useSession) await session.commitTransaction();
-
       queueLogger.warn(
-        `[PAYMENT] Payment not captured - Status: ${payment.status}`
+        `[PAYMENT] Payment not captured - Status: ${razorpayPayment.status}`
       );
 
       return res.status(400).json({
@@ -312,8 +268,40 @@ export const verifyPayment = async (req, res) => {
         status: payment.status,
       });
     }
+
+    queueLogger.info(
+      `[PAYMENT] 💰 Adding credits - User: ${userId}, Credits: ${payment.creditsAmount}`
+    );
+
+    const { credited, bonusCredits } = await paymentService.completePayment(
+      payment,
+      {
+        razorpayPaymentId: razorpay_payment_id,
+        signature: razorpay_signature,
+        method: razorpayPayment.method || "unknown",
+      }
+    );
+
+    queueLogger.info(
+      credited
+        ? `[PAYMENT] ✅ Payment successful - User: ${userId}, Credits added: ${payment.creditsAmount}${bonusCredits ? ` (+${bonusCredits} bonus)` : ""}`
+        : `[PAYMENT] Credits already added - PaymentID: ${payment._id}`
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Payment verified and credits added successfully",
+      credits: payment.creditsAmount,
+      bonusCredits,
+      payment: {
+        id: payment._id.toString(),
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id,
+        amount: payment.amount / 100, // Convert to rupees
+        status: payment.status,
+      },
+    });
   } catch (error) {
-    if (useSession && session) await session.abortTransaction();
     queueLogger.error(`[PAYMENT] Verification error: ${error.message}`, error);
 
     return res.status(500).json({
@@ -321,167 +309,54 @@ export const verifyPayment = async (req, res) => {
       message: "Payment verification failed",
       error: error.message,
     });
-  } finally {
-    if (session) session.endSession();
   }
 };
 
 /**
  * Handle Razorpay Webhooks
  * POST /api/payment/webhook
+ * Each event is stored with its ID and processed once (see
+ * services/razorpay.event.service.js); redeliveries of a processed event are
+ * acknowledged without processing it again.
  */
 export const handleWebhook = async (req, res) => {
   try {
-    const event = req.body.event;
-    const payload = req.body.payload.payment.entity;
-
-    queueLogger.info(`[WEBHOOK] 📨 Received event: ${event}`);
-
-    // Handle different webhook events
-    switch (event) {
-      case "payment.captured": {
-        const { order_id, id: payment_id } = payload;
-
-        // Find payment by order ID
-        const payment = await Payment.findOne({ razorpayOrderId: order_id });
-
-        if (!payment) {
-          queueLogger.warn(
-            `[WEBHOOK] Payment not found for order: ${order_id}`
-          );
-          return res
-            .status(404)
-            .json({ success: false, message: "Payment not found" });
-        }
-
-        // Skip if already processed
-        if (payment.creditsAdded) {
-          queueLogger.info(
-            `[WEBHOOK] Credits already added for payment: ${payment._id}`
-          );
-          return res
-            .status(200)
-            .json({ success: true, message: "Already processed" });
-        }
-
-        // Disable sessions for standalone MongoDB
-        const useSession = false;
-        const session = null;
-
-        try {
-          // Update payment
-          payment.razorpayPaymentId = payment_id;
-          payment.status = "success";
-          payment.paymentMethod = payload.method;
-
-          // Skip card details to avoid schema validation issues
-
-          if (useSession) {
-            await payment.save({ session });
-          } else {
-            await payment.save();
-          }
-
-          // Add credits
-          await addCreditsFromPayment(
-            payment.userId,
-            payment.creditsAmount,
-            payment._id,
-            `Credit purchase - ${payment.planName}`,
-            useSession ? session : null
-          );
-
-          // Update user
-          const user = useSession
-            ? await User.findById(payment.userId).session(session)
-            : await User.findById(payment.userId);
-
-          if (!user.paymentHistory.includes(payment._id)) {
-            user.paymentHistory.push(payment._id);
-          }
-          user.totalSpent = (user.totalSpent || 0) + payment.amount / 100;
-          user.lifetimeCredits =
-            (user.lifetimeCredits || 0) + payment.creditsAmount;
-          if (useSession) {
-            await user.save({ session });
-          } else {
-            await user.save();
-          }
-
-          // Mark credits as added
-          payment.creditsAdded = true;
-          payment.creditsAddedAt = new Date();
-          if (useSession) {
-            await payment.save({ session });
-          } else {
-            await payment.save();
-          }
-
-          if (useSession) await session.commitTransaction();
-
-          queueLogger.info(
-            `[WEBHOOK] ✅ Credits added via webhook - User: ${payment.userId}, Credits: ${payment.creditsAmount}`
-          );
-
-          // Send success email
-          sendPaymentSuccessEmail(user.email, {
-            username: user.username,
-            planName: payment.planName,
-            creditsAmount: payment.creditsAmount,
-            amount: payment.amount,
-            paymentId: payment_id,
-            transactionDate: payment.createdAt,
-          }).catch((err) =>
-            queueLogger.error(`[EMAIL] Webhook email failed: ${err.message}`)
-          );
-        } catch (error) {
-          if (useSession && session) await session.abortTransaction();
-          throw error;
-        } finally {
-          if (session) session.endSession();
-        }
-
-        break;
-      }
+    const eventId = razorpayEventService.eventIdOf(
+      req.headers["x-razorpay-event-id"],
+      req.rawBody || JSON.stringify(req.body)
+    );
+    const stored = await razorpayEventService.record(eventId, req.body);
 
-      case "payment.failed": {
-        const { order_id, error_description } = payload;
-
-        const payment = await Payment.findOne({ razorpayOrderId: order_id });
-
-        if (payment) {
-          payment.status = "failed";
-          payment.failureReason = error_description || "Payment failed";
-          await payment.save();
-
-          queueLogger.error(
-            `[WEBHOOK] ❌ Payment failed - Order: ${order_id}, Reason: ${error_description}`
-          );
-
-          // Send failure email
-          const user = await User.findById(payment.userId);
-          if (user) {
-            sendPaymentFailedEmail(user.email, {
-              username: user.username,
-              planName: payment.planName,
-              amount: payment.amount,
-              failureReason: error_description,
-              attemptDate: payment.createdAt,
-            }).catch((err) =>
-              queueLogger.error(`[EMAIL] Failure email failed: ${err.message}`)
-            );
-          }
-        }
+    queueLogger.info(
+      `[WEBHOOK] 📨 Received event: ${stored.event} (${eventId}, delivery ${stored.deliveries})`
+    );
 
-        break;
-      }
+    const { event, duplicate } = await razorpayEventService.process(eventId);
 
-      default:
-        queueLogger.info(`[WEBHOOK] Unhandled event: ${event}`);
+    if (duplicate) {
+      queueLogger.info(
+        `[WEBHOOK] Event ${eventId} already ${event.status === "processing" ? "being processed" : "processed"}`
+      );
+      return res.status(200).json({
+        success: true,
+        message:
+          event.status === "processing" ? "Being processed" : "Already processed",
+      });
     }
 
+    queueLogger.info(`[WEBHOOK] ✅ ${event.event}: ${event.outcome}`);
     return res.status(200).json({ success: true });
   } catch (error) {
+    const status = RAZORPAY_EVENT_ERROR_STATUS[error.code];
+    if (status) {
+      queueLogger.warn(`[WEBHOOK] ${error.message}`);
+      return res.status(status).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+
     queueLogger.error(
       `[WEBHOOK] Error processing webhook: ${error.message}`,
       error
@@ -494,6 +369,172 @@ export const handleWebhook = async (req, res) => {
   }
 };
 
+/**
+ * Respond with a subscription service error
+ */
+const sendSubscriptionError = (res, error, logMessage, message) => {
+  const status = SUBSCRIPTION_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+
+  queueLogger.error(`[SUBSCRIPTION] ${logMessage}: ${error.message}`);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * Start a Subscription
+ * POST /api/payment/subscriptions
+ * Body: { tier } - defaults to the user's tier
+ */
+export const createPaymentSubscription = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    queueLogger.info(
+      `[SUBSCRIPTION] Creating subscription - User: ${userId}, Tier: ${req.body.tier || "current"}`
+    );
+
+    const subscription = await subscriptionService.createRazorpaySubscription(
+      userId,
+      req.body.tier
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Subscription created - complete the payment to activate it",
+      subscription: {
+        id: subscription._id.toString(),
+        razorpaySubscriptionId: subscription.razorpaySubscriptionId,
+        tier: subscription.tier,
+        status: subscription.status,
+        monthlyCredits: subscription.monthlyCredits,
+        rolloverCap: subscription.rolloverCap,
+        creditExpiryDays: subscription.creditExpiryDays,
+        shortUrl: subscription.shortUrl,
+      },
+      key: process.env.RAZORPAY_KEY_ID, // Frontend needs this for Razorpay SDK
+    });
+  } catch (error) {
+    return sendSubscriptionError(
+      res,
+      error,
+      "Subscription creation failed",
+      "Failed to create subscription"
+    );
+  }
+};
+
+/**
+ * Verify a Subscription after Checkout
+ * POST /api/payment/subscriptions/verify
+ * Body: { razorpay_payment_id, razorpay_subscription_id, razorpay_signature }
+ */
+export const verifyPaymentSubscription = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    queueLogger.info(
+      `[SUBSCRIPTION] Verifying subscription - SubscriptionID: ${req.body.razorpay_subscription_id}`
+    );
+
+    const subscription = await subscriptionService.verifyRazorpaySubscription(userId, req.body);
+    const user = await User.findById(userId).select("credits");
+
+    return res.status(200).json({
+      success: true,
+      message:
+        subscription.grantsIssued > 0
+          ? "Subscription verified and credits granted"
+          : "Subscription verified - credits are granted once the payment is captured",
+      subscription,
+      credits: user?.credits,
+    });
+  } catch (error) {
+    return sendSubscriptionError(
+      res,
+      error,
+      "Subscription verification failed",
+      "Subscription verification failed"
+    );
+  }
+};
+
+/**
+ * Get Subscriptions and Expiring Credits
+ * GET /api/payment/subscriptions
+ */
+export const getPaymentSubscriptions = async (req, res) => {
+  try {
+    const { subscriptions, expiringCredits } = await subscriptionService.listForUser(
+      req.user.id
+    );
+
+    return res.status(200).json({
+      success: true,
+      subscriptions,
+      expiringCredits,
+    });
+  } catch (error) {
+    return sendSubscriptionError(
+      res,
+      error,
+      "Subscription fetch error",
+      "Failed to fetch subscriptions"
+    );
+  }
+};
+
+/**
+ * Cancel the Active Subscription
+ * POST /api/payment/subscriptions/cancel
+ * Body: { immediately } - default: at the end of the current cycle
+ */
+export const cancelPaymentSubscription = async (req, res) => {
+  try {
+    const subscription = await subscriptionService.getLiveSubscription(req.user.id);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: "No active subscription",
+        code: "SUBSCRIPTION_NOT_FOUND",
+      });
+    }
+
+    const cancelled = await subscriptionService.cancel(subscription, {
+      atPeriodEnd: req.body.immediately !== true,
+    });
+
+    queueLogger.info(
+      `[SUBSCRIPTION] Cancelled - SubscriptionID: ${cancelled._id}, At period end: ${cancelled.cancelAtPeriodEnd}`
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: cancelled.cancelAtPeriodEnd
+        ? "Subscription will end with the current cycle"
+        : "Subscription cancelled",
+      subscription: cancelled,
+    });
+  } catch (error) {
+    return sendSubscriptionError(
+      res,
+      error,
+      "Subscription cancel error",
+      "Failed to cancel subscription"
+    );
+  }
+};
+
 /**
  * Get Payment History
  * GET /api/payment/history?page=1&limit=10
@@ -533,6 +574,13 @@ export const getPaymentHistory = async (req, res) => {
         paymentId: p.razorpayPaymentId,
         date: p.createdAt,
         creditsAdded: p.creditsAdded,
+        coupon: p.coupon?.code
+          ? {
+              code: p.coupon.code,
+              discount: p.coupon.discountAmount / 100,
+              bonusCredits: p.coupon.bonusCredits,
+            }
+          : null,
       })),
       pagination: {
         currentPage: page,
@@ -570,55 +618,87 @@ export const retryPayment = async (req, res) => {
       });
     }
 
-    if (oldPayment.status === "success") {
+    // Refunded and disputed payments were paid too - retrying would take a
+    // second payment for the same purchase
+    if (PAID_STATUSES.includes(oldPayment.status)) {
       return res.status(400).json({
         success: false,
         message: "Payment already successful",
+        status: oldPayment.status,
       });
     }
 
     queueLogger.info(`[PAYMENT] Retrying payment - Original: ${paymentId}`);
 
-    // Find plan
-    const plan = CREDIT_PLANS.find((p) => p.id === oldPayment.planId);
-    if (!plan) {
+    // Find plan - a retry is a new order at the plan's current price
+    let plan;
+    try {
+      plan = await planService.getPurchasablePlan(oldPayment.planId, req.user);
+    } catch (error) {
+      if (!PLAN_ERROR_STATUS[error.code]) throw error;
       return res.status(400).json({
         success: false,
         message: "Plan no longer available",
       });
     }
 
-    // Create new order
-    const receipt = `retry_${Date.now()}`;
-    const notes = {
-      userId: userId.toString(),
-      planId: plan.id,
-      planName: plan.name,
-      credits: plan.credits,
-      retryOf: paymentId,
-    };
-
-    const razorpayOrder = await createOrder(plan.amount, "INR", receipt, notes);
+    // The promo code moves to the new order (if it still applies)
+    await couponService.release(oldPayment, "Order retried");
 
-    // Create new payment record
-    const newPayment = new Payment({
-      userId,
-      razorpayOrderId: razorpayOrder.id,
-      planId: plan.id,
-      planName: plan.name,
-      creditsAmount: plan.credits,
-      amount: plan.amount,
-      currency: "INR",
-      status: "created",
-      metadata: {
-        ipAddress: req.ip,
-        userAgent: req.headers["user-agent"],
+    const newPaymentId = new mongoose.Types.ObjectId();
+    let redemption;
+    try {
+      redemption = await reserveCoupon(oldPayment.coupon?.code, userId, plan, newPaymentId);
+    } catch (error) {
+      if (COUPON_ERROR_STATUS[error.code]) return sendCouponError(res, error);
+      throw error;
+    }
+    const amount = redemption ? redemption.amount : plan.amount;
+
+    let razorpayOrder;
+    let newPayment;
+    try {
+      // Create new order
+      const receipt = `retry_${Date.now()}`;
+      const notes = {
+        userId: userId.toString(),
+        planId: plan.planId,
+        planName: plan.name,
+        credits: plan.credits,
         retryOf: paymentId,
-        attemptCount: (oldPayment.metadata?.attemptCount || 0) + 1,
-      },
-    });
+        ...(redemption && { couponCode: redemption.code }),
+      };
+
+      razorpayOrder = await createOrder(amount, plan.currency, receipt, notes);
+
+      // Create new payment record
+      newPayment = new Payment({
+        _id: newPaymentId,
+        userId,
+        razorpayOrderId: razorpayOrder.id,
+        planId: plan.planId,
+        planName: plan.name,
+        creditsAmount: plan.credits,
+        planSnapshot: planService.snapshot(plan),
+        ...(redemption && { coupon: paymentCoupon(redemption) }),
+        amount,
+        currency: plan.currency,
+        status: "created",
+        metadata: {
+          ipAddress: req.ip,
+          userAgent: req.headers["user-agent"],
+          retryOf: paymentId,
+          attemptCount: (oldPayment.metadata?.attemptCount || 0) + 1,
+        },
+      });
 
-    await newPayment.save();
+      await newPayment.save();
+    } catch (error) {
+      if (redemption) {
+        await couponService.releaseRedemption(redemption._id, "Order creation failed");
+      }
+      throw error;
+    }
 
     queueLogger.info(
       `[PAYMENT] ✅ Retry order created - New OrderID: ${razorpayOrder.id}`
@@ -636,8 +716,16 @@ export const retryPayment = async (req, res) => {
       plan: {
         name: plan.name,
         credits: plan.credits,
-        price: plan.price,
+        price: plan.amount / 100,
+        currency: plan.currency,
       },
+      coupon: redemption
+        ? {
+            code: redemption.code,
+            discount: redemption.discountAmount / 100,
+            bonusCredits: redemption.bonusCredits,
+          }
+        : null,
       key: process.env.RAZORPAY_KEY_ID,
     });
   } catch (error) {
@@ -650,10 +738,91 @@ export const retryPayment = async (req, res) => {
   }
 };
 
+/**
+ * Send an invoice or credit note as a PDF download
+ */
+const sendInvoicePdf = (res, invoice) => {
+  const { filename, content } = invoiceService.toAttachment(invoice);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(content);
+};
+
+/**
+ * Respond with an invoice service error, or a 500
+ */
+const sendInvoiceError = (res, error, logMessage, message) => {
+  const status = INVOICE_ERROR_STATUS[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+    });
+  }
+
+  queueLogger.error(`[PAYMENT] ${logMessage}: ${error.message}`);
+  return res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+/**
+ * Download the Tax Invoice of a Payment (PDF)
+ * GET /api/payment/:paymentId/invoice
+ * Payments made before invoicing existed get their invoice on first download.
+ */
+export const getPaymentInvoice = async (req, res) => {
+  try {
+    const invoice = await invoiceService.issueInvoice(req.payment);
+    return sendInvoicePdf(res, invoice);
+  } catch (error) {
+    return sendInvoiceError(res, error, "Invoice download error", "Failed to generate invoice");
+  }
+};
+
+/**
+ * Download the Credit Note of a Refund (PDF)
+ * GET /api/payment/:paymentId/credit-note?refundId=
+ * Without refundId: the latest refund's.
+ */
+export const getPaymentCreditNote = async (req, res) => {
+  try {
+    const payment = req.payment;
+    const refundId = typeof req.query.refundId === "string" ? req.query.refundId : null;
+
+    // Refunded before the credit note could be issued (not while Razorpay is
+    // still processing the refund)
+    for (const refund of paymentService.listRefunds(payment)) {
+      if (refund.status === "processed") {
+        await invoiceService.issueCreditNote(payment, {
+          refundId: refund.refundId,
+          amount: refund.amount,
+          reason: refund.reason,
+        });
+      }
+    }
+
+    const creditNote = await invoiceService.getCreditNote(payment, refundId);
+    return sendInvoicePdf(res, creditNote);
+  } catch (error) {
+    return sendInvoiceError(
+      res,
+      error,
+      "Credit note download error",
+      "Failed to generate credit note"
+    );
+  }
+};
+
 /**
  * Refund Payment (Admin Only)
  * POST /api/payment/refund
- * Body: { paymentId, reason }
+ * Body: { paymentId, amount, reason } - amount in rupees (default: all that
+ * is left); a payment can be refunded in parts
  */
 export const refundPayment = async (req, res) => {
   // Disable sessions for standalone MongoDB
@@ -661,7 +830,7 @@ export const refundPayment = async (req, res) => {
   const session = null;
 
   try {
-    const { paymentId, reason } = req.body;
+    const { paymentId, amount: rupees, reason } = req.body;
 
     const payment = useSession
       ? await Payment.findById(paymentId).session(session)
@@ -675,58 +844,45 @@ export const refundPayment = async (req, res) => {
       });
     }
 
-    if (payment.status !== "success") {
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
       if (useSession) await session.abortTransaction();
       return res.status(400).json({
         success: false,
-        message: "Only successful payments can be refunded",
+        message:
+          payment.status === "refunded"
+            ? "Payment already refunded"
+            : "Only successful payments can be refunded",
       });
     }
 
-    if (payment.refund.status === "refunded") {
+    // Refunds that failed count as not refunded
+    const refundable = payment.amount - (payment.refundedAmount || 0);
+    const amount = rupees === undefined || rupees === null ? refundable : Math.round(rupees * 100);
+    if (!Number.isInteger(amount) || amount <= 0 || amount > refundable) {
       if (useSession) await session.abortTransaction();
       return res.status(400).json({
         success: false,
-        message: "Payment already refunded",
+        message: `amount must be a positive number up to ${refundable / 100}`,
       });
     }
 
-    queueLogger.info(`[PAYMENT] Processing refund - PaymentID: ${paymentId}`);
-
-    // Create refund in Razorpay
-    const refundData = await createRefund(
-      payment.razorpayPaymentId,
-      payment.amount,
-      {
-        reason: reason || "Requested by admin",
-      }
-    );
-
-    // Update payment record
-    payment.status = "refunded";
-    payment.refund = {
-      razorpayRefundId: refundData.id,
-      amount: payment.amount,
-      status: "refunded",
-      reason: reason || "Requested by admin",
-      initiatedAt: new Date(),
-      processedAt: new Date(),
-    };
-
-    if (useSession) {
-      await payment.save({ session });
-    } else {
-      await payment.save();
+    // The bank already took the money back
+    if (payment.dispute?.creditsReversed) {
+      if (useSession) await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: "Payment was lost in a dispute",
+      });
     }
 
-    // Deduct credits if they were added
+    // The refunded share of the purchased credits (and any promo code bonus)
+    // is taken back, so it must not be spent yet
+    const creditsToReverse = await paymentService.refundCredits(payment, amount);
+
     if (payment.creditsAdded) {
-      const user = useSession
-        ? await User.findById(payment.userId).session(session)
-        : await User.findById(payment.userId);
+      const user = await User.findById(payment.userId).select("credits");
 
-      // Check if user has enough credits
-      if (user.credits < payment.creditsAmount) {
+      if (user && user.credits.remaining < creditsToReverse) {
         if (useSession) await session.abortTransaction();
         queueLogger.warn(
           `[PAYMENT] Insufficient credits for refund - User: ${user._id}`
@@ -736,28 +892,42 @@ export const refundPayment = async (req, res) => {
           message: "User doesn't have enough credits to refund",
         });
       }
+    }
 
-      // Deduct credits
-      user.credits -= payment.creditsAmount;
-      user.totalSpent = Math.max(
-        0,
-        (user.totalSpent || 0) - payment.amount / 100
-      );
-      if (useSession) {
-        await user.save({ session });
-      } else {
-        await user.save();
+    queueLogger.info(`[PAYMENT] Processing refund - PaymentID: ${paymentId}`);
+
+    // Create refund in Razorpay
+    const refundData = await createRefund(
+      payment.razorpayPaymentId,
+      amount,
+      {
+        reason: reason || "Requested by admin",
       }
+    );
+
+    // Takes the credits back; the refund.processed webhook may have already
+    const { payment: refunded, applied, creditNote } =
+      await paymentService.applyRefund(payment, refundData, {
+        reason: reason || "Requested by admin",
+      });
+
+    const refundEntry = paymentService
+      .listRefunds(refunded)
+      .find((entry) => entry.refundId === refundData.id) || {
+      amount,
+      status: refundData.status,
+    };
 
+    if (applied && refundEntry.credits) {
       queueLogger.info(
-        `[PAYMENT] Credits deducted for refund - User: ${user._id}, Credits: ${payment.creditsAmount}`
+        `[PAYMENT] Credits deducted for refund - User: ${payment.userId}, Credits: ${refundEntry.credits}`
       );
     }
 
     if (useSession) await session.commitTransaction();
 
     queueLogger.info(
-      `[PAYMENT] ✅ Refund processed - PaymentID: ${paymentId}, RefundID: ${refundData.id}`
+      `[PAYMENT] ✅ Refund ${refundData.status || "created"} - PaymentID: ${paymentId}, RefundID: ${refundData.id}`
     );
 
     return res.status(200).json({
@@ -765,8 +935,12 @@ export const refundPayment = async (req, res) => {
       message: "Payment refunded successfully",
       refund: {
         id: refundData.id,
-        amount: payment.amount / 100,
-        status: "refunded",
+        amount: refundEntry.amount / 100,
+        status: refunded.status,
+        refundStatus: refundEntry.status,
+        refundedAmount: refunded.refundedAmount / 100,
+        // Issued once Razorpay has processed the refund
+        creditNote: creditNote?.number || null,
       },
     });
   } catch (error) {
@@ -791,4 +965,10 @@ export default {
   getPaymentHistory,
   retryPayment,
   refundPayment,
+  getPaymentInvoice,
+  getPaymentCreditNote,
+  createPaymentSubscription,
+  verifyPaymentSubscription,
+  getPaymentSubscriptions,
+  cancelPaymentSubscription,
 };
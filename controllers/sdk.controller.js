@@ -1,15 +1,32 @@
 import AnalysisJob from "../models/analysis.job.model.js";
-import { deductCreditsForSDK } from "../services/credit.service.js";
+import { readableJobsFilter } from "../services/organization.service.js";
+import {
+  deductCreditsForSDK,
+  holdCreditsForJob,
+  releaseCreditHold,
+  getActiveHolds,
+  getAvailableCredits,
+} from "../services/credit.service.js";
 import {
   calculateFileHash,
   calculateBufferHash,
-  deleteFile,
   validateBinaryFile,
 } from "../utils/file.handler.js";
 import { sdkLogger } from "../utils/logger.js";
-import { sdkAnalysisQueue } from "../config/queue.js";
-import { deleteFromCloudinary } from "../utils/cloudinaryHelper.js";
+import storageService from "../services/storage.service.js";
+import { deleteTempFile } from "../utils/storage.helper.js";
+import {
+  createEncryptedZipStream,
+  DEFAULT_ARCHIVE_PASSWORD,
+} from "../utils/encrypted.zip.js";
+import analyzerRegistry from "../services/analyzer.registry.js";
+import jobCancellationService from "../services/job.cancellation.service.js";
+import jobQueueService from "../services/job.queue.service.js";
+import jobEventStream from "../services/job.event.stream.service.js";
+import creditEstimateService from "../services/credit.estimate.service.js";
+import mongoose from "mongoose";
 import path from "path";
+import { pipeline } from "stream/promises";
 
 /**
  * Check if binary hash already analyzed
@@ -17,10 +34,12 @@ import path from "path";
  */
 export const checkHash = async (req, res) => {
   try {
-    const { hash } = req.query;
+    // Stored hashes are lowercase hex SHA-256 computed at upload
+    const hash =
+      typeof req.query.hash === "string" ? req.query.hash.toLowerCase() : null;
     const userId = req.user._id;
 
-    if (!hash || hash.length !== 64) {
+    if (!hash || !/^[a-f0-9]{64}$/.test(hash)) {
       return res.status(400).json({
         success: false,
         message: "Invalid hash format. Provide SHA-256 hash (64 characters)",
@@ -98,30 +117,50 @@ export const analyzeSingle = async (req, res) => {
     const file = req.file;
     const forceDeep =
       req.body.force_deep === "true" || req.body.force_deep === true;
+    // unpack=false analyzes archives/firmware images as-is instead of per member
+    const unpack = req.body.unpack !== "false" && req.body.unpack !== false;
+
+    // Validate requested analyzer backends (defaults when not provided)
+    const backendSelection = analyzerRegistry.resolveBackends(req.body.backends);
+    if (!backendSelection.valid) {
+      await storageService.deleteFile(file.storageKey);
+
+      return res.status(400).json({
+        success: false,
+        message: backendSelection.message,
+        code: backendSelection.code,
+        backends: analyzerRegistry.list(),
+      });
+    }
+    const { backends } = backendSelection;
 
     sdkLogger.info("Single analysis request", {
       userId: userId.toString(),
       filename: file.originalname,
       size: file.size,
-      cloudinaryUrl: file.path,
-      cloudinaryPublicId: file.filename,
+      storageProvider: file.storageProvider,
+      storageKey: file.storageKey,
       forceDeep,
+      backends,
+      unpack,
     });
 
-    // For Cloudinary files, we need to use a different approach for hash
-    // Use the Cloudinary etag or calculate from metadata
-    const fileHash = file.etag || `cloudinary-${file.filename}`;
+    // Content hashes computed while the upload streamed to storage
+    const fileHashes = file.hashes;
+    const fileHash = fileHashes.sha256;
 
-    // Check if already analyzed (deduplication)
+    // Check if already analyzed with the same backends (deduplication)
     const existingJob = await AnalysisJob.findOne({
       userId,
       fileHash,
+      ...analyzerRegistry.backendsFilter(backends),
+      "metadata.unpack": unpack ? { $ne: false } : false,
       status: "completed",
     }).sort({ completedAt: -1 });
 
     if (existingJob) {
-      // Delete uploaded file from Cloudinary (not needed - duplicate)
-      await deleteFromCloudinary(file.filename);
+      // Delete uploaded file from storage (not needed - duplicate)
+      await storageService.deleteFile(file.storageKey);
 
       sdkLogger.info("Returning cached analysis result", {
         userId: userId.toString(),
@@ -150,40 +189,98 @@ export const analyzeSingle = async (req, res) => {
     const priorityMap = { tier1: 1, tier2: 2 };
     const priority = priorityMap[userTier] || 2;
 
-    // Create analysis job with Cloudinary data
+    // Hold the worst-case cost - settled to the actual cost on completion
+    let creditHold;
+    try {
+      creditHold = await holdCreditsForJob(userId, file.size, {
+        backends,
+        tier: userTier,
+        organizationId: req.user.organizationId,
+        apiKeyId,
+      });
+    } catch (error) {
+      if (error.code === "API_KEY_BUDGET_EXCEEDED") {
+        await storageService.deleteFile(file.storageKey);
+
+        sdkLogger.warn("API key budget exceeded", {
+          userId: userId.toString(),
+          filename: file.originalname,
+          ...error.details,
+        });
+
+        return res.status(402).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          details: error.details,
+        });
+      }
+      if (error.code !== "INSUFFICIENT_CREDITS") throw error;
+
+      await storageService.deleteFile(file.storageKey);
+
+      sdkLogger.warn("Insufficient credits to hold for analysis", {
+        userId: userId.toString(),
+        filename: file.originalname,
+        ...error.details,
+      });
+
+      return res.status(402).json({
+        success: false,
+        message: "Insufficient credits",
+        code: "INSUFFICIENT_CREDITS",
+        details: {
+          ...error.details,
+          upgradeUrl: `${process.env.FRONTEND_URL}/credits`,
+        },
+      });
+    }
+
+    // Create analysis job with storage location
     const job = await AnalysisJob.create({
       userId,
+      organizationId: req.user.organizationId,
       apiKeyId,
       fileHash,
+      fileHashes,
       filename: file.originalname,
-      cloudinaryUrl: file.path, // Cloudinary returns secure_url in file.path
-      cloudinaryPublicId: file.filename, // Cloudinary returns public_id in file.filename
+      storageProvider: file.storageProvider,
+      storageKey: file.storageKey,
+      encrypted: file.encrypted,
       fileSize: file.size,
+      backends,
       status: "queued",
       tier: userTier,
       priority,
       creditsDeducted: 0, // Will be calculated and deducted after analysis completes
+      creditHold,
       metadata: {
         sourceIp: req.ip,
         userAgent: req.get("user-agent"),
         sdkVersion: req.get("x-sdk-version"),
         ciPlatform: req.get("x-ci-platform"),
+        source: "sdk",
         forceDeep, // Store force_deep flag in metadata
+        unpack,
       },
+    }).catch(async (error) => {
+      await releaseCreditHold(userId, creditHold);
+      throw error;
     });
 
-    // NOTE: Credits are NOT deducted here
-    // They will be calculated and deducted after analysis completes
-    // based on file size + processing time
+    // NOTE: Only a hold is placed here - the actual cost (file size +
+    // processing time) is charged from it after analysis completes
 
-    // Add to queue with Cloudinary data
-    await sdkAnalysisQueue.add(
+    // Add to queue with storage location
+    await jobQueueService.enqueue(
+      job,
       userTier, // processor name
       {
         jobId: job._id.toString(),
         userId: userId.toString(),
-        cloudinaryUrl: file.path,
-        cloudinaryPublicId: file.filename,
+        storageProvider: file.storageProvider,
+        storageKey: file.storageKey,
+        encrypted: file.encrypted,
         fileHash,
         filename: file.originalname,
         fileSize: file.size, // Pass file size for credit calculation
@@ -191,6 +288,8 @@ export const analyzeSingle = async (req, res) => {
         apiKeyId: apiKeyId?.toString(),
         source: "sdk", // Identify source for correct transaction description
         forceDeep, // Pass force_deep flag to worker
+        backends, // Analyzer backends to run
+        unpack, // Split archives/firmware images into member jobs
       },
       {
         priority,
@@ -205,19 +304,21 @@ export const analyzeSingle = async (req, res) => {
       fileSize: file.size,
       tier: userTier,
       priority,
-      note: "Credits will be deducted after analysis completes",
+      creditsHeld: creditHold.amount,
     });
 
     return res.status(202).json({
       success: true,
       message: "Analysis job queued successfully",
       cached: false,
+      creditsHeld: creditHold.amount,
       job: {
         id: job._id,
         filename: job.filename,
         fileHash,
         status: job.status,
         tier: job.tier,
+        backends,
         queuedAt: job.queuedAt,
         estimatedTime: getEstimatedTime(userTier),
       },
@@ -227,9 +328,9 @@ export const analyzeSingle = async (req, res) => {
       },
     });
   } catch (error) {
-    // Clean up uploaded file from Cloudinary on error
-    if (req.file?.filename) {
-      await deleteFromCloudinary(req.file.filename);
+    // Clean up uploaded file from storage on error
+    if (req.file?.storageKey) {
+      await storageService.deleteFile(req.file.storageKey);
     }
 
     sdkLogger.error("Analyze single error", {
@@ -261,9 +362,9 @@ export const analyzeBatch = async (req, res) => {
     }
 
     if (req.files.length > 50) {
-      // Clean up files from Cloudinary
+      // Clean up files from storage
       for (const file of req.files) {
-        await deleteFromCloudinary(file.filename);
+        await storageService.deleteFile(file.storageKey);
       }
 
       return res.status(400).json({
@@ -277,9 +378,30 @@ export const analyzeBatch = async (req, res) => {
     const apiKeyId = req.apiKey._id;
     const files = req.files;
 
+    // Same backend selection applies to every file in the batch
+    const backendSelection = analyzerRegistry.resolveBackends(req.body.backends);
+    if (!backendSelection.valid) {
+      for (const file of files) {
+        await storageService.deleteFile(file.storageKey);
+      }
+
+      return res.status(400).json({
+        success: false,
+        message: backendSelection.message,
+        code: backendSelection.code,
+        backends: analyzerRegistry.list(),
+      });
+    }
+    const { backends } = backendSelection;
+
+    // unpack=false analyzes archives/firmware images as-is instead of per member
+    const unpack = req.body.unpack !== "false" && req.body.unpack !== false;
+
     sdkLogger.info("Batch analysis request", {
       userId: userId.toString(),
       fileCount: files.length,
+      backends,
+      unpack,
     });
 
     const results = [];
@@ -290,19 +412,22 @@ export const analyzeBatch = async (req, res) => {
     // Process each file
     for (const file of files) {
       try {
-        // For Cloudinary files, use etag or public_id as hash
-        const fileHash = file.etag || `cloudinary-${file.filename}`;
+        // Content hashes computed while the upload streamed to storage
+        const fileHashes = file.hashes;
+        const fileHash = fileHashes.sha256;
 
-        // Check for existing analysis
+        // Check for existing analysis with the same backends
         const existingJob = await AnalysisJob.findOne({
           userId,
           fileHash,
+          ...analyzerRegistry.backendsFilter(backends),
+          "metadata.unpack": unpack ? { $ne: false } : false,
           status: "completed",
         }).sort({ completedAt: -1 });
 
         if (existingJob) {
-          // Cached - no credit charge, delete from Cloudinary
-          await deleteFromCloudinary(file.filename);
+          // Cached - no credit charge, delete from storage
+          await storageService.deleteFile(file.storageKey);
 
           results.push({
             filename: file.originalname,
@@ -319,45 +444,83 @@ export const analyzeBatch = async (req, res) => {
           continue;
         }
 
-        // Create job with Cloudinary data
+        // Hold the worst-case cost - files the balance can't cover are rejected
+        let creditHold;
+        try {
+          creditHold = await holdCreditsForJob(userId, file.size, {
+            backends,
+            tier: userTier,
+            organizationId: req.user.organizationId,
+            apiKeyId,
+          });
+        } catch (error) {
+          if (!["INSUFFICIENT_CREDITS", "API_KEY_BUDGET_EXCEEDED"].includes(error.code)) {
+            throw error;
+          }
+
+          await storageService.deleteFile(file.storageKey);
+          results.push({
+            filename: file.originalname,
+            success: false,
+            error: error.message,
+            code: error.code,
+            details: error.details,
+          });
+          continue;
+        }
+
+        // Create job with storage location
         const job = await AnalysisJob.create({
           userId,
+          organizationId: req.user.organizationId,
           apiKeyId,
           fileHash,
+          fileHashes,
           filename: file.originalname,
-          cloudinaryUrl: file.path,
-          cloudinaryPublicId: file.filename,
+          storageProvider: file.storageProvider,
+          storageKey: file.storageKey,
+          encrypted: file.encrypted,
           fileSize: file.size,
+          backends,
           status: "queued",
           tier: userTier,
           priority,
           creditsDeducted: 0, // Will be calculated and deducted after analysis completes
+          creditHold,
           metadata: {
             sourceIp: req.ip,
             userAgent: req.get("user-agent"),
             sdkVersion: req.get("x-sdk-version"),
             ciPlatform: req.get("x-ci-platform"),
+            source: "sdk",
+            unpack,
           },
+        }).catch(async (error) => {
+          await releaseCreditHold(userId, creditHold);
+          throw error;
         });
 
-        // NOTE: Credits are NOT deducted here
-        // They will be calculated and deducted after analysis completes
-        // based on file size + processing time
+        // NOTE: Only a hold is placed here - the actual cost (file size +
+        // processing time) is charged from it after analysis completes
 
-        // Add to queue with Cloudinary data and file size for credit calculation
-        await sdkAnalysisQueue.add(
+        // Add to queue with storage location and file size for credit calculation
+        await jobQueueService.enqueue(
+          job,
           userTier,
           {
             jobId: job._id.toString(),
             userId: userId.toString(),
-            cloudinaryUrl: file.path,
-            cloudinaryPublicId: file.filename,
+            storageProvider: file.storageProvider,
+            storageKey: file.storageKey,
+            encrypted: file.encrypted,
             fileHash,
             filename: file.originalname,
             fileSize: file.size, // Pass file size for dynamic credit calculation
             tier: userTier,
             apiKeyId: apiKeyId?.toString(),
             source: "sdk", // Identify source for correct transaction description
+            backends, // Analyzer backends to run
+            unpack, // Split archives/firmware images into member jobs
           },
           {
             priority,
@@ -368,6 +531,7 @@ export const analyzeBatch = async (req, res) => {
         results.push({
           filename: file.originalname,
           cached: false,
+          creditsHeld: creditHold.amount,
           note: "Credits will be calculated after analysis completes",
           job: {
             id: job._id,
@@ -378,7 +542,7 @@ export const analyzeBatch = async (req, res) => {
           },
         });
       } catch (fileError) {
-        await deleteFromCloudinary(file.filename);
+        await storageService.deleteFile(file.storageKey);
         results.push({
           filename: file.originalname,
           error: fileError.message,
@@ -408,7 +572,7 @@ export const analyzeBatch = async (req, res) => {
     // Clean up all uploaded files
     if (req.files) {
       for (const file of req.files) {
-        await deleteFile(file.path);
+        await storageService.deleteFile(file.storageKey);
       }
     }
 
@@ -432,11 +596,10 @@ export const analyzeBatch = async (req, res) => {
 export const getResults = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const userId = req.user._id;
 
     const job = await AnalysisJob.findOne({
       _id: jobId,
-      userId, // Ensure user owns this job
+      ...readableJobsFilter(req.user), // Own jobs, or the organization's for members
     });
 
     if (!job) {
@@ -464,10 +627,21 @@ export const getResults = async (req, res) => {
       },
     };
 
+    // Archive members link back to their container and vice versa
+    if (job.parentJobId) {
+      response.job.parentJobId = job.parentJobId;
+      response.job.archivePath = job.archivePath;
+    }
+    if (job.container?.unpackedAt) {
+      response.job.container = job.container;
+    }
+
     if (job.status === "completed") {
       response.job.results = job.results;
     } else if (job.status === "failed") {
       response.job.error = job.error;
+    } else if (job.status === "cancelled") {
+      response.job.cancellation = job.cancellation;
     } else if (job.status === "processing") {
       response.estimatedTime = Math.max(30 - job.getProcessingTime(), 5); // Rough estimate
     }
@@ -487,6 +661,286 @@ export const getResults = async (req, res) => {
   }
 };
 
+/**
+ * Cancel a queued or processing analysis job
+ * DELETE /api/sdk/jobs/:jobId
+ */
+export const cancelJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.user._id;
+
+    const job = await AnalysisJob.findOne({
+      _id: jobId,
+      userId, // Ensure user owns this job
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+        code: "JOB_NOT_FOUND",
+      });
+    }
+
+    const cancelled = job.isCancellable()
+      ? await jobCancellationService.cancel(job, { cancelledBy: "sdk" })
+      : null;
+
+    // Finished before (or while) the request was handled
+    if (!cancelled) {
+      const current = await AnalysisJob.findById(job._id).select("status");
+      return res.status(409).json({
+        success: false,
+        message: `Job is already ${current?.status || job.status}`,
+        code: "JOB_NOT_CANCELLABLE",
+        status: current?.status || job.status,
+      });
+    }
+
+    sdkLogger.info("Analysis job cancelled via SDK", {
+      userId: userId.toString(),
+      jobId,
+      previousStatus: cancelled.cancellation.previousStatus,
+      creditsCharged: cancelled.cancellation.creditsCharged,
+    });
+
+    return res.json({
+      success: true,
+      message: "Analysis job cancelled",
+      job: {
+        id: cancelled._id,
+        filename: cancelled.filename,
+        status: cancelled.status,
+        previousStatus: cancelled.cancellation.previousStatus,
+        creditsCharged: cancelled.cancellation.creditsCharged,
+        cancelledAt: cancelled.cancellation.cancelledAt,
+      },
+    });
+  } catch (error) {
+    sdkLogger.error("Cancel job error", {
+      error: error.message,
+      jobId: req.params.jobId,
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to cancel job",
+      code: "CANCEL_ERROR",
+    });
+  }
+};
+
+// SSE keep-alive interval - a quiet stream also re-checks the job this often
+const SSE_HEARTBEAT_MS = (parseInt(process.env.SSE_HEARTBEAT_SECONDS) || 15) * 1000;
+
+// Job fields needed to rebuild the final event (jobEventStream.buildFinalEvent)
+const FINAL_EVENT_FIELDS = "status results creditsDeducted error cancellation completedAt";
+
+const writeSseEvent = (res, { id, event, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Stream job events (Server-Sent Events)
+ * GET /api/sdk/jobs/:jobId/events
+ * Replays the job's events, then follows it until job:completed, job:failed
+ * or job:cancelled. Reconnects resume after the `Last-Event-ID` header (or
+ * ?lastEventId=); ": heartbeat" comments keep proxies from closing the stream.
+ */
+export const streamJobEvents = async (req, res) => {
+  let reader = null;
+  let closed = false;
+
+  try {
+    const { jobId } = req.params;
+    const userId = req.user._id;
+
+    // Own jobs, or the organization's for members (malformed IDs are not found)
+    let job = mongoose.isValidObjectId(jobId)
+      ? await AnalysisJob.findOne({
+          _id: jobId,
+          ...readableJobsFilter(req.user),
+        }).select(FINAL_EVENT_FIELDS)
+      : null;
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+        code: "JOB_NOT_FOUND",
+      });
+    }
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // Disable nginx response buffering
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    let lastId = jobEventStream.parseLastEventId(
+      req.get("Last-Event-ID") || req.query.lastEventId
+    );
+
+    reader = jobEventStream.createReader(SSE_HEARTBEAT_MS);
+    res.on("close", () => {
+      closed = true;
+      reader.disconnect();
+    });
+
+    sdkLogger.info("Job event stream opened", {
+      userId: userId.toString(),
+      jobId,
+      lastEventId: lastId,
+    });
+
+    let events = await jobEventStream.read(reader, jobId, lastId);
+
+    while (!closed) {
+      for (const event of events) {
+        writeSseEvent(res, event);
+        lastId = event.id;
+
+        if (jobEventStream.isTerminalEvent(event.event)) {
+          return res.end();
+        }
+      }
+
+      // Finished without a recorded final event (stream expired or the append failed)
+      if (jobEventStream.isTerminalStatus(job.status)) {
+        writeSseEvent(res, jobEventStream.buildFinalEvent(job));
+        return res.end();
+      }
+
+      if (events.length === 0) {
+        res.write(": heartbeat\n\n");
+      }
+
+      events = await jobEventStream.read(reader, jobId, lastId, SSE_HEARTBEAT_MS);
+      if (events.length === 0 && !closed) {
+        job = (await AnalysisJob.findById(jobId).select(FINAL_EVENT_FIELDS)) || job;
+      }
+    }
+  } catch (error) {
+    // Reading from a reader closed by the client disconnecting
+    if (closed) return;
+
+    sdkLogger.error("Job event stream error", {
+      error: error.message,
+      jobId: req.params.jobId,
+    });
+
+    // Stream already open - drop it so the client reconnects with Last-Event-ID
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to stream job events",
+      code: "EVENT_STREAM_ERROR",
+    });
+  } finally {
+    reader?.disconnect();
+  }
+};
+
+/**
+ * Download the original sample as a password-protected ZIP ("infected")
+ * GET /api/sdk/samples/:jobId/download
+ */
+export const downloadSample = async (req, res) => {
+  let tempFilePath = null;
+
+  try {
+    const { jobId } = req.params;
+    const userId = req.user._id;
+
+    const job = await AnalysisJob.findOne({
+      _id: jobId,
+      userId, // Ensure user owns this job
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+        code: "JOB_NOT_FOUND",
+      });
+    }
+
+    const { storageProvider, storageKey, encrypted } = job.getStorageLocation();
+    if (!storageKey) {
+      return res.status(410).json({
+        success: false,
+        message: "Sample is no longer stored",
+        code: "SAMPLE_NOT_AVAILABLE",
+      });
+    }
+
+    try {
+      tempFilePath = await storageService.downloadToTempFile(
+        storageKey,
+        job.filename,
+        storageProvider,
+        { encrypted }
+      );
+    } catch (error) {
+      if (/not found/i.test(error.message)) {
+        return res.status(410).json({
+          success: false,
+          message: "Sample has been removed from storage (kept for 24 hours)",
+          code: "SAMPLE_NOT_AVAILABLE",
+        });
+      }
+      throw error;
+    }
+
+    sdkLogger.info("Sample download", {
+      userId: userId.toString(),
+      keyId: req.apiKey._id.toString(),
+      jobId,
+      fileHash: job.fileHash,
+    });
+
+    const entryName = path.basename(job.filename);
+    const archiveName = `${entryName.replace(/[^a-zA-Z0-9._-]/g, "_")}.zip`;
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${archiveName}"`
+    );
+    res.setHeader("X-Archive-Password", DEFAULT_ARCHIVE_PASSWORD);
+
+    await pipeline(createEncryptedZipStream(tempFilePath, entryName), res);
+  } catch (error) {
+    sdkLogger.error("Sample download error", {
+      error: error.message,
+      jobId: req.params.jobId,
+    });
+
+    // Archive already streaming - abort so the client sees a broken download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to download sample",
+      code: "DOWNLOAD_ERROR",
+    });
+  } finally {
+    if (tempFilePath) {
+      await deleteTempFile(tempFilePath);
+    }
+  }
+};
+
 /**
  * Get credit information
  * GET /api/sdk/credits
@@ -495,17 +949,32 @@ export const getCredits = async (req, res) => {
   try {
     const user = req.user;
 
+    // Organization members see the organization's shared pool
+    const credits = await getAvailableCredits(user);
+
+    // Credits reserved by queued/processing jobs (not included in remaining)
+    const holds = await getActiveHolds(user._id, credits.organizationId);
+
     return res.json({
       success: true,
       credits: {
-        total: user.credits.total,
-        used: user.credits.used,
-        remaining: user.credits.remaining,
+        total: credits.total,
+        used: credits.used,
+        remaining: credits.remaining,
+        held: credits.held,
         percentage:
-          user.credits.total > 0
-            ? ((user.credits.remaining / user.credits.total) * 100).toFixed(2)
+          credits.total > 0
+            ? ((credits.remaining / credits.total) * 100).toFixed(2)
             : 0,
       },
+      holds,
+      organization: credits.organizationId
+        ? {
+            id: credits.organizationId,
+            name: credits.organizationName,
+            role: user.organizationRole,
+          }
+        : null,
       tier: {
         name: user.tier,
         ...user.tierInfo,
@@ -525,6 +994,83 @@ export const getCredits = async (req, res) => {
   }
 };
 
+/**
+ * Estimate the credits of an analysis before submitting it
+ * POST /api/sdk/estimate
+ * Body: { fileSize } or { fileSizes: [...] } (bytes), optional backends
+ */
+export const estimateCost = async (req, res) => {
+  try {
+    let fileSizes;
+    try {
+      fileSizes = creditEstimateService.parseFileSizes(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    // Same backend selection as the analyze endpoints (defaults when not provided)
+    const backendSelection = analyzerRegistry.resolveBackends(req.body.backends);
+    if (!backendSelection.valid) {
+      return res.status(400).json({
+        success: false,
+        message: backendSelection.message,
+        code: backendSelection.code,
+        backends: analyzerRegistry.list(),
+      });
+    }
+
+    const estimate = await creditEstimateService.estimateForUser(
+      req.user,
+      fileSizes,
+      backendSelection.backends
+    );
+
+    return res.json({
+      success: true,
+      estimate,
+    });
+  } catch (error) {
+    sdkLogger.error("Estimate cost error", {
+      error: error.message,
+      userId: req.user._id.toString(),
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to estimate analysis cost",
+      code: "ESTIMATE_ERROR",
+    });
+  }
+};
+
+/**
+ * List analyzer backends that can be selected per job
+ * GET /api/sdk/backends
+ */
+export const getBackends = async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      backends: analyzerRegistry.list(),
+      defaults: analyzerRegistry.getDefaultBackends(),
+    });
+  } catch (error) {
+    sdkLogger.error("Get backends error", {
+      error: error.message,
+    });
+
+    return res.status(500).json({
+      success: false,
+      message: "Failed to list analyzer backends",
+      code: "BACKENDS_ERROR",
+    });
+  }
+};
+
 /**
  * Helper: Get estimated processing time based on tier
  */
@@ -542,4 +1088,6 @@ export default {
   analyzeBatch,
   getResults,
   getCredits,
+  estimateCost,
+  getBackends,
 };
@@ -2,14 +2,25 @@ import User from "../models/user.model.js";
 import ApiKey from "../models/api.key.model.js";
 import AnalysisJob from "../models/analysis.job.model.js";
 import { generateToken } from "../utils/jwt.js";
-import { getCreditHistory, deductCredits } from "../services/credit.service.js";
+import {
+  getCreditHistory,
+  deductCredits,
+  holdCreditsForJob,
+  releaseCreditHold,
+} from "../services/credit.service.js";
 import {
   updateUserProfileService,
   changePasswordService,
   requestPasswordChangeOTP,
   verifyOTPAndChangePassword,
 } from "../services/user.service.js";
-import { sdkAnalysisQueue } from "../config/queue.js";
+import storageService from "../services/storage.service.js";
+import analyzerRegistry from "../services/analyzer.registry.js";
+import jobCancellationService from "../services/job.cancellation.service.js";
+import jobQueueService from "../services/job.queue.service.js";
+import creditEstimateService from "../services/credit.estimate.service.js";
+import organizationService, { readableJobsFilter } from "../services/organization.service.js";
+import { parseKeyLimits, getKeysSpend } from "../services/api.key.budget.service.js";
 
 /**
  * User login
@@ -84,10 +95,24 @@ export const getUserProfile = async (req, res) => {
     // User is already attached to req by auth middleware
     const user = req.user;
 
+    // Members see the pool they draw on
+    const organization = user.organizationId
+      ? await organizationService.getOrganization(user.organizationId).catch(() => null)
+      : null;
+
     res.status(200).json({
       success: true,
       message: "Profile retrieved successfully",
-      data: { user },
+      data: {
+        user,
+        organization: organization && {
+          id: organization._id,
+          name: organization.name,
+          role: user.organizationRole,
+          credits: organization.credits,
+          isActive: organization.isActive,
+        },
+      },
     });
   } catch (error) {
     console.error("Get profile error:", error);
@@ -124,6 +149,56 @@ export const getCreditHistoryController = async (req, res) => {
   }
 };
 
+/**
+ * Estimate the credits of an analysis before submitting it (User Dashboard)
+ * POST /api/user/analyze/estimate
+ * Body: { fileSize } or { fileSizes: [...] } (bytes), optional backends
+ */
+export const estimateCostUser = async (req, res) => {
+  try {
+    let fileSizes;
+    try {
+      fileSizes = creditEstimateService.parseFileSizes(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    // Same backend selection as the analyze endpoints (defaults when not provided)
+    const backendSelection = analyzerRegistry.resolveBackends(req.body.backends);
+    if (!backendSelection.valid) {
+      return res.status(400).json({
+        success: false,
+        message: backendSelection.message,
+        code: backendSelection.code,
+        backends: analyzerRegistry.list(),
+      });
+    }
+
+    const estimate = await creditEstimateService.estimateForUser(
+      req.user,
+      fileSizes,
+      backendSelection.backends
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Cost estimated successfully",
+      data: { estimate },
+    });
+  } catch (error) {
+    console.error("Estimate cost error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to estimate analysis cost",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Change password
  * PUT /api/user/password/change
@@ -254,11 +329,12 @@ export const verifyOTPAndChangePasswordController = async (req, res) => {
  */
 export const updateUserProfile = async (req, res) => {
   try {
-    const { username, organizationName } = req.body;
+    const { username, organizationName, billing } = req.body;
 
     const user = await updateUserProfileService(req.user._id, {
       username,
       organizationName,
+      billing, // Invoice details - replaces the saved ones (null clears them)
     });
 
     res.status(200).json({
@@ -288,14 +364,16 @@ export const analyzeSingleUser = async (req, res) => {
     // Extract force_deep flag from request body
     const forceDeep =
       req.body.force_deep === "true" || req.body.force_deep === true;
+    // unpack=false analyzes archives/firmware images as-is instead of per member
+    const unpack = req.body.unpack !== "false" && req.body.unpack !== false;
 
     console.log("[UPLOAD DEBUG] File received:", {
       hasFile: !!file,
       filename: file?.originalname,
       size: file?.size,
-      path: file?.path,
-      cloudinaryId: file?.filename,
-      etag: file?.etag,
+      storageProvider: file?.storageProvider,
+      storageKey: file?.storageKey,
+      sha256: file?.hashes?.sha256,
       forceDeep,
     });
 
@@ -307,24 +385,41 @@ export const analyzeSingleUser = async (req, res) => {
       });
     }
 
-    if (!file.path || !file.filename) {
+    if (!file.storageKey) {
       console.error(
-        "[UPLOAD ERROR] Cloudinary upload failed - missing file.path or file.filename"
+        "[UPLOAD ERROR] Storage upload failed - missing file.storageKey"
       );
       return res.status(500).json({
         success: false,
-        message: "File upload to Cloudinary failed",
-        code: "CLOUDINARY_UPLOAD_FAILED",
+        message: "File upload to storage failed",
+        code: "STORAGE_UPLOAD_FAILED",
       });
     }
 
-    // Use Cloudinary etag as file hash (consistent with SDK)
-    const fileHash = file.etag || `cloudinary-${file.filename}`;
+    // Validate requested analyzer backends (defaults when not provided)
+    const backendSelection = analyzerRegistry.resolveBackends(req.body.backends);
+    if (!backendSelection.valid) {
+      await storageService.deleteFile(file.storageKey);
 
-    // Check for existing analysis with same hash
+      return res.status(400).json({
+        success: false,
+        message: backendSelection.message,
+        code: backendSelection.code,
+        backends: analyzerRegistry.list(),
+      });
+    }
+    const { backends } = backendSelection;
+
+    // Content hashes computed while the upload streamed (consistent with SDK)
+    const fileHashes = file.hashes;
+    const fileHash = fileHashes.sha256;
+
+    // Check for existing analysis with same hash and backends
     const existingJob = await AnalysisJob.findOne({
       userId,
       fileHash,
+      ...analyzerRegistry.backendsFilter(backends),
+      "metadata.unpack": unpack ? { $ne: false } : false,
       status: { $in: ["completed", "processing", "queued"] },
     }).sort({ createdAt: -1 });
 
@@ -348,41 +443,76 @@ export const analyzeSingleUser = async (req, res) => {
       });
     }
 
+    // Hold the worst-case cost - settled to the actual cost on completion
+    let creditHold;
+    try {
+      creditHold = await holdCreditsForJob(userId, file.size, {
+        backends,
+        tier: req.user.tier || "tier2",
+        organizationId: req.user.organizationId,
+      });
+    } catch (error) {
+      if (error.code !== "INSUFFICIENT_CREDITS") throw error;
+
+      await storageService.deleteFile(file.storageKey);
+
+      return res.status(402).json({
+        success: false,
+        message: "Insufficient credits",
+        code: "INSUFFICIENT_CREDITS",
+        details: error.details,
+      });
+    }
+
     // Create analysis job
     const job = await AnalysisJob.create({
       userId,
+      organizationId: req.user.organizationId,
       filename: file.originalname,
       fileSize: file.size,
       fileHash,
-      cloudinaryUrl: file.path,
-      cloudinaryPublicId: file.filename,
+      fileHashes,
+      storageProvider: file.storageProvider,
+      storageKey: file.storageKey,
+      encrypted: file.encrypted,
+      backends,
       status: "queued",
       tier: req.user.tier,
       creditsDeducted: 0, // Credits deducted after analysis completes
+      creditHold,
       metadata: {
         source: "user-dashboard",
         ipAddress: req.ip,
         userAgent: req.get("user-agent"),
+        forceDeep,
+        unpack,
       },
+    }).catch(async (error) => {
+      await releaseCreditHold(userId, creditHold);
+      throw error;
     });
 
-    // NOTE: Credits are NOT deducted here - they will be calculated and deducted
-    // after the analysis completes based on actual file size and processing time
+    // NOTE: Only a hold is placed here - the actual cost (file size and
+    // processing time) is charged from it after the analysis completes
 
     // Add to queue with file size for dynamic credit calculation
-    await sdkAnalysisQueue.add(
+    await jobQueueService.enqueue(
+      job,
       req.user.tier,
       {
         jobId: job._id.toString(),
         userId: userId.toString(),
-        cloudinaryUrl: file.path,
-        cloudinaryPublicId: file.filename,
+        storageProvider: file.storageProvider,
+        storageKey: file.storageKey,
+        encrypted: file.encrypted,
         fileHash,
         filename: file.originalname,
         fileSize: file.size, // Pass file size for dynamic credit calculation
         tier: req.user.tier,
         source: "user-dashboard", // Identify source for correct transaction description
         forceDeep, // Pass force_deep flag to worker
+        backends, // Analyzer backends to run
+        unpack, // Split archives/firmware images into member jobs
       },
       {
         priority: req.user.tier === "tier1" ? 1 : 2,
@@ -395,12 +525,14 @@ export const analyzeSingleUser = async (req, res) => {
       message: "Analysis job queued successfully",
       cached: false,
       note: "Credits will be calculated and deducted after analysis completes based on file size and processing time",
+      creditsHeld: creditHold.amount,
       data: {
         job: {
           jobId: job._id.toString(),
           filename: file.originalname,
           status: job.status,
           tier: job.tier,
+          backends,
           createdAt: job.createdAt,
         },
       },
@@ -422,9 +554,9 @@ export const analyzeSingleUser = async (req, res) => {
 export const getUserJobResult = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const userId = req.user._id;
 
-    const job = await AnalysisJob.findOne({ _id: jobId, userId });
+    // Own jobs, or the organization's for members
+    const job = await AnalysisJob.findOne({ _id: jobId, ...readableJobsFilter(req.user) });
 
     if (!job) {
       return res.status(404).json({
@@ -438,6 +570,7 @@ export const getUserJobResult = async (req, res) => {
       data: {
         job: {
           jobId: job._id.toString(),
+          userId: job.userId.toString(),
           filename: job.filename,
           status: job.status,
           tier: job.tier,
@@ -447,6 +580,7 @@ export const getUserJobResult = async (req, res) => {
           startedAt: job.startedAt,
           completedAt: job.completedAt,
           error: job.error,
+          cancellation: job.cancellation,
         },
       },
     });
@@ -459,6 +593,63 @@ export const getUserJobResult = async (req, res) => {
   }
 };
 
+/**
+ * Cancel a queued or processing analysis job (user dashboard)
+ * DELETE /api/user/analyze/:jobId
+ */
+export const cancelUserJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.user._id;
+
+    const job = await AnalysisJob.findOne({ _id: jobId, userId });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found",
+      });
+    }
+
+    const cancelled = job.isCancellable()
+      ? await jobCancellationService.cancel(job, {
+          cancelledBy: "user-dashboard",
+        })
+      : null;
+
+    // Finished before (or while) the request was handled
+    if (!cancelled) {
+      const current = await AnalysisJob.findById(job._id).select("status");
+      return res.status(409).json({
+        success: false,
+        message: `Job is already ${current?.status || job.status}`,
+        code: "JOB_NOT_CANCELLABLE",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Analysis job cancelled",
+      data: {
+        job: {
+          jobId: cancelled._id.toString(),
+          filename: cancelled.filename,
+          status: cancelled.status,
+          previousStatus: cancelled.cancellation.previousStatus,
+          creditsCharged: cancelled.cancellation.creditsCharged,
+          cancelledAt: cancelled.cancellation.cancelledAt,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error cancelling job:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel job",
+    });
+  }
+};
+
 /**
  * Get user's analysis history
  * GET /api/user/analyze?page=1&limit=20
@@ -523,12 +714,25 @@ export const getUserAnalysisHistory = async (req, res) => {
 /**
  * Create API Key for self
  * POST /api/user/api-keys
+ * Body: { name, expiresInDays, limits: { dailyCredits, monthlyCredits,
+ *   lifetimeCredits, maxFileSizeMB } } - limits are optional
  */
 export const createUserApiKey = async (req, res) => {
   try {
     const { name, expiresInDays } = req.body;
     const userId = req.user._id;
 
+    let limits;
+    try {
+      limits = parseKeyLimits(req.body.limits);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+
     // Calculate expiration date
     let expiresAt = null;
     if (expiresInDays && expiresInDays > 0) {
@@ -555,6 +759,7 @@ export const createUserApiKey = async (req, res) => {
       isActive: true,
       expiresAt,
       permissions: defaultPermissions,
+      limits,
       metadata: {
         createdFrom: "user-dashboard",
         ipAddress: req.ip,
@@ -573,6 +778,7 @@ export const createUserApiKey = async (req, res) => {
           isActive: apiKey.isActive,
           expiresAt: apiKey.expiresAt,
           permissions: apiKey.permissions,
+          limits: apiKey.limits,
           createdAt: apiKey.createdAt,
         },
         warning:
@@ -590,7 +796,7 @@ export const createUserApiKey = async (req, res) => {
 };
 
 /**
- * Get own API keys
+ * Get own API keys with their spend
  * GET /api/user/api-keys
  */
 export const getUserApiKeys = async (req, res) => {
@@ -600,11 +806,13 @@ export const getUserApiKeys = async (req, res) => {
     const apiKeys = await ApiKey.find({ userId })
       .select("-key")
       .sort({ createdAt: -1 });
+    const spendByKey = await getKeysSpend(apiKeys);
 
     // Add masked keys for display
     const maskedKeys = apiKeys.map((key) => ({
       ...key.toObject(),
       keyPreview: `cray_****${key._id.toString().slice(-8)}`,
+      spend: spendByKey.get(key._id.toString()),
     }));
 
     res.status(200).json({
@@ -625,6 +833,67 @@ export const getUserApiKeys = async (req, res) => {
   }
 };
 
+/**
+ * Update own API key's name or limits
+ * PATCH /api/user/api-keys/:keyId
+ * Body: { name, limits } - a null limit removes that cap
+ */
+export const updateUserApiKey = async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    const { name } = req.body;
+
+    let limits;
+    try {
+      limits = parseKeyLimits(req.body.limits);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+      });
+    }
+
+    // Organization keys are managed by the organization's admins
+    const apiKey = await ApiKey.findOne({
+      _id: keyId,
+      userId: req.user._id,
+      organizationId: null,
+    }).select("-key");
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: "API key not found",
+      });
+    }
+
+    if (name) apiKey.name = name;
+    Object.assign(apiKey.limits, limits);
+    await apiKey.save();
+
+    const spendByKey = await getKeysSpend([apiKey]);
+
+    res.status(200).json({
+      success: true,
+      message: "API key updated successfully",
+      data: {
+        apiKey: {
+          ...apiKey.toObject(),
+          spend: spendByKey.get(apiKey._id.toString()),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Update API key error:", error);
+    res.status(500).json({
+      success: false,
+      message: error.message || "Failed to update API key",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 /**
  * Revoke own API key
  * DELETE /api/user/api-keys/:keyId
@@ -673,10 +942,25 @@ export const revokeUserApiKey = async (req, res) => {
 /**
  * Request access to platform (Public endpoint)
  * POST /api/user/request-access
+ * An organization's inviteCode joins the request to it as a viewer
+ * (organizationName is then taken from the organization).
  */
 export const requestAccess = async (req, res) => {
   try {
-    const { fullName, email, organizationName, reasonForJoining } = req.body;
+    const { fullName, email, reasonForJoining, inviteCode } = req.body;
+
+    const organization = inviteCode
+      ? await organizationService.findByInviteCode(inviteCode)
+      : null;
+    if (inviteCode && !organization) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invite code",
+        code: "INVALID_INVITE_CODE",
+      });
+    }
+
+    const organizationName = organization?.name || req.body.organizationName;
 
     // Validate required fields
     if (!fullName || !email || !organizationName || !reasonForJoining) {
@@ -700,6 +984,8 @@ export const requestAccess = async (req, res) => {
       username: fullName.toLowerCase().replace(/\s+/g, "_"),
       email: email.toLowerCase(),
       organizationName,
+      organizationId: organization?._id || null,
+      organizationRole: organization ? "viewer" : null,
       reasonForJoining,
       accountStatus: "pending",
       isActive: false,
@@ -714,6 +1000,7 @@ export const requestAccess = async (req, res) => {
         requestId: user._id,
         email: user.email,
         status: user.accountStatus,
+        organizationName: user.organizationName,
       },
     });
   } catch (error) {
@@ -0,0 +1,350 @@
+import mongoose from "mongoose";
+import ApiKey from "../models/api.key.model.js";
+import WebhookEndpoint, { WEBHOOK_EVENTS } from "../models/webhook.endpoint.model.js";
+import WebhookDelivery from "../models/webhook.delivery.model.js";
+import webhookService from "../services/webhook.service.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Validate a subscribed events list
+ * @returns {String|null} Error message
+ */
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return "events must be a non-empty array";
+  }
+
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  return unknown.length > 0
+    ? `Unknown events: ${unknown.join(", ")}. Available: ${WEBHOOK_EVENTS.join(", ")}`
+    : null;
+};
+
+const findOwnedEndpoint = async (req) => {
+  const { webhookId } = req.params;
+  if (!mongoose.isValidObjectId(webhookId)) return null;
+
+  return WebhookEndpoint.findOne({ _id: webhookId, userId: req.user._id });
+};
+
+const endpointNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Webhook endpoint not found",
+    code: "WEBHOOK_NOT_FOUND",
+  });
+
+const formatEndpoint = (endpoint) => ({
+  id: endpoint._id,
+  url: endpoint.url,
+  description: endpoint.description,
+  events: endpoint.events,
+  apiKeyId: endpoint.apiKeyId,
+  isActive: endpoint.isActive,
+  lastDeliveryAt: endpoint.lastDeliveryAt,
+  lastDeliveryStatus: endpoint.lastDeliveryStatus,
+  createdAt: endpoint.createdAt,
+  updatedAt: endpoint.updatedAt,
+});
+
+const handleUrlError = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: error.message,
+    code: error.code,
+  });
+
+/**
+ * Register a webhook endpoint
+ * POST /api/user/webhooks
+ * Body: { url, events: [...], description?, apiKeyId? }
+ * apiKeyId limits the endpoint to events of jobs submitted with that key.
+ */
+export const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description, apiKeyId } = req.body;
+    const userId = req.user._id;
+
+    const eventsError = validateEvents(events);
+    if (eventsError) {
+      return res.status(400).json({
+        success: false,
+        message: eventsError,
+        code: "INVALID_EVENTS",
+      });
+    }
+
+    if (apiKeyId) {
+      const ownsKey =
+        mongoose.isValidObjectId(apiKeyId) &&
+        (await ApiKey.exists({ _id: apiKeyId, userId }));
+
+      if (!ownsKey) {
+        return res.status(404).json({
+          success: false,
+          message: "API key not found",
+          code: "API_KEY_NOT_FOUND",
+        });
+      }
+    }
+
+    try {
+      await webhookService.validateUrl(url);
+    } catch (error) {
+      return handleUrlError(res, error);
+    }
+
+    const secret = WebhookEndpoint.generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      userId,
+      apiKeyId: apiKeyId || null,
+      url,
+      description: description || "",
+      events: [...new Set(events)],
+      secret,
+    });
+
+    logger.info("Webhook endpoint created", {
+      userId: userId.toString(),
+      webhookId: endpoint._id.toString(),
+      events: endpoint.events,
+      apiKeyId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Webhook endpoint created successfully",
+      data: {
+        webhook: { ...formatEndpoint(endpoint), secret },
+        warning:
+          "Store this signing secret securely. It won't be shown again.",
+      },
+    });
+  } catch (error) {
+    logger.error("Create webhook error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to create webhook endpoint",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * List own webhook endpoints
+ * GET /api/user/webhooks
+ */
+export const getWebhooks = async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ userId: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        webhooks: endpoints.map(formatEndpoint),
+        availableEvents: WEBHOOK_EVENTS,
+      },
+    });
+  } catch (error) {
+    logger.error("Get webhooks error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook endpoints",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Update a webhook endpoint
+ * PATCH /api/user/webhooks/:webhookId
+ * Body: { url?, events?, description?, isActive? }
+ */
+export const updateWebhook = async (req, res) => {
+  try {
+    const endpoint = await findOwnedEndpoint(req);
+    if (!endpoint) return endpointNotFound(res);
+
+    const { url, events, description, isActive } = req.body;
+
+    if (events !== undefined) {
+      const eventsError = validateEvents(events);
+      if (eventsError) {
+        return res.status(400).json({
+          success: false,
+          message: eventsError,
+          code: "INVALID_EVENTS",
+        });
+      }
+      endpoint.events = [...new Set(events)];
+    }
+
+    if (url !== undefined && url !== endpoint.url) {
+      try {
+        await webhookService.validateUrl(url);
+      } catch (error) {
+        return handleUrlError(res, error);
+      }
+      endpoint.url = url;
+    }
+
+    if (description !== undefined) endpoint.description = description;
+    if (isActive !== undefined) endpoint.isActive = Boolean(isActive);
+
+    await endpoint.save();
+
+    res.json({
+      success: true,
+      message: "Webhook endpoint updated successfully",
+      data: { webhook: formatEndpoint(endpoint) },
+    });
+  } catch (error) {
+    logger.error("Update webhook error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to update webhook endpoint",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Delete a webhook endpoint and its delivery log
+ * DELETE /api/user/webhooks/:webhookId
+ */
+export const deleteWebhook = async (req, res) => {
+  try {
+    const endpoint = await findOwnedEndpoint(req);
+    if (!endpoint) return endpointNotFound(res);
+
+    await WebhookEndpoint.deleteOne({ _id: endpoint._id });
+    await WebhookDelivery.deleteMany({ endpointId: endpoint._id });
+
+    logger.info("Webhook endpoint deleted", {
+      userId: req.user._id.toString(),
+      webhookId: endpoint._id.toString(),
+    });
+
+    res.json({
+      success: true,
+      message: "Webhook endpoint deleted successfully",
+    });
+  } catch (error) {
+    logger.error("Delete webhook error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete webhook endpoint",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Delivery log of a webhook endpoint
+ * GET /api/user/webhooks/:webhookId/deliveries?page=1&limit=20&status=failed
+ */
+export const getWebhookDeliveries = async (req, res) => {
+  try {
+    const endpoint = await findOwnedEndpoint(req);
+    if (!endpoint) return endpointNotFound(res);
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const skip = (page - 1) * limit;
+
+    const query = { endpointId: endpoint._id };
+    if (["pending", "succeeded", "failed"].includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      WebhookDelivery.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    logger.error("Get webhook deliveries error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook deliveries",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Send a logged delivery again (same event ID and payload)
+ * POST /api/user/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ */
+export const redeliverWebhook = async (req, res) => {
+  try {
+    const endpoint = await findOwnedEndpoint(req);
+    if (!endpoint) return endpointNotFound(res);
+
+    const { deliveryId } = req.params;
+    const delivery = mongoose.isValidObjectId(deliveryId)
+      ? await WebhookDelivery.findOne({ _id: deliveryId, endpointId: endpoint._id })
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook delivery not found",
+        code: "DELIVERY_NOT_FOUND",
+      });
+    }
+
+    if (!endpoint.isActive) {
+      return res.status(409).json({
+        success: false,
+        message: "Webhook endpoint is disabled",
+        code: "WEBHOOK_DISABLED",
+      });
+    }
+
+    const redelivery = await webhookService.redeliver(delivery);
+
+    logger.info("Webhook redelivery queued", {
+      userId: req.user._id.toString(),
+      webhookId: endpoint._id.toString(),
+      deliveryId: delivery._id.toString(),
+      redeliveryId: redelivery._id.toString(),
+    });
+
+    res.status(202).json({
+      success: true,
+      message: "Webhook redelivery queued",
+      data: { delivery: redelivery },
+    });
+  } catch (error) {
+    logger.error("Redeliver webhook error", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Failed to redeliver webhook",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+export default {
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook,
+};
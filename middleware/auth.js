@@ -49,3 +49,23 @@ export const auth = async (req, res, next) => {
     });
   }
 };
+
+/**
+ * Optional authentication middleware
+ * Attaches the user when a valid token of an active account is sent;
+ * otherwise the request continues anonymously.
+ */
+export const optionalAuth = async (req, res, next) => {
+  const token = req.header("Authorization")?.replace("Bearer ", "");
+  if (!token) return next();
+
+  try {
+    const decoded = verifyToken(token);
+    const user = await User.findById(decoded.userId).select("-password");
+    if (user?.isActive) req.user = user;
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous
+  }
+
+  next();
+};
@@ -0,0 +1,51 @@
+import Organization from "../models/organization.model.js";
+import { hasOrgRole } from "../services/organization.service.js";
+
+/**
+ * Organization role middleware
+ * Use after `auth`. Requires the user to belong to an active organization
+ * with at least `minimumRole` (viewer < analyst < admin < owner) and
+ * attaches the organization to req.organization.
+ */
+export const requireOrgRole = (minimumRole = "viewer") => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user.organizationId) {
+        return res.status(404).json({
+          success: false,
+          message: "You are not a member of an organization",
+          code: "NOT_IN_ORGANIZATION",
+        });
+      }
+
+      const organization = await Organization.findById(req.user.organizationId);
+      if (!organization?.isActive) {
+        return res.status(403).json({
+          success: false,
+          message: "Your organization is inactive",
+          code: "ORGANIZATION_INACTIVE",
+        });
+      }
+
+      if (!hasOrgRole(req.user, minimumRole)) {
+        return res.status(403).json({
+          success: false,
+          message: `Requires the organization ${minimumRole} role or higher`,
+          code: "ORG_ROLE_REQUIRED",
+        });
+      }
+
+      req.organization = organization;
+      next();
+    } catch (error) {
+      console.error("Organization role check error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to check organization membership",
+        error: process.env.NODE_ENV === "development" ? error.message : undefined,
+      });
+    }
+  };
+};
+
+export default { requireOrgRole };
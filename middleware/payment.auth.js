@@ -1,3 +1,4 @@
+import mongoose from "mongoose";
 import Payment from "../models/payment.model.js";
 import { verifyWebhookSignature } from "../services/razorpay.service.js";
 import queueLogger from "../utils/logger.js";
@@ -8,13 +9,14 @@ import queueLogger from "../utils/logger.js";
  */
 export const verifyPaymentOwnership = async (req, res, next) => {
   try {
-    const { paymentId, razorpay_order_id } = req.body;
+    // Routes name the payment in the path or the body
+    const { paymentId = req.params.paymentId, razorpay_order_id } = req.body || {};
     const userId = req.user.id;
 
     // Find payment by either internal paymentId or razorpay_order_id
     let payment;
     if (paymentId) {
-      payment = await Payment.findById(paymentId);
+      payment = mongoose.isValidObjectId(paymentId) ? await Payment.findById(paymentId) : null;
     } else if (razorpay_order_id) {
       payment = await Payment.findOne({ razorpayOrderId: razorpay_order_id });
     }
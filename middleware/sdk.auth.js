@@ -1,6 +1,65 @@
 import ApiKey from "../models/api.key.model.js";
 import { sdkLogger } from "../utils/logger.js";
 
+/**
+ * Why a found API key can't be used, or null if it can
+ * Shared by the HTTP (apiKeyAuth) and Socket.IO (socketAuth) authentication.
+ * @param {Object} apiKeyDoc - ApiKey with its user populated
+ * @returns {Object|null} { status, message, code, details }
+ */
+export const apiKeyRejection = (apiKeyDoc) => {
+  if (!apiKeyDoc.isActive) {
+    return {
+      status: 403,
+      message: "API key is inactive",
+      code: "INACTIVE_API_KEY",
+      details: {
+        hint: "This API key has been deactivated. Please use a different key or contact support.",
+      },
+    };
+  }
+
+  if (apiKeyDoc.isExpired()) {
+    return {
+      status: 403,
+      message: "API key has expired",
+      code: "EXPIRED_API_KEY",
+      details: {
+        expiresAt: apiKeyDoc.expiresAt,
+        hint: "Generate a new API key from the dashboard",
+      },
+    };
+  }
+
+  if (!apiKeyDoc.userId?.isActive) {
+    return {
+      status: 403,
+      message: "User account is inactive",
+      code: "INACTIVE_ACCOUNT",
+      details: {
+        hint: "Your account has been deactivated. Please contact support.",
+      },
+    };
+  }
+
+  // Organization keys only work for a current member of the organization
+  if (
+    apiKeyDoc.organizationId &&
+    !apiKeyDoc.organizationId.equals(apiKeyDoc.userId.organizationId)
+  ) {
+    return {
+      status: 403,
+      message: "API key's organization membership has ended",
+      code: "ORGANIZATION_KEY_INVALID",
+      details: {
+        hint: "Ask an organization admin for a new organization API key",
+      },
+    };
+  }
+
+  return null;
+};
+
 /**
  * API Key Authentication Middleware
  * Validates API key from X-API-Key header
@@ -57,52 +116,17 @@ export const apiKeyAuth = async (req, res, next) => {
       });
     }
 
-    // Check if API key is active
-    if (!apiKeyDoc.isActive) {
-      sdkLogger.warn("Inactive API key usage attempt", {
-        keyId: apiKeyDoc._id,
-        userId: apiKeyDoc.userId._id,
-      });
-
-      return res.status(403).json({
-        success: false,
-        message: "API key is inactive",
-        code: "INACTIVE_API_KEY",
-        details: {
-          hint: "This API key has been deactivated. Please use a different key or contact support.",
-        },
-      });
-    }
-
-    // Check if API key is expired
-    if (apiKeyDoc.isExpired()) {
-      sdkLogger.warn("Expired API key usage attempt", {
+    const rejection = apiKeyRejection(apiKeyDoc);
+    if (rejection) {
+      sdkLogger.warn("Rejected API key usage attempt", {
         keyId: apiKeyDoc._id,
-        userId: apiKeyDoc.userId._id,
-        expiresAt: apiKeyDoc.expiresAt,
-      });
-
-      return res.status(403).json({
-        success: false,
-        message: "API key has expired",
-        code: "EXPIRED_API_KEY",
-        details: {
-          expiresAt: apiKeyDoc.expiresAt,
-          hint: "Generate a new API key from the dashboard",
-        },
+        userId: apiKeyDoc.userId?._id,
+        organizationId: apiKeyDoc.organizationId,
+        code: rejection.code,
       });
-    }
 
-    // Check if user account is active
-    if (!apiKeyDoc.userId.isActive) {
-      return res.status(403).json({
-        success: false,
-        message: "User account is inactive",
-        code: "INACTIVE_ACCOUNT",
-        details: {
-          hint: "Your account has been deactivated. Please contact support.",
-        },
-      });
+      const { status, ...body } = rejection;
+      return res.status(status).json({ success: false, ...body });
     }
 
     // Update API key usage (async - don't wait)
@@ -167,4 +191,4 @@ export const requirePermission = (permission) => {
   };
 };
 
-export default { apiKeyAuth, requirePermission };
+export default { apiKeyAuth, requirePermission, apiKeyRejection };
@@ -1,10 +1,24 @@
-import { hasEnoughCredits } from "../services/credit.service.js";
+import {
+  getAvailableCredits,
+  LOW_CREDIT_THRESHOLD,
+} from "../services/credit.service.js";
+import { hasOrgRole } from "../services/organization.service.js";
+import {
+  findExceededCap,
+  findOversizedFiles,
+} from "../services/api.key.budget.service.js";
+import Organization from "../models/organization.model.js";
+import ApiKey from "../models/api.key.model.js";
 import { sdkLogger } from "../utils/logger.js";
 
 /**
  * Credit Check Middleware
  * Ensures user has minimum 5 credits before processing
- * NOTE: Credits are NOT deducted here - deducted after analysis completes
+ * Organization members are checked against the organization's pool and must
+ * be at least analysts (viewers can't spend the pool). SDK requests are also
+ * checked against the API key's max file size and credit caps.
+ * NOTE: Only a cheap early rejection - each job's worst-case cost is held
+ * atomically when it is queued (holdCreditsForJob) and settled after analysis
  */
 export const creditCheck = (minimumRequired = 5) => {
   return async (req, res, next) => {
@@ -23,7 +37,77 @@ export const creditCheck = (minimumRequired = 5) => {
         });
       }
 
-      const available = user.credits.remaining;
+      if (user.organizationId) {
+        const organization = await Organization.findById(user.organizationId).select("isActive");
+
+        if (!organization?.isActive) {
+          return res.status(403).json({
+            success: false,
+            message: "Your organization is inactive",
+            code: "ORGANIZATION_INACTIVE",
+          });
+        }
+
+        if (!hasOrgRole(user, "analyst")) {
+          return res.status(403).json({
+            success: false,
+            message: "Organization viewers cannot submit analyses",
+            code: "ORG_ROLE_REQUIRED",
+            details: {
+              role: user.organizationRole,
+              required: "analyst",
+            },
+          });
+        }
+      }
+
+      if (req.apiKey) {
+        const apiKey = await ApiKey.findById(req.apiKey._id).select("name limits spend");
+        const files = req.files || (req.file ? [req.file] : []);
+
+        const oversized = apiKey ? findOversizedFiles(apiKey, files) : [];
+        if (oversized.length > 0) {
+          sdkLogger.warn("File exceeds API key max file size", {
+            userId: userId.toString(),
+            keyId: apiKey._id.toString(),
+            maxFileSizeMB: apiKey.limits.maxFileSizeMB,
+            files: oversized,
+          });
+
+          return res.status(413).json({
+            success: false,
+            message: `This API key accepts files up to ${apiKey.limits.maxFileSizeMB} MB`,
+            code: "API_KEY_FILE_TOO_LARGE",
+            details: {
+              keyId: apiKey._id.toString(),
+              maxFileSizeMB: apiKey.limits.maxFileSizeMB,
+              files: oversized,
+            },
+          });
+        }
+
+        const exceeded = apiKey ? findExceededCap(apiKey) : null;
+        if (exceeded) {
+          sdkLogger.warn("API key budget exceeded", {
+            userId: userId.toString(),
+            keyId: apiKey._id.toString(),
+            ...exceeded,
+          });
+
+          return res.status(402).json({
+            success: false,
+            message: `API key ${exceeded.limit} credit cap reached`,
+            code: "API_KEY_BUDGET_EXCEEDED",
+            details: {
+              keyId: apiKey._id.toString(),
+              keyName: apiKey.name,
+              ...exceeded,
+            },
+          });
+        }
+      }
+
+      const { remaining: available, organizationId } = await getAvailableCredits(user);
 
       // Check minimum credit threshold (allows negative up to -5 before blocking)
       if (available < minimumRequired) {
@@ -43,6 +127,7 @@ export const creditCheck = (minimumRequired = 5) => {
             available,
             deficit: minimumRequired - available,
             tier: user.tier,
+            ...(organizationId && { organizationId }),
             upgradeUrl: `${process.env.FRONTEND_URL}/credits`,
           },
         });
@@ -73,20 +158,30 @@ export const creditCheck = (minimumRequired = 5) => {
 };
 
 /**
- * Warn when credits are low
+ * Warn when credits are low (the organization's pool for members)
  */
-export const lowCreditWarning = (req, res, next) => {
+export const lowCreditWarning = async (req, res, next) => {
   const user = req.user;
-  const threshold = 10; // Warn when less than 10 credits
+  const threshold = LOW_CREDIT_THRESHOLD;
 
-  if (user.credits.remaining < threshold && user.credits.remaining > 0) {
-    // Add warning header
-    res.setHeader("X-Credits-Low", "true");
-    res.setHeader("X-Credits-Remaining", user.credits.remaining);
+  try {
+    const { remaining } = await getAvailableCredits(user);
 
-    sdkLogger.info("Low credit warning", {
+    if (remaining < threshold && remaining > 0) {
+      // Add warning header
+      res.setHeader("X-Credits-Low", "true");
+      res.setHeader("X-Credits-Remaining", remaining);
+
+      sdkLogger.info("Low credit warning", {
+        userId: user._id.toString(),
+        organizationId: user.organizationId?.toString(),
+        remaining,
+      });
+    }
+  } catch (error) {
+    sdkLogger.warn("Low credit check failed", {
       userId: user._id.toString(),
-      remaining: user.credits.remaining,
+      error: error.message,
     });
   }
 
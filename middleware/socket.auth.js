@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+import { verifyToken } from "../utils/jwt.js";
+import User from "../models/user.model.js";
+import ApiKey from "../models/api.key.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import { readableJobsFilter } from "../services/organization.service.js";
+import { apiKeyRejection } from "./sdk.auth.js";
+import logger from "../utils/logger.js";
+
+// Platform-wide room admins can join (every job event is also sent here)
+export const ADMIN_ROOM = "admin";
+
+/**
+ * Build a handshake rejection - the client receives it as `connect_error`
+ * with `err.message` and `err.data.code`
+ */
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+/**
+ * Socket.IO authentication middleware (io.use)
+ * Accepts the dashboard JWT or an SDK API key:
+ *   io(url, { auth: { token: "<jwt>" } })      or `Authorization: Bearer <jwt>`
+ *   io(url, { auth: { apiKey: "cray_..." } })  or `X-API-Key: cray_...`
+ * Attaches `socket.data.user` (and `socket.data.apiKey` for SDK clients).
+ */
+export const socketAuth = async (socket, next) => {
+  try {
+    const { auth = {}, headers = {} } = socket.handshake;
+    const token =
+      auth.token || headers.authorization?.replace("Bearer ", "") || null;
+    const apiKey = auth.apiKey || headers["x-api-key"] || null;
+
+    if (apiKey) {
+      const apiKeyDoc = await ApiKey.findOne({ key: apiKey }).populate(
+        "userId",
+        "-password",
+      );
+
+      if (!apiKeyDoc) {
+        return next(authError("Invalid API key", "INVALID_API_KEY"));
+      }
+      // Same checks as the SDK endpoints (organization keys need a current member)
+      const rejection = apiKeyRejection(apiKeyDoc);
+      if (rejection) {
+        return next(authError(rejection.message, rejection.code));
+      }
+
+      socket.data.user = apiKeyDoc.userId;
+      socket.data.apiKey = apiKeyDoc;
+      return next();
+    }
+
+    if (!token) {
+      return next(authError("Authentication required", "MISSING_CREDENTIALS"));
+    }
+
+    let decoded;
+    try {
+      decoded = verifyToken(token);
+    } catch (error) {
+      return next(authError("Invalid or expired token", "INVALID_TOKEN"));
+    }
+
+    const user = await User.findById(decoded.userId).select("-password");
+    if (!user || !user.isActive) {
+      return next(authError("User not found or inactive", "INACTIVE_ACCOUNT"));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    logger.error("Socket authentication error", {
+      socketId: socket.id,
+      error: error.message,
+    });
+    next(authError("Authentication error", "AUTH_ERROR"));
+  }
+};
+
+/**
+ * Decide whether an authenticated socket may join a room
+ * Users may join their own `user:<id>` room and `job:<id>` rooms of jobs they
+ * can read (their own and, for members, their organization's); admins (dashboard JWT only) may join any room and the admin room.
+ * API keys need the `sdk:results` permission, since job events carry results.
+ * @param {Object} socket - Authenticated socket
+ * @param {String} type - job | user | admin
+ * @param {String} id - Job or user ID (unused for admin)
+ * @returns {Promise<Object>} { allowed, room } or { allowed: false, code, message }
+ */
+export const authorizeSubscription = async (socket, type, id) => {
+  const { user, apiKey } = socket.data;
+  const isAdmin = user.userType === "admin" && !apiKey;
+
+  if (apiKey && !apiKey.permissions.includes("sdk:results")) {
+    return {
+      allowed: false,
+      code: "PERMISSION_DENIED",
+      message: "API key needs the sdk:results permission to subscribe",
+    };
+  }
+
+  if (type === "admin") {
+    return isAdmin
+      ? { allowed: true, room: ADMIN_ROOM }
+      : { allowed: false, code: "FORBIDDEN", message: "Admin privileges required" };
+  }
+
+  const objectId = typeof id === "string" && mongoose.isValidObjectId(id) ? id : null;
+  if (!objectId) {
+    return { allowed: false, code: "INVALID_ID", message: `Invalid ${type} id` };
+  }
+
+  if (type === "user") {
+    return isAdmin || user._id.toString() === objectId
+      ? { allowed: true, room: `user:${objectId}` }
+      : { allowed: false, code: "FORBIDDEN", message: "Not allowed to subscribe to this user" };
+  }
+
+  if (type === "job") {
+    const readable =
+      isAdmin ||
+      (await AnalysisJob.exists({ _id: objectId, ...readableJobsFilter(user) }));
+
+    // Same answer for missing and foreign jobs - don't reveal which IDs exist
+    return readable
+      ? { allowed: true, room: `job:${objectId}` }
+      : { allowed: false, code: "FORBIDDEN", message: "Not allowed to subscribe to this job" };
+  }
+
+  return { allowed: false, code: "INVALID_ROOM", message: "Unknown subscription type" };
+};
+
+export default { socketAuth, authorizeSubscription, ADMIN_ROOM };
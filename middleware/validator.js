@@ -1,4 +1,5 @@
 import { body, param, query, validationResult } from "express-validator";
+import { ORG_ROLES } from "../models/organization.model.js";
 
 /**
  * Validation middleware to check for errors
@@ -36,11 +37,21 @@ export const createUserValidation = [
     .withMessage("Please provide a valid email")
     .normalizeEmail(),
   body("organizationName")
+    // Taken from the organization when one is given
+    .if(body("organizationId").not().exists({ values: "falsy" }))
     .trim()
     .notEmpty()
     .withMessage("Organization name is required")
     .isLength({ min: 2, max: 100 })
     .withMessage("Organization name must be between 2 and 100 characters"),
+  body("organizationId")
+    .optional({ values: "falsy" })
+    .isMongoId()
+    .withMessage("Invalid organization ID"),
+  body("organizationRole")
+    .optional()
+    .isIn(ORG_ROLES)
+    .withMessage(`Organization role must be one of: ${ORG_ROLES.join(", ")}`),
   body("userType")
     .optional()
     .isIn(["user"])
@@ -117,6 +128,58 @@ export const updateProfileValidation = [
     .trim()
     .isLength({ min: 2, max: 100 })
     .withMessage("Organization name must be between 2 and 100 characters"),
+  body("billing")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("Billing details must be an object"),
+  body("billing.legalName")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Legal name must be at most 200 characters"),
+  body("billing.gstin")
+    .optional({ values: "falsy" })
+    .trim()
+    .toUpperCase()
+    .matches(/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/)
+    .withMessage("GSTIN must be a valid 15-character GSTIN"),
+  body("billing.address")
+    .optional({ values: "null" })
+    .isObject()
+    .withMessage("Billing address must be an object"),
+  body([
+    "billing.address.line1",
+    "billing.address.line2",
+    "billing.address.city",
+    "billing.address.state",
+  ])
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Address fields must be at most 200 characters"),
+  body("billing.address.stateCode")
+    .optional({ values: "falsy" })
+    .trim()
+    .matches(/^\d{2}$/)
+    .withMessage("State code must be the 2-digit GST state code")
+    .custom((stateCode, { req }) => {
+      const gstin = req.body.billing?.gstin;
+      if (gstin && gstin.slice(0, 2) !== stateCode) {
+        throw new Error("State code must match the GSTIN");
+      }
+      return true;
+    }),
+  body("billing.address.postalCode")
+    .optional({ values: "falsy" })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage("Postal code must be at most 20 characters"),
+  body("billing.address.country")
+    .optional({ values: "falsy" })
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{2}$/)
+    .withMessage("Country must be a 2-letter ISO code"),
   validate,
 ];
 
@@ -8,6 +8,11 @@ const analysisJobSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization", // Submitted by a member - shown in the organization's history
+      default: null,
+    },
     apiKeyId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "ApiKey",
@@ -18,6 +23,12 @@ const analysisJobSchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    fileHashes: {
+      // Computed while the upload streams; fileHash is the SHA-256
+      sha256: String,
+      sha1: String,
+      md5: String,
+    },
     filename: {
       type: String,
       required: true,
@@ -26,9 +37,21 @@ const analysisJobSchema = new mongoose.Schema(
       type: String,
       required: false, // Now optional - kept for backwards compatibility
     },
+    storageProvider: {
+      type: String,
+      enum: ["cloudinary", "local", "s3"], // Missing on legacy jobs = cloudinary
+    },
+    storageKey: {
+      type: String,
+      required: false, // Provider-specific key (Cloudinary public_id, path, S3 key)
+    },
+    encrypted: {
+      type: Boolean,
+      default: false, // Stored sample is quarantine-encrypted (see quarantine.service.js)
+    },
     cloudinaryUrl: {
       type: String,
-      required: false, // Secure URL from Cloudinary
+      required: false, // Secure URL from Cloudinary (legacy jobs)
     },
     cloudinaryPublicId: {
       type: String,
@@ -39,9 +62,56 @@ const analysisJobSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    parentJobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AnalysisJob",
+      required: false, // Set on member jobs unpacked from an archive/firmware image
+      index: true,
+    },
+    archivePath: {
+      type: String,
+      required: false, // Member path inside the parent container (nested layers joined by "/")
+    },
+    container: {
+      // Set on jobs whose sample was unpacked into member jobs (see unpack.service.js)
+      format: String, // zip, tar, gzip, cpio, uimage, 7z, squashfs
+      memberCount: Number,
+      completedMembers: {
+        type: Number,
+        default: 0,
+      },
+      failedMembers: {
+        type: Number,
+        default: 0,
+      },
+      ignoredFiles: Number, // Non-executable files that were not analyzed
+      skipped: [
+        {
+          path: String,
+          reason: String,
+        },
+      ],
+      members: [
+        {
+          jobId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "AnalysisJob",
+          },
+          archivePath: String,
+          fileHash: String,
+          status: String,
+          severity: String,
+        },
+      ],
+      unpackedAt: Date,
+    },
+    backends: {
+      type: [String], // Analyzer backends selected for this job (static, cape, ml, mock)
+      default: undefined,
+    },
     status: {
       type: String,
-      enum: ["queued", "processing", "completed", "failed"],
+      enum: ["queued", "processing", "completed", "failed", "cancelled"],
       default: "queued",
       index: true,
     },
@@ -58,6 +128,26 @@ const analysisJobSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    creditHold: {
+      // Credits reserved at enqueue (calculateCreditHold) - settled to the
+      // actual charge on completion, released on failure or cancellation
+      amount: Number,
+      status: {
+        type: String,
+        enum: ["held", "settled", "released"],
+      },
+      charged: Number, // Settled charge
+      organizationId: mongoose.Schema.Types.ObjectId, // Held on this organization's pool (else the user's)
+      pricingVersion: Number, // Pricing the hold was computed with - also used to settle
+      keyBudget: {
+        // Reserved against this API key's budget in these periods
+        apiKeyId: mongoose.Schema.Types.ObjectId,
+        day: String,
+        month: String,
+      },
+      heldAt: Date,
+      resolvedAt: Date,
+    },
     processingTimeSeconds: {
       type: Number,
       default: 0,
@@ -75,8 +165,17 @@ const analysisJobSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
-      sizeTier: String, // tiny, small, medium, large, huge
-      timeTier: String, // quick, normal, slow, heavy, extreme
+      backendCredits: {
+        type: Number,
+        default: 0,
+      },
+      tierMultiplier: {
+        type: Number,
+        default: 1,
+      },
+      sizeTier: String, // Size band name, e.g. tiny, small, medium, large, huge
+      timeTier: String, // Time band name, e.g. quick, normal, slow, heavy, extreme
+      pricingVersion: Number, // PricingConfig version applied (0 = built-in pricing)
       totalCalculated: {
         type: Number,
         default: 0,
@@ -145,6 +244,25 @@ const analysisJobSchema = new mongoose.Schema(
       xai_explanation: String,
       key_findings: [String],
       primary_purpose: String,
+      static_analysis: {
+        format: String, // elf, pe, macho, unknown
+        bits: Number,
+        endianness: String,
+        entry_point: String,
+        entropy: Number,
+        packed: Boolean,
+        sections: [
+          {
+            name: String,
+            offset: Number,
+            size: Number,
+            virtual_address: String,
+            entropy: Number,
+          },
+        ],
+        libraries: [String],
+        warnings: [String],
+      },
       dynamic_analysis: {
         enabled: Boolean,
         taskId: String,
@@ -183,10 +301,27 @@ const analysisJobSchema = new mongoose.Schema(
         duration: Number,
         total_pipeline_cost: Number,
         stages_completed: Number,
+        stages: [
+          {
+            backend: String,
+            stage: String, // static, dynamic, ml, mock
+            status: String, // completed, failed, skipped
+            cost: Number,
+            duration: Number, // ms
+            error: String,
+          },
+        ],
         analysis_mode: String,
         static_unavailable: Boolean,
       },
     },
+    dynamicTask: {
+      // CAPE task persisted on submission so retries resume instead of resubmitting
+      taskId: String,
+      status: String, // Last CAPE status seen (pending, running, reported...)
+      submittedAt: Date,
+      lastPolledAt: Date,
+    },
     error: {
       message: String,
       stack: String,
@@ -202,11 +337,21 @@ const analysisJobSchema = new mongoose.Schema(
     completedAt: {
       type: Date,
     },
+    cancellation: {
+      cancelledAt: Date,
+      cancelledBy: String, // sdk, user-dashboard, container (parent job was cancelled)
+      previousStatus: String, // queued or processing
+      sandboxStarted: Boolean, // A CAPE task had been submitted
+      creditsCharged: Number, // See calculateCancellationCredits()
+    },
     metadata: {
       sourceIp: String,
       userAgent: String,
       sdkVersion: String,
       ciPlatform: String, // github-actions, gitlab-ci, jenkins, etc.
+      source: String, // sdk, user-dashboard
+      forceDeep: Boolean,
+      unpack: Boolean, // false = analyze archives as-is instead of unpacking
     },
   },
   {
@@ -220,7 +365,10 @@ analysisJobSchema.index({ fileHash: 1, userId: 1 });
 analysisJobSchema.index({ status: 1, tier: 1, queuedAt: 1 });
 analysisJobSchema.index({ createdAt: -1 });
 analysisJobSchema.index({ cloudinaryPublicId: 1 }); // For Cloudinary operations
+analysisJobSchema.index({ storageKey: 1 }); // For storage operations
 analysisJobSchema.index({ completedAt: 1 }); // For cleanup jobs
+analysisJobSchema.index({ userId: 1, "creditHold.status": 1 }); // Active credit holds
+analysisJobSchema.index({ organizationId: 1, createdAt: -1 }); // Organization history
 
 // Methods
 analysisJobSchema.methods.updateStatus = async function (status, error = null) {
@@ -228,7 +376,7 @@ analysisJobSchema.methods.updateStatus = async function (status, error = null) {
 
   if (status === "processing") {
     this.startedAt = new Date();
-  } else if (status === "completed" || status === "failed") {
+  } else if (["completed", "failed", "cancelled"].includes(status)) {
     this.completedAt = new Date();
     this.progress = status === "completed" ? 100 : this.progress;
   }
@@ -249,6 +397,29 @@ analysisJobSchema.methods.updateProgress = async function (progress) {
   await this.save();
 };
 
+// Where the sample is stored (falls back to Cloudinary fields on legacy jobs)
+analysisJobSchema.methods.getStorageLocation = function () {
+  return {
+    storageProvider: this.storageProvider || "cloudinary",
+    storageKey: this.storageKey || this.cloudinaryPublicId,
+    encrypted: this.encrypted || false,
+  };
+};
+
+// Jobs that can still be stopped
+analysisJobSchema.methods.isCancellable = function () {
+  return this.status === "queued" || this.status === "processing";
+};
+
+// Throw JOB_CANCELLED if the job was cancelled (checked by the worker between stages)
+analysisJobSchema.statics.assertNotCancelled = async function (jobId) {
+  if (await this.exists({ _id: jobId, status: "cancelled" })) {
+    const error = new Error("Job was cancelled");
+    error.code = "JOB_CANCELLED";
+    throw error;
+  }
+};
+
 // Calculate processing time
 analysisJobSchema.methods.getProcessingTime = function () {
   if (!this.startedAt) return 0;
@@ -15,6 +15,11 @@ const apiKeySchema = new mongoose.Schema(
       required: true,
       index: true,
     },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization", // Organization-owned key - managed by its owners/admins
+      default: null,
+    },
     name: {
       type: String,
       required: true,
@@ -45,8 +50,24 @@ const apiKeySchema = new mongoose.Schema(
         "sdk:results",
         "sdk:credits",
         "sdk:check-hash",
+        "sdk:download", // Opt-in: download of live samples
       ],
     },
+    // Optional caps (null = unlimited, see services/api.key.budget.service.js)
+    limits: {
+      dailyCredits: { type: Number, default: null }, // Per UTC day
+      monthlyCredits: { type: Number, default: null }, // Per UTC month
+      lifetimeCredits: { type: Number, default: null },
+      maxFileSizeMB: { type: Number, default: null },
+    },
+    // Credits committed by the key's jobs (charges plus active holds)
+    spend: {
+      day: String, // UTC day dayCredits counts ("YYYY-MM-DD")
+      dayCredits: { type: Number, default: 0 },
+      month: String, // UTC month monthCredits counts ("YYYY-MM")
+      monthCredits: { type: Number, default: 0 },
+      lifetimeCredits: { type: Number, default: 0 },
+    },
     metadata: {
       ipAddress: String,
       userAgent: String,
@@ -80,6 +101,7 @@ apiKeySchema.methods.recordUsage = async function () {
 
 // Indexes for performance
 apiKeySchema.index({ userId: 1, isActive: 1 });
+apiKeySchema.index({ organizationId: 1, isActive: 1 });
 apiKeySchema.index({ key: 1, isActive: 1 });
 apiKeySchema.index({ expiresAt: 1 });
 
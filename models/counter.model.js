@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+/**
+ * Named sequence (e.g. invoice numbers of a financial year)
+ * Incremented atomically with findOneAndUpdate + $inc + upsert. Gap-free
+ * series are locked to the document being numbered while its number is
+ * taken (see InvoiceService.ensureNumber).
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // Sequence name
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+    lockedBy: {
+      type: mongoose.Schema.Types.ObjectId, // Document being numbered
+      default: null,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    numberTaken: {
+      type: Boolean,
+      default: false, // `seq` is the locked document's number, not written yet
+    },
+  },
+  { timestamps: true }
+);
+
+const Counter = mongoose.model("Counter", counterSchema);
+export default Counter;
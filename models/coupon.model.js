@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+/**
+ * Promo code for credit plan orders (see services/coupon.service.js)
+ * A coupon takes money off the order (percentage or flat), adds bonus
+ * credits once the payment succeeds, or both.
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true, // Handed out to customers and kept on payments
+      trim: true,
+      uppercase: true,
+    },
+    description: {
+      type: String,
+    },
+
+    // Benefit
+    discountType: {
+      type: String,
+      enum: ["none", "percentage", "flat"],
+      default: "none",
+    },
+    discountValue: {
+      type: Number,
+      default: 0, // Percent (1-100), or smallest currency unit for flat discounts
+    },
+    maxDiscount: {
+      type: Number,
+      default: null, // Cap on a percentage discount, smallest currency unit (null = none)
+    },
+    currency: {
+      type: String,
+      default: "INR", // Flat discounts only apply to plans in this currency
+      uppercase: true,
+    },
+    bonusCredits: {
+      type: Number,
+      default: 0,
+    },
+
+    // Restrictions
+    planIds: {
+      type: [String],
+      default: [], // Plans the code applies to (empty = all)
+    },
+    maxRedemptions: {
+      type: Number,
+      default: null, // Across all users (null = unlimited)
+    },
+    maxRedemptionsPerUser: {
+      type: Number,
+      default: 1, // null = unlimited
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    // Reserved (unpaid orders) plus redeemed uses - checked against maxRedemptions
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+
+    createdBy: {
+      type: String, // Admin email
+    },
+    updatedBy: {
+      type: String, // Admin email
+    },
+  },
+  { timestamps: true }
+);
+
+const Coupon = mongoose.model("Coupon", couponSchema);
+export default Coupon;
@@ -0,0 +1,95 @@
+import mongoose from "mongoose";
+
+/**
+ * One use of a coupon on a credit plan order
+ * Reserved when the order is created, redeemed when its payment succeeds and
+ * released when the payment fails or the order is left unpaid.
+ */
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+      unique: true, // One coupon per order
+    },
+    planId: {
+      type: String,
+      required: true,
+    },
+
+    // Order amounts, smallest currency unit
+    currency: {
+      type: String,
+      required: true,
+    },
+    originalAmount: {
+      type: Number,
+      required: true,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      required: true, // Charged
+    },
+    bonusCredits: {
+      type: Number,
+      default: 0,
+    },
+
+    status: {
+      type: String,
+      enum: ["reserved", "redeemed", "released"],
+      default: "reserved",
+    },
+    slot: {
+      type: Number, // Which of the user's maxRedemptionsPerUser uses it holds (unset once released)
+    },
+    redeemedAt: {
+      type: Date,
+    },
+    releasedAt: {
+      type: Date,
+    },
+    releaseReason: {
+      type: String,
+    },
+    overLimit: {
+      type: Boolean, // Paid after its release with the coupon at a limit - not counted
+      default: false,
+    },
+    bonusTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CreditTransaction", // Unset while the bonus of a redeemed use is pending
+    },
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+couponRedemptionSchema.index({ couponId: 1, status: 1, createdAt: 1 });
+// A user's uses of a coupon can't go over its per-user limit
+couponRedemptionSchema.index(
+  { couponId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+
+const CouponRedemption = mongoose.model("CouponRedemption", couponRedemptionSchema);
+export default CouponRedemption;
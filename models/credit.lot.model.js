@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+/**
+ * Credits granted with an expiry date (subscription grants)
+ * The balance itself stays in `User.credits`; lots record which part of it
+ * lapses when. Usage consumes open lots oldest-first, before credits that
+ * never expire (purchases, admin grants).
+ */
+const creditLotSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["subscription"],
+      default: "subscription",
+    },
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+    cycle: {
+      type: Number, // Billing cycle the lot was granted for (1 = first)
+    },
+    amount: {
+      type: Number,
+      required: true, // Credits granted
+    },
+    remaining: {
+      type: Number,
+      required: true, // Not yet used or expired
+    },
+    expiredCredits: {
+      type: Number,
+      default: 0, // Taken off the balance when the lot lapsed
+    },
+    status: {
+      type: String,
+      enum: ["open", "consumed", "expired"],
+      default: "open",
+    },
+    expiresAt: {
+      type: Date,
+      default: null, // null = never
+    },
+    expiredAt: {
+      type: Date,
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CreditTransaction", // The grant entry
+    },
+  },
+  { timestamps: true }
+);
+
+// Consumption order per user, and the expiry sweep
+creditLotSchema.index({ userId: 1, status: 1, createdAt: 1 });
+creditLotSchema.index({ status: 1, expiresAt: 1 });
+// One grant per subscription cycle
+creditLotSchema.index(
+  { subscriptionId: 1, cycle: 1 },
+  { unique: true, partialFilterExpression: { subscriptionId: { $exists: true } } }
+);
+
+const CreditLot = mongoose.model("CreditLot", creditLotSchema);
+export default CreditLot;
@@ -5,16 +5,24 @@ const creditTransactionSchema = new mongoose.Schema(
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: true,
+      // Member who incurred an organization entry (none for admin grants)
+      required: function () {
+        return !this.organizationId;
+      },
+    },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization", // Set for entries on an organization's credit pool
     },
     type: {
       type: String,
-      enum: ["credit", "debit", "bonus", "refund"],
+      // grant/expiry: subscription credits granted and lapsed (see CreditLot)
+      enum: ["credit", "debit", "bonus", "refund", "adjustment", "grant", "expiry"],
       required: true,
     },
     amount: {
       type: Number,
-      required: true,
+      required: true, // Positive, except adjustments which are signed
     },
     description: {
       type: String,
@@ -26,6 +34,16 @@ const creditTransactionSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Payment",
     },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey", // Key the charged job was submitted with
+    },
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription", // Subscription of a grant or expiry
+    },
+    // Ledger balance around the entry: credits.remaining + credits.held
+    // (holds move credits between the two without an entry)
     balanceBefore: {
       type: Number,
     },
@@ -42,6 +60,7 @@ const creditTransactionSchema = new mongoose.Schema(
 
 // Index for faster queries
 creditTransactionSchema.index({ userId: 1, createdAt: -1 });
+creditTransactionSchema.index({ organizationId: 1, createdAt: -1 });
 
 const CreditTransaction = mongoose.model(
   "CreditTransaction",
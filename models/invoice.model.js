@@ -0,0 +1,139 @@
+import mongoose from "mongoose";
+
+const addressSchema = new mongoose.Schema(
+  {
+    line1: String,
+    line2: String,
+    city: String,
+    state: String,
+    stateCode: String,
+    postalCode: String,
+    country: String,
+  },
+  { _id: false }
+);
+
+/**
+ * GST tax invoice for a credit purchase, or a credit note for its refund
+ * (see services/invoice.service.js)
+ * Seller and customer details are copied in when the document is issued, so
+ * it renders the same whatever changes later. Amounts are in the smallest
+ * currency unit and include GST.
+ */
+const invoiceSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["invoice", "credit_note"],
+      required: true,
+    },
+    number: {
+      type: String, // Sequential per financial year, e.g. CR2627-000042 (set once numbered)
+      default: null,
+    },
+    financialYear: {
+      type: String, // e.g. 2026-27
+      required: true,
+    },
+    issuedAt: {
+      type: Date,
+      required: true,
+    },
+
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    paymentReference: {
+      type: String, // Razorpay payment ID
+    },
+    // Credit notes: the invoice they reduce and the refund behind them
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Invoice",
+      default: null,
+    },
+    invoiceNumber: {
+      type: String,
+    },
+    refundId: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+    },
+
+    seller: {
+      name: String,
+      gstin: String,
+      address: String,
+      stateCode: String,
+      email: String,
+    },
+    customer: {
+      name: String,
+      email: String,
+      gstin: String,
+      address: addressSchema,
+    },
+
+    // Tax
+    placeOfSupply: {
+      type: String, // GST state code
+    },
+    supplyType: {
+      type: String,
+      enum: ["intra_state", "inter_state", "export"],
+      required: true,
+    },
+    taxRate: {
+      type: Number, // Percent
+      required: true,
+    },
+
+    lines: [
+      {
+        _id: false,
+        description: String,
+        sac: String, // Services Accounting Code
+        quantity: Number,
+        amount: Number, // Before discount, including GST
+      },
+    ],
+    currency: {
+      type: String,
+      required: true,
+    },
+    discount: {
+      type: Number,
+      default: 0, // Promo code
+    },
+    taxableAmount: {
+      type: Number,
+      required: true,
+    },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    total: {
+      type: Number,
+      required: true, // Charged (or refunded), including GST
+    },
+  },
+  { timestamps: true }
+);
+
+// One invoice per payment and one credit note per refund
+invoiceSchema.index({ paymentId: 1, type: 1, refundId: 1 }, { unique: true });
+invoiceSchema.index({ number: 1 }, { unique: true, partialFilterExpression: { number: { $type: "string" } } });
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+export default Invoice;
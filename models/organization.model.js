@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Member roles, lowest to highest
+export const ORG_ROLES = ["viewer", "analyst", "admin", "owner"];
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    // Shared credit pool - members' analyses are held and charged here
+    credits: {
+      total: { type: Number, default: 0 },
+      used: { type: Number, default: 0 },
+      remaining: { type: Number, default: 0 }, // Available - excludes held credits
+      held: { type: Number, default: 0 }, // Reserved by queued/processing jobs
+    },
+    inviteCode: {
+      type: String,
+      unique: true,
+      sparse: true, // Attaches access requests to the organization
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+// Generate an invite code for access requests
+organizationSchema.statics.generateInviteCode = function () {
+  return `org_${crypto.randomBytes(12).toString("hex")}`;
+};
+
+const Organization = mongoose.model("Organization", organizationSchema);
+export default Organization;
@@ -38,6 +38,28 @@ const paymentSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // The plan as it was when ordered (plans can be edited later)
+    planSnapshot: {
+      planRef: { type: mongoose.Schema.Types.ObjectId, ref: "Plan" },
+      planId: String,
+      name: String,
+      description: String,
+      credits: Number,
+      amount: Number, // Smallest currency unit
+      currency: String,
+      tiers: [String],
+      version: Number,
+      takenAt: Date,
+    },
+    // Promo code applied to the order (amount is after the discount)
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+      redemptionId: { type: mongoose.Schema.Types.ObjectId, ref: "CouponRedemption" },
+      code: String,
+      originalAmount: Number, // Smallest currency unit
+      discountAmount: Number,
+      bonusCredits: Number,
+    },
 
     // Payment Details
     amount: {
@@ -52,7 +74,7 @@ const paymentSchema = new mongoose.Schema(
     // Status Tracking
     status: {
       type: String,
-      enum: ["created", "pending", "success", "failed", "refunded"],
+      enum: ["created", "pending", "success", "failed", "partially_refunded", "refunded"],
       default: "created",
       index: true,
     },
@@ -70,10 +92,15 @@ const paymentSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    creditsAddedAt: Date,
     creditTransactionId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "CreditTransaction",
     },
+    bonusCreditsAdded: {
+      type: Boolean,
+      default: false, // Promo code bonus - claimed like creditsAdded
+    },
 
     // Metadata
     metadata: {
@@ -88,12 +115,47 @@ const paymentSchema = new mongoose.Schema(
     // Failure Details
     failureReason: String,
 
-    // Refund Details (if applicable)
+    // Refunds, partial or full - one entry per Razorpay refund
+    refunds: [
+      {
+        _id: false,
+        refundId: { type: String, required: true }, // Razorpay refund ID
+        amount: Number, // Smallest currency unit
+        credits: Number, // Credits it took back
+        reason: String,
+        status: {
+          type: String,
+          enum: ["pending", "processed", "failed"], // Razorpay refund status
+        },
+        refundedAt: Date,
+      },
+    ],
+    refundedAmount: {
+      type: Number,
+      default: 0, // Refunds that didn't fail, smallest currency unit
+    },
+    refundedCredits: {
+      type: Number,
+      default: 0, // Credits those refunds took back
+    },
+
+    // Single refund of payments refunded before `refunds` existed
     refundId: String,
     refundAmount: Number,
     refundReason: String,
     refundedAt: Date,
 
+    // Chargeback raised by the customer's bank (payment.dispute.* webhooks)
+    dispute: {
+      id: String, // Razorpay dispute ID
+      status: String, // open, under_review, won, lost, closed
+      phase: String,
+      reasonCode: String,
+      amount: Number, // Smallest currency unit
+      creditsReversed: Boolean, // Taken back when the dispute was lost
+      updatedAt: Date,
+    },
+
     // Timestamps
     paidAt: Date,
   },
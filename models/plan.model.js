@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+/**
+ * Credit plan sold through Razorpay orders (see services/plan.service.js)
+ * Payments keep a snapshot of the plan they were ordered with, so editing a
+ * plan never changes past orders.
+ */
+const planSchema = new mongoose.Schema(
+  {
+    planId: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true, // Referenced by clients and past payments
+      trim: true,
+      lowercase: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+    },
+    credits: {
+      type: Number,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true, // In the currency's smallest unit (paise for INR)
+    },
+    currency: {
+      type: String,
+      default: "INR",
+      uppercase: true,
+    },
+    tiers: {
+      type: [{ type: String, enum: ["tier1", "tier2"] }],
+      default: [], // Tiers that see the plan (empty = everyone)
+    },
+    popular: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Activation window (null = open-ended)
+    activeFrom: {
+      type: Date,
+      default: null,
+    },
+    activeUntil: {
+      type: Date,
+      default: null,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    version: {
+      type: Number,
+      default: 1, // Incremented on every change
+    },
+    archivedAt: {
+      type: Date, // Deleted plans are archived - payments still reference them
+    },
+    createdBy: {
+      type: String, // Admin email
+    },
+    updatedBy: {
+      type: String, // Admin email
+    },
+  },
+  { timestamps: true }
+);
+
+planSchema.index({ isActive: 1, sortOrder: 1 });
+
+const Plan = mongoose.model("Plan", planSchema);
+export default Plan;
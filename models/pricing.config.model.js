@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+const sizeBandSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    maxMB: { type: Number, default: null }, // null = unbounded (last band)
+    credits: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const timeBandSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    maxSeconds: { type: Number, default: null }, // null = unbounded (last band)
+    credits: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * Versioned pricing configuration (see services/pricing.service.js)
+ * Versions are immutable once created; a change is a new version. Jobs
+ * record the version their hold was computed with and are settled with it.
+ */
+const pricingConfigSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+    },
+    sizeBands: {
+      type: [sizeBandSchema],
+      required: true,
+    },
+    timeBands: {
+      type: [timeBandSchema],
+      required: true,
+    },
+    backendSurcharges: {
+      type: Map,
+      of: Number, // Analyzer backend name -> credits
+      default: {},
+    },
+    complexity: {
+      perSignature: { type: Number, default: 0 },
+      perPayload: { type: Number, default: 0 },
+      maxCredits: { type: Number, default: 0 },
+    },
+    tierMultipliers: {
+      type: Map,
+      of: Number, // User tier -> multiplier
+      default: {},
+    },
+    isActive: {
+      type: Boolean,
+      default: false,
+    },
+    activatedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: String, // Admin email
+    },
+  },
+  { timestamps: true }
+);
+
+pricingConfigSchema.index({ isActive: 1 });
+
+const PricingConfig = mongoose.model("PricingConfig", pricingConfigSchema);
+export default PricingConfig;
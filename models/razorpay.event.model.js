@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+/**
+ * Razorpay webhook event, as received
+ * Razorpay delivers events at least once; each is stored under its event ID
+ * and processed once (see services/razorpay.event.service.js). Admins can
+ * replay an event from its stored payload.
+ */
+const razorpayEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String, // x-razorpay-event-id
+      required: true,
+      unique: true,
+    },
+    event: {
+      type: String, // e.g. payment.captured
+      required: true,
+      index: true,
+    },
+    accountId: String,
+    occurredAt: Date, // Razorpay's created_at
+
+    // Razorpay IDs the event is about, for lookups
+    razorpayPaymentId: {
+      type: String,
+      index: true,
+    },
+    razorpayOrderId: String,
+    entityId: String, // Refund, dispute or subscription ID
+
+    payload: {
+      type: mongoose.Schema.Types.Mixed, // Whole webhook body
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "processing", "processed", "ignored", "failed"],
+      default: "pending",
+      index: true,
+    },
+    outcome: String, // What processing did
+    lastError: String,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    deliveries: {
+      type: Number,
+      default: 0, // Times Razorpay sent it
+    },
+    lastDeliveredAt: Date,
+    processedAt: Date,
+
+    // Processing lock (expires so a crashed worker doesn't hold the event)
+    lockToken: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    replays: [
+      {
+        _id: false,
+        by: String, // Admin email
+        at: Date,
+        status: String, // Status after the replay
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+razorpayEventSchema.index({ createdAt: -1 });
+
+const RazorpayEvent = mongoose.model("RazorpayEvent", razorpayEventSchema);
+export default RazorpayEvent;
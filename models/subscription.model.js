@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+
+// Razorpay subscription states (manual subscriptions are active or cancelled)
+export const SUBSCRIPTION_STATUSES = [
+  "created",
+  "authenticated",
+  "active",
+  "pending",
+  "halted",
+  "paused",
+  "cancelled",
+  "completed",
+  "expired",
+];
+
+// States in which a subscription still grants credits (or will again)
+export const LIVE_SUBSCRIPTION_STATUSES = [
+  "authenticated",
+  "active",
+  "pending",
+  "halted",
+  "paused",
+];
+
+/**
+ * Recurring monthly credit grant for a tier
+ * Manual subscriptions (set up by an admin) are granted by the subscription
+ * cron on `nextGrantAt`; Razorpay subscriptions on each charge.
+ */
+const subscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    tier: {
+      type: String,
+      enum: ["tier1", "tier2"],
+      required: true,
+    },
+    provider: {
+      type: String,
+      enum: ["manual", "razorpay"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: SUBSCRIPTION_STATUSES,
+      default: "created",
+    },
+
+    // Grant terms
+    monthlyCredits: {
+      type: Number,
+      required: true,
+    },
+    rolloverCap: {
+      type: Number,
+      default: null, // Unused credits carried into a new cycle (null = unlimited)
+    },
+    creditExpiryDays: {
+      type: Number,
+      default: null, // Days granted credits last (null = never expire)
+    },
+
+    // Razorpay
+    razorpaySubscriptionId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    razorpayPlanId: {
+      type: String,
+    },
+    shortUrl: {
+      type: String, // Razorpay hosted checkout link
+    },
+
+    // Cycles
+    currentPeriodStart: {
+      type: Date,
+    },
+    currentPeriodEnd: {
+      type: Date,
+    },
+    nextGrantAt: {
+      type: Date, // Manual subscriptions only
+    },
+    lastGrantAt: {
+      type: Date,
+    },
+    grantsIssued: {
+      type: Number,
+      default: 0,
+    },
+    cancelAtPeriodEnd: {
+      type: Boolean,
+      default: false,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: String, // Admin email (manual subscriptions)
+    },
+  },
+  { timestamps: true }
+);
+
+subscriptionSchema.index({ userId: 1, status: 1 });
+subscriptionSchema.index({ provider: 1, status: 1, nextGrantAt: 1 });
+
+const Subscription = mongoose.model("Subscription", subscriptionSchema);
+export default Subscription;
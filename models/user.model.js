@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
+import { ORG_ROLES } from "./organization.model.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -28,9 +29,34 @@ const userSchema = new mongoose.Schema(
     organizationName: {
       type: String,
     },
+    organizationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization", // Members use the organization's credit pool
+      default: null,
+      index: true,
+    },
+    organizationRole: {
+      type: String,
+      enum: ORG_ROLES,
+      default: null,
+    },
     reasonForJoining: {
       type: String,
     },
+    // Invoice details (optional - invoices fall back to username and email)
+    billing: {
+      legalName: { type: String, trim: true },
+      gstin: { type: String, trim: true, uppercase: true }, // Registered customers (B2B)
+      address: {
+        line1: { type: String, trim: true },
+        line2: { type: String, trim: true },
+        city: { type: String, trim: true },
+        state: { type: String, trim: true },
+        stateCode: { type: String, trim: true }, // GST state code, e.g. "29" (place of supply)
+        postalCode: { type: String, trim: true },
+        country: { type: String, trim: true, uppercase: true }, // ISO code (empty = IN)
+      },
+    },
     accountStatus: {
       type: String,
       enum: ["pending", "active", "inactive"],
@@ -39,7 +65,8 @@ const userSchema = new mongoose.Schema(
     credits: {
       total: { type: Number, default: 0 },
       used: { type: Number, default: 0 },
-      remaining: { type: Number, default: 0 },
+      remaining: { type: Number, default: 0 }, // Available - excludes held credits
+      held: { type: Number, default: 0 }, // Reserved by queued/processing jobs
     },
     tier: {
       type: String,
@@ -0,0 +1,66 @@
+import mongoose from "mongoose";
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    endpointId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookEndpoint",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    eventId: {
+      type: String,
+      required: true, // Shared by redeliveries so receivers can deduplicate
+      index: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed, // Request body as sent
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+      index: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastAttempt: {
+      attemptedAt: Date,
+      responseStatus: Number,
+      responseBody: String, // Truncated
+      durationMs: Number,
+      error: String,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+      default: null, // Set on manual redeliveries
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes for performance
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }); // For cleanup jobs
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
+
+export default WebhookDelivery;
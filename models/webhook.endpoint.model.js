@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Events an endpoint can subscribe to (see webhook.service.js)
+export const WEBHOOK_EVENTS = [
+  "job.completed",
+  "job.failed",
+  "credits.low",
+  "payment.succeeded",
+];
+
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      default: null, // null = whole account; set = only job events of jobs submitted with this key
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    events: {
+      type: [String],
+      enum: WEBHOOK_EVENTS,
+      required: true,
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false, // HMAC-SHA256 signing secret - only returned on creation
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+    lastDeliveryStatus: {
+      type: String,
+      default: null, // succeeded, failed
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Generate signing secret
+webhookEndpointSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(32).toString("hex")}`;
+};
+
+// Indexes for performance
+webhookEndpointSchema.index({ userId: 1, isActive: 1 });
+
+const WebhookEndpoint = mongoose.model("WebhookEndpoint", webhookEndpointSchema);
+
+export default WebhookEndpoint;
@@ -14,6 +14,35 @@ import {
   revokeApiKey,
   getAccessRequests,
   getComprehensiveUserDetails,
+  getPricingVersions,
+  getPricingVersion,
+  createPricingVersion,
+  activatePricingVersion,
+  createOrganization,
+  getOrganizations,
+  getOrganizationDetails,
+  updateOrganizationCredits,
+  updateOrganizationStatus,
+  addOrganizationMember,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  createUserSubscription,
+  getUserSubscriptions,
+  cancelUserSubscription,
+  getCreditPlans,
+  getCreditPlan,
+  createCreditPlan,
+  updateCreditPlan,
+  deleteCreditPlan,
+  getCoupons,
+  getCoupon,
+  getCouponRedemptions,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getPaymentEvents,
+  getPaymentEvent,
+  replayPaymentEvent,
 } from "../controllers/admin.controllers.js";
 import {
   loginValidation,
@@ -108,4 +137,125 @@ router.get(
 // Revoke API key
 router.delete("/api-keys/:keyId", adminAuth, revokeApiKey);
 
+/**
+ * Admin Pricing Routes
+ */
+
+// List pricing versions and the active pricing
+router.get("/pricing", adminAuth, getPricingVersions);
+
+// Get one pricing version (0 = built-in)
+router.get("/pricing/:version", adminAuth, getPricingVersion);
+
+// Create a pricing version (optionally activating it)
+router.post("/pricing", adminAuth, createPricingVersion);
+
+// Activate a pricing version for new jobs
+router.post("/pricing/:version/activate", adminAuth, activatePricingVersion);
+
+/**
+ * Admin Credit Plan Routes
+ */
+
+// List credit plans (?includeArchived=true)
+router.get("/plans", adminAuth, getCreditPlans);
+
+// Get a credit plan
+router.get("/plans/:planId", adminAuth, getCreditPlan);
+
+// Create a credit plan
+router.post("/plans", adminAuth, createCreditPlan);
+
+// Change a credit plan (new orders only)
+router.patch("/plans/:planId", adminAuth, updateCreditPlan);
+
+// Archive a credit plan
+router.delete("/plans/:planId", adminAuth, deleteCreditPlan);
+
+/**
+ * Admin Coupon Routes
+ */
+
+// List coupons (?includeInactive=true)
+router.get("/coupons", adminAuth, getCoupons);
+
+// Get a coupon with its usage
+router.get("/coupons/:code", adminAuth, getCoupon);
+
+// List a coupon's redemptions
+router.get("/coupons/:code/redemptions", adminAuth, getCouponRedemptions);
+
+// Create a coupon
+router.post("/coupons", adminAuth, createCoupon);
+
+// Change a coupon
+router.patch("/coupons/:code", adminAuth, updateCoupon);
+
+// Deactivate a coupon
+router.delete("/coupons/:code", adminAuth, deleteCoupon);
+
+/**
+ * Admin Payment Event Routes
+ */
+
+// List stored Razorpay webhook events (?status=&event=&paymentId=)
+router.get("/payment-events", adminAuth, getPaymentEvents);
+
+// Get an event with its payload
+router.get("/payment-events/:eventId", adminAuth, getPaymentEvent);
+
+// Process an event again
+router.post("/payment-events/:eventId/replay", adminAuth, replayPaymentEvent);
+
+/**
+ * Admin Organization Routes
+ */
+
+// Create an organization (optional owner and opening credits)
+router.post("/organizations", adminAuth, createOrganization);
+
+// List organizations with member counts
+router.get("/organizations", adminAuth, paginationValidation, getOrganizations);
+
+// Get an organization with members, pool history and member spend
+router.get("/organizations/:orgId", adminAuth, getOrganizationDetails);
+
+// Add to or set the organization's credit pool
+router.put("/organizations/:orgId/credits", adminAuth, updateOrganizationCredits);
+
+// Activate/deactivate an organization
+router.patch("/organizations/:orgId/status", adminAuth, updateOrganizationStatus);
+
+// Add an existing user to an organization
+router.post("/organizations/:orgId/members", adminAuth, addOrganizationMember);
+
+// Change a member's role
+router.patch("/organizations/:orgId/members/:userId", adminAuth, updateOrganizationMember);
+
+// Remove a member from an organization
+router.delete("/organizations/:orgId/members/:userId", adminAuth, removeOrganizationMember);
+
+/**
+ * Admin Subscription Routes
+ */
+
+// Give a user a subscription granted monthly by the cron
+router.post(
+  "/users/:userId/subscriptions",
+  adminAuth,
+  userIdValidation,
+  createUserSubscription
+);
+
+// Get a user's subscriptions and expiring credits
+router.get(
+  "/users/:userId/subscriptions",
+  adminAuth,
+  userIdValidation,
+  getUserSubscriptions
+);
+
+// Cancel a subscription (at the end of the current cycle by default)
+router.post("/subscriptions/:subscriptionId/cancel", adminAuth, cancelUserSubscription);
+
 export default router;
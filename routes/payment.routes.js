@@ -7,8 +7,14 @@ import {
   getPaymentHistory,
   retryPayment,
   refundPayment,
+  getPaymentInvoice,
+  getPaymentCreditNote,
+  createPaymentSubscription,
+  verifyPaymentSubscription,
+  getPaymentSubscriptions,
+  cancelPaymentSubscription,
 } from "../controllers/payment.controller.js";
-import { auth } from "../middleware/auth.js";
+import { auth, optionalAuth } from "../middleware/auth.js";
 import { adminAuth } from "../middleware/admin.auth.js";
 import {
   verifyPaymentOwnership,
@@ -28,9 +34,9 @@ const router = express.Router();
 
 /**
  * GET /api/payment/plans
- * Get all credit plans
+ * Get available credit plans (signed-in users also see their tier's plans)
  */
-router.get("/plans", getPlans);
+router.get("/plans", optionalAuth, getPlans);
 
 // ============================================
 // AUTHENTICATED ROUTES (User)
@@ -39,7 +45,7 @@ router.get("/plans", getPlans);
 /**
  * POST /api/payment/create-order
  * Create Razorpay order for credit purchase
- * Body: { planId }
+ * Body: { planId, couponCode }
  */
 router.post("/create-order", auth, createPaymentOrder);
 
@@ -69,14 +75,54 @@ router.get("/history", auth, getPaymentHistory);
  */
 router.post("/retry", auth, retryPayment);
 
+/**
+ * GET /api/payment/:paymentId/invoice
+ * Download the GST tax invoice of a successful payment (PDF)
+ */
+router.get("/:paymentId/invoice", auth, verifyPaymentOwnership, getPaymentInvoice);
+
+/**
+ * GET /api/payment/:paymentId/credit-note
+ * Download the credit note of a refund (PDF, ?refundId= - default: the latest)
+ */
+router.get("/:paymentId/credit-note", auth, verifyPaymentOwnership, getPaymentCreditNote);
+
+/**
+ * POST /api/payment/subscriptions
+ * Start a monthly credit subscription (Razorpay)
+ * Body: { tier }
+ */
+router.post("/subscriptions", auth, createPaymentSubscription);
+
+/**
+ * GET /api/payment/subscriptions
+ * Get user's subscriptions and credits due to expire
+ */
+router.get("/subscriptions", auth, getPaymentSubscriptions);
+
+/**
+ * POST /api/payment/subscriptions/verify
+ * Verify subscription checkout and grant the first cycle
+ * Body: { razorpay_payment_id, razorpay_subscription_id, razorpay_signature }
+ */
+router.post("/subscriptions/verify", auth, verifyPaymentSubscription);
+
+/**
+ * POST /api/payment/subscriptions/cancel
+ * Cancel the active subscription (at the end of the cycle by default)
+ * Body: { immediately }
+ */
+router.post("/subscriptions/cancel", auth, cancelPaymentSubscription);
+
 // ============================================
 // WEBHOOK ROUTES (Razorpay)
 // ============================================
 
 /**
  * POST /api/payment/webhook
- * Handle Razorpay webhooks
- * Automatically processes payment.captured and payment.failed events
+ * Handle Razorpay webhooks (stored and processed once per event ID)
+ * Processes payment.captured, order.paid, payment.failed, refund.processed,
+ * refund.failed, payment.dispute.* and subscription.* events
  */
 router.post("/webhook", verifyWebhook, handleWebhook);
 
@@ -86,8 +132,8 @@ router.post("/webhook", verifyWebhook, handleWebhook);
 
 /**
  * POST /api/payment/refund
- * Refund a payment (Admin only)
- * Body: { paymentId, reason }
+ * Refund a payment, or part of it (Admin only)
+ * Body: { paymentId, amount, reason }
  */
 router.post("/refund", adminAuth, refundPayment);
 
@@ -4,7 +4,12 @@ import {
   analyzeSingle,
   analyzeBatch,
   getResults,
+  cancelJob,
+  streamJobEvents,
   getCredits,
+  estimateCost,
+  getBackends,
+  downloadSample,
 } from "../controllers/sdk.controller.js";
 import { apiKeyAuth, requirePermission } from "../middleware/sdk.auth.js";
 import { creditCheck, lowCreditWarning } from "../middleware/sdk.credit.js";
@@ -61,6 +66,24 @@ router.post(
  */
 router.get("/results/:jobId", requirePermission("sdk:results"), getResults);
 
+/**
+ * @route   GET /api/sdk/jobs/:jobId/events
+ * @desc    Stream job progress as Server-Sent Events (resumable via Last-Event-ID)
+ * @access  Private (API Key required)
+ */
+router.get(
+  "/jobs/:jobId/events",
+  requirePermission("sdk:results"),
+  streamJobEvents
+);
+
+/**
+ * @route   DELETE /api/sdk/jobs/:jobId
+ * @desc    Cancel a queued or processing analysis job
+ * @access  Private (API Key required)
+ */
+router.delete("/jobs/:jobId", requirePermission("sdk:analyze"), cancelJob);
+
 /**
  * @route   GET /api/sdk/credits
  * @desc    Get user credit information
@@ -68,6 +91,31 @@ router.get("/results/:jobId", requirePermission("sdk:results"), getResults);
  */
 router.get("/credits", requirePermission("sdk:credits"), getCredits);
 
+/**
+ * @route   POST /api/sdk/estimate
+ * @desc    Estimate the credits of one or more files before submitting them
+ * @access  Private (API Key required)
+ */
+router.post("/estimate", requirePermission("sdk:credits"), estimateCost);
+
+/**
+ * @route   GET /api/sdk/backends
+ * @desc    List analyzer backends selectable via the `backends` parameter
+ * @access  Private (API Key required)
+ */
+router.get("/backends", requirePermission("sdk:analyze"), getBackends);
+
+/**
+ * @route   GET /api/sdk/samples/:jobId/download
+ * @desc    Download the sample as a ZIP encrypted with the password "infected"
+ * @access  Private (API Key with sdk:download permission)
+ */
+router.get(
+  "/samples/:jobId/download",
+  requirePermission("sdk:download"),
+  downloadSample
+);
+
 // Error handler for multer errors
 router.use((error, req, res, next) => {
   if (error.code === "LIMIT_FILE_SIZE") {
@@ -9,13 +9,38 @@ import {
   verifyOTPAndChangePasswordController,
   updateUserProfile,
   analyzeSingleUser,
+  estimateCostUser,
   getUserJobResult,
+  cancelUserJob,
   getUserAnalysisHistory,
   createUserApiKey,
   getUserApiKeys,
+  updateUserApiKey,
   revokeUserApiKey,
   requestAccess,
 } from "../controllers/user.controllers.js";
+import {
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  redeliverWebhook,
+} from "../controllers/webhook.controller.js";
+import {
+  getMyOrganization,
+  getOrganizationJobs,
+  getOrganizationCreditHistoryController,
+  getOrganizationSpend,
+  addOrganizationMember,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  rotateOrganizationInviteCode,
+  createOrganizationApiKey,
+  getOrganizationApiKeys,
+  updateOrganizationApiKey,
+  revokeOrganizationApiKey,
+} from "../controllers/organization.controller.js";
 import {
   loginValidation,
   changePasswordValidation,
@@ -23,6 +48,7 @@ import {
   paginationValidation,
 } from "../middleware/validator.js";
 import { creditCheck } from "../middleware/sdk.credit.js";
+import { requireOrgRole } from "../middleware/org.auth.js";
 import { uploadSingle } from "../utils/file.handler.js";
 
 const router = express.Router();
@@ -72,12 +98,18 @@ router.put("/password/change", auth, changePasswordValidation, changePassword);
 // Credits checked for minimum threshold, deducted after analysis completes
 router.post("/analyze", auth, uploadSingle, creditCheck(), analyzeSingleUser);
 
+// Estimate the credits of an analysis before uploading (user dashboard)
+router.post("/analyze/estimate", auth, estimateCostUser);
+
 // Get user's analysis history (user dashboard)
 router.get("/analyze", auth, getUserAnalysisHistory);
 
 // Get analysis job result (user dashboard)
 router.get("/analyze/:jobId", auth, getUserJobResult);
 
+// Cancel a queued or processing analysis job (user dashboard)
+router.delete("/analyze/:jobId", auth, cancelUserJob);
+
 /**
  * User API Key Management Routes
  */
@@ -85,10 +117,115 @@ router.get("/analyze/:jobId", auth, getUserJobResult);
 // Create API key for self
 router.post("/api-keys", auth, createUserApiKey);
 
-// Get own API keys
+// Get own API keys with their spend
 router.get("/api-keys", auth, getUserApiKeys);
 
+// Update own API key's name or limits
+router.patch("/api-keys/:keyId", auth, updateUserApiKey);
+
 // Revoke own API key
 router.delete("/api-keys/:keyId", auth, revokeUserApiKey);
 
+/**
+ * Organization Routes (members of an organization, by role)
+ */
+
+// Get own organization, its credit pool and members
+router.get("/organization", auth, requireOrgRole("viewer"), getMyOrganization);
+
+// Get the organization's analysis history (?memberId=&status=)
+router.get("/organization/jobs", auth, requireOrgRole("viewer"), getOrganizationJobs);
+
+// Get the organization's credit pool history
+router.get(
+  "/organization/credits/history",
+  auth,
+  requireOrgRole("viewer"),
+  paginationValidation,
+  getOrganizationCreditHistoryController
+);
+
+// Get credits spent per member (?from=&to=)
+router.get("/organization/spend", auth, requireOrgRole("admin"), getOrganizationSpend);
+
+// Add an existing user by email
+router.post("/organization/members", auth, requireOrgRole("admin"), addOrganizationMember);
+
+// Change a member's role
+router.patch(
+  "/organization/members/:userId",
+  auth,
+  requireOrgRole("admin"),
+  updateOrganizationMember
+);
+
+// Remove a member
+router.delete(
+  "/organization/members/:userId",
+  auth,
+  requireOrgRole("admin"),
+  removeOrganizationMember
+);
+
+// Replace the invite code used by access requests
+router.post(
+  "/organization/invite-code",
+  auth,
+  requireOrgRole("admin"),
+  rotateOrganizationInviteCode
+);
+
+// Create an organization API key (charged to the pool)
+router.post(
+  "/organization/api-keys",
+  auth,
+  requireOrgRole("admin"),
+  createOrganizationApiKey
+);
+
+// Get the organization's API keys
+router.get("/organization/api-keys", auth, requireOrgRole("admin"), getOrganizationApiKeys);
+
+// Update an organization API key's name or limits
+router.patch(
+  "/organization/api-keys/:keyId",
+  auth,
+  requireOrgRole("admin"),
+  updateOrganizationApiKey
+);
+
+// Revoke an organization API key
+router.delete(
+  "/organization/api-keys/:keyId",
+  auth,
+  requireOrgRole("admin"),
+  revokeOrganizationApiKey
+);
+
+/**
+ * User Webhook Routes
+ */
+
+// Register a webhook endpoint (signing secret is only returned here)
+router.post("/webhooks", auth, createWebhook);
+
+// Get own webhook endpoints
+router.get("/webhooks", auth, getWebhooks);
+
+// Update a webhook endpoint (url, events, description, isActive)
+router.patch("/webhooks/:webhookId", auth, updateWebhook);
+
+// Delete a webhook endpoint and its delivery log
+router.delete("/webhooks/:webhookId", auth, deleteWebhook);
+
+// Get the delivery log of a webhook endpoint
+router.get("/webhooks/:webhookId/deliveries", auth, getWebhookDeliveries);
+
+// Redeliver a logged webhook delivery
+router.post(
+  "/webhooks/:webhookId/deliveries/:deliveryId/redeliver",
+  auth,
+  redeliverWebhook
+);
+
 export default router;
@@ -0,0 +1,320 @@
+/**
+ * Local CAPEv2 emulator for offline development and testing
+ * Serves the CAPE REST endpoints used by services/dynamic.analysis.service.js
+ * with scripted task lifecycles, so the upload -> queue -> report flow can run
+ * without the real sandbox.
+ *
+ * Usage:
+ *   npm run cape:emulator
+ *   DYNAMIC_API_URL=http://localhost:8090 DYNAMIC_API_TOKEN=emulator npm run dev
+ *
+ * Scenario selection (first match wins):
+ *   1. `scenario=<name>` in the CAPE `options` form field
+ *   2. a scenario name inside the uploaded filename (e.g. `dropper.slow.exe`)
+ *   3. CAPE_EMULATOR_SCENARIO (default: success)
+ *
+ * Scenarios:
+ *   success                  - pending -> running -> reported, with signatures
+ *   failed_analysis_recover  - reports failed_analysis for a while, then recovers
+ *   failed_processing        - ends in the terminal failed_processing state
+ *   slow                     - takes CAPE_EMULATOR_SLOW_SECONDS to finish
+ *   unauthorized             - every request for the task returns 401
+ *   malformed_submit         - submission response has no task_ids
+ *   malformed_report         - report endpoint returns truncated JSON
+ *
+ * Environment:
+ *   CAPE_EMULATOR_PORT          Port to listen on (default 8090)
+ *   CAPE_EMULATOR_TOKEN         Required API token (default: accept any token)
+ *   CAPE_EMULATOR_SCENARIO      Default scenario (default: success)
+ *   CAPE_EMULATOR_TASK_SECONDS  Duration of a normal task (default 10)
+ *   CAPE_EMULATOR_SLOW_SECONDS  Duration of a slow task (default 600)
+ */
+
+import crypto from "crypto";
+import express from "express";
+import multer from "multer";
+import "dotenv/config";
+
+const PORT = parseInt(process.env.CAPE_EMULATOR_PORT || "8090", 10);
+const API_TOKEN = process.env.CAPE_EMULATOR_TOKEN || "";
+const DEFAULT_SCENARIO = process.env.CAPE_EMULATOR_SCENARIO || "success";
+const TASK_SECONDS = parseInt(process.env.CAPE_EMULATOR_TASK_SECONDS || "10", 10);
+const SLOW_SECONDS = parseInt(process.env.CAPE_EMULATOR_SLOW_SECONDS || "600", 10);
+
+const SCENARIOS = [
+  "success",
+  "failed_analysis_recover",
+  "failed_processing",
+  "slow",
+  "unauthorized",
+  "malformed_submit",
+  "malformed_report",
+];
+
+const tasks = new Map();
+let nextTaskId = 1;
+
+const app = express();
+const upload = multer({ storage: multer.memoryStorage() });
+
+/**
+ * Pick the scenario for a submission
+ */
+function resolveScenario(filename = "", options = "") {
+  const optionMatch = /(?:^|,)\s*scenario=([a-z_]+)/.exec(options);
+  if (optionMatch && SCENARIOS.includes(optionMatch[1])) {
+    return optionMatch[1];
+  }
+
+  // Longest names first so "failed_analysis_recover" beats shorter matches
+  const fromFilename = [...SCENARIOS]
+    .sort((a, b) => b.length - a.length)
+    .find((scenario) => filename.toLowerCase().includes(scenario));
+
+  return fromFilename || DEFAULT_SCENARIO;
+}
+
+/**
+ * Current CAPE status of a task, derived from elapsed time
+ */
+function getTaskStatus(task) {
+  const duration = task.scenario === "slow" ? SLOW_SECONDS : TASK_SECONDS;
+  const progress = (Date.now() - task.createdAt) / (duration * 1000);
+
+  if (progress < 0.2) return "pending";
+
+  if (task.scenario === "failed_analysis_recover" && progress < 0.6) {
+    return "failed_analysis";
+  }
+
+  if (progress < 0.8) return "running";
+
+  if (task.scenario === "failed_processing") return "failed_processing";
+
+  if (progress < 1) return "completed";
+
+  return "reported";
+}
+
+function describeFileType(buffer) {
+  if (buffer.subarray(0, 2).toString("latin1") === "MZ") {
+    return "PE32+ executable (GUI) x86-64, for MS Windows";
+  }
+  if (buffer.subarray(0, 4).equals(Buffer.from([0x7f, 0x45, 0x4c, 0x46]))) {
+    return "ELF 64-bit LSB executable, x86-64";
+  }
+  return "data";
+}
+
+/**
+ * Build a CAPE-shaped JSON report for a finished task
+ */
+function buildReport(task) {
+  return {
+    info: {
+      id: task.id,
+      version: "2.4-emulator",
+      started: new Date(task.createdAt).toISOString(),
+      ended: new Date().toISOString(),
+      duration: TASK_SECONDS,
+      machine: { name: task.machine, label: task.machine, platform: task.platform },
+    },
+    target: {
+      category: "file",
+      file: {
+        name: task.filename,
+        size: task.size,
+        md5: task.md5,
+        sha1: task.sha1,
+        sha256: task.sha256,
+        type: task.fileType,
+      },
+    },
+    malscore: 6.4,
+    signatures: [
+      {
+        name: "injection_createremotethread",
+        description: "Creates a thread in a remote process",
+        severity: 3,
+        marks: [{ type: "call", category: "process", api: "CreateRemoteThread" }],
+      },
+      {
+        name: "antidebug_setunhandledexceptionfilter",
+        description: "Installs an unhandled exception filter, often used to detect debuggers",
+        severity: 2,
+        marks: [],
+      },
+      {
+        name: "crypto_api_usage",
+        description: "Uses Windows cryptography APIs (CryptEncrypt, BCryptEncrypt)",
+        severity: 1,
+        marks: [{ type: "call", category: "crypto", api: "BCryptEncrypt" }],
+      },
+    ],
+    behavior: {
+      processtree: [
+        {
+          name: task.filename,
+          pid: 2412,
+          parent_id: 1980,
+          children: [{ name: "cmd.exe", pid: 2520, parent_id: 2412, children: [] }],
+        },
+      ],
+      summary: {
+        files: [
+          "C:\\Users\\user\\AppData\\Local\\Temp\\payload.bin",
+          "C:\\Users\\user\\Documents\\notes.txt.locked",
+        ],
+        registry: [
+          "HKEY_CURRENT_USER\\Software\\Microsoft\\Windows\\CurrentVersion\\Run\\updater",
+        ],
+      },
+    },
+    network: {
+      hosts: ["203.0.113.10"],
+      domains: [{ domain: "update.example.invalid", ip: "203.0.113.10" }],
+      http: [],
+    },
+    cape: {
+      payloads: [
+        {
+          sha256: crypto
+            .createHash("sha256")
+            .update(`${task.sha256}:payload`)
+            .digest("hex"),
+          yara_signatures: "AES_Key_Schedule",
+          cape_config: { aes_key: crypto.createHash("md5").update(task.sha256).digest("hex") },
+        },
+      ],
+    },
+    screenshots: [],
+  };
+}
+
+/**
+ * Token auth in the Django REST Framework style CAPE uses
+ */
+function requireToken(req, res, next) {
+  if (!API_TOKEN) return next();
+
+  if (req.get("authorization") !== `Token ${API_TOKEN}`) {
+    return res.status(401).json({ detail: "Invalid token." });
+  }
+
+  next();
+}
+
+/**
+ * Resolve :id to a task (404 / scenario 401 handled here)
+ */
+function loadTask(req, res, next) {
+  const task = tasks.get(parseInt(req.params.id, 10));
+
+  if (!task) {
+    return res.status(404).json({ error: true, error_value: "Task does not exist" });
+  }
+
+  if (task.scenario === "unauthorized") {
+    return res.status(401).json({ detail: "Invalid token." });
+  }
+
+  req.task = task;
+  next();
+}
+
+app.use((req, res, next) => {
+  console.log(`[cape-emulator] ${req.method} ${req.originalUrl}`);
+  next();
+});
+
+app.get("/apiv2/", requireToken, (req, res) => {
+  res.json({ error: false, version: "2.4-emulator", scenarios: SCENARIOS });
+});
+
+app.post(
+  "/apiv2/tasks/create/file/",
+  requireToken,
+  upload.single("file"),
+  (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        error: true,
+        error_value: "No file was uploaded",
+      });
+    }
+
+    const scenario = resolveScenario(req.file.originalname, req.body.options);
+
+    if (scenario === "unauthorized") {
+      return res.status(401).json({ detail: "Invalid token." });
+    }
+
+    if (scenario === "malformed_submit") {
+      return res.json({ error: false, data: { message: "queued" } });
+    }
+
+    const task = {
+      id: nextTaskId++,
+      scenario,
+      filename: req.file.originalname,
+      size: req.file.size,
+      md5: crypto.createHash("md5").update(req.file.buffer).digest("hex"),
+      sha1: crypto.createHash("sha1").update(req.file.buffer).digest("hex"),
+      sha256: crypto.createHash("sha256").update(req.file.buffer).digest("hex"),
+      fileType: describeFileType(req.file.buffer),
+      platform: req.body.platform || "windows",
+      machine: req.body.machine || "win10",
+      createdAt: Date.now(),
+    };
+    tasks.set(task.id, task);
+
+    console.log(
+      `[cape-emulator] Task ${task.id} created (${task.filename}, scenario: ${scenario})`,
+    );
+
+    res.json({
+      error: false,
+      data: { task_ids: [task.id] },
+      errors: [],
+    });
+  },
+);
+
+app.get("/apiv2/tasks/status/:id/", requireToken, loadTask, (req, res) => {
+  res.json({ error: false, data: getTaskStatus(req.task) });
+});
+
+app.get("/apiv2/tasks/get/report/:id/json/", requireToken, loadTask, (req, res) => {
+  if (getTaskStatus(req.task) !== "reported") {
+    return res.status(400).json({
+      error: true,
+      error_value: "Task is still being analyzed",
+    });
+  }
+
+  if (req.task.scenario === "malformed_report") {
+    const body = JSON.stringify(buildReport(req.task));
+    return res.type("application/json").send(body.slice(0, Math.floor(body.length / 2)));
+  }
+
+  res.json(buildReport(req.task));
+});
+
+// CAPE accepts both verbs for deletion
+app.all("/apiv2/tasks/delete/:id/", requireToken, loadTask, (req, res) => {
+  tasks.delete(req.task.id);
+  console.log(`[cape-emulator] Task ${req.task.id} deleted`);
+
+  res.json({ error: false, data: `Task ID ${req.task.id} was deleted` });
+});
+
+app.use((req, res) => {
+  res.status(404).json({ error: true, error_value: "Unknown endpoint" });
+});
+
+app.listen(PORT, () => {
+  console.log(`🧪 CAPEv2 emulator listening on http://localhost:${PORT}`);
+  console.log(`   Default scenario: ${DEFAULT_SCENARIO}`);
+  console.log(`   Token: ${API_TOKEN ? "required" : "any"}`);
+  console.log(`   Scenarios: ${SCENARIOS.join(", ")}`);
+});
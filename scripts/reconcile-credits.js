@@ -0,0 +1,56 @@
+/**
+ * Utility script to reconcile user and organization credits with the
+ * CreditTransaction ledger
+ * Reports accounts whose balance or held credits drifted; --repair sets them
+ * to the recomputed values.
+ *
+ * Usage: node scripts/reconcile-credits.js [--repair] [--user <userId> | --organization <orgId>]
+ */
+
+import mongoose from "mongoose";
+import "dotenv/config";
+import redisClient from "../config/redis.js";
+import { runCreditReconciliation } from "../services/credit.reconciliation.js";
+
+const args = process.argv.slice(2);
+const repair = args.includes("--repair");
+const userIndex = args.indexOf("--user");
+const userId = userIndex !== -1 ? args[userIndex + 1] : null;
+const organizationIndex = args.indexOf("--organization");
+const organizationId = organizationIndex !== -1 ? args[organizationIndex + 1] : null;
+
+async function reconcileCredits() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("✅ Connected to MongoDB");
+
+    const report = await runCreditReconciliation({ repair, userId, organizationId });
+    if (!report) {
+      console.log("⚠️  Reconciliation is already running elsewhere");
+    } else {
+      for (const drift of [...report.users, ...report.organizations]) {
+        console.log(
+          `${drift.repaired ? "🔧" : "❌"} ${drift.email || drift.name} ` +
+            `(${drift.userId || drift.organizationId}): ` +
+            `remaining ${drift.remaining}, held ${drift.held} - ` +
+            `ledger ${drift.ledgerBalance}, active holds ${drift.activeHolds}`
+        );
+      }
+
+      console.log(`\n✅ Reconciliation complete:`);
+      console.log(`   - Accounts checked: ${report.checked}`);
+      console.log(`   - Drifted: ${report.drifted}`);
+      console.log(`   - Repaired: ${report.repaired}`);
+    }
+
+    await redisClient.quit();
+    await mongoose.connection.close();
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Reconciliation failed:", error);
+    process.exit(1);
+  }
+}
+
+reconcileCredits();
@@ -5,6 +5,8 @@ import helmet from "helmet";
 import morgan from "morgan";
 import { createServer } from "http";
 import { Server } from "socket.io";
+import { socketAuth, authorizeSubscription } from "./middleware/socket.auth.js";
+import { createSocketAdapter } from "./config/socket.js";
 
 dotenv.config();
 
@@ -14,8 +16,10 @@ import database from "./db/db.js";
 // Redis and Queue initialization
 import "./config/redis.js";
 import "./config/queue.js";
-import "./services/queue.worker.js"; // Initialize queue workers
-import { startCleanupService } from "./services/cloudinary.cleanup.js"; // Cloudinary cleanup
+import { initializeQueueWorkers } from "./services/queue.worker.js";
+import { startCleanupService } from "./services/storage.cleanup.js"; // Storage cleanup
+import { startCreditReconciliation } from "./services/credit.reconciliation.js"; // Credit ledger checks
+import { startSubscriptionService } from "./services/subscription.service.js"; // Subscription credit grants
 
 // Routes
 import userRoutes from "./routes/user.routes.js";
@@ -36,6 +40,11 @@ app.set("trust proxy", 1);
 // Connect to the database
 database.connect();
 
+// Run the queue workers in-process unless they are deployed separately (worker.js)
+if (process.env.RUN_QUEUE_WORKERS !== "false") {
+  initializeQueueWorkers();
+}
+
 // Initialize Socket.IO
 export const io = new Server(httpServer, {
   cors: {
@@ -44,19 +53,60 @@ export const io = new Server(httpServer, {
   },
 });
 
-io.on("connection", (socket) => {
-  logger.info("Client connected to WebSocket", { socketId: socket.id });
+// Share rooms across API instances - job events arrive from any worker via Redis
+io.adapter(createSocketAdapter());
 
-  socket.on("subscribe-job", (jobId) => {
-    socket.join(`job:${jobId}`);
-    logger.info("Client subscribed to job", { jobId, socketId: socket.id });
-  });
+// Every socket must authenticate (dashboard JWT or SDK API key)
+io.use(socketAuth);
 
-  socket.on("subscribe-user", (userId) => {
-    socket.join(`user:${userId}`);
-    logger.info("Client subscribed to user", { userId, socketId: socket.id });
+io.on("connection", (socket) => {
+  const { user, apiKey } = socket.data;
+  logger.info("Client connected to WebSocket", {
+    socketId: socket.id,
+    userId: user._id.toString(),
+    authType: apiKey ? "api-key" : "jwt",
   });
 
+  // Rooms are only joined after an ownership check; rejections get a
+  // "subscribe-error" event (and the optional ack callback)
+  const subscribe = (type) => async (id, ack) => {
+    try {
+      const result = await authorizeSubscription(socket, type, id);
+
+      if (!result.allowed) {
+        const rejection = { type, id, code: result.code, message: result.message };
+        logger.warn("Socket subscription rejected", {
+          socketId: socket.id,
+          userId: user._id.toString(),
+          ...rejection,
+        });
+        socket.emit("subscribe-error", rejection);
+        if (typeof ack === "function") ack({ success: false, ...rejection });
+        return;
+      }
+
+      socket.join(result.room);
+      logger.info("Client subscribed", { room: result.room, socketId: socket.id });
+      if (typeof ack === "function") ack({ success: true, room: result.room });
+    } catch (error) {
+      logger.error("Socket subscription failed", {
+        socketId: socket.id,
+        type,
+        error: error.message,
+      });
+      socket.emit("subscribe-error", {
+        type,
+        id,
+        code: "SUBSCRIBE_ERROR",
+        message: "Subscription failed",
+      });
+    }
+  };
+
+  socket.on("subscribe-job", subscribe("job"));
+  socket.on("subscribe-user", subscribe("user"));
+  socket.on("subscribe-admin", (ack) => subscribe("admin")(null, ack));
+
   socket.on("disconnect", () => {
     logger.info("Client disconnected", { socketId: socket.id });
   });
@@ -77,8 +127,14 @@ app.use(
   })
 );
 
-// Body parser
-app.use(express.json());
+// Body parser (Razorpay signs the webhook body as sent, so it is kept raw too)
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payment/webhook")) req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from assets folder (for email logo)
@@ -165,11 +221,17 @@ httpServer.listen(PORT, () => {
     }`
   );
   console.log(`🔌 WebSocket server ready`);
-  console.log(`🧹 Cloudinary cleanup service starting...`);
+  console.log(`🧹 Storage cleanup service starting...`);
 
-  // Start Cloudinary cleanup service (runs daily at 2 AM)
+  // Start storage cleanup service (runs daily at 2 AM)
   startCleanupService();
 
+  // Start credit reconciliation (runs daily at 3:30 AM)
+  startCreditReconciliation();
+
+  // Start subscription credit grants and expiry (runs hourly)
+  startSubscriptionService();
+
   logger.info("Server started successfully", {
     port: PORT,
     environment: process.env.NODE_ENV || "development",
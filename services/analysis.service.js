@@ -1,51 +1,57 @@
 import { queueLogger } from "../utils/logger.js";
-import dynamicAnalysisService from "./dynamic.analysis.service.js";
+import analyzerRegistry from "./analyzer.registry.js";
+
+const SEVERITY_ORDER = ["None", "Low", "Medium", "High", "Critical"];
 
 /**
- * Analysis Service - Routes analysis through CAPEv2 Dynamic Sandbox
+ * Analysis Service - Runs the selected analyzer backends (static engine,
+ * CAPEv2 sandbox, ML service...) and assembles their output into results
  */
 class AnalysisService {
   /**
-   * Analyze binary file using CAPEv2 dynamic sandbox
+   * Analyze binary file using the selected analyzer backends
    * @param {String} filePath - Path to binary file
    * @param {String} filename - Original filename
-   * @param {Boolean} forceDeep - Reserved for future use
+   * @param {Object} options - { backends, forceDeep, jobId }
    * @returns {Promise<Object>} Analysis results
    */
-  async analyzeBinary(filePath, filename, forceDeep = false) {
+  async analyzeBinary(filePath, filename, options = {}) {
+    const { forceDeep = false, jobId } = options;
+    const backends = options.backends?.length
+      ? options.backends
+      : analyzerRegistry.getDefaultBackends();
+
     try {
-      queueLogger.info("Starting dynamic analysis", {
+      queueLogger.info("Starting analysis", {
         filename,
-        dynamicEnabled: dynamicAnalysisService.isEnabled(),
+        jobId,
+        backends,
       });
 
-      if (!dynamicAnalysisService.isEnabled()) {
-        throw new Error(
-          "Dynamic analysis is not enabled. Set DYNAMIC_ANALYSIS_ENABLED=true in .env",
-        );
+      if (backends.length === 0) {
+        throw new Error("Analysis is not enabled: no analyzer backends available");
       }
 
-      const dynamicResults = await dynamicAnalysisService.analyzeFile(
+      const pipelineStartTime = Date.now();
+      const { outputs, stages } = await analyzerRegistry.run(
+        backends,
         filePath,
         filename,
-        {
-          platform: "windows",
-          tags: "x64",
-        },
+        { forceDeep, jobId }
       );
 
-      queueLogger.info("Dynamic analysis completed", {
-        filename,
-        taskId: dynamicResults.taskId,
-        malScore: dynamicResults.report.malScore,
-        riskLevel: dynamicResults.report.riskLevel,
-      });
-
-      const results = this.buildDynamicOnlyResults(dynamicResults);
+      const results = this.buildResults(outputs);
+      results._analysis_metadata = {
+        ...results._analysis_metadata,
+        ...this.buildPipelineMetadata(stages, Date.now() - pipelineStartTime),
+      };
 
       queueLogger.info("Analysis finished", {
         filename,
-        analysisMode: "dynamic-only",
+        jobId,
+        analysisMode: results._analysis_metadata.analysis_mode,
+        stagesCompleted: results._analysis_metadata.stages_completed,
+        totalPipelineCost: results._analysis_metadata.total_pipeline_cost,
         finalSeverity: results.vulnerability_assessment?.severity,
       });
 
@@ -61,6 +67,273 @@ class AnalysisService {
     }
   }
 
+  /**
+   * Assemble results from backend outputs
+   * Sandbox verdicts take precedence, static data fills what CAPE does not
+   * report, and results-shaped backends (ML, mock) are layered on top
+   */
+  buildResults(outputs) {
+    let staticReport = null;
+    let dynamicResults = null;
+    const backendResults = [];
+
+    for (const [name, output] of outputs) {
+      const { stage } = analyzerRegistry.get(name);
+      if (stage === "static") {
+        staticReport = output;
+      } else if (stage === "dynamic") {
+        dynamicResults = output;
+      } else {
+        backendResults.push(output);
+      }
+    }
+
+    let results = null;
+    if (staticReport && dynamicResults) {
+      results = this.mergeResults(staticReport, dynamicResults);
+    } else if (dynamicResults) {
+      results = this.buildDynamicOnlyResults(dynamicResults);
+    } else if (staticReport) {
+      results = this.buildStaticOnlyResults(staticReport);
+    }
+
+    for (const backendResult of backendResults) {
+      results = results
+        ? this.mergeBackendResults(results, backendResult)
+        : { ...backendResult };
+    }
+
+    return results;
+  }
+
+  /**
+   * Pipeline-level metadata: stages run, their cost and duration
+   */
+  buildPipelineMetadata(stages, duration) {
+    const completed = stages.filter((stage) => stage.status === "completed");
+    const analyzers = completed.map((stage) => analyzerRegistry.get(stage.backend));
+    const totalCost = stages.reduce((sum, stage) => sum + (stage.cost || 0), 0);
+
+    return {
+      model_used: analyzers.map((analyzer) => analyzer.label).join(" + "),
+      provider: [...new Set(analyzers.map((analyzer) => analyzer.provider))].join(", "),
+      analysis_mode:
+        completed.length === 1 ? `${completed[0].stage}-only` : "hybrid",
+      static_unavailable: !completed.some((stage) => stage.stage === "static"),
+      cost: totalCost,
+      total_pipeline_cost: totalCost,
+      duration,
+      stages_completed: completed.length,
+      stages,
+    };
+  }
+
+  /**
+   * Layer results from a results-shaped backend (ML service, mock) onto
+   * the current results. Algorithms are de-duplicated by name.
+   */
+  mergeBackendResults(results, backendResults) {
+    const algorithms = new Map(
+      (results.detected_algorithms || []).map((algorithm) => [
+        algorithm.algorithm_name,
+        algorithm,
+      ])
+    );
+
+    for (const algorithm of backendResults.detected_algorithms || []) {
+      const existing = algorithms.get(algorithm.algorithm_name);
+      algorithms.set(
+        algorithm.algorithm_name,
+        existing
+          ? {
+              ...existing,
+              confidence_score: Math.max(
+                existing.confidence_score || 0,
+                algorithm.confidence_score || 0
+              ),
+              evidence: [...(existing.evidence || []), ...(algorithm.evidence || [])],
+              locations: [
+                ...(existing.locations || []),
+                ...(algorithm.locations || []),
+              ],
+            }
+          : algorithm
+      );
+    }
+
+    return {
+      ...results,
+      // Fills file details the other stages did not report (sandbox-only architecture)
+      file_metadata: results.file_metadata && {
+        ...results.file_metadata,
+        architecture:
+          results.file_metadata.architecture ?? backendResults.file_metadata?.architecture,
+      },
+      detected_algorithms: [...algorithms.values()],
+      function_analyses: [
+        ...(results.function_analyses || []),
+        ...(backendResults.function_analyses || []),
+      ],
+      detected_protocols: [
+        ...(results.detected_protocols || []),
+        ...(backendResults.detected_protocols || []),
+      ],
+      key_findings: [
+        ...(results.key_findings || []),
+        ...(backendResults.key_findings || []),
+      ],
+      xai_explanation: [results.xai_explanation, backendResults.xai_explanation]
+        .filter(Boolean)
+        .join(" "),
+      primary_purpose:
+        results.primary_purpose?.startsWith("Not determined") &&
+        backendResults.primary_purpose
+          ? backendResults.primary_purpose
+          : results.primary_purpose,
+    };
+  }
+
+  /**
+   * Build results structure from the static stage alone (no sandbox run)
+   */
+  buildStaticOnlyResults(staticReport) {
+    const findings = this.getStaticFindings(staticReport);
+
+    return {
+      file_metadata: this.buildStaticFileMetadata(staticReport),
+      detected_algorithms: staticReport.detected_algorithms,
+      function_analyses: [],
+      detected_protocols: [],
+      structural_analysis: this.describeStructure(staticReport),
+      library_usage: this.describeLibraries(staticReport),
+      vulnerability_assessment: {
+        has_vulnerabilities: staticReport.packed,
+        severity: staticReport.packed ? "Low" : "None",
+        vulnerabilities: staticReport.packed
+          ? ["[STATIC-LOW] High-entropy sections suggest a packed or encrypted payload"]
+          : [],
+        recommendations: [
+          "File analyzed using static analysis only (no sandbox run)",
+          "Enable dynamic analysis for behavioral coverage",
+        ],
+        security_score: staticReport.packed ? 8 : 10,
+      },
+      overall_assessment: `Static analysis completed. ${staticReport.file_type}, ${
+        staticReport.sections.length
+      } sections, ${staticReport.stripped ? "stripped" : "not stripped"}.`,
+      xai_explanation: findings.join(". "),
+      key_findings: findings,
+      primary_purpose: "Not determined (static analysis only)",
+      static_analysis: this.buildStaticSummary(staticReport),
+      _analysis_metadata: {
+        model_used: "Native Static Analyzer",
+        provider: "Local",
+        analysis_mode: "static-only",
+        static_unavailable: false,
+      },
+    };
+  }
+
+  /**
+   * Merge static stage output into the dynamic report
+   * Sandbox verdicts take precedence, static data fills what CAPE does not report
+   */
+  mergeResults(staticReport, dynamicResults) {
+    const results = this.buildDynamicOnlyResults(dynamicResults);
+    const dynamicFile = dynamicResults.report.target?.file || {};
+
+    results.file_metadata = {
+      ...this.buildStaticFileMetadata(staticReport),
+      file_type: dynamicFile.type || staticReport.file_type,
+    };
+    results.detected_algorithms = staticReport.detected_algorithms;
+    results.structural_analysis = this.describeStructure(staticReport);
+    results.library_usage = this.describeLibraries(staticReport);
+    results.key_findings = [
+      ...this.getStaticFindings(staticReport),
+      ...results.key_findings,
+    ];
+    results.static_analysis = this.buildStaticSummary(staticReport);
+    results._analysis_metadata = {
+      ...results._analysis_metadata,
+      model_used: "Native Static Analyzer + CAPEv2 Dynamic Sandbox",
+      analysis_mode: "hybrid",
+      static_unavailable: false,
+    };
+
+    return results;
+  }
+
+  buildStaticFileMetadata(staticReport) {
+    return {
+      file_type: staticReport.file_type,
+      size_bytes: staticReport.size_bytes,
+      md5: staticReport.hashes.md5,
+      sha1: staticReport.hashes.sha1,
+      sha256: staticReport.hashes.sha256,
+      architecture: staticReport.architecture,
+      stripped: staticReport.stripped ?? false,
+    };
+  }
+
+  buildStaticSummary(staticReport) {
+    return {
+      format: staticReport.format,
+      bits: staticReport.bits,
+      endianness: staticReport.endianness,
+      entry_point: staticReport.entry_point,
+      entropy: staticReport.entropy,
+      packed: staticReport.packed,
+      sections: staticReport.sections,
+      libraries: staticReport.libraries,
+      warnings: staticReport.warnings,
+    };
+  }
+
+  describeStructure(staticReport) {
+    if (staticReport.format === "unknown") {
+      return `Unrecognized binary format (${staticReport.size_bytes} bytes, entropy ${staticReport.entropy})`;
+    }
+
+    const sectionList = staticReport.sections
+      .slice(0, 12)
+      .map((section) => `${section.name} (${section.size}B, H=${section.entropy})`)
+      .join(", ");
+
+    return `${staticReport.file_type}; entry point ${staticReport.entry_point || "n/a"}; ${
+      staticReport.sections.length
+    } sections: ${sectionList || "none"}`;
+  }
+
+  describeLibraries(staticReport) {
+    if (staticReport.libraries.length === 0) {
+      return staticReport.format === "unknown"
+        ? "Not analyzed (unrecognized format)"
+        : "No dynamic library imports (statically linked or stripped import table)";
+    }
+    return `Imports: ${staticReport.libraries.join(", ")}`;
+  }
+
+  getStaticFindings(staticReport) {
+    const findings = [
+      `${staticReport.file_type} for ${staticReport.architecture}`,
+    ];
+
+    if (staticReport.stripped) {
+      findings.push("Symbol table stripped");
+    }
+    if (staticReport.packed) {
+      findings.push("High-entropy content suggests packing or embedded encrypted data");
+    }
+    staticReport.detected_algorithms.forEach((algorithm) => {
+      findings.push(
+        `${algorithm.algorithm_name} constants detected (confidence ${algorithm.confidence_score})`
+      );
+    });
+
+    return findings;
+  }
+
   /**
    * Build results structure from dynamic analysis
    */
@@ -91,7 +364,7 @@ class AnalysisService {
         md5: report.target?.file?.md5 || "",
         sha1: report.target?.file?.sha1 || "",
         sha256: report.target?.file?.sha256 || "",
-        architecture: "x86-64",
+        architecture: report.target?.file?.architecture, // Unset unless the sandbox reports it
         stripped: false,
       },
       detected_algorithms: [],
@@ -139,6 +412,105 @@ class AnalysisService {
       },
     };
   }
+
+  /**
+   * Roll member results up into the parent job of an unpacked container
+   * Worst member severity wins; findings are prefixed with the member path.
+   * @param {Object} parent - Container AnalysisJob
+   * @param {Array} members - Completed member AnalysisJobs
+   */
+  buildContainerResults(parent, members) {
+    const algorithms = new Map();
+    const vulnerabilities = [];
+    const keyFindings = [];
+    let severity = "None";
+    let securityScore = 10;
+    let cost = 0;
+
+    for (const member of members) {
+      const results = member.results || {};
+      const assessment = results.vulnerability_assessment || {};
+
+      for (const algorithm of results.detected_algorithms || []) {
+        const existing = algorithms.get(algorithm.algorithm_name);
+        if (!existing || algorithm.confidence_score > existing.confidence_score) {
+          const { _id, ...fields } = algorithm.toObject?.() || algorithm;
+          algorithms.set(algorithm.algorithm_name, {
+            ...fields,
+            locations: [member.archivePath, ...(algorithm.locations || [])],
+          });
+        }
+      }
+
+      if (SEVERITY_ORDER.indexOf(assessment.severity) > SEVERITY_ORDER.indexOf(severity)) {
+        severity = assessment.severity;
+      }
+      securityScore = Math.min(securityScore, assessment.security_score ?? 10);
+      vulnerabilities.push(
+        ...(assessment.vulnerabilities || []).map(
+          (vulnerability) => `${member.archivePath}: ${vulnerability}`
+        )
+      );
+      keyFindings.push(
+        `${member.archivePath}: ${assessment.severity || "None"} severity, ${
+          (results.detected_algorithms || []).length
+        } crypto algorithm(s)`
+      );
+      cost += results._analysis_metadata?.total_pipeline_cost || 0;
+    }
+
+    const container = parent.container || {};
+    const failedMembers = container.failedMembers || 0;
+    const skipped = container.skipped || [];
+
+    return {
+      file_metadata: {
+        file_type: `${container.format} container`,
+        size_bytes: parent.fileSize,
+        md5: parent.fileHashes?.md5 || "",
+        sha1: parent.fileHashes?.sha1 || "",
+        sha256: parent.fileHash,
+      },
+      detected_algorithms: [...algorithms.values()],
+      function_analyses: [],
+      detected_protocols: [],
+      structural_analysis: `${container.format} container with ${
+        container.memberCount || 0
+      } executable member(s), ${container.ignoredFiles || 0} other file(s) and ${
+        skipped.length
+      } skipped entr${skipped.length === 1 ? "y" : "ies"}`,
+      library_usage: "See member jobs",
+      vulnerability_assessment: {
+        has_vulnerabilities: vulnerabilities.length > 0,
+        severity,
+        vulnerabilities,
+        recommendations: [
+          "Results are rolled up from the member jobs - open a member for details",
+          ...(failedMembers > 0 ? [`${failedMembers} member(s) failed analysis`] : []),
+          ...(skipped.length > 0
+            ? [`${skipped.length} entr${skipped.length === 1 ? "y was" : "ies were"} not extracted`]
+            : []),
+        ],
+        security_score: securityScore,
+      },
+      overall_assessment: `Unpacked ${container.format} container: ${
+        members.length
+      } member(s) analyzed, ${failedMembers} failed. Highest severity: ${severity}.`,
+      xai_explanation: keyFindings.join(". "),
+      key_findings:
+        keyFindings.length > 0 ? keyFindings : ["No executable members found"],
+      primary_purpose: "Container (archive or firmware image)",
+      _analysis_metadata: {
+        model_used: "Archive Unpacker",
+        provider: "Local",
+        analysis_mode: "container",
+        cost,
+        total_pipeline_cost: cost,
+        stages_completed: members.length,
+        static_unavailable: false,
+      },
+    };
+  }
 }
 
 export default new AnalysisService();
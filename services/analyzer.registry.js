@@ -0,0 +1,263 @@
+import { queueLogger } from "../utils/logger.js";
+import staticAnalyzer from "./analyzers/static.analyzer.js";
+import mlAnalyzer from "./analyzers/ml.analyzer.js";
+import mockAnalyzer from "./analyzers/mock.analyzer.js";
+import capeAnalyzer from "./analyzers/cape.analyzer.js";
+
+/**
+ * Analyzer Registry
+ * Holds the analyzer backends a job can run through.
+ *
+ * A backend is an object with:
+ *   name, stage, label, provider - identifiers reported in results metadata
+ *   critical                     - failure fails the whole job when true
+ *   isAvailable()                - whether it is configured on this server
+ *   analyze(filePath, filename, context) -> { output, cost }
+ *
+ * Backends run in registration order. `static` backends return a static
+ * report, `dynamic` backends return { taskId, report }, any other stage
+ * returns results in the AnalysisJob `results` shape.
+ */
+class AnalyzerRegistry {
+  constructor() {
+    this.analyzers = new Map();
+    this.defaultBackends = (process.env.ANALYZER_BACKENDS || "static,cape")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Register an analyzer backend
+   * @param {Object} analyzer - Backend implementing the interface above
+   */
+  register(analyzer) {
+    if (!analyzer?.name || typeof analyzer.analyze !== "function") {
+      throw new Error("Analyzer backend must have a name and analyze()");
+    }
+    this.analyzers.set(analyzer.name, analyzer);
+  }
+
+  get(name) {
+    return this.analyzers.get(name);
+  }
+
+  /**
+   * Describe all registered backends (for API responses)
+   */
+  list() {
+    return [...this.analyzers.values()].map((analyzer) => ({
+      name: analyzer.name,
+      stage: analyzer.stage,
+      label: analyzer.label,
+      available: analyzer.isAvailable(),
+      default: this.getDefaultBackends().includes(analyzer.name),
+    }));
+  }
+
+  /**
+   * Default backends (ANALYZER_BACKENDS) that are available on this server
+   */
+  getDefaultBackends() {
+    return this.sortBackends(
+      this.defaultBackends.filter((name) => this.get(name)?.isAvailable())
+    );
+  }
+
+  sortBackends(names) {
+    const order = [...this.analyzers.keys()];
+    return [...new Set(names)].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+  }
+
+  /**
+   * Stored form of a backend selection: unique names in alphabetical order,
+   * so a selection is stored the same whatever order it was given in
+   */
+  normalizeBackends(names) {
+    return [...new Set(names)].sort();
+  }
+
+  /**
+   * AnalysisJob filter matching jobs that ran the same backends (deduplication)
+   * Order doesn't matter. Jobs from before backends could be selected have
+   * none stored - they ran the defaults.
+   * @param {Array} backends - Backend names (validated)
+   * @returns {Object} Filter fields
+   */
+  backendsFilter(backends) {
+    const names = this.normalizeBackends(backends);
+    const sameBackends = { backends: { $size: names.length, $all: names } };
+
+    const defaults = this.normalizeBackends(this.getDefaultBackends());
+    const isDefault =
+      defaults.length === names.length && defaults.every((name, i) => name === names[i]);
+
+    return isDefault
+      ? { $or: [sameBackends, { backends: { $in: [null, []] } }] }
+      : sameBackends;
+  }
+
+  /**
+   * Validate a user-supplied backend selection
+   * @param {String|Array} input - "static,cape", '["static"]' or an array
+   * @returns {Object} { valid, backends } (normalized) or { valid: false, code, message }
+   */
+  resolveBackends(input) {
+    let requested = input;
+
+    if (typeof requested === "string") {
+      const trimmed = requested.trim();
+      if (trimmed.startsWith("[")) {
+        try {
+          requested = JSON.parse(trimmed);
+        } catch (error) {
+          return {
+            valid: false,
+            code: "INVALID_BACKENDS",
+            message: "backends must be a comma-separated list or JSON array",
+          };
+        }
+      } else {
+        requested = trimmed.split(",");
+      }
+    }
+
+    if (requested === undefined || requested === null) {
+      requested = [];
+    }
+
+    if (!Array.isArray(requested)) {
+      return {
+        valid: false,
+        code: "INVALID_BACKENDS",
+        message: "backends must be a comma-separated list or JSON array",
+      };
+    }
+
+    const names = requested
+      .map((name) => String(name).trim().toLowerCase())
+      .filter(Boolean);
+
+    if (names.length === 0) {
+      const backends = this.normalizeBackends(this.getDefaultBackends());
+      return backends.length > 0
+        ? { valid: true, backends }
+        : {
+            valid: false,
+            code: "NO_BACKENDS_AVAILABLE",
+            message: "No analyzer backends are enabled on this server",
+          };
+    }
+
+    const unknown = names.filter((name) => !this.analyzers.has(name));
+    if (unknown.length > 0) {
+      return {
+        valid: false,
+        code: "INVALID_BACKENDS",
+        message: `Unknown analyzer backend(s): ${unknown.join(", ")}. Registered: ${[
+          ...this.analyzers.keys(),
+        ].join(", ")}`,
+      };
+    }
+
+    const unavailable = names.filter((name) => !this.get(name).isAvailable());
+    if (unavailable.length > 0) {
+      return {
+        valid: false,
+        code: "BACKEND_UNAVAILABLE",
+        message: `Analyzer backend(s) not enabled on this server: ${unavailable.join(", ")}`,
+      };
+    }
+
+    return { valid: true, backends: this.normalizeBackends(names) };
+  }
+
+  /**
+   * Run the selected backends against a file, recording each stage
+   * @param {Array} backends - Backend names (validated)
+   * @param {String} filePath - Path to binary file
+   * @param {String} filename - Original filename
+   * @param {Object} context - { forceDeep, jobId }
+   * @returns {Promise<Object>} { outputs: Map(name -> output), stages }
+   */
+  async run(backends, filePath, filename, context = {}) {
+    const outputs = new Map();
+    const stages = [];
+    let lastError = null;
+
+    for (const name of this.sortBackends(backends)) {
+      const analyzer = this.get(name);
+      const stage = {
+        backend: name,
+        stage: analyzer?.stage || "unknown",
+        status: "skipped",
+        cost: 0,
+        duration: 0,
+      };
+      stages.push(stage);
+
+      if (!analyzer || !analyzer.isAvailable()) {
+        // Backend was disabled between enqueue and processing
+        stage.error = `Analyzer backend not enabled: ${name}`;
+        lastError = new Error(stage.error);
+        queueLogger.warn("Skipping unavailable analyzer backend", {
+          backend: name,
+          jobId: context.jobId,
+        });
+        continue;
+      }
+
+      const startTime = Date.now();
+      try {
+        const { output, cost = 0 } = await analyzer.analyze(
+          filePath,
+          filename,
+          context
+        );
+
+        stage.status = "completed";
+        stage.cost = cost;
+        stage.duration = Date.now() - startTime;
+        outputs.set(name, output);
+
+        queueLogger.info("Analyzer stage completed", {
+          backend: name,
+          stage: analyzer.stage,
+          jobId: context.jobId,
+          cost,
+          duration: `${stage.duration}ms`,
+        });
+      } catch (error) {
+        stage.status = "failed";
+        stage.duration = Date.now() - startTime;
+        stage.error = error.message;
+        lastError = error;
+
+        if (analyzer.critical) {
+          throw error;
+        }
+
+        queueLogger.warn("Analyzer stage failed, continuing with other backends", {
+          backend: name,
+          jobId: context.jobId,
+          error: error.message,
+        });
+      }
+    }
+
+    if (outputs.size === 0) {
+      throw lastError || new Error("No analyzer backends are enabled");
+    }
+
+    return { outputs, stages };
+  }
+}
+
+const analyzerRegistry = new AnalyzerRegistry();
+
+analyzerRegistry.register(staticAnalyzer);
+analyzerRegistry.register(mlAnalyzer);
+analyzerRegistry.register(mockAnalyzer);
+analyzerRegistry.register(capeAnalyzer);
+
+export default analyzerRegistry;
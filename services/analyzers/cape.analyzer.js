@@ -0,0 +1,111 @@
+import AnalysisJob from "../../models/analysis.job.model.js";
+import dynamicAnalysisService from "../dynamic.analysis.service.js";
+import { queueLogger } from "../../utils/logger.js";
+
+/**
+ * CAPEv2 Analyzer Backend
+ * Detonates the sample in the CAPE sandbox. Sandbox failures fail the job
+ * (critical) so the worker's non-retryable handling still applies.
+ *
+ * The CAPE task is persisted on the AnalysisJob (`dynamicTask`) as soon as it
+ * is submitted, so a retried job resumes polling instead of resubmitting.
+ */
+class CapeAnalyzer {
+  constructor() {
+    this.name = "cape";
+    this.stage = "dynamic";
+    this.label = "CAPEv2 Dynamic Sandbox";
+    this.provider = "Azure";
+    this.critical = true;
+  }
+
+  isAvailable() {
+    return dynamicAnalysisService.isEnabled();
+  }
+
+  /**
+   * @returns {Promise<Object>} { output: { taskId, report }, cost }
+   */
+  async analyze(filePath, filename, context = {}) {
+    const { jobId } = context;
+    const existingTask = await this.loadDynamicTask(jobId);
+
+    const dynamicResults = await dynamicAnalysisService.analyzeFile(
+      filePath,
+      filename,
+      {
+        platform: "windows",
+        tags: "x64",
+      },
+      {
+        existingTaskId: existingTask?.taskId,
+        onSubmitted: async (taskId) => {
+          await this.saveDynamicTask(jobId, {
+            taskId: String(taskId),
+            status: "pending",
+            submittedAt: new Date(),
+          });
+          await this.stopIfCancelled(jobId, taskId);
+        },
+        onStatus: async (status) => {
+          await this.saveDynamicTask(jobId, {
+            status,
+            lastPolledAt: new Date(),
+          });
+          await this.stopIfCancelled(jobId);
+        },
+      },
+    );
+
+    // Self-hosted sandbox - no per-task provider cost
+    return { output: dynamicResults, cost: 0 };
+  }
+
+  /**
+   * Stop polling a cancelled job. A task submitted after the cancel request
+   * read the job is deleted here, since the request could not see it.
+   */
+  async stopIfCancelled(jobId, submittedTaskId = null) {
+    if (!jobId) return;
+
+    try {
+      await AnalysisJob.assertNotCancelled(jobId);
+    } catch (error) {
+      if (submittedTaskId) {
+        await dynamicAnalysisService.deleteTask(submittedTaskId).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  async loadDynamicTask(jobId) {
+    if (!jobId) return null;
+
+    const analysisJob = await AnalysisJob.findById(jobId).select("dynamicTask");
+    return analysisJob?.dynamicTask?.taskId ? analysisJob.dynamicTask : null;
+  }
+
+  /**
+   * Persist CAPE task fields - failures are logged, never fatal to the analysis
+   */
+  async saveDynamicTask(jobId, fields) {
+    if (!jobId) return;
+
+    const update = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      update[`dynamicTask.${key}`] = value;
+    });
+
+    try {
+      await AnalysisJob.updateOne({ _id: jobId }, { $set: update });
+    } catch (error) {
+      queueLogger.warn("Failed to persist dynamic task state", {
+        jobId,
+        fields: Object.keys(fields),
+        error: error.message,
+      });
+    }
+  }
+}
+
+export default new CapeAnalyzer();
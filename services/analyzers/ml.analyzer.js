@@ -0,0 +1,73 @@
+import axios from "axios";
+import FormData from "form-data";
+import fs from "fs";
+import { queueLogger } from "../../utils/logger.js";
+
+/**
+ * ML Service Analyzer Backend
+ * Sends the sample to the external ML HTTP service (ML_SERVICE_URL), which
+ * responds with results in the AnalysisJob `results` shape.
+ */
+class MlAnalyzer {
+  constructor() {
+    this.name = "ml";
+    this.stage = "ml";
+    this.label = "ML Service";
+    this.provider = "ML Service";
+    this.critical = false;
+    this.enabled = process.env.ML_SERVICE_ENABLED === "true";
+    this.apiUrl = process.env.ML_SERVICE_URL || "";
+    this.timeout =
+      parseInt(process.env.ML_SERVICE_TIMEOUT || "300", 10) * 1000; // Convert to ms
+  }
+
+  isAvailable() {
+    return this.enabled && Boolean(this.apiUrl);
+  }
+
+  /**
+   * @returns {Promise<Object>} { output: results, cost }
+   */
+  async analyze(filePath, filename, context = {}) {
+    const formData = new FormData();
+    formData.append("file", fs.createReadStream(filePath), {
+      filename,
+      contentType: "application/octet-stream",
+    });
+    formData.append("force_deep", String(Boolean(context.forceDeep)));
+
+    try {
+      const response = await axios.post(`${this.apiUrl}/analyze`, formData, {
+        headers: formData.getHeaders(),
+        timeout: this.timeout,
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+      });
+
+      const results = response.data?.results || response.data;
+      if (!results || typeof results !== "object") {
+        throw new Error("Empty response received");
+      }
+
+      return {
+        output: results,
+        cost: Number(results._analysis_metadata?.cost) || 0,
+      };
+    } catch (error) {
+      queueLogger.error("ML service analysis failed", {
+        filename,
+        apiUrl: this.apiUrl,
+        status: error.response?.status,
+        error: error.message,
+      });
+
+      throw new Error(
+        `ML service analysis failed: ${
+          error.response?.data?.detail || error.message
+        }`,
+      );
+    }
+  }
+}
+
+export default new MlAnalyzer();
@@ -0,0 +1,30 @@
+import staticAnalysisService from "../static.analysis.service.js";
+
+/**
+ * Static Analyzer Backend
+ * Native PE/ELF/Mach-O parser and crypto constant scanner.
+ * Never executes the sample and has no external dependencies.
+ */
+class StaticAnalyzer {
+  constructor() {
+    this.name = "static";
+    this.stage = "static";
+    this.label = "Native Static Analyzer";
+    this.provider = "Local";
+    this.critical = false;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * @returns {Promise<Object>} { output: static report, cost }
+   */
+  async analyze(filePath, filename) {
+    const report = await staticAnalysisService.analyzeFile(filePath, filename);
+    return { output: report, cost: 0 };
+  }
+}
+
+export default new StaticAnalyzer();
@@ -0,0 +1,304 @@
+import ApiKey from "../models/api.key.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import logger from "../utils/logger.js";
+
+/**
+ * API Key Budgets
+ * Keys can cap the credits their submissions commit (charges plus active
+ * holds) per UTC day, per UTC month and over their lifetime, and the size of
+ * the files they submit. A job's hold is reserved against its key's budget
+ * in the same conditional update that checks the caps, so concurrent
+ * submissions can't overrun them. Settling or releasing the hold gives the
+ * unused part back to the period it was reserved in.
+ *
+ * Spend is counted on every key, capped or not, from when budgets were
+ * introduced.
+ */
+
+// Caps a key can carry (null = unlimited)
+export const KEY_LIMIT_FIELDS = [
+  "dailyCredits",
+  "monthlyCredits",
+  "lifetimeCredits",
+  "maxFileSizeMB",
+];
+
+// Credit caps and the spend counter each one is checked against
+const CREDIT_CAPS = [
+  { field: "dailyCredits", limit: "daily" },
+  { field: "monthlyCredits", limit: "monthly" },
+  { field: "lifetimeCredits", limit: "lifetime" },
+];
+
+/**
+ * Budget periods of a date (UTC)
+ * @param {Date} date - Date
+ * @returns {Object} { day: "YYYY-MM-DD", month: "YYYY-MM" }
+ */
+export const getBudgetPeriods = (date = new Date()) => {
+  const iso = date.toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+};
+
+/**
+ * When a cap's period starts over
+ * @param {String} limit - daily, monthly or lifetime
+ * @param {Date} now - Current date
+ * @returns {Date|null} Next UTC day/month start (null for lifetime)
+ */
+const getResetsAt = (limit, now = new Date()) => {
+  if (limit === "daily") {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+  }
+  if (limit === "monthly") {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  }
+  return null;
+};
+
+/**
+ * Validate the limits of a create/update request
+ * @param {Object} input - Any of KEY_LIMIT_FIELDS (null removes a cap)
+ * @returns {Object} Validated limits (only the fields given)
+ * @throws {Error} code INVALID_KEY_LIMITS
+ */
+export const parseKeyLimits = (input) => {
+  if (input === undefined) return {};
+
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.code = "INVALID_KEY_LIMITS";
+    return error;
+  };
+
+  if (typeof input !== "object" || input === null || Array.isArray(input)) {
+    throw invalid("limits must be an object");
+  }
+
+  const limits = {};
+  for (const [field, value] of Object.entries(input)) {
+    if (!KEY_LIMIT_FIELDS.includes(field)) {
+      throw invalid(`Unknown limit: ${field}. Use ${KEY_LIMIT_FIELDS.join(", ")}`);
+    }
+    if (value !== null && (typeof value !== "number" || !Number.isFinite(value) || value <= 0)) {
+      throw invalid(`limits.${field} must be a positive number or null`);
+    }
+    limits[field] = value;
+  }
+
+  return limits;
+};
+
+/**
+ * A key's spend in the current periods (0 for periods without spend yet)
+ * @param {Object} apiKey - ApiKey document
+ * @param {Date} now - Current date
+ * @returns {Object} { today, thisMonth, lifetime }
+ */
+export const getCurrentSpend = (apiKey, now = new Date()) => {
+  const { day, month } = getBudgetPeriods(now);
+  const spend = apiKey.spend || {};
+
+  return {
+    today: spend.day === day ? spend.dayCredits || 0 : 0,
+    thisMonth: spend.month === month ? spend.monthCredits || 0 : 0,
+    lifetime: spend.lifetimeCredits || 0,
+  };
+};
+
+/**
+ * The first cap the key can't fit `amount` more credits in
+ * @param {Object} apiKey - ApiKey document
+ * @param {Number} amount - Credits to add (0 = is any cap already reached)
+ * @returns {Object|null} { limit, cap, spent, required, resetsAt }
+ */
+export const findExceededCap = (apiKey, amount = 0) => {
+  const now = new Date();
+  const current = getCurrentSpend(apiKey, now);
+  const spentBy = { daily: current.today, monthly: current.thisMonth, lifetime: current.lifetime };
+
+  for (const { field, limit } of CREDIT_CAPS) {
+    const cap = apiKey.limits?.[field] ?? null;
+    if (cap === null) continue;
+
+    const spent = spentBy[limit];
+    const exceeded = amount > 0 ? spent + amount > cap : spent >= cap;
+    if (exceeded) {
+      return { limit, cap, spent, required: amount, resetsAt: getResetsAt(limit, now) };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Files larger than the key's max file size
+ * @param {Object} apiKey - ApiKey document
+ * @param {Array} files - Uploaded files ({ originalname, size })
+ * @returns {Array} [{ filename, size }]
+ */
+export const findOversizedFiles = (apiKey, files) => {
+  const maxMB = apiKey.limits?.maxFileSizeMB ?? null;
+  if (maxMB === null) return [];
+
+  return files
+    .filter((file) => file.size > maxMB * 1024 * 1024)
+    .map((file) => ({ filename: file.originalname, size: file.size }));
+};
+
+/**
+ * Reserve credits against a key's budget
+ * @param {String} apiKeyId - API key ID
+ * @param {Number} amount - Credits the job holds
+ * @returns {Object|null} `creditHold.keyBudget` for the job (null if the key no longer exists)
+ * @throws {Error} code API_KEY_BUDGET_EXCEEDED (with `details`) if a cap would be exceeded
+ */
+export const reserveKeyBudget = async (apiKeyId, amount) => {
+  const { day, month } = getBudgetPeriods();
+
+  // Spend of the current periods - counters from earlier periods count as 0
+  const daySpend = {
+    $cond: [{ $eq: ["$spend.day", day] }, { $ifNull: ["$spend.dayCredits", 0] }, 0],
+  };
+  const monthSpend = {
+    $cond: [{ $eq: ["$spend.month", month] }, { $ifNull: ["$spend.monthCredits", 0] }, 0],
+  };
+  const lifetimeSpend = { $ifNull: ["$spend.lifetimeCredits", 0] };
+
+  const fits = (field, spent) => {
+    const cap = { $ifNull: [`$limits.${field}`, null] };
+    return { $or: [{ $eq: [cap, null] }, { $lte: [{ $add: [spent, amount] }, cap] }] };
+  };
+
+  const reserved = await ApiKey.findOneAndUpdate(
+    {
+      _id: apiKeyId,
+      $expr: {
+        $and: [
+          fits("dailyCredits", daySpend),
+          fits("monthlyCredits", monthSpend),
+          fits("lifetimeCredits", lifetimeSpend),
+        ],
+      },
+    },
+    [
+      {
+        $set: {
+          "spend.day": day,
+          "spend.dayCredits": { $add: [daySpend, amount] },
+          "spend.month": month,
+          "spend.monthCredits": { $add: [monthSpend, amount] },
+          "spend.lifetimeCredits": { $add: [lifetimeSpend, amount] },
+        },
+      },
+    ],
+    { new: true }
+  ).select("_id");
+
+  if (reserved) {
+    return { apiKeyId: reserved._id, day, month };
+  }
+
+  const apiKey = await ApiKey.findById(apiKeyId).select("name limits spend");
+  if (!apiKey) return null;
+
+  const exceeded = findExceededCap(apiKey, amount) || {
+    limit: "unknown",
+    required: amount,
+  };
+
+  const error = new Error(`API key ${exceeded.limit} credit cap reached`);
+  error.code = "API_KEY_BUDGET_EXCEEDED";
+  error.details = { keyId: apiKey._id.toString(), keyName: apiKey.name, ...exceeded };
+  throw error;
+};
+
+/**
+ * Give credits back to (negative) or take more from a key's budget
+ * The daily/monthly counters are only changed while they still count the
+ * period the credits were reserved in.
+ * @param {Object} keyBudget - Job's `creditHold.keyBudget`
+ * @param {Number} delta - Credits to add (negative to return)
+ * @param {Object} session - Optional MongoDB session
+ */
+export const adjustKeyBudget = async (keyBudget, delta, session = null) => {
+  if (!keyBudget?.apiKeyId || delta === 0) return;
+
+  const adjusted = (counter) => ({ $max: [0, { $add: [{ $ifNull: [counter, 0] }, delta] }] });
+  const inPeriod = (periodField, period, counter) => ({
+    $cond: [{ $eq: [periodField, period] }, adjusted(counter), counter],
+  });
+
+  try {
+    await ApiKey.updateOne(
+      { _id: keyBudget.apiKeyId },
+      [
+        {
+          $set: {
+            "spend.dayCredits": inPeriod("$spend.day", keyBudget.day, "$spend.dayCredits"),
+            "spend.monthCredits": inPeriod(
+              "$spend.month",
+              keyBudget.month,
+              "$spend.monthCredits"
+            ),
+            "spend.lifetimeCredits": adjusted("$spend.lifetimeCredits"),
+          },
+        },
+      ],
+      { session }
+    );
+  } catch (error) {
+    // Inside a transaction the failure aborts it - let the caller retry
+    if (session) throw error;
+
+    // Otherwise budgets never block releasing credits
+    logger.error("Failed to adjust API key budget", {
+      apiKeyId: keyBudget.apiKeyId.toString(),
+      delta,
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Spend of each key: current periods, credits still held and what is left
+ * under each cap
+ * @param {Array} apiKeys - ApiKey documents
+ * @returns {Promise<Map>} keyId -> { today, thisMonth, lifetime, held, remaining }
+ */
+export const getKeysSpend = async (apiKeys) => {
+  const heldRows = apiKeys.length
+    ? await AnalysisJob.aggregate([
+        {
+          $match: {
+            apiKeyId: { $in: apiKeys.map((key) => key._id) },
+            "creditHold.status": "held",
+          },
+        },
+        { $group: { _id: "$apiKeyId", held: { $sum: "$creditHold.amount" } } },
+      ])
+    : [];
+  const heldByKey = new Map(heldRows.map((row) => [row._id.toString(), row.held]));
+
+  const now = new Date();
+  return new Map(
+    apiKeys.map((apiKey) => {
+      const current = getCurrentSpend(apiKey, now);
+      const left = (field, spent) =>
+        apiKey.limits?.[field] != null ? Math.max(0, apiKey.limits[field] - spent) : null;
+
+      return [
+        apiKey._id.toString(),
+        {
+          ...current,
+          held: heldByKey.get(apiKey._id.toString()) || 0,
+          remaining: {
+            daily: left("dailyCredits", current.today),
+            monthly: left("monthlyCredits", current.thisMonth),
+            lifetime: left("lifetimeCredits", current.lifetime),
+          },
+        },
+      ];
+    })
+  );
+};
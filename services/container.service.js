@@ -0,0 +1,125 @@
+import AnalysisJob from "../models/analysis.job.model.js";
+import analysisService from "./analysis.service.js";
+import jobEvents from "./job.events.service.js";
+import { queueLogger } from "../utils/logger.js";
+
+const PENDING_STATUSES = ["queued", "processing"];
+
+/**
+ * Container Service
+ * Tracks jobs whose sample was unpacked into member jobs (see
+ * unpack.service.js) and rolls member results up into the parent.
+ */
+class ContainerService {
+  /**
+   * Update a container job from its members, finishing it once none are pending
+   * Called whenever a member completes, fails or is cancelled; the status
+   * guard makes the final update happen exactly once when members finish
+   * concurrently. Never throws - the next member to finish (or
+   * reconciliation) retries.
+   * @param {String} parentJobId - Container AnalysisJob ID
+   */
+  async rollup(parentJobId) {
+    try {
+      const parent = await AnalysisJob.findById(parentJobId);
+      if (!parent?.container?.unpackedAt || parent.status !== "processing") {
+        return;
+      }
+
+      const members = await AnalysisJob.find({ parentJobId: parent._id });
+      const completed = members.filter((member) => member.status === "completed");
+      const failedCount = members.filter((member) => member.status === "failed").length;
+      const pendingCount = members.filter((member) =>
+        PENDING_STATUSES.includes(member.status),
+      ).length;
+      const finishedCount = members.length - pendingCount;
+
+      const containerUpdate = {
+        "container.completedMembers": completed.length,
+        "container.failedMembers": failedCount,
+        "container.members": members.map((member) => ({
+          jobId: member._id,
+          archivePath: member.archivePath,
+          fileHash: member.fileHash,
+          status: member.status,
+          severity: member.results?.vulnerability_assessment?.severity,
+        })),
+      };
+      const userId = parent.userId.toString();
+
+      if (pendingCount > 0) {
+        const progress = 50 + Math.round((finishedCount / members.length) * 45);
+        await AnalysisJob.updateOne(
+          { _id: parent._id, status: "processing" },
+          { $set: { ...containerUpdate, progress } },
+        );
+        jobEvents.emit(userId, parentJobId, "job:progress", {
+          progress,
+          completedMembers: completed.length,
+          failedMembers: failedCount,
+          memberCount: members.length,
+        });
+        return;
+      }
+
+      parent.container.completedMembers = completed.length;
+      parent.container.failedMembers = failedCount;
+      const results = analysisService.buildContainerResults(parent, completed);
+      const allFailed = members.length > 0 && completed.length === 0;
+      const completedAt = new Date();
+      // Members are charged individually - the parent just reports the total
+      const creditsDeducted = members.reduce(
+        (total, member) => total + (member.creditsDeducted || 0),
+        0,
+      );
+      const failureMessage = "No archive member completed analysis";
+
+      const finished = await AnalysisJob.findOneAndUpdate(
+        { _id: parent._id, status: "processing" },
+        {
+          $set: {
+            ...containerUpdate,
+            status: allFailed ? "failed" : "completed",
+            progress: 100,
+            results,
+            creditsDeducted,
+            completedAt,
+            processingTimeSeconds: Math.round((completedAt - parent.startedAt) / 1000),
+            ...(allFailed && { error: { message: failureMessage } }),
+          },
+        },
+        { new: true },
+      );
+      if (!finished) return; // Another member completed the rollup first
+
+      if (allFailed) {
+        jobEvents.emit(userId, parentJobId, "job:failed", {
+          status: "failed",
+          error: { message: failureMessage },
+        });
+      } else {
+        jobEvents.emit(userId, parentJobId, "job:completed", {
+          status: "completed",
+          results,
+          creditsCharged: creditsDeducted,
+        });
+      }
+
+      queueLogger.info("Container job rolled up", {
+        jobId: parentJobId.toString(),
+        status: finished.status,
+        members: members.length,
+        failedMembers: failedCount,
+        severity: results.vulnerability_assessment.severity,
+        creditsCharged: creditsDeducted,
+      });
+    } catch (error) {
+      queueLogger.error("Container rollup failed", {
+        parentJobId: parentJobId.toString(),
+        error: error.message,
+      });
+    }
+  }
+}
+
+export default new ContainerService();
@@ -0,0 +1,619 @@
+import Coupon from "../models/coupon.model.js";
+import CouponRedemption from "../models/coupon.redemption.model.js";
+import { addBonusCreditsFromPayment } from "./credit.service.js";
+import logger from "../utils/logger.js";
+
+// Fields admins can set (code only when creating)
+const COUPON_FIELDS = [
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "currency",
+  "bonusCredits",
+  "planIds",
+  "maxRedemptions",
+  "maxRedemptionsPerUser",
+  "startsAt",
+  "expiresAt",
+  "isActive",
+];
+
+const DISCOUNT_TYPES = ["none", "percentage", "flat"];
+
+// Razorpay's smallest order (₹1) - discounts never go below it
+const MIN_ORDER_AMOUNT = 100;
+
+// Minutes an unpaid order holds on to its coupon use
+const RESERVATION_MINUTES = parseInt(process.env.COUPON_RESERVATION_MINUTES, 10) || 30;
+
+// HTTP status of each coupon error code
+export const COUPON_ERROR_STATUS = {
+  INVALID_COUPON: 400,
+  COUPON_NOT_VALID: 400,
+  COUPON_NOT_APPLICABLE: 400,
+  COUPON_LIMIT_REACHED: 400,
+  COUPON_NOT_FOUND: 404,
+  COUPON_EXISTS: 409,
+};
+
+const couponError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Coupon Service
+ * Promo codes for credit plan orders. Creating an order reserves a use of the
+ * code, so usage limits hold while customers are in Checkout; the use is
+ * redeemed when the payment succeeds (adding any bonus credits) and released
+ * when it fails or the order stays unpaid for COUPON_RESERVATION_MINUTES.
+ */
+class CouponService {
+  /**
+   * Whether a coupon can be used now
+   * @param {Object} coupon - Coupon document
+   * @param {Date} now - Current date
+   * @returns {Boolean}
+   */
+  isRedeemable(coupon, now = new Date()) {
+    if (!coupon.isActive) return false;
+    if (coupon.startsAt && coupon.startsAt > now) return false;
+    return !(coupon.expiresAt && coupon.expiresAt <= now);
+  }
+
+  /**
+   * Price of a plan with a coupon
+   * @param {Object} coupon - Coupon document
+   * @param {Object} plan - Plan document
+   * @returns {Object} { originalAmount, discountAmount, amount, bonusCredits }
+   */
+  quote(coupon, plan) {
+    let discount = 0;
+    if (coupon.discountType === "percentage") {
+      discount = Math.floor((plan.amount * coupon.discountValue) / 100);
+      if (coupon.maxDiscount !== null) discount = Math.min(discount, coupon.maxDiscount);
+    } else if (coupon.discountType === "flat") {
+      discount = coupon.discountValue;
+    }
+    discount = Math.max(0, Math.min(discount, plan.amount - MIN_ORDER_AMOUNT));
+
+    return {
+      originalAmount: plan.amount,
+      discountAmount: discount,
+      amount: plan.amount - discount,
+      bonusCredits: coupon.bonusCredits,
+    };
+  }
+
+  /**
+   * Reserve a use of a coupon for a new order
+   * @param {Object} params - { code, userId, plan, paymentId } - paymentId of
+   *   the Payment about to be created
+   * @returns {Promise<Object>} { coupon, redemption } - redemption carries the amounts
+   * @throws {Error} code COUPON_NOT_VALID, COUPON_NOT_APPLICABLE or COUPON_LIMIT_REACHED
+   */
+  async reserve({ code, userId, plan, paymentId }) {
+    const coupon =
+      typeof code === "string" && code.trim()
+        ? await Coupon.findOne({ code: code.trim().toUpperCase() })
+        : null;
+    if (!coupon || !this.isRedeemable(coupon)) {
+      throw couponError("COUPON_NOT_VALID", "Invalid or expired promo code");
+    }
+    if (coupon.planIds.length > 0 && !coupon.planIds.includes(plan.planId)) {
+      throw couponError("COUPON_NOT_APPLICABLE", "This promo code doesn't apply to this plan");
+    }
+    if (coupon.discountType === "flat" && coupon.currency !== plan.currency) {
+      throw couponError(
+        "COUPON_NOT_APPLICABLE",
+        `This promo code only applies to ${coupon.currency} plans`
+      );
+    }
+
+    await this.releaseStaleReservations(coupon._id);
+
+    const claimed = await this.claimUse(coupon._id);
+    if (!claimed) {
+      throw couponError("COUPON_LIMIT_REACHED", "This promo code has been fully redeemed");
+    }
+
+    try {
+      const redemption = await this.createRedemption(coupon, {
+        userId,
+        paymentId,
+        planId: plan.planId,
+        currency: plan.currency,
+        ...this.quote(coupon, plan),
+      });
+
+      logger.info("Coupon reserved", {
+        code: coupon.code,
+        userId: userId.toString(),
+        paymentId: paymentId.toString(),
+        discount: redemption.discountAmount,
+        bonusCredits: redemption.bonusCredits,
+      });
+
+      return { coupon: claimed, redemption };
+    } catch (error) {
+      // Give the claimed use back
+      await Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a use of a coupon - fails once the global limit is reached
+   * @param {String} couponId - Coupon ID
+   * @returns {Promise<Object|null>} Coupon with the use counted, null at the limit
+   */
+  async claimUse(couponId) {
+    return Coupon.findOneAndUpdate(
+      {
+        _id: couponId,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } },
+        ],
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Record a reserved use in a free slot of the user's per-user limit
+   * Slots are unique per coupon and user, so concurrent orders can't take
+   * more than maxRedemptionsPerUser of them.
+   * @param {Object} coupon - Coupon document
+   * @param {Object} fields - Redemption fields
+   * @returns {Promise<Object>} Redemption document
+   * @throws {Error} code COUPON_LIMIT_REACHED when every slot is taken
+   */
+  async createRedemption(coupon, fields) {
+    const redemption = { couponId: coupon._id, code: coupon.code, ...fields };
+    if (coupon.maxRedemptionsPerUser === null) {
+      return CouponRedemption.create(redemption);
+    }
+
+    for (let slot = 1; slot <= coupon.maxRedemptionsPerUser; slot++) {
+      try {
+        return await CouponRedemption.create({ ...redemption, slot });
+      } catch (error) {
+        if (error.code !== 11000 || !error.keyPattern?.slot) throw error;
+      }
+    }
+
+    throw couponError("COUPON_LIMIT_REACHED", "You have already used this promo code");
+  }
+
+  /**
+   * Move an existing redemption into a free slot of the user's per-user limit
+   * @param {Object} coupon - Coupon document
+   * @param {Object} redemption - Redemption without a slot
+   * @returns {Promise<Boolean>} Whether a slot was free (always, without a per-user limit)
+   */
+  async claimSlot(coupon, redemption) {
+    if (coupon.maxRedemptionsPerUser === null) return true;
+
+    for (let slot = 1; slot <= coupon.maxRedemptionsPerUser; slot++) {
+      try {
+        await CouponRedemption.updateOne({ _id: redemption._id }, { $set: { slot } });
+        return true;
+      } catch (error) {
+        if (error.code !== 11000 || !error.keyPattern?.slot) throw error;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Count a released use again now that its order was paid anyway
+   * It claims a per-user slot and the global count like a reservation. When
+   * the coupon has no room left the customer still got the discount, so the
+   * use is kept out of the count and recorded as overLimit instead.
+   * @param {Object} redemption - Redemption as it was (released)
+   * @returns {Promise<Boolean>} Whether the use fit within the limits
+   */
+  async reclaimUse(redemption) {
+    const coupon = await Coupon.findById(redemption.couponId);
+    let counted = false;
+
+    if (coupon && (await this.claimSlot(coupon, redemption))) {
+      counted = Boolean(await this.claimUse(coupon._id));
+      if (!counted) {
+        await CouponRedemption.updateOne({ _id: redemption._id }, { $unset: { slot: "" } });
+      }
+    }
+    if (counted) return true;
+
+    await CouponRedemption.updateOne({ _id: redemption._id }, { $set: { overLimit: true } });
+    logger.warn("Coupon redeemed over its limit", {
+      code: redemption.code,
+      userId: redemption.userId.toString(),
+      paymentId: redemption.paymentId.toString(),
+    });
+    return false;
+  }
+
+  /**
+   * Redeem the coupon of a successful payment and add its bonus credits
+   * Safe to call more than once - only the first call redeems. The bonus
+   * stays pending until its credit transaction is recorded, so a bonus that
+   * failed is added by a later call (never twice - it is keyed on the payment).
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Object|null>} Redemption, null if the payment has no coupon
+   */
+  async redeem(payment) {
+    if (!payment.coupon?.redemptionId) return null;
+
+    // Returns the redemption as it was
+    const previous = await CouponRedemption.findOneAndUpdate(
+      { _id: payment.coupon.redemptionId, status: { $ne: "redeemed" } },
+      { $set: { status: "redeemed", redeemedAt: new Date() } }
+    );
+
+    if (previous) {
+      // Released while Checkout was open - the customer paid, so the use counts
+      if (previous.status === "released") await this.reclaimUse(previous);
+
+      logger.info("Coupon redeemed", {
+        code: previous.code,
+        paymentId: payment._id.toString(),
+        bonusCredits: previous.bonusCredits,
+      });
+    }
+
+    const redemption =
+      previous || (await CouponRedemption.findById(payment.coupon.redemptionId));
+    if (!redemption) return null;
+    redemption.status = "redeemed";
+
+    if (redemption.bonusCredits > 0 && !redemption.bonusTransactionId) {
+      const { transaction } = await addBonusCreditsFromPayment(
+        payment.userId,
+        redemption.bonusCredits,
+        payment._id,
+        `Promo code ${redemption.code} bonus - ${payment.planName}`
+      );
+
+      // Still unset if another call is adding it right now - recorded next time
+      if (transaction) {
+        redemption.bonusTransactionId = transaction._id;
+        await CouponRedemption.updateOne(
+          { _id: redemption._id },
+          { $set: { bonusTransactionId: transaction._id } }
+        );
+      }
+    }
+
+    return redemption;
+  }
+
+  /**
+   * Give back the coupon use of a payment that won't be completed
+   * @param {Object} payment - Payment document
+   * @param {String} reason - Why it was released
+   */
+  async release(payment, reason) {
+    if (!payment.coupon?.redemptionId) return;
+    await this.releaseRedemption(payment.coupon.redemptionId, reason);
+  }
+
+  /**
+   * Release a reserved redemption
+   * @param {String} redemptionId - Redemption ID
+   * @param {String} reason - Why it was released
+   * @returns {Promise<Boolean>} Whether it was still reserved
+   */
+  async releaseRedemption(redemptionId, reason) {
+    const previous = await CouponRedemption.findOneAndUpdate(
+      { _id: redemptionId, status: "reserved" },
+      {
+        $set: { status: "released", releasedAt: new Date(), releaseReason: reason },
+        $unset: { slot: "" }, // Frees the user's slot
+      }
+    );
+    if (!previous) return false;
+
+    await Coupon.updateOne({ _id: previous.couponId }, { $inc: { redemptionCount: -1 } });
+    return true;
+  }
+
+  /**
+   * Release a coupon's reservations whose orders were left unpaid
+   * @param {String} couponId - Coupon ID
+   */
+  async releaseStaleReservations(couponId) {
+    const stale = await CouponRedemption.find({
+      couponId,
+      status: "reserved",
+      createdAt: { $lt: new Date(Date.now() - RESERVATION_MINUTES * 60 * 1000) },
+    }).select("_id");
+
+    for (const { _id } of stale) {
+      await this.releaseRedemption(_id, "Order not paid");
+    }
+  }
+
+  /**
+   * Bonus credits a payment's coupon added
+   * @param {Object} payment - Payment document
+   * @returns {Promise<Number>}
+   */
+  async getGrantedBonus(payment) {
+    if (!payment.coupon?.redemptionId) return 0;
+
+    const redemption = await CouponRedemption.findById(payment.coupon.redemptionId).select(
+      "bonusCredits bonusTransactionId"
+    );
+    return redemption?.bonusTransactionId ? redemption.bonusCredits : 0;
+  }
+
+  /**
+   * Validate coupon fields
+   * @param {Object} input - Coupon fields
+   * @param {Object} options - { partial } - updates only validate the fields given
+   * @returns {Object} Fields to write
+   * @throws {Error} code INVALID_COUPON
+   */
+  validate(input, { partial = false } = {}) {
+    const invalid = (message) => couponError("INVALID_COUPON", message);
+    const has = (field) => input[field] !== undefined;
+    const fields = {};
+
+    for (const field of Object.keys(input)) {
+      if (!COUPON_FIELDS.includes(field) && !(field === "code" && !partial)) {
+        throw invalid(`Unknown coupon field: ${field}`);
+      }
+    }
+
+    if (!partial) {
+      if (typeof input.code !== "string" || !/^[a-z0-9][a-z0-9_-]{2,31}$/i.test(input.code)) {
+        throw invalid("code must be 3-32 letters, digits, dashes or underscores");
+      }
+      fields.code = input.code.toUpperCase();
+    }
+
+    if (has("description")) {
+      if (input.description !== null && typeof input.description !== "string") {
+        throw invalid("description must be a string");
+      }
+      fields.description = input.description;
+    }
+    if (has("discountType")) {
+      if (!DISCOUNT_TYPES.includes(input.discountType)) {
+        throw invalid(`discountType must be one of: ${DISCOUNT_TYPES.join(", ")}`);
+      }
+      fields.discountType = input.discountType;
+    }
+    for (const field of ["discountValue", "bonusCredits"]) {
+      if (has(field)) {
+        if (!Number.isInteger(input[field]) || input[field] < 0) {
+          throw invalid(`${field} must be a non-negative integer`);
+        }
+        fields[field] = input[field];
+      }
+    }
+    for (const field of ["maxDiscount", "maxRedemptions", "maxRedemptionsPerUser"]) {
+      if (has(field)) {
+        if (input[field] !== null && !isPositiveInteger(input[field])) {
+          throw invalid(`${field} must be a positive integer or null`);
+        }
+        fields[field] = input[field];
+      }
+    }
+    if (has("currency")) {
+      if (typeof input.currency !== "string" || !/^[A-Z]{3}$/i.test(input.currency)) {
+        throw invalid("currency must be a 3-letter ISO code");
+      }
+      fields.currency = input.currency.toUpperCase();
+    }
+    if (has("planIds")) {
+      if (
+        !Array.isArray(input.planIds) ||
+        input.planIds.some((planId) => typeof planId !== "string" || !planId.trim())
+      ) {
+        throw invalid("planIds must be a list of plan IDs");
+      }
+      fields.planIds = [...new Set(input.planIds.map((planId) => planId.trim().toLowerCase()))];
+    }
+    if (has("isActive")) {
+      if (typeof input.isActive !== "boolean") throw invalid("isActive must be a boolean");
+      fields.isActive = input.isActive;
+    }
+    for (const field of ["startsAt", "expiresAt"]) {
+      if (has(field)) {
+        const date = input[field] === null ? null : new Date(input[field]);
+        if (date && isNaN(date)) throw invalid(`${field} must be a date or null`);
+        fields[field] = date;
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Check that a coupon's terms make sense together
+   * @param {Object} terms - Coupon fields as they will be saved
+   * @throws {Error} code INVALID_COUPON
+   */
+  checkTerms(terms) {
+    const invalid = (message) => couponError("INVALID_COUPON", message);
+    const { discountType = "none", discountValue = 0, bonusCredits = 0 } = terms;
+
+    if (discountType === "percentage" && (discountValue < 1 || discountValue > 100)) {
+      throw invalid("A percentage discount must be 1-100");
+    }
+    if (discountType === "flat" && discountValue < 1) {
+      throw invalid("A flat discount must be at least 1");
+    }
+    if (discountType === "none" && bonusCredits < 1) {
+      throw invalid("A coupon needs a discount or bonus credits");
+    }
+    if (terms.startsAt && terms.expiresAt && terms.expiresAt <= terms.startsAt) {
+      throw invalid("expiresAt must be after startsAt");
+    }
+  }
+
+  /**
+   * All coupons (admin), newest first
+   * @param {Object} options - { includeInactive }
+   * @returns {Promise<Array>} Coupon documents
+   */
+  async listCoupons({ includeInactive = false } = {}) {
+    return Coupon.find(includeInactive ? {} : { isActive: true }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * A coupon by its code
+   * @param {String} code - Coupon code
+   * @returns {Promise<Object>} Coupon document
+   * @throws {Error} code COUPON_NOT_FOUND
+   */
+  async getCoupon(code) {
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    if (!coupon) {
+      throw couponError("COUPON_NOT_FOUND", "Coupon not found");
+    }
+    return coupon;
+  }
+
+  /**
+   * Uses of a coupon by status, with the discounts and bonus credits redeemed
+   * @param {Object} coupon - Coupon document
+   * @returns {Promise<Object>} { reserved, redeemed, released, discountAmount, bonusCredits }
+   */
+  async getUsage(coupon) {
+    const rows = await CouponRedemption.aggregate([
+      { $match: { couponId: coupon._id } },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          discountAmount: { $sum: "$discountAmount" },
+          bonusCredits: { $sum: "$bonusCredits" },
+        },
+      },
+    ]);
+
+    const usage = { reserved: 0, redeemed: 0, released: 0, discountAmount: 0, bonusCredits: 0 };
+    for (const row of rows) {
+      usage[row._id] = row.count;
+      if (row._id === "redeemed") {
+        usage.discountAmount = row.discountAmount;
+        usage.bonusCredits = row.bonusCredits;
+      }
+    }
+    return usage;
+  }
+
+  /**
+   * A page of a coupon's redemptions, newest first
+   * @param {Object} coupon - Coupon document
+   * @param {Object} options - { page, limit, status }
+   * @returns {Promise<Object>} { redemptions, pagination }
+   */
+  async listRedemptions(coupon, { page = 1, limit = 20, status = null } = {}) {
+    const filter = { couponId: coupon._id, ...(status && { status }) };
+    const skip = (page - 1) * limit;
+
+    const [redemptions, total] = await Promise.all([
+      CouponRedemption.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("userId", "username email"),
+      CouponRedemption.countDocuments(filter),
+    ]);
+
+    return {
+      redemptions,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Create a coupon
+   * @param {Object} input - Coupon fields with code
+   * @param {String} createdBy - Admin email
+   * @returns {Promise<Object>} Coupon document
+   * @throws {Error} code INVALID_COUPON or COUPON_EXISTS
+   */
+  async createCoupon(input = {}, createdBy = null) {
+    const fields = this.validate(input);
+    this.checkTerms(fields);
+
+    try {
+      const coupon = await Coupon.create({ ...fields, createdBy, updatedBy: createdBy });
+      logger.info("Coupon created", { code: coupon.code, createdBy });
+      return coupon;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw couponError("COUPON_EXISTS", `A coupon with code ${fields.code} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change a coupon - orders already placed keep their price
+   * @param {String} code - Coupon code
+   * @param {Object} input - Fields to change
+   * @param {String} updatedBy - Admin email
+   * @returns {Promise<Object>} Coupon document
+   * @throws {Error} code INVALID_COUPON or COUPON_NOT_FOUND
+   */
+  async updateCoupon(code, input = {}, updatedBy = null) {
+    const fields = this.validate(input, { partial: true });
+    const coupon = await this.getCoupon(code);
+
+    this.checkTerms({ ...coupon.toObject(), ...fields });
+
+    const updated = await Coupon.findOneAndUpdate(
+      { _id: coupon._id },
+      { $set: { ...fields, updatedBy } },
+      { new: true }
+    );
+
+    logger.info("Coupon updated", {
+      code: updated.code,
+      fields: Object.keys(fields),
+      updatedBy,
+    });
+
+    return updated;
+  }
+
+  /**
+   * Deactivate a coupon - its redemptions are kept
+   * @param {String} code - Coupon code
+   * @param {String} updatedBy - Admin email
+   * @returns {Promise<Object>} Coupon document
+   * @throws {Error} code COUPON_NOT_FOUND
+   */
+  async deactivateCoupon(code, updatedBy = null) {
+    const coupon = await this.getCoupon(code);
+
+    const updated = await Coupon.findOneAndUpdate(
+      { _id: coupon._id },
+      { $set: { isActive: false, updatedBy } },
+      { new: true }
+    );
+
+    logger.info("Coupon deactivated", { code: updated.code, updatedBy });
+
+    return updated;
+  }
+}
+
+export default new CouponService();
@@ -1,86 +1,310 @@
 /**
  * Dynamic Credit Calculator
- * Calculates credits based on file size and processing time
+ * Calculates credits from a pricing configuration: file size, processing
+ * time, analyzer backends, result complexity and the user's tier.
+ * Active pricing is managed in MongoDB (see services/pricing.service.js).
  */
 
 /**
- * Calculate credits based on size and time (Phase 1)
+ * Built-in pricing (version 0)
+ * Applies until an admin activates a stored pricing version. Bands are
+ * ordered; a value falls in the first band it is below the max of, and the
+ * last band (max null) is unbounded.
+ */
+export const DEFAULT_PRICING = {
+  version: 0,
+  sizeBands: [
+    { name: "tiny", maxMB: 0.5, credits: 2 }, // < 500 KB
+    { name: "small", maxMB: 5, credits: 5 }, // 500 KB - 5 MB
+    { name: "medium", maxMB: 20, credits: 10 }, // 5 MB - 20 MB
+    { name: "large", maxMB: 50, credits: 20 }, // 20 MB - 50 MB
+    { name: "huge", maxMB: null, credits: 35 }, // 50 MB - 80 MB
+  ],
+  timeBands: [
+    { name: "quick", maxSeconds: 10, credits: 0 }, // < 10s: Free (fast)
+    { name: "normal", maxSeconds: 30, credits: 3 },
+    { name: "slow", maxSeconds: 60, credits: 7 },
+    { name: "heavy", maxSeconds: 120, credits: 15 },
+    { name: "extreme", maxSeconds: null, credits: 25 }, // > 120s (max)
+  ],
+  backendSurcharges: {}, // Per completed backend, e.g. { cape: 5 }
+  complexity: {
+    perSignature: 0, // Per CAPE signature matched
+    perPayload: 0, // Per extracted payload/config
+    maxCredits: 0, // Cap on complexity credits
+  },
+  tierMultipliers: {}, // e.g. { tier1: 0.8 } - tiers not listed pay 1x
+};
+
+// Percentiles of past processing times reported as the estimate's min/max
+const ESTIMATE_LOW_PERCENTILE = 0.1;
+const ESTIMATE_HIGH_PERCENTILE = 0.9;
+
+/**
+ * Calculate the credits a completed job is charged
  * @param {Number} fileSize - File size in bytes
  * @param {Number} processingTime - Processing time in seconds
+ * @param {Object} options - { pricing, backends, results, tier }
+ *   backends: analyzer backends that ran; results: analysis results, for
+ *   complexity credits; tier: the job's user tier
  * @returns {Object} Credit calculation result
  */
-export function calculateDynamicCredits(fileSize, processingTime) {
-  // 1. Base credits from file size
-  const baseCredits = getBaseCreditsBySize(fileSize);
-
-  // 2. Time-based credits
-  const timeCredits = getTimePenalty(processingTime);
+export function calculateDynamicCredits(
+  fileSize,
+  processingTime,
+  { pricing = DEFAULT_PRICING, backends = [], results = null, tier } = {}
+) {
+  const baseCredits = getSizeBand(fileSize, pricing).credits;
+  const timeCredits = getTimeBand(processingTime, pricing).credits;
+  const backendCredits = getBackendCredits(backends, pricing);
+  const complexity = getComplexityCredits(results, pricing);
+  const tierMultiplier = getTierMultiplier(tier, pricing);
 
-  // 3. Total (no complexity for now - Phase 2)
-  const total = baseCredits + timeCredits;
+  const total =
+    (baseCredits + timeCredits + backendCredits + complexity.credits) * tierMultiplier;
 
   return {
     total: Math.ceil(total),
     breakdown: {
       baseCredits,
       timeCredits,
-      complexityCredits: 0, // Reserved for Phase 2
+      backendCredits,
+      complexityCredits: complexity.credits,
+      signatures: complexity.signatures,
+      payloads: complexity.payloads,
+      tierMultiplier,
+      pricingVersion: pricing.version,
+    },
+  };
+}
+
+/**
+ * Credits held when a job is queued (settled to calculateDynamicCredits())
+ * The most the job can cost under the same pricing: size base credits, the
+ * highest time band, the selected backends and capped complexity credits,
+ * so the settled charge never exceeds the hold.
+ * @param {Number} fileSize - File size in bytes
+ * @param {Object} options - { pricing, backends, tier }
+ * @returns {Object} { total, breakdown }
+ */
+export function calculateCreditHold(
+  fileSize,
+  { pricing = DEFAULT_PRICING, backends = [], tier } = {}
+) {
+  const baseCredits = getSizeBand(fileSize, pricing).credits;
+  const timeCredits = getMaxTimeCredits(pricing);
+  const backendCredits = getBackendCredits(backends, pricing);
+  const complexityCredits = pricing.complexity?.maxCredits || 0;
+  const tierMultiplier = getTierMultiplier(tier, pricing);
+
+  return {
+    total: Math.ceil(
+      (baseCredits + timeCredits + backendCredits + complexityCredits) * tierMultiplier
+    ),
+    breakdown: {
+      baseCredits,
+      timeCredits,
+      backendCredits,
+      complexityCredits,
+      tierMultiplier,
+      pricingVersion: pricing.version,
     },
   };
 }
 
 /**
- * Get base credits by file size (in bytes)
- * Higher baseline for sustainable pricing
+ * Estimate what a job will be charged before it runs
+ * Time credits follow the time bands of past jobs: `min`/`max` are the 10th and
+ * 90th percentiles, `expected` the average. Without history, `expected` and
+ * `max` are the hold. Complexity credits depend on the results, so only the
+ * hold includes them (at their cap). The charge never exceeds `hold`, which
+ * is reserved at submission.
+ * @param {Number} fileSize - File size in bytes
+ * @param {Object} timeTierShares - Share of past jobs per time band
+ *   (e.g. { quick: 0.7, normal: 0.3 }), empty if there is no history
+ * @param {Object} options - { pricing, backends, tier }
+ * @returns {Object} { min, expected, max, hold, breakdown }
+ */
+export function estimateCredits(
+  fileSize,
+  timeTierShares = {},
+  { pricing = DEFAULT_PRICING, backends = [], tier } = {}
+) {
+  const baseCredits = getSizeBand(fileSize, pricing).credits;
+  const backendCredits = getBackendCredits(backends, pricing);
+  const tierMultiplier = getTierMultiplier(tier, pricing);
+  const maxTimeCredits = getMaxTimeCredits(pricing);
+  const hold = calculateCreditHold(fileSize, { pricing, backends, tier }).total;
+
+  const charge = (timeCredits) =>
+    Math.ceil((baseCredits + timeCredits + backendCredits) * tierMultiplier);
+
+  // Time bands ordered from fastest to slowest
+  const bands = pricing.timeBands.filter((band) => timeTierShares[band.name] > 0);
+
+  const breakdown = {
+    baseCredits,
+    backendCredits,
+    tierMultiplier,
+    pricingVersion: pricing.version,
+  };
+
+  if (bands.length === 0) {
+    return {
+      min: charge(0),
+      expected: hold,
+      max: hold,
+      hold,
+      breakdown: {
+        ...breakdown,
+        timeCredits: { min: 0, expected: maxTimeCredits, max: maxTimeCredits },
+      },
+    };
+  }
+
+  const percentileCredits = (percentile) => {
+    let cumulative = 0;
+    for (const band of bands) {
+      cumulative += timeTierShares[band.name];
+      if (cumulative >= percentile) return band.credits;
+    }
+    return bands[bands.length - 1].credits;
+  };
+
+  const timeCredits = {
+    min: percentileCredits(ESTIMATE_LOW_PERCENTILE),
+    expected: Math.round(
+      bands.reduce((sum, band) => sum + timeTierShares[band.name] * band.credits, 0)
+    ),
+    max: percentileCredits(ESTIMATE_HIGH_PERCENTILE),
+  };
+
+  return {
+    min: charge(timeCredits.min),
+    expected: charge(timeCredits.expected),
+    max: charge(timeCredits.max),
+    hold,
+    breakdown: { ...breakdown, timeCredits },
+  };
+}
+
+/**
+ * Credits charged when a job is cancelled
+ * Rule: cancelling before a sandbox task was submitted is free (queued jobs and
+ * the static stage). Once the sample was sent to the sandbox, the size-based
+ * base credits are charged - sandbox time is spent even if the task is deleted.
+ * Time, backend and complexity credits are never charged for cancelled jobs;
+ * the tier multiplier still applies.
+ * @param {Number} fileSize - File size in bytes
+ * @param {Boolean} sandboxStarted - Whether a CAPE task had been submitted
+ * @param {Object} options - { pricing, tier }
+ * @returns {Object} { total, rule }
  */
-function getBaseCreditsBySize(sizeInBytes) {
-  const sizeInMB = sizeInBytes / (1024 * 1024);
+export function calculateCancellationCredits(
+  fileSize,
+  sandboxStarted,
+  { pricing = DEFAULT_PRICING, tier } = {}
+) {
+  if (!sandboxStarted) {
+    return { total: 0, rule: "cancelled before sandbox submission - free" };
+  }
+
+  const band = getSizeBand(fileSize, pricing);
 
-  if (sizeInMB < 0.5) return 2; // < 500 KB: 2 credits
-  if (sizeInMB < 5) return 5; // 500 KB - 5 MB: 5 credits
-  if (sizeInMB < 20) return 10; // 5 MB - 20 MB: 10 credits
-  if (sizeInMB < 50) return 20; // 20 MB - 50 MB: 20 credits
-  return 35; // 50 MB - 80 MB: 35 credits
+  return {
+    total: Math.ceil(band.credits * getTierMultiplier(tier, pricing)),
+    rule: `cancelled after sandbox submission - ${band.name} size base credits`,
+  };
+}
+
+/**
+ * First band whose max is above the value (a null max is unbounded)
+ */
+function findBand(bands, value, maxField) {
+  return (
+    bands.find((band) => band[maxField] === null || value < band[maxField]) ||
+    bands[bands.length - 1]
+  );
 }
 
 /**
- * Get time penalty credits (in seconds)
+ * Get the size band of a file (in bytes)
+ */
+function getSizeBand(sizeInBytes, pricing) {
+  return findBand(pricing.sizeBands, sizeInBytes / (1024 * 1024), "maxMB");
+}
+
+/**
+ * Get the time band of a processing time (in seconds)
  * Reflects actual server/LLM resource consumption
  */
-function getTimePenalty(timeInSeconds) {
-  if (timeInSeconds < 10) return 0; // < 10s: Free (fast)
-  if (timeInSeconds < 30) return 3; // 10-30s: 3 credits
-  if (timeInSeconds < 60) return 7; // 30-60s: 7 credits
-  if (timeInSeconds < 120) return 15; // 60-120s: 15 credits
-  return 25; // > 120s: 25 credits (max)
+function getTimeBand(timeInSeconds, pricing) {
+  return findBand(pricing.timeBands, timeInSeconds, "maxSeconds");
+}
+
+/**
+ * Highest time band credits - what a hold reserves for time
+ */
+function getMaxTimeCredits(pricing) {
+  return Math.max(...pricing.timeBands.map((band) => band.credits));
+}
+
+/**
+ * Sum of the surcharges of the given analyzer backends
+ */
+function getBackendCredits(backends, pricing) {
+  return backends.reduce(
+    (sum, backend) => sum + (pricing.backendSurcharges?.[backend] || 0),
+    0
+  );
+}
+
+/**
+ * Complexity credits from analysis results (capped at complexity.maxCredits)
+ * @param {Object} results - Analysis results
+ * @param {Object} pricing - Pricing configuration
+ * @returns {Object} { credits, signatures, payloads }
+ */
+export function getComplexityCredits(results, pricing = DEFAULT_PRICING) {
+  const { perSignature = 0, perPayload = 0, maxCredits = 0 } = pricing.complexity || {};
+  const signatures = results?.dynamic_analysis?.signatures?.length || 0;
+  const payloads = results?.dynamic_analysis?.extractedKeys?.length || 0;
+
+  return {
+    credits: Math.min(maxCredits, signatures * perSignature + payloads * perPayload),
+    signatures,
+    payloads,
+  };
+}
+
+/**
+ * Price multiplier of a user tier (1 when the tier has none)
+ * @param {String} tier - User tier (tier1/tier2)
+ * @param {Object} pricing - Pricing configuration
+ * @returns {Number} Multiplier
+ */
+export function getTierMultiplier(tier, pricing = DEFAULT_PRICING) {
+  return pricing.tierMultipliers?.[tier] ?? 1;
 }
 
 /**
  * Get human-readable size tier
  * @param {Number} sizeInBytes - File size in bytes
+ * @param {Object} pricing - Pricing configuration
  * @returns {String} Size tier name
  */
-export function getSizeTier(sizeInBytes) {
-  const sizeInMB = sizeInBytes / (1024 * 1024);
-
-  if (sizeInMB < 0.5) return "tiny";
-  if (sizeInMB < 5) return "small";
-  if (sizeInMB < 20) return "medium";
-  if (sizeInMB < 50) return "large";
-  return "huge";
+export function getSizeTier(sizeInBytes, pricing = DEFAULT_PRICING) {
+  return getSizeBand(sizeInBytes, pricing).name;
 }
 
 /**
  * Get human-readable time tier
  * @param {Number} timeInSeconds - Processing time in seconds
+ * @param {Object} pricing - Pricing configuration
  * @returns {String} Time tier name
  */
-export function getTimeTier(timeInSeconds) {
-  if (timeInSeconds < 10) return "quick";
-  if (timeInSeconds < 30) return "normal";
-  if (timeInSeconds < 60) return "slow";
-  if (timeInSeconds < 120) return "heavy";
-  return "extreme";
+export function getTimeTier(timeInSeconds, pricing = DEFAULT_PRICING) {
+  return getTimeBand(timeInSeconds, pricing).name;
 }
 
 /**
@@ -89,5 +313,9 @@ export function getTimeTier(timeInSeconds) {
  * @returns {String} Formatted string
  */
 export function formatCreditBreakdown(breakdown) {
-  return `Total: ${breakdown.total} (Base: ${breakdown.baseCredits}, Time: ${breakdown.timeCredits})`;
+  return (
+    `Total: ${breakdown.total} (Base: ${breakdown.baseCredits}, Time: ${breakdown.timeCredits}, ` +
+    `Backends: ${breakdown.backendCredits || 0}, Complexity: ${breakdown.complexityCredits || 0}, ` +
+    `x${breakdown.tierMultiplier ?? 1}, pricing v${breakdown.pricingVersion ?? 0})`
+  );
 }
@@ -0,0 +1,257 @@
+import AnalysisJob from "../models/analysis.job.model.js";
+import { estimateCredits, getSizeTier } from "./credit.calculator.js";
+import storageService from "./storage.service.js";
+import pricingService from "./pricing.service.js";
+import { getAvailableCredits } from "./credit.service.js";
+import logger from "../utils/logger.js";
+
+// Same limit as POST /api/sdk/analyze/batch (utils/file.handler.js)
+const MAX_ESTIMATE_FILES = 50;
+
+/**
+ * Aggregation expression naming the pricing band a field falls in
+ * @param {String} field - Field path, e.g. "$fileSize"
+ * @param {Array} bands - Ordered pricing bands
+ * @param {String} maxField - Band bound field (maxMB / maxSeconds)
+ * @param {Number} scale - Multiplier from the bound's unit to the field's
+ */
+const bandExpression = (field, bands, maxField, scale = 1) => {
+  const last = bands[bands.length - 1].name;
+  const branches = bands
+    .filter((band) => band[maxField] !== null)
+    .map((band) => ({
+      case: { $lt: [field, band[maxField] * scale] },
+      then: band.name,
+    }));
+
+  return branches.length > 0
+    ? { $switch: { branches, default: last } }
+    : { $literal: last };
+};
+
+/**
+ * Credit Estimate Service
+ * Prices an analysis before it runs with the active pricing. Size, backend
+ * and tier pricing are known up front; time credits are estimated from the
+ * time bands of completed jobs of the same size band (all sizes when a band
+ * has too little history).
+ *
+ * The distribution is cached for ESTIMATE_CACHE_SECONDS and built from jobs
+ * completed in the last ESTIMATE_HISTORY_DAYS (the daily cleanup also limits
+ * how far back completed jobs are kept).
+ */
+class CreditEstimateService {
+  constructor() {
+    this.historyDays = parseInt(process.env.ESTIMATE_HISTORY_DAYS) || 30;
+    this.cacheSeconds = parseInt(process.env.ESTIMATE_CACHE_SECONDS) || 600;
+    this.minSamples = 20; // Jobs a size tier needs before its own history is used
+    this.cache = null; // { loadedAt, distributions }
+  }
+
+  /**
+   * Validate the requested sizes
+   * Accepts { fileSize } for one file or { fileSizes: [...] } for a batch.
+   * @param {Object} body - Request body
+   * @returns {Array<Number>} File sizes in bytes
+   * @throws {Error} code INVALID_FILE_SIZE
+   */
+  parseFileSizes(body = {}) {
+    const sizes =
+      body.fileSizes !== undefined
+        ? body.fileSizes
+        : body.fileSize !== undefined
+          ? [body.fileSize]
+          : null;
+
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.code = "INVALID_FILE_SIZE";
+      return error;
+    };
+
+    if (!Array.isArray(sizes) || sizes.length === 0) {
+      throw invalid("Provide fileSize or a non-empty fileSizes array (bytes)");
+    }
+
+    if (sizes.length > MAX_ESTIMATE_FILES) {
+      throw invalid(`At most ${MAX_ESTIMATE_FILES} files can be estimated at once`);
+    }
+
+    const maxFileSize = storageService.maxFileSize;
+
+    return sizes.map((size) => {
+      const bytes = Number(size);
+      if (!Number.isInteger(bytes) || bytes <= 0) {
+        throw invalid("File sizes must be positive integers (bytes)");
+      }
+      if (bytes > maxFileSize) {
+        const limitMB = Math.round(maxFileSize / (1024 * 1024));
+        throw invalid(`File size exceeds the ${limitMB}MB upload limit`);
+      }
+      return bytes;
+    });
+  }
+
+  /**
+   * Time band distribution of completed jobs, per size band
+   * Jobs are bucketed by their size and processing time with the bands of
+   * the given pricing, so history stays usable when the bands change.
+   * @param {Object} pricing - Pricing the estimate is computed with
+   * @returns {Promise<Object>} { bySize: { tiny: { samples, shares } }, all: { samples, shares } }
+   */
+  async getTimeDistributions(pricing) {
+    const now = Date.now();
+    if (
+      this.cache &&
+      this.cache.pricingVersion === pricing.version &&
+      now - this.cache.loadedAt < this.cacheSeconds * 1000
+    ) {
+      return this.cache.distributions;
+    }
+
+    const since = new Date(now - this.historyDays * 24 * 60 * 60 * 1000);
+
+    // Container jobs only unpack - their members are priced as their own jobs
+    const rows = await AnalysisJob.aggregate([
+      {
+        $match: {
+          status: "completed",
+          completedAt: { $gte: since },
+          "creditBreakdown.timeTier": { $exists: true },
+          "container.memberCount": { $exists: false },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            sizeTier: bandExpression("$fileSize", pricing.sizeBands, "maxMB", 1024 * 1024),
+            timeTier: bandExpression("$processingTimeSeconds", pricing.timeBands, "maxSeconds"),
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const toDistribution = (counts) => {
+      const samples = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      const shares = {};
+      for (const [timeTier, count] of Object.entries(counts)) {
+        shares[timeTier] = count / samples;
+      }
+      return { samples, shares };
+    };
+
+    const countsBySize = {};
+    const allCounts = {};
+    for (const { _id, count } of rows) {
+      countsBySize[_id.sizeTier] = countsBySize[_id.sizeTier] || {};
+      countsBySize[_id.sizeTier][_id.timeTier] = count;
+      allCounts[_id.timeTier] = (allCounts[_id.timeTier] || 0) + count;
+    }
+
+    const distributions = {
+      bySize: Object.fromEntries(
+        Object.entries(countsBySize).map(([sizeTier, counts]) => [
+          sizeTier,
+          toDistribution(counts),
+        ])
+      ),
+      all: toDistribution(allCounts),
+    };
+
+    this.cache = { loadedAt: now, pricingVersion: pricing.version, distributions };
+
+    logger.debug("Credit estimate history loaded", {
+      samples: distributions.all.samples,
+      sizeTiers: Object.keys(distributions.bySize),
+    });
+
+    return distributions;
+  }
+
+  /**
+   * Estimate the credits of one or more files
+   * Priced with the active pricing version, as a job submitted now would be.
+   * @param {Array<Number>} fileSizes - File sizes in bytes
+   * @param {Object} options - { backends, tier } the jobs would run with
+   * @returns {Promise<Object>} { pricingVersion, files, totals }
+   */
+  async estimate(fileSizes, { backends = [], tier } = {}) {
+    const pricing = await pricingService.getActivePricing();
+    const distributions = await this.getTimeDistributions(pricing);
+
+    const files = fileSizes.map((fileSize) => {
+      const sizeTier = getSizeTier(fileSize, pricing);
+      const sizeHistory = distributions.bySize[sizeTier];
+
+      let history = { basis: "none", samples: 0, shares: {} };
+      if (sizeHistory?.samples >= this.minSamples) {
+        history = { basis: "size-tier", ...sizeHistory };
+      } else if (distributions.all.samples >= this.minSamples) {
+        history = { basis: "all-sizes", ...distributions.all };
+      }
+
+      const { min, expected, max, hold, breakdown } = estimateCredits(
+        fileSize,
+        history.shares,
+        { pricing, backends, tier }
+      );
+
+      return {
+        fileSize,
+        sizeTier,
+        min,
+        expected,
+        max,
+        hold,
+        breakdown,
+        history: { basis: history.basis, samples: history.samples },
+      };
+    });
+
+    const sum = (field) => files.reduce((total, file) => total + file[field], 0);
+
+    return {
+      pricingVersion: pricing.version,
+      backends,
+      files,
+      totals: {
+        min: sum("min"),
+        expected: sum("expected"),
+        max: sum("max"),
+        hold: sum("hold"),
+      },
+    };
+  }
+
+  /**
+   * Estimate for a user, with their balance
+   * `affordable` means every file's hold fits the available balance - what
+   * submitting the batch requires.
+   * @param {Object} user - User document
+   * @param {Array<Number>} fileSizes - File sizes in bytes
+   * @param {Array<String>} backends - Analyzer backends the jobs would run
+   * @returns {Promise<Object>} Estimate with { credits, affordable, shortfall }
+   */
+  async estimateForUser(user, fileSizes, backends) {
+    const estimate = await this.estimate(fileSizes, {
+      backends,
+      tier: user.tier || "tier2",
+    });
+    // Members' analyses are held on their organization's pool
+    const { remaining, held, organizationId } = await getAvailableCredits(user);
+
+    return {
+      ...estimate,
+      credits: {
+        remaining,
+        held,
+        organizationId,
+      },
+      affordable: remaining >= estimate.totals.hold,
+      shortfall: Math.max(0, estimate.totals.hold - remaining),
+    };
+  }
+}
+
+export default new CreditEstimateService();
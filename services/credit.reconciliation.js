@@ -0,0 +1,309 @@
+import crypto from "crypto";
+import cron from "node-cron";
+import User from "../models/user.model.js";
+import Organization from "../models/organization.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import redisClient from "../config/redis.js";
+import logger from "../utils/logger.js";
+
+const LOCK_KEY = "credit-reconciliation:lock";
+const LOCK_TTL_SECONDS = 60 * 60;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Admin "set" entries written before `adjustment` existed: a `credit` entry
+ * for the new balance rather than the amount added
+ */
+const isLegacySetEntry = (entry) =>
+  entry.type === "credit" &&
+  entry.balanceAfter === entry.amount &&
+  entry.balanceBefore !== 0;
+
+/**
+ * Accounts that hold credits: personal balances and organization pools.
+ * Ledger entries and job holds of an organization's pool carry its ID;
+ * personal ones don't.
+ */
+const ACCOUNTS = {
+  user: {
+    Model: User,
+    label: "email",
+    ledgerFilter: (id) => ({ userId: id, organizationId: null }),
+    holdsFilter: (id) => ({
+      userId: id,
+      "creditHold.status": "held",
+      "creditHold.organizationId": null,
+    }),
+  },
+  organization: {
+    Model: Organization,
+    label: "name",
+    ledgerFilter: (id) => ({ organizationId: id }),
+    holdsFilter: (id) => ({ "creditHold.organizationId": id, "creditHold.status": "held" }),
+  },
+};
+
+/**
+ * Credit Reconciliation Service
+ * Recomputes each user's and organization's balance from the
+ * CreditTransaction ledger and compares it with their credits:
+ * - remaining + held must equal the ledger balance (holds move credits
+ *   between the two without a ledger entry)
+ * - held must equal the active holds of the account's jobs
+ * Drift is reported in the logs; with repair enabled the account's credits
+ * are set to the recomputed values. Runs daily on one API node at a time.
+ */
+class CreditReconciliationService {
+  constructor() {
+    this.isRunning = false;
+    this.cronSchedule = process.env.CREDIT_RECONCILIATION_CRON || "30 3 * * *"; // 3:30 AM daily
+    this.repair = process.env.CREDIT_RECONCILIATION_REPAIR === "true";
+    this.recheckDelayMs = 2000; // Lets in-flight writes land before drift is reported
+  }
+
+  /**
+   * Start the reconciliation cron job
+   */
+  start() {
+    if (this.cronSchedule === "off") {
+      logger.info("Credit reconciliation disabled (CREDIT_RECONCILIATION_CRON=off)");
+      return;
+    }
+
+    cron.schedule(this.cronSchedule, async () => {
+      await this.runReconciliation({ repair: this.repair });
+    });
+
+    logger.info("Credit reconciliation service started", {
+      schedule: this.cronSchedule,
+      repair: this.repair,
+    });
+  }
+
+  /**
+   * Balance an account's ledger adds up to
+   * Entries are applied in order from the first one's balanceBefore, so
+   * accounts whose opening balance was never recorded still add up.
+   * @param {String} id - User or organization ID
+   * @param {String} kind - "user" or "organization"
+   * @returns {Object} { balance, entries }
+   */
+  async computeLedgerBalance(id, kind = "user") {
+    const cursor = CreditTransaction.find(ACCOUNTS[kind].ledgerFilter(id))
+      .sort({ createdAt: 1, _id: 1 })
+      .select("type amount balanceBefore balanceAfter")
+      .lean()
+      .cursor();
+
+    let balance = null;
+    let entries = 0;
+
+    for await (const entry of cursor) {
+      if (balance === null) balance = entry.balanceBefore ?? 0;
+      entries++;
+
+      if (entry.type === "debit" || entry.type === "expiry") {
+        balance -= entry.amount;
+      } else if (isLegacySetEntry(entry)) {
+        balance = entry.balanceAfter;
+      } else {
+        balance += entry.amount; // credit, bonus, refund, grant, signed adjustment
+      }
+    }
+
+    return { balance: balance ?? 0, entries };
+  }
+
+  /**
+   * Credits held by an account's queued/processing jobs
+   * @param {String} id - User or organization ID
+   * @param {String} kind - "user" or "organization"
+   * @returns {Number} Held credits
+   */
+  async computeActiveHolds(id, kind = "user") {
+    const [result] = await AnalysisJob.aggregate([
+      { $match: ACCOUNTS[kind].holdsFilter(id) },
+      { $group: { _id: null, held: { $sum: "$creditHold.amount" } } },
+    ]);
+
+    return result?.held || 0;
+  }
+
+  /**
+   * Compare an account's credits with the ledger and active holds
+   * @param {String} id - User or organization ID
+   * @param {String} kind - "user" or "organization"
+   * @returns {Object|null} Drift details, null if consistent or unledgered
+   */
+  async checkAccount(id, kind = "user") {
+    const { Model, label } = ACCOUNTS[kind];
+    const account = await Model.findById(id).select(`${label} credits`).lean();
+    if (!account) return null;
+
+    const [ledger, expectedHeld] = await Promise.all([
+      this.computeLedgerBalance(account._id, kind),
+      this.computeActiveHolds(account._id, kind),
+    ]);
+
+    // Accounts without any ledger entry have nothing to reconcile against
+    if (ledger.entries === 0) return null;
+
+    const remaining = account.credits.remaining || 0;
+    const held = account.credits.held || 0;
+    const balanceDrift = remaining + held - ledger.balance;
+    const heldDrift = held - expectedHeld;
+
+    if (balanceDrift === 0 && heldDrift === 0) return null;
+
+    return {
+      kind,
+      [kind === "user" ? "userId" : "organizationId"]: account._id.toString(),
+      [label]: account[label],
+      remaining,
+      held,
+      ledgerBalance: ledger.balance,
+      activeHolds: expectedHeld,
+      balanceDrift,
+      heldDrift,
+    };
+  }
+
+  /**
+   * Set an account's credits to the recomputed values
+   * Only applies if the credits are unchanged since they were checked.
+   * @param {Object} drift - Result of checkAccount
+   * @returns {Boolean} Repaired
+   */
+  async repairAccount(drift) {
+    const result = await ACCOUNTS[drift.kind].Model.updateOne(
+      {
+        _id: drift.userId || drift.organizationId,
+        "credits.remaining": drift.remaining,
+        "credits.held": drift.held,
+      },
+      {
+        $set: {
+          "credits.remaining": drift.ledgerBalance - drift.activeHolds,
+          "credits.held": drift.activeHolds,
+        },
+      }
+    );
+
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Reconcile one account
+   * Drift is confirmed by a second check, so writes in flight (e.g. a hold
+   * placed before its job is created) aren't reported.
+   * @param {String} id - User or organization ID
+   * @param {Object} options - { kind, repair }
+   * @returns {Object|null} Confirmed drift (with `repaired`), null if consistent
+   */
+  async reconcileAccount(id, { kind = "user", repair = false } = {}) {
+    const first = await this.checkAccount(id, kind);
+    if (!first) return null;
+
+    await sleep(this.recheckDelayMs);
+
+    const drift = await this.checkAccount(id, kind);
+    if (
+      !drift ||
+      drift.balanceDrift !== first.balanceDrift ||
+      drift.heldDrift !== first.heldDrift
+    ) {
+      return null;
+    }
+
+    drift.repaired = repair ? await this.repairAccount(drift) : false;
+
+    logger.warn("Credit balance drift detected", drift);
+
+    return drift;
+  }
+
+  /**
+   * Reconcile all users and organizations (or one of either)
+   * @param {Object} options - { repair, userId, organizationId }
+   * @returns {Object} Report { checked, drifted, repaired, users, organizations }
+   */
+  async runReconciliation({ repair = false, userId = null, organizationId = null } = {}) {
+    if (this.isRunning) {
+      logger.warn("Credit reconciliation already running, skipping");
+      return null;
+    }
+
+    // Only one node runs the scheduled job
+    const lockToken = crypto.randomUUID();
+    const locked = await redisClient.set(LOCK_KEY, lockToken, "EX", LOCK_TTL_SECONDS, "NX");
+    if (!locked) {
+      logger.info("Credit reconciliation running on another node, skipping");
+      return null;
+    }
+
+    this.isRunning = true;
+
+    try {
+      logger.info("Starting credit reconciliation", { repair, userId, organizationId });
+
+      const report = { checked: 0, drifted: 0, repaired: 0, users: [], organizations: [] };
+      const scopes = [
+        { kind: "user", id: userId, drifts: report.users },
+        { kind: "organization", id: organizationId, drifts: report.organizations },
+      ];
+
+      for (const { kind, id, drifts } of scopes) {
+        // A single account was requested - skip the other kind
+        if ((userId || organizationId) && !id) continue;
+
+        const cursor = ACCOUNTS[kind].Model.find(id ? { _id: id } : {})
+          .select("_id")
+          .lean()
+          .cursor();
+
+        for await (const account of cursor) {
+          report.checked++;
+
+          try {
+            const drift = await this.reconcileAccount(account._id, { kind, repair });
+            if (!drift) continue;
+
+            report.drifted++;
+            if (drift.repaired) report.repaired++;
+            drifts.push(drift);
+          } catch (error) {
+            logger.error(`Credit reconciliation failed for ${kind}`, {
+              id: account._id.toString(),
+              error: error.message,
+            });
+          }
+        }
+      }
+
+      logger.info("Credit reconciliation completed", {
+        checked: report.checked,
+        drifted: report.drifted,
+        repaired: report.repaired,
+      });
+
+      return report;
+    } finally {
+      this.isRunning = false;
+
+      if ((await redisClient.get(LOCK_KEY)) === lockToken) {
+        await redisClient.del(LOCK_KEY);
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const reconciliationService = new CreditReconciliationService();
+
+export default reconciliationService;
+
+export const startCreditReconciliation = () => reconciliationService.start();
+export const runCreditReconciliation = (options) =>
+  reconciliationService.runReconciliation(options);
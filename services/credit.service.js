@@ -1,13 +1,229 @@
+import mongoose from "mongoose";
 import User from "../models/user.model.js";
+import Organization from "../models/organization.model.js";
 import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
 import Payment from "../models/payment.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import { calculateCreditHold } from "./credit.calculator.js";
+import pricingService from "./pricing.service.js";
+import { reserveKeyBudget, adjustKeyBudget } from "./api.key.budget.service.js";
 import logger from "../utils/logger.js";
+import webhookService from "./webhook.service.js";
 
 /**
  * Credit Manager Service
  * Handles all credit-related operations and transactions
+ * Every balance change is one atomic update, committed together with its
+ * CreditTransaction where MongoDB supports transactions (withLedgerTransaction).
  */
 
+// Balance below which users are warned (X-Credits-Low header, credits.low webhook)
+export const LOW_CREDIT_THRESHOLD = 10;
+
+/**
+ * Send the credits.low webhook when a debit crosses the threshold
+ * @param {String} userId - User ID
+ * @param {Number} remainingBefore - Available credits before the debit
+ * @param {Number} remainingAfter - Available credits after it
+ * @param {Object} data - { apiKeyId, ...details } of the webhook
+ */
+const notifyIfLowCredits = (userId, remainingBefore, remainingAfter, data = {}) => {
+  if (remainingBefore < LOW_CREDIT_THRESHOLD || remainingAfter >= LOW_CREDIT_THRESHOLD) {
+    return;
+  }
+
+  const { apiKeyId = null, ...details } = data;
+  webhookService.dispatch(
+    userId,
+    "credits.low",
+    {
+      balance: remainingAfter,
+      threshold: LOW_CREDIT_THRESHOLD,
+      ...details,
+    },
+    { apiKeyId }
+  );
+};
+
+/**
+ * Send the payment.succeeded webhook (failures are logged by the webhook service)
+ */
+const notifyPaymentSucceeded = async (userId, paymentId, data) => {
+  try {
+    const payment = await Payment.findById(paymentId).select(
+      "razorpayPaymentId planId planName amount currency"
+    );
+
+    await webhookService.dispatch(userId, "payment.succeeded", {
+      paymentId: paymentId.toString(),
+      razorpayPaymentId: payment?.razorpayPaymentId || null,
+      planId: payment?.planId || null,
+      planName: payment?.planName || null,
+      amount: payment ? payment.amount / 100 : null, // Rupees
+      currency: payment?.currency || null,
+      ...data,
+    });
+  } catch (error) {
+    logger.error("Failed to send payment webhook", {
+      userId: userId?.toString(),
+      paymentId: paymentId?.toString(),
+      error: error.message,
+    });
+  }
+};
+
+let transactionSupport = null;
+
+/**
+ * Whether MongoDB supports transactions here (replica set or mongos)
+ * Detected once per process.
+ */
+const supportsTransactions = () => {
+  if (!mongoose.connection.db) return Promise.resolve(false);
+
+  if (!transactionSupport) {
+    transactionSupport = mongoose.connection.db
+      .admin()
+      .command({ hello: 1 })
+      .then((hello) => Boolean(hello.setName) || hello.msg === "isdbgrid")
+      .catch((error) => {
+        transactionSupport = null; // Detect again on the next write
+        logger.warn("Could not detect MongoDB transaction support", {
+          error: error.message,
+        });
+        return false;
+      });
+  }
+
+  return transactionSupport;
+};
+
+/**
+ * Run balance and ledger writes together
+ * On a replica set `fn` runs in a transaction - it may be retried, so it must
+ * not have side effects. Standalone servers run it without a session: each
+ * balance change is still a single atomic update, and a ledger entry lost
+ * between the two writes is reported by credit reconciliation.
+ * @param {Function} fn - async (session) => result
+ * @param {Object} session - Caller's session (its transaction is joined)
+ * @returns {*} Result of `fn`
+ */
+const withLedgerTransaction = async (fn, session = null) => {
+  if (session) return fn(session);
+  if (!(await supportsTransactions())) return fn(null);
+
+  const ownSession = await mongoose.startSession();
+  try {
+    let result;
+    await ownSession.withTransaction(async () => {
+      result = await fn(ownSession);
+    });
+    return result;
+  } finally {
+    await ownSession.endSession();
+  }
+};
+
+/**
+ * Use up a user's open credit lots, oldest-first
+ * Credits beyond the open lots come from the part of the balance that never
+ * expires.
+ * @param {String} userId - User ID
+ * @param {Number} amount - Credits used
+ * @param {Object} session - MongoDB session or null
+ */
+const consumeCreditLots = async (userId, amount, session) => {
+  let left = amount;
+
+  while (left > 0) {
+    const [lot] = await CreditLot.find({ userId, status: "open", remaining: { $gt: 0 } })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(1)
+      .select("_id")
+      .session(session);
+    if (!lot) return;
+
+    // Returns the lot as it was - null if it was used up or expired meanwhile
+    const previous = await CreditLot.findOneAndUpdate(
+      { _id: lot._id, status: "open", remaining: { $gt: 0 } },
+      [
+        { $set: { remaining: { $max: [0, { $subtract: ["$remaining", left] }] } } },
+        {
+          $set: {
+            status: { $cond: [{ $eq: ["$remaining", 0] }, "consumed", "$status"] },
+          },
+        },
+      ],
+      { session }
+    ).select("remaining");
+
+    if (previous) left -= Math.min(previous.remaining, left);
+  }
+};
+
+/**
+ * Atomically update a credit balance and write the ledger entry
+ * The ledger balance is remaining + held: placing or releasing a hold moves
+ * credits between the two without an entry, so the balances recorded stay
+ * right while other jobs hold credits.
+ * @param {Object} filter - User filter (may include a balance condition)
+ * @param {Object|Array} update - Update on credits.* (operators or pipeline)
+ * @param {Number} delta - Balance change the entry records (before = after - delta)
+ * @param {Object|Function} entry - CreditTransaction fields (balances are
+ *   filled in), or a function building them from the available credits
+ *   (remaining) before the change
+ * @param {Object} session - MongoDB session or null
+ * @param {Object} Model - User, or Organization for a shared credit pool
+ *   (the entry carries the member's userId)
+ * @returns {Object|null} { user | organization, transaction }, null if nothing matched
+ */
+const applyBalanceChange = async (filter, update, delta, entry, session, Model = User) => {
+  const account = await Model.findOneAndUpdate(filter, update, {
+    new: true,
+    session,
+  });
+  if (!account) return null;
+
+  const isOrganization = Model === Organization;
+  const balanceAfter = account.credits.remaining + (account.credits.held || 0);
+  const balanceBefore = balanceAfter - delta;
+  const fields =
+    typeof entry === "function" ? entry(account.credits.remaining - delta) : entry;
+  const [transaction] = await CreditTransaction.create(
+    [
+      {
+        ...fields,
+        ...(isOrganization ? { organizationId: account._id } : { userId: account._id }),
+        balanceBefore,
+        balanceAfter,
+      },
+    ],
+    { session }
+  );
+
+  // Usage draws on expiring credits first (taking back a payment doesn't)
+  if (!isOrganization && fields.type === "debit" && !fields.paymentId) {
+    await consumeCreditLots(account._id, fields.amount, session);
+  }
+
+  return isOrganization
+    ? { organization: account, transaction }
+    : { user: account, transaction };
+};
+
+/**
+ * Balance a job's credits are held on and charged to: the organization's
+ * shared pool for members, otherwise the user's own credits
+ * @param {String} userId - User who submitted the job
+ * @param {String} organizationId - Organization whose pool is used, if any
+ * @returns {Object} { Model, filter, entry } - entry fields for the ledger
+ */
+const creditAccount = (userId, organizationId = null) =>
+  organizationId
+    ? { Model: Organization, filter: { _id: organizationId }, entry: { userId } }
+    : { Model: User, filter: { _id: userId }, entry: {} };
+
 /**
  * Add credits to user account
  * @param {String} userId - User ID
@@ -23,35 +239,23 @@ export const addCredits = async (
   type = "credit"
 ) => {
   try {
-    const user = await User.findById(userId);
-    if (!user) {
+    const result = await withLedgerTransaction((session) =>
+      applyBalanceChange(
+        { _id: userId },
+        { $inc: { "credits.total": amount, "credits.remaining": amount } },
+        amount,
+        { type, amount, description },
+        session
+      )
+    );
+
+    if (!result) {
       throw new Error("User not found");
     }
 
-    const balanceBefore = user.credits.remaining;
-
-    // Update credits
-    user.credits.total += amount;
-    user.credits.remaining += amount;
-
-    const balanceAfter = user.credits.remaining;
-
-    await user.save();
-
-    // Log transaction
-    const transaction = await CreditTransaction.create({
-      userId,
-      type,
-      amount,
-      description,
-      balanceBefore,
-      balanceAfter,
-    });
-
     return {
       success: true,
-      user,
-      transaction,
+      ...result,
     };
   } catch (error) {
     throw new Error(`Failed to add credits: ${error.message}`);
@@ -73,41 +277,28 @@ export const deductCredits = async (
   jobId = null
 ) => {
   try {
-    const user = await User.findById(userId);
-    if (!user) {
-      throw new Error("User not found");
-    }
+    // The balance check is part of the update, so concurrent deductions can't overdraw
+    const result = await withLedgerTransaction((session) =>
+      applyBalanceChange(
+        { _id: userId, "credits.remaining": { $gte: amount } },
+        { $inc: { "credits.used": amount, "credits.remaining": -amount } },
+        -amount,
+        { type: "debit", amount, description, jobId },
+        session
+      )
+    );
 
-    // Check if user has enough credits
-    if (user.credits.remaining < amount) {
-      throw new Error("Insufficient credits");
+    if (!result) {
+      const exists = await User.exists({ _id: userId });
+      throw new Error(exists ? "Insufficient credits" : "User not found");
     }
 
-    const balanceBefore = user.credits.remaining;
-
-    // Update credits
-    user.credits.used += amount;
-    user.credits.remaining -= amount;
-
-    const balanceAfter = user.credits.remaining;
-
-    await user.save();
-
-    // Log transaction
-    const transaction = await CreditTransaction.create({
-      userId,
-      type: "debit",
-      amount,
-      description,
-      jobId,
-      balanceBefore,
-      balanceAfter,
-    });
+    const { remaining } = result.user.credits;
+    notifyIfLowCredits(userId, remaining + amount, remaining, { jobId });
 
     return {
       success: true,
-      user,
-      transaction,
+      ...result,
     };
   } catch (error) {
     throw new Error(`Failed to deduct credits: ${error.message}`);
@@ -159,40 +350,111 @@ export const getCreditBalance = async (userId) => {
   }
 };
 
+/**
+ * Page through ledger entries matching a filter, newest first
+ */
+const getLedgerPage = async (filter, { page = 1, limit = 20 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  const transactions = await CreditTransaction.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await CreditTransaction.countDocuments(filter);
+
+  return {
+    transactions,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total,
+      pages: Math.ceil(total / limit),
+    },
+  };
+};
+
 /**
  * Get credit transaction history
+ * Entries of the user's own balance - organization pool entries are listed
+ * by getOrganizationCreditHistory.
  * @param {String} userId - User ID
  * @param {Object} options - Query options (page, limit)
  * @returns {Object} Transactions and pagination
  */
 export const getCreditHistory = async (userId, options = {}) => {
   try {
-    const { page = 1, limit = 20 } = options;
-    const skip = (page - 1) * limit;
-
-    const transactions = await CreditTransaction.find({ userId })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
-
-    const total = await CreditTransaction.countDocuments({ userId });
+    return await getLedgerPage({ userId, organizationId: null }, options);
+  } catch (error) {
+    throw new Error(`Failed to get credit history: ${error.message}`);
+  }
+};
 
-    return {
-      transactions,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit),
-      },
-    };
+/**
+ * Get an organization's credit pool history
+ * @param {String} organizationId - Organization ID
+ * @param {Object} options - Query options (page, limit)
+ * @returns {Object} Transactions and pagination
+ */
+export const getOrganizationCreditHistory = async (organizationId, options = {}) => {
+  try {
+    return await getLedgerPage({ organizationId }, options);
   } catch (error) {
     throw new Error(`Failed to get credit history: ${error.message}`);
   }
 };
 
+/**
+ * Set a balance to an amount, recording the change as an `adjustment`
+ * Credits held by running jobs stay reserved.
+ * @returns {Object|null} { account, transaction }, null if nothing matched
+ */
+const setBalance = async (Model, accountId, amount, description, session) => {
+  const previous = await Model.findByIdAndUpdate(
+    accountId,
+    [
+      {
+        $set: {
+          "credits.total": amount,
+          "credits.used": 0,
+          "credits.remaining": {
+            $subtract: [amount, { $ifNull: ["$credits.held", 0] }],
+          },
+        },
+      },
+    ],
+    { session }
+  );
+
+  if (!previous) return null;
+
+  // Held credits stay part of the ledger balance, which becomes `amount`
+  const balanceBefore = previous.credits.remaining + (previous.credits.held || 0);
+  const balanceAfter = amount;
+
+  const [transaction] = await CreditTransaction.create(
+    [
+      {
+        ...(Model === Organization ? { organizationId: accountId } : { userId: accountId }),
+        type: "adjustment",
+        amount: balanceAfter - balanceBefore,
+        description: `${description} (${amount})`,
+        balanceBefore,
+        balanceAfter,
+      },
+    ],
+    { session }
+  );
+
+  const account = await Model.findById(accountId).session(session);
+
+  return { account, transaction };
+};
+
 /**
  * Set credits for user (admin only)
+ * Recorded as an `adjustment` whose signed amount is the balance change, so
+ * the ledger still sums to the balance.
  * @param {String} userId - User ID
  * @param {Number} amount - Credits to set
  * @param {String} description - Transaction description
@@ -204,36 +466,88 @@ export const setCredits = async (
   description = "Credits set by admin"
 ) => {
   try {
-    const user = await User.findById(userId);
-    if (!user) {
+    const result = await withLedgerTransaction((session) =>
+      setBalance(User, userId, amount, description, session)
+    );
+
+    if (!result) {
       throw new Error("User not found");
     }
 
-    const balanceBefore = user.credits.remaining;
+    return {
+      success: true,
+      user: result.account,
+      transaction: result.transaction,
+    };
+  } catch (error) {
+    throw new Error(`Failed to set credits: ${error.message}`);
+  }
+};
 
-    // Set new credit amount
-    user.credits.total = amount;
-    user.credits.remaining = amount;
-    user.credits.used = 0;
+/**
+ * Add credits to an organization's pool (admin only)
+ * @param {String} organizationId - Organization ID
+ * @param {Number} amount - Credits to add
+ * @param {String} description - Transaction description
+ * @param {String} type - Transaction type (credit, bonus, refund)
+ * @returns {Object} Updated organization and transaction
+ */
+export const addOrganizationCredits = async (
+  organizationId,
+  amount,
+  description = "Credits added",
+  type = "credit"
+) => {
+  try {
+    const result = await withLedgerTransaction((session) =>
+      applyBalanceChange(
+        { _id: organizationId },
+        { $inc: { "credits.total": amount, "credits.remaining": amount } },
+        amount,
+        { type, amount, description },
+        session,
+        Organization
+      )
+    );
 
-    const balanceAfter = user.credits.remaining;
+    if (!result) {
+      throw new Error("Organization not found");
+    }
 
-    await user.save();
+    return {
+      success: true,
+      ...result,
+    };
+  } catch (error) {
+    throw new Error(`Failed to add credits: ${error.message}`);
+  }
+};
 
-    // Log transaction
-    const transaction = await CreditTransaction.create({
-      userId,
-      type: "credit",
-      amount,
-      description,
-      balanceBefore,
-      balanceAfter,
-    });
+/**
+ * Set an organization's pool to an amount (admin only)
+ * @param {String} organizationId - Organization ID
+ * @param {Number} amount - Credits to set
+ * @param {String} description - Transaction description
+ * @returns {Object} Updated organization and transaction
+ */
+export const setOrganizationCredits = async (
+  organizationId,
+  amount,
+  description = "Credits set by admin"
+) => {
+  try {
+    const result = await withLedgerTransaction((session) =>
+      setBalance(Organization, organizationId, amount, description, session)
+    );
+
+    if (!result) {
+      throw new Error("Organization not found");
+    }
 
     return {
       success: true,
-      user,
-      transaction,
+      organization: result.account,
+      transaction: result.transaction,
     };
   } catch (error) {
     throw new Error(`Failed to set credits: ${error.message}`);
@@ -284,6 +598,7 @@ export const getTierInfo = (tierName) => {
  * @param {String} apiKeyId - API key ID
  * @param {String} description - Custom transaction description (optional)
  * @returns {Object} Updated user and transaction
+ * @throws {Error} code INSUFFICIENT_CREDITS if the available balance is too low
  */
 export const deductCreditsForSDK = async (
   userId,
@@ -300,67 +615,51 @@ export const deductCreditsForSDK = async (
       apiKeyId: apiKeyId?.toString(),
     });
 
-    // Use MongoDB transaction for atomicity
-    const user = await User.findById(userId);
-    if (!user) {
-      logger.error("❌ User not found for credit deduction", { userId });
-      throw new Error("User not found");
-    }
-
-    // NOTE: We allow negative balance here (debt model)
-    // User must have had >= 5 credits to start analysis (checked by middleware)
-    // After analysis, we deduct actual cost even if it takes balance negative
-    // This is fair because cost is based on actual processing
-
-    const balanceBefore = user.credits.remaining;
-
-    logger.info("💰 Current balance before deduction", {
-      userId: userId?.toString(),
-      balanceBefore,
-      amountToDeduct: amount,
-      willGoNegative: balanceBefore - amount < 0,
-    });
-
-    // Update credits atomically (can go negative)
-    user.credits.used += amount;
-    user.credits.remaining -= amount;
-
-    const balanceAfter = user.credits.remaining;
+    // Only jobs queued before holds existed are charged here - the balance
+    // check is part of the update, so they can't overdraw it
+    const result = await withLedgerTransaction((session) =>
+      applyBalanceChange(
+        { _id: userId, "credits.remaining": { $gte: amount } },
+        { $inc: { "credits.used": amount, "credits.remaining": -amount } },
+        -amount,
+        {
+          type: "debit",
+          amount,
+          description: description || "Binary Analysis",
+          jobId,
+          apiKeyId,
+        },
+        session
+      )
+    );
 
-    await user.save();
+    if (!result) {
+      if (!(await User.exists({ _id: userId }))) {
+        logger.error("❌ User not found for credit deduction", { userId });
+        throw new Error("User not found");
+      }
 
-    logger.info("💾 User balance updated", {
-      userId: userId?.toString(),
-      balanceBefore,
-      balanceAfter,
-      amountDeducted: amount,
-    });
+      const error = new Error("Insufficient credits");
+      error.code = "INSUFFICIENT_CREDITS";
+      throw error;
+    }
 
-    // Log transaction with custom description or default
-    const transactionDescription = description || `Binary Analysis`;
-    const transaction = await CreditTransaction.create({
-      userId,
-      type: "debit",
-      amount,
-      description: transactionDescription,
-      jobId,
-      apiKeyId,
-      balanceBefore,
-      balanceAfter,
-    });
+    const { user, transaction } = result;
+    const { remaining } = user.credits;
 
     logger.info("✅ Credit transaction created", {
       transactionId: transaction._id.toString(),
       userId: userId?.toString(),
       amount,
-      balanceBefore,
-      balanceAfter,
+      balanceBefore: transaction.balanceBefore,
+      balanceAfter: transaction.balanceAfter,
     });
 
+    notifyIfLowCredits(userId, remaining + amount, remaining, { jobId, apiKeyId });
+
     return {
       success: true,
-      user,
-      transaction,
+      ...result,
     };
   } catch (error) {
     logger.error("❌ Failed to deduct SDK credits", {
@@ -370,6 +669,7 @@ export const deductCreditsForSDK = async (
       amount,
       jobId,
     });
+    if (error.code === "INSUFFICIENT_CREDITS") throw error;
     throw new Error(`Failed to deduct SDK credits: ${error.message}`);
   }
 };
@@ -384,39 +684,38 @@ export const deductCreditsForSDK = async (
  */
 export const refundCreditsForSDK = async (userId, amount, jobId, reason) => {
   try {
-    const user = await User.findById(userId);
-    if (!user) {
+    const result = await withLedgerTransaction((session) =>
+      applyBalanceChange(
+        { _id: userId },
+        [
+          {
+            $set: {
+              "credits.remaining": { $add: ["$credits.remaining", amount] },
+              // Ensure used doesn't go negative
+              "credits.used": {
+                $max: [0, { $subtract: ["$credits.used", amount] }],
+              },
+            },
+          },
+        ],
+        amount,
+        {
+          type: "refund",
+          amount,
+          description: `SDK Analysis Refund - ${reason} - Job ${jobId}`,
+          jobId,
+        },
+        session
+      )
+    );
+
+    if (!result) {
       throw new Error("User not found");
     }
 
-    const balanceBefore = user.credits.remaining;
-
-    // Refund credits
-    user.credits.used -= amount;
-    user.credits.remaining += amount;
-
-    // Ensure values don't go negative
-    user.credits.used = Math.max(0, user.credits.used);
-
-    const balanceAfter = user.credits.remaining;
-
-    await user.save();
-
-    // Log refund transaction
-    const transaction = await CreditTransaction.create({
-      userId,
-      type: "refund",
-      amount,
-      description: `SDK Analysis Refund - ${reason} - Job ${jobId}`,
-      jobId,
-      balanceBefore,
-      balanceAfter,
-    });
-
     return {
       success: true,
-      user,
-      transaction,
+      ...result,
     };
   } catch (error) {
     throw new Error(`Failed to refund SDK credits: ${error.message}`);
@@ -426,12 +725,15 @@ export const refundCreditsForSDK = async (userId, amount, jobId, reason) => {
 /**
  * Add credits from payment with atomic transaction
  * Ensures credits, transaction, and payment are updated atomically
+ * Checkout verification and webhooks both call this for the same payment: the
+ * payment's `creditsAdded` flag is claimed first, so only one of them adds
+ * the credits.
  * @param {String} userId - User ID
  * @param {Number} amount - Credits to add
  * @param {String} paymentId - Payment ID
  * @param {String} description - Transaction description
- * @param {Object} session - MongoDB session for transaction (optional, ignored in standalone mode)
- * @returns {Object} Updated user and transaction
+ * @param {Object} session - MongoDB session whose transaction to join (optional)
+ * @returns {Object} Updated user and transaction, or { alreadyAdded: true }
  */
 export const addCreditsFromPayment = async (
   userId,
@@ -440,52 +742,77 @@ export const addCreditsFromPayment = async (
   description = "Credit purchase",
   session = null
 ) => {
-  try {
-    // Always work without session for standalone MongoDB
-    const user = await User.findById(userId);
-
-    if (!user) {
-      throw new Error("User not found");
-    }
-
-    const balanceBefore = user.credits.remaining;
-    const debtAmount = balanceBefore < 0 ? Math.abs(balanceBefore) : 0;
+  // Without a transaction a claim whose credits were not added is undone
+  let undoClaim = false;
 
+  try {
     // Automatic debt clearance: If balance is negative, the top-up amount first clears the debt
     // Example: -10 balance + 1000 top-up = 990 final balance
-    // This ensures users see the true available credits after debt clearance
-    user.credits.total += amount;
-    user.credits.remaining += amount; // This automatically clears debt (negative + positive = net)
+    const debtOf = (balance) => (balance < 0 ? Math.abs(balance) : 0);
 
-    const balanceAfter = user.credits.remaining;
+    const result = await withLedgerTransaction(async (txSession) => {
+      const claimed = await Payment.findOneAndUpdate(
+        { _id: paymentId, creditsAdded: { $ne: true } },
+        { $set: { creditsAdded: true, creditsAddedAt: new Date() } },
+        { session: txSession }
+      );
+      if (!claimed) return { alreadyAdded: true };
+      undoClaim = !txSession;
+
+      const change = await applyBalanceChange(
+        { _id: userId },
+        { $inc: { "credits.total": amount, "credits.remaining": amount } },
+        amount,
+        (remainingBefore) => ({
+          type: "credit",
+          amount,
+          // Show debt clearance in the transaction description if applicable
+          description:
+            debtOf(remainingBefore) > 0
+              ? `${description} (Debt cleared: ${debtOf(remainingBefore)} credits)`
+              : description,
+          paymentId,
+        }),
+        txSession
+      );
+      if (!change) {
+        throw new Error("User not found");
+      }
+      undoClaim = false;
+
+      await Payment.updateOne(
+        { _id: paymentId },
+        { $set: { creditTransactionId: change.transaction._id } },
+        { session: txSession }
+      );
+      return change;
+    }, session);
+
+    if (result.alreadyAdded) {
+      logger.info(`Credits already added for payment ${paymentId}`);
+      return { success: true, alreadyAdded: true };
+    }
+
+    const { user, transaction } = result;
+    const { remaining } = user.credits;
+    const debtAmount = debtOf(remaining - amount);
 
-    // Update transaction description to show debt clearance if applicable
-    let finalDescription = description;
     if (debtAmount > 0) {
-      finalDescription = `${description} (Debt cleared: ${debtAmount} credits)`;
       logger.info(
-        `💳 Debt clearance on payment: User ${userId} had ${balanceBefore} credits, topped up ${amount} credits, debt of ${debtAmount} cleared, final balance: ${balanceAfter}`
+        `💳 Debt clearance on payment: User ${userId} had ${remaining - amount} credits, topped up ${amount} credits, debt of ${debtAmount} cleared, final balance: ${remaining}`
       );
     }
 
-    // Save without session
-    await user.save();
-
-    // Log transaction without session
-    const transaction = await CreditTransaction.create({
-      userId,
-      type: "credit",
-      amount,
-      description: finalDescription,
-      paymentId,
-      balanceBefore,
-      balanceAfter,
-    });
-
     logger.info(
-      `✅ Credits added from payment: User ${userId}, Amount: ${amount}, Balance: ${balanceBefore} → ${balanceAfter}`
+      `✅ Credits added from payment: User ${userId}, Amount: ${amount}, Balance: ${transaction.balanceBefore} → ${transaction.balanceAfter}`
     );
 
+    notifyPaymentSucceeded(userId, paymentId, {
+      creditsAdded: amount,
+      balance: remaining,
+      debtCleared: debtAmount,
+    });
+
     return {
       success: true,
       user,
@@ -493,6 +820,710 @@ export const addCreditsFromPayment = async (
       debtCleared: debtAmount,
     };
   } catch (error) {
+    if (undoClaim) {
+      await Payment.updateOne({ _id: paymentId }, { $set: { creditsAdded: false } }).catch(
+        (undoError) =>
+          logger.error("Could not undo payment credit claim", {
+            paymentId: String(paymentId),
+            error: undoError.message,
+          })
+      );
+    }
     throw new Error(`Failed to add credits from payment: ${error.message}`);
   }
 };
+
+/**
+ * Add the bonus credits of a promo code used on a payment
+ * Only the first call for a payment adds them (its `bonusCreditsAdded` flag
+ * is claimed first, like `creditsAdded`); later calls return the bonus
+ * transaction, once it is recorded.
+ * @param {String} userId - User ID
+ * @param {Number} amount - Bonus credits
+ * @param {String} paymentId - Payment ID
+ * @param {String} description - Transaction description
+ * @returns {Object} Updated user and transaction, or { alreadyAdded: true, transaction }
+ */
+export const addBonusCreditsFromPayment = async (
+  userId,
+  amount,
+  paymentId,
+  description = "Promo code bonus"
+) => {
+  // Without a transaction a claim whose credits were not added is undone
+  let undoClaim = false;
+
+  try {
+    const result = await withLedgerTransaction(async (session) => {
+      const claimed = await Payment.findOneAndUpdate(
+        { _id: paymentId, bonusCreditsAdded: { $ne: true } },
+        { $set: { bonusCreditsAdded: true } },
+        { session }
+      );
+      if (!claimed) {
+        const transaction = await CreditTransaction.findOne({ paymentId, type: "bonus" }).session(
+          session
+        );
+        return { alreadyAdded: true, transaction };
+      }
+      undoClaim = !session;
+
+      const change = await applyBalanceChange(
+        { _id: userId },
+        { $inc: { "credits.total": amount, "credits.remaining": amount } },
+        amount,
+        { type: "bonus", amount, description, paymentId },
+        session
+      );
+      if (!change) {
+        throw new Error("User not found");
+      }
+      undoClaim = false;
+      return change;
+    });
+
+    if (result.alreadyAdded) {
+      logger.info(`Bonus credits already added for payment ${paymentId}`);
+      return { success: true, ...result };
+    }
+
+    logger.info(
+      `Bonus credits added from payment: User ${userId}, Amount: ${amount}, Balance: ${result.transaction.balanceBefore} → ${result.transaction.balanceAfter}`
+    );
+
+    return {
+      success: true,
+      ...result,
+    };
+  } catch (error) {
+    if (undoClaim) {
+      await Payment.updateOne({ _id: paymentId }, { $set: { bonusCreditsAdded: false } }).catch(
+        (undoError) =>
+          logger.error("Could not undo payment bonus claim", {
+            paymentId: String(paymentId),
+            error: undoError.message,
+          })
+      );
+    }
+    throw new Error(`Failed to add bonus credits: ${error.message}`);
+  }
+};
+
+/**
+ * Take back the credits of a refunded payment
+ * The balance may go negative (debt model) if the credits were already spent.
+ * @param {String} userId - User ID
+ * @param {Number} amount - Credits the payment added
+ * @param {String} paymentId - Payment ID
+ * @param {String} description - Transaction description
+ * @returns {Object} Updated user and transaction
+ */
+export const reverseCreditsFromPayment = async (
+  userId,
+  amount,
+  paymentId,
+  description = "Payment refunded"
+) => {
+  try {
+    const result = await withLedgerTransaction((session) =>
+      applyBalanceChange(
+        { _id: userId },
+        { $inc: { "credits.total": -amount, "credits.remaining": -amount } },
+        -amount,
+        { type: "debit", amount, description, paymentId },
+        session
+      )
+    );
+
+    if (!result) {
+      throw new Error("User not found");
+    }
+
+    logger.info(
+      `Credits reversed for refunded payment: User ${userId}, Amount: ${amount}, Balance: ${result.transaction.balanceBefore} → ${result.transaction.balanceAfter}`
+    );
+
+    return {
+      success: true,
+      ...result,
+    };
+  } catch (error) {
+    throw new Error(`Failed to reverse payment credits: ${error.message}`);
+  }
+};
+
+/**
+ * Give back the credits of a payment whose refund failed
+ * @param {String} userId - User ID
+ * @param {Number} amount - Credits the refund took back
+ * @param {String} paymentId - Payment ID
+ * @param {String} description - Transaction description
+ * @returns {Object} Updated user and transaction
+ */
+export const restoreCreditsFromPayment = async (
+  userId,
+  amount,
+  paymentId,
+  description = "Refund failed - credits restored"
+) => {
+  try {
+    const result = await withLedgerTransaction((session) =>
+      applyBalanceChange(
+        { _id: userId },
+        { $inc: { "credits.total": amount, "credits.remaining": amount } },
+        amount,
+        { type: "credit", amount, description, paymentId },
+        session
+      )
+    );
+
+    if (!result) {
+      throw new Error("User not found");
+    }
+
+    logger.info(
+      `Credits restored after failed refund: User ${userId}, Amount: ${amount}, Balance: ${result.transaction.balanceBefore} → ${result.transaction.balanceAfter}`
+    );
+
+    return {
+      success: true,
+      ...result,
+    };
+  } catch (error) {
+    throw new Error(`Failed to restore payment credits: ${error.message}`);
+  }
+};
+
+/**
+ * Record the credits a new account starts with
+ * Written when the user is created with a balance, so the ledger sums to it.
+ * @param {String} userId - User ID
+ * @param {Number} amount - Opening balance
+ * @param {String} description - Transaction description
+ * @returns {Object} Transaction
+ */
+export const recordOpeningCredits = async (
+  userId,
+  amount,
+  description = "Opening balance"
+) =>
+  CreditTransaction.create({
+    userId,
+    type: "bonus",
+    amount,
+    description,
+    balanceBefore: 0,
+    balanceAfter: amount,
+  });
+
+/**
+ * Credit Lots
+ * Subscription grants add to the balance like any other credit, plus a
+ * CreditLot recording when they lapse. Debits use up open lots oldest-first
+ * (applyBalanceChange); what is left of a lot when it expires is taken off
+ * the balance with an `expiry` ledger entry. Only available credits lapse -
+ * credits held by running jobs are charged or released as usual.
+ */
+
+/**
+ * Grant credits that expire
+ * @param {String} userId - User ID
+ * @param {Number} amount - Credits to grant
+ * @param {Object} options - { description, subscriptionId, cycle, expiresAt }
+ *   - a subscription cycle is granted at most once
+ * @returns {Object|null} { user, transaction, lot }, null if the cycle was already granted
+ */
+export const grantCredits = async (
+  userId,
+  amount,
+  { description = "Credits granted", subscriptionId = null, cycle = null, expiresAt = null } = {}
+) => {
+  try {
+    return await withLedgerTransaction(async (session) => {
+      // The lot is written first - its unique cycle claims the grant
+      const [lot] = await CreditLot.create(
+        [
+          {
+            userId,
+            ...(subscriptionId && { subscriptionId, cycle }),
+            amount,
+            remaining: amount,
+            expiresAt,
+          },
+        ],
+        { session }
+      );
+
+      const result = await applyBalanceChange(
+        { _id: userId },
+        { $inc: { "credits.total": amount, "credits.remaining": amount } },
+        amount,
+        { type: "grant", amount, description, subscriptionId },
+        session
+      );
+
+      if (!result) {
+        if (!session) await CreditLot.deleteOne({ _id: lot._id });
+        throw new Error("User not found");
+      }
+
+      lot.transactionId = result.transaction._id;
+      await CreditLot.updateOne(
+        { _id: lot._id },
+        { $set: { transactionId: lot.transactionId } },
+        { session }
+      );
+
+      return { ...result, lot };
+    });
+  } catch (error) {
+    if (error.code === 11000) return null; // Cycle already granted
+    throw new Error(`Failed to grant credits: ${error.message}`);
+  }
+};
+
+/**
+ * Let a credit lot lapse, in full or in part
+ * @param {String} lotId - Credit lot ID
+ * @param {Object} options - { amount (null = all that is left), description }
+ * @returns {Number} Credits taken off the balance (0 if the lot wasn't open,
+ *   or its credits are already spent or held)
+ */
+export const expireCreditLot = async (
+  lotId,
+  { amount = null, description = "Credits expired" } = {}
+) => {
+  try {
+    const expired = await withLedgerTransaction(async (session) => {
+      const now = new Date();
+      const left =
+        amount === null ? 0 : { $max: [0, { $subtract: ["$remaining", amount] }] };
+
+      // Returns the lot as it was - null if it isn't open
+      const lot = await CreditLot.findOneAndUpdate(
+        { _id: lotId, status: "open" },
+        [
+          { $set: { remaining: left } },
+          {
+            $set: {
+              status: { $cond: [{ $eq: ["$remaining", 0] }, "expired", "$status"] },
+              expiredAt: { $cond: [{ $eq: ["$remaining", 0] }, now, "$expiredAt"] },
+            },
+          },
+        ],
+        { session }
+      ).select("userId subscriptionId remaining");
+
+      if (!lot) return 0;
+
+      const lapsing = amount === null ? lot.remaining : Math.min(amount, lot.remaining);
+      if (lapsing <= 0) return 0;
+
+      // Credits of the lot still available - a negative balance has none
+      const available = { $min: [lapsing, { $max: [0, "$credits.remaining"] }] };
+      const previous = await User.findByIdAndUpdate(
+        lot.userId,
+        [
+          {
+            $set: {
+              "credits.total": { $subtract: ["$credits.total", available] },
+              "credits.remaining": { $subtract: ["$credits.remaining", available] },
+            },
+          },
+        ],
+        { session }
+      ).select("credits");
+
+      if (!previous) return 0;
+
+      const taken = Math.min(lapsing, Math.max(0, previous.credits.remaining));
+      if (taken === 0) return 0;
+
+      const balanceBefore = previous.credits.remaining + (previous.credits.held || 0);
+
+      await CreditLot.updateOne(
+        { _id: lot._id },
+        { $inc: { expiredCredits: taken } },
+        { session }
+      );
+      await CreditTransaction.create(
+        [
+          {
+            userId: lot.userId,
+            type: "expiry",
+            amount: taken,
+            description,
+            subscriptionId: lot.subscriptionId,
+            balanceBefore,
+            balanceAfter: balanceBefore - taken,
+          },
+        ],
+        { session }
+      );
+
+      return taken;
+    });
+
+    if (expired > 0) {
+      logger.info("Credit lot expired", { lotId: lotId.toString(), credits: expired });
+    }
+
+    return expired;
+  } catch (error) {
+    throw new Error(`Failed to expire credits: ${error.message}`);
+  }
+};
+
+/**
+ * A user's credits that will expire, soonest first
+ * @param {String} userId - User ID
+ * @returns {Array} [{ lotId, subscriptionId, amount, remaining, expiresAt, grantedAt }]
+ */
+export const getExpiringCredits = async (userId) => {
+  const lots = await CreditLot.find({
+    userId,
+    status: "open",
+    remaining: { $gt: 0 },
+    expiresAt: { $ne: null },
+  })
+    .sort({ expiresAt: 1 })
+    .limit(100);
+
+  return lots.map((lot) => ({
+    lotId: lot._id,
+    subscriptionId: lot.subscriptionId,
+    amount: lot.amount,
+    remaining: lot.remaining,
+    expiresAt: lot.expiresAt,
+    grantedAt: lot.createdAt,
+  }));
+};
+
+/**
+ * Credit Holds
+ * Analysis jobs reserve their worst-case cost (calculateCreditHold) when they
+ * are queued: the amount moves from credits.remaining to credits.held in one
+ * conditional update, so concurrent submissions can't oversubscribe a
+ * balance. The hold is settled to the actual charge when the job completes
+ * (or is cancelled after sandbox submission) and released when it fails.
+ * The job's `creditHold.status` guards each hold, so it is resolved only once.
+ * Jobs of organization members are held on the organization's pool
+ * (`creditHold.organizationId`). Jobs submitted with an API key also reserve
+ * the hold against the key's budget (`creditHold.keyBudget`).
+ */
+
+/**
+ * Credits a user's analyses draw on - their organization's pool for members
+ * @param {Object} user - User document
+ * @returns {Object} { total, used, remaining, held, organizationId, organizationName }
+ */
+export const getAvailableCredits = async (user) => {
+  if (!user.organizationId) {
+    const { total, used, remaining, held = 0 } = user.credits;
+    return { total, used, remaining, held, organizationId: null, organizationName: null };
+  }
+
+  const organization = await Organization.findById(user.organizationId).select("name credits");
+  if (!organization) {
+    throw new Error("Organization not found");
+  }
+
+  const { total, used, remaining, held = 0 } = organization.credits;
+  return {
+    total,
+    used,
+    remaining,
+    held,
+    organizationId: organization._id,
+    organizationName: organization.name,
+  };
+};
+
+/**
+ * Move credits from remaining to held if the available balance covers them
+ * @param {String} userId - User ID
+ * @param {Number} amount - Credits to hold
+ * @param {String} organizationId - Hold on this organization's pool instead
+ * @returns {Object|null} Updated credits, or null if the balance is too low
+ */
+export const holdCredits = async (userId, amount, organizationId = null) => {
+  const { Model, filter } = creditAccount(userId, organizationId);
+  const account = await Model.findOneAndUpdate(
+    { ...filter, "credits.remaining": { $gte: amount } },
+    { $inc: { "credits.remaining": -amount, "credits.held": amount } },
+    { new: true }
+  ).select("credits");
+
+  return account ? account.credits : null;
+};
+
+/**
+ * Return held credits to the available balance
+ * @param {String} userId - User ID
+ * @param {Number} amount - Credits to release
+ * @param {String} organizationId - Organization pool the credits were held on
+ */
+export const releaseCredits = async (userId, amount, organizationId = null) => {
+  const { Model, filter } = creditAccount(userId, organizationId);
+  await Model.updateOne(filter, {
+    $inc: { "credits.remaining": amount, "credits.held": -amount },
+  });
+};
+
+/**
+ * Release a hold placed for a job that was never queued
+ * @param {String} userId - User ID
+ * @param {Object} creditHold - Result of holdCreditsForJob
+ */
+export const releaseCreditHold = async (userId, creditHold) => {
+  await releaseCredits(userId, creditHold.amount, creditHold.organizationId);
+  await adjustKeyBudget(creditHold.keyBudget, -creditHold.amount);
+};
+
+/**
+ * Hold the worst-case cost of a job about to be queued
+ * Priced with the active pricing version, which the hold records so the job
+ * is settled with the same version.
+ * @param {String} userId - User ID
+ * @param {Number} fileSize - Sample size in bytes
+ * @param {Object} options - { backends, tier, organizationId, apiKeyId } of the job
+ * @returns {Object} `creditHold` for the new AnalysisJob
+ * @throws {Error} code API_KEY_BUDGET_EXCEEDED (with `details`) if the key's caps
+ *   don't fit the hold, INSUFFICIENT_CREDITS (with `details`) if the balance is too low
+ */
+export const holdCreditsForJob = async (
+  userId,
+  fileSize,
+  { backends = [], tier, organizationId = null, apiKeyId = null } = {}
+) => {
+  const pricing = await pricingService.getActivePricing();
+  const { total } = calculateCreditHold(fileSize, { pricing, backends, tier });
+
+  const keyBudget = apiKeyId ? await reserveKeyBudget(apiKeyId, total) : null;
+  const credits = await holdCredits(userId, total, organizationId);
+
+  if (!credits) {
+    await adjustKeyBudget(keyBudget, -total);
+
+    const { Model, filter } = creditAccount(userId, organizationId);
+    const account = await Model.findOne(filter).select("credits");
+    const error = new Error("Insufficient credits");
+    error.code = "INSUFFICIENT_CREDITS";
+    error.details = {
+      required: total,
+      available: account?.credits.remaining ?? 0,
+      held: account?.credits.held || 0,
+      tier,
+      ...(organizationId && { organizationId: organizationId.toString() }),
+    };
+    throw error;
+  }
+
+  logger.info("Credits held for analysis job", {
+    userId: userId.toString(),
+    organizationId: organizationId?.toString(),
+    amount: total,
+    pricingVersion: pricing.version,
+    remaining: credits.remaining,
+    held: credits.held,
+  });
+
+  return {
+    amount: total,
+    status: "held",
+    pricingVersion: pricing.version,
+    ...(organizationId && { organizationId }),
+    ...(keyBudget && { keyBudget }),
+    heldAt: new Date(),
+  };
+};
+
+/**
+ * Settle a job's hold to the actual charge and record the debit
+ * Jobs queued before holds existed are charged post-hoc (deductCreditsForSDK).
+ * @param {String} jobId - Analysis job ID
+ * @param {Number} amount - Actual charge (0 releases the whole hold)
+ * @param {Object} options - { description, apiKeyId }
+ * @returns {Number} Credits charged (0 if the hold was already resolved)
+ */
+export const settleJobCredits = async (
+  jobId,
+  amount,
+  { description = "Binary Analysis", apiKeyId = null } = {}
+) => {
+  // Claiming the hold, the balance change and the ledger entry commit together
+  const settled = await withLedgerTransaction(async (session) => {
+    // Returns the job as it was - null if there is no active hold
+    const job = await AnalysisJob.findOneAndUpdate(
+      { _id: jobId, "creditHold.status": "held" },
+      {
+        $set: {
+          "creditHold.status": amount > 0 ? "settled" : "released",
+          "creditHold.charged": amount,
+          "creditHold.resolvedAt": new Date(),
+        },
+      },
+      { session }
+    ).select("userId creditHold");
+
+    if (!job) return null;
+
+    const held = job.creditHold.amount;
+    await adjustKeyBudget(job.creditHold.keyBudget, amount - held, session);
+
+    const account = creditAccount(job.userId, job.creditHold.organizationId);
+    const update = {
+      $inc: {
+        "credits.remaining": held - amount,
+        "credits.held": -held,
+        "credits.used": amount,
+      },
+    };
+
+    if (amount === 0) {
+      await account.Model.updateOne(account.filter, update, { session });
+      return { job, held, transaction: null };
+    }
+
+    const change = await applyBalanceChange(
+      account.filter,
+      update,
+      -amount, // Released credits aren't a balance change
+      {
+        ...account.entry,
+        type: "debit",
+        amount,
+        description,
+        jobId: jobId.toString(),
+        apiKeyId,
+      },
+      session,
+      account.Model
+    );
+    const { credits } = change.user || change.organization;
+
+    return { job, held, transaction: change.transaction, remaining: credits.remaining };
+  });
+
+  if (!settled) {
+    const current = await AnalysisJob.findById(jobId).select("userId creditHold");
+    if (!current) {
+      throw new Error("Job not found");
+    }
+
+    if (current.creditHold?.status) {
+      logger.warn("Credit hold already resolved - not charging again", {
+        jobId: jobId.toString(),
+        status: current.creditHold.status,
+      });
+      return 0;
+    }
+
+    if (amount > 0) {
+      await deductCreditsForSDK(current.userId, amount, jobId, apiKeyId, description);
+    }
+    return amount;
+  }
+
+  const { job, held, transaction, remaining } = settled;
+  const organizationId = job.creditHold.organizationId;
+
+  logger.info("Credit hold settled", {
+    jobId: jobId.toString(),
+    userId: job.userId.toString(),
+    organizationId: organizationId?.toString(),
+    held,
+    charged: amount,
+    released: held - amount,
+    balanceAfter: transaction?.balanceAfter,
+  });
+
+  if (transaction) {
+    notifyIfLowCredits(job.userId, remaining + amount, remaining, {
+      jobId,
+      apiKeyId,
+      ...(organizationId && { organizationId: organizationId.toString() }),
+    });
+  }
+
+  return amount;
+};
+
+/**
+ * Release a job's hold without charging (failed jobs)
+ * @param {String} jobId - Analysis job ID
+ * @param {String} reason - Logged reason
+ * @returns {Number} Credits released (0 if there was no active hold)
+ */
+export const releaseJobCredits = async (jobId, reason = "released") => {
+  const job = await withLedgerTransaction(async (session) => {
+    const job = await AnalysisJob.findOneAndUpdate(
+      { _id: jobId, "creditHold.status": "held" },
+      {
+        $set: {
+          "creditHold.status": "released",
+          "creditHold.charged": 0,
+          "creditHold.resolvedAt": new Date(),
+        },
+      },
+      { session }
+    ).select("userId creditHold");
+
+    if (job) {
+      await adjustKeyBudget(job.creditHold.keyBudget, -job.creditHold.amount, session);
+
+      const { Model, filter } = creditAccount(job.userId, job.creditHold.organizationId);
+      await Model.updateOne(
+        filter,
+        {
+          $inc: {
+            "credits.remaining": job.creditHold.amount,
+            "credits.held": -job.creditHold.amount,
+          },
+        },
+        { session }
+      );
+    }
+
+    return job;
+  });
+
+  if (!job) return 0;
+
+  logger.info("Credit hold released", {
+    jobId: jobId.toString(),
+    userId: job.userId.toString(),
+    organizationId: job.creditHold.organizationId?.toString(),
+    amount: job.creditHold.amount,
+    reason,
+  });
+
+  return job.creditHold.amount;
+};
+
+/**
+ * Active holds on a balance (queued/processing jobs)
+ * @param {String} userId - User ID
+ * @param {String} organizationId - List the holds of this organization's pool
+ *   (all members) instead of the user's own
+ * @returns {Array} [{ jobId, userId, filename, amount, status, heldAt }]
+ */
+export const getActiveHolds = async (userId, organizationId = null) => {
+  const filter = organizationId
+    ? { "creditHold.organizationId": organizationId, "creditHold.status": "held" }
+    : { userId, "creditHold.status": "held", "creditHold.organizationId": null };
+
+  const jobs = await AnalysisJob.find(filter)
+    .select("userId filename status creditHold")
+    .sort({ "creditHold.heldAt": -1 })
+    .limit(100);
+
+  return jobs.map((job) => ({
+    jobId: job._id,
+    userId: job.userId,
+    filename: job.filename,
+    amount: job.creditHold.amount,
+    status: job.status,
+    heldAt: job.creditHold.heldAt,
+  }));
+};
@@ -0,0 +1,245 @@
+import { CRYPTO_SIGNATURES } from "../utils/crypto.signatures.js";
+import { queueLogger } from "../utils/logger.js";
+
+/**
+ * Crypto Signature Scanner
+ * Finds well-known cryptographic constants (S-boxes, round constants,
+ * curve parameters...) in a binary and maps them to detected algorithms.
+ * Runs fully offline against the local signature catalog.
+ */
+class CryptoScannerService {
+  constructor() {
+    this.maxLocationsPerSignature = 8;
+    this.needles = CRYPTO_SIGNATURES.map((signature) =>
+      this.compileSignature(signature),
+    );
+  }
+
+  /**
+   * Scan a buffer for crypto constants
+   * @param {Buffer} buffer - Binary contents
+   * @param {Array} sections - Sections from the static report (for location labels)
+   * @returns {Array} detected_algorithms entries
+   */
+  scanBuffer(buffer, sections = []) {
+    const startTime = Date.now();
+    const hits = [];
+
+    for (const compiled of this.needles) {
+      const hit =
+        compiled.signature.kind === "constants"
+          ? this.matchConstants(buffer, compiled)
+          : this.matchTable(buffer, compiled);
+
+      if (hit) hits.push(hit);
+    }
+
+    const detected = this.aggregateHits(hits, sections);
+
+    queueLogger.info("Crypto signature scan completed", {
+      signaturesChecked: this.needles.length,
+      signatureHits: hits.length,
+      algorithms: detected.map((d) => d.algorithm_name),
+      duration: `${Date.now() - startTime}ms`,
+    });
+
+    return detected;
+  }
+
+  /**
+   * Pre-build search needles in every byte order we match
+   */
+  compileSignature(signature) {
+    if (signature.kind === "bytes") {
+      return {
+        signature,
+        variants: [{ byteOrder: null, full: Buffer.from(signature.values) }],
+      };
+    }
+
+    if (signature.kind === "bignum") {
+      return {
+        signature,
+        variants: [
+          { byteOrder: "big-endian", full: signature.value },
+          {
+            byteOrder: "little-endian",
+            full: Buffer.from(signature.value).reverse(),
+          },
+        ],
+      };
+    }
+
+    // words / constants
+    return {
+      signature,
+      variants: ["little-endian", "big-endian"].map((byteOrder) => ({
+        byteOrder,
+        full: this.encodeWords(signature.values, signature.wordSize, byteOrder),
+        words: signature.values.map((value) =>
+          this.encodeWords([value], signature.wordSize, byteOrder),
+        ),
+      })),
+    };
+  }
+
+  encodeWords(values, wordSize, byteOrder) {
+    const buffer = Buffer.alloc(values.length * wordSize);
+    const littleEndian = byteOrder === "little-endian";
+
+    values.forEach((value, index) => {
+      const offset = index * wordSize;
+      if (wordSize === 8) {
+        littleEndian
+          ? buffer.writeBigUInt64LE(BigInt(value), offset)
+          : buffer.writeBigUInt64BE(BigInt(value), offset);
+      } else if (wordSize === 4) {
+        littleEndian
+          ? buffer.writeUInt32LE(value, offset)
+          : buffer.writeUInt32BE(value, offset);
+      } else {
+        littleEndian
+          ? buffer.writeUInt16LE(value, offset)
+          : buffer.writeUInt16BE(value, offset);
+      }
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Match a contiguous table (optionally by prefix only)
+   */
+  matchTable(buffer, compiled) {
+    const { signature } = compiled;
+    const matches = [];
+    let fullTableMatched = false;
+
+    for (const variant of compiled.variants) {
+      const prefixLength = signature.prefixWords
+        ? signature.prefixWords * signature.wordSize
+        : variant.full.length;
+      const needle = variant.full.subarray(0, prefixLength);
+
+      for (const offset of this.findAll(buffer, needle)) {
+        const isFull =
+          needle.length === variant.full.length ||
+          buffer
+            .subarray(offset, offset + variant.full.length)
+            .equals(variant.full);
+
+        fullTableMatched = fullTableMatched || isFull;
+        matches.push({ offset, byteOrder: variant.byteOrder, isFull });
+      }
+    }
+
+    if (matches.length === 0) return null;
+
+    return {
+      signature,
+      offsets: matches.map((m) => m.offset),
+      byteOrders: [...new Set(matches.map((m) => m.byteOrder).filter(Boolean))],
+      confidence: fullTableMatched
+        ? signature.confidence
+        : signature.confidence * 0.85,
+      detail: fullTableMatched
+        ? `${compiled.variants[0].full.length} bytes, full table`
+        : "table prefix",
+    };
+  }
+
+  /**
+   * Match scattered constants - every word must appear in one byte order
+   */
+  matchConstants(buffer, compiled) {
+    const { signature } = compiled;
+
+    for (const variant of compiled.variants) {
+      const offsets = [];
+
+      for (const word of variant.words) {
+        const offset = buffer.indexOf(word);
+        if (offset === -1) break;
+        offsets.push(offset);
+      }
+
+      if (offsets.length === variant.words.length) {
+        return {
+          signature,
+          offsets,
+          byteOrders: [variant.byteOrder],
+          confidence: signature.confidence,
+          detail: `${offsets.length} constants`,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  findAll(buffer, needle) {
+    const offsets = [];
+    let offset = buffer.indexOf(needle);
+
+    while (offset !== -1 && offsets.length < this.maxLocationsPerSignature) {
+      offsets.push(offset);
+      offset = buffer.indexOf(needle, offset + 1);
+    }
+
+    return offsets;
+  }
+
+  /**
+   * Group signature hits by algorithm into detected_algorithms entries
+   */
+  aggregateHits(hits, sections) {
+    const byAlgorithm = new Map();
+
+    for (const hit of hits) {
+      const name = hit.signature.algorithm;
+      if (!byAlgorithm.has(name)) byAlgorithm.set(name, []);
+      byAlgorithm.get(name).push(hit);
+    }
+
+    return [...byAlgorithm.entries()]
+      .map(([algorithm, algorithmHits]) => {
+        // Independent pieces of evidence reinforce each other
+        const missProbability = algorithmHits.reduce(
+          (product, hit) => product * (1 - hit.confidence),
+          1,
+        );
+
+        return {
+          algorithm_name: algorithm,
+          confidence_score: Math.min(
+            0.99,
+            Math.round((1 - missProbability) * 100) / 100,
+          ),
+          algorithm_class: algorithmHits[0].signature.algorithmClass,
+          structural_signature: [
+            ...new Set(algorithmHits.map((hit) => hit.signature.structure)),
+          ].join(", "),
+          evidence: algorithmHits.map((hit) => {
+            const orders = hit.byteOrders.length
+              ? ` [${hit.byteOrders.join("/")}]`
+              : "";
+            return `${hit.signature.description} (${hit.detail})${orders}`;
+          }),
+          locations: algorithmHits.flatMap((hit) =>
+            hit.offsets.map((offset) => this.formatLocation(offset, sections)),
+          ),
+        };
+      })
+      .sort((a, b) => b.confidence_score - a.confidence_score);
+  }
+
+  formatLocation(offset, sections) {
+    const section = sections.find(
+      (s) => s.size > 0 && offset >= s.offset && offset < s.offset + s.size,
+    );
+    const hexOffset = `0x${offset.toString(16)}`;
+    return section ? `${hexOffset} (${section.name})` : hexOffset;
+  }
+}
+
+export default new CryptoScannerService();
@@ -194,9 +194,11 @@ class DynamicAnalysisService {
         error: error.message,
       });
 
-      throw new Error(
+      const statusError = new Error(
         `Status check failed: ${error.response?.data?.message || error.message}`,
       );
+      statusError.status = error.response?.status;
+      throw statusError;
     }
   }
 
@@ -221,6 +223,11 @@ class DynamicAnalysisService {
         throw new Error("Empty report received");
       }
 
+      // axios hands back the raw string when the body is not valid JSON
+      if (typeof response.data !== "object") {
+        throw new Error("Malformed report received");
+      }
+
       return this.parseReport(response.data);
     } catch (error) {
       queueLogger.error("Dynamic analysis report retrieval failed", {
@@ -243,9 +250,10 @@ class DynamicAnalysisService {
   /**
    * Poll task status until complete or timeout
    * @param {String} taskId - Task ID to poll
+   * @param {Function} onStatus - Optional callback(status) after each check
    * @returns {Promise<Object>} Final status
    */
-  async pollUntilComplete(taskId) {
+  async pollUntilComplete(taskId, onStatus = null) {
     let attempts = 0;
     let failedAnalysisCount = 0;
     const maxFailedAnalysisAttempts = 10; // Give CAPE ~5 min to recover from failed_analysis
@@ -253,6 +261,10 @@ class DynamicAnalysisService {
     while (attempts < this.maxPollingAttempts) {
       const statusInfo = await this.checkStatus(taskId);
 
+      if (onStatus) {
+        await onStatus(statusInfo.status);
+      }
+
       if (statusInfo.isComplete) {
         queueLogger.info("Dynamic analysis completed", {
           taskId,
@@ -316,18 +328,34 @@ class DynamicAnalysisService {
    * @param {String} filePath - Path to binary file
    * @param {String} filename - Original filename
    * @param {Object} options - Analysis options
+   * @param {Object} hooks - { existingTaskId, onSubmitted(taskId), onStatus(status) }
    * @returns {Promise<Object>} Complete analysis results
    */
-  async analyzeFile(filePath, filename, options = {}) {
+  async analyzeFile(filePath, filename, options = {}, hooks = {}) {
+    const { existingTaskId, onSubmitted, onStatus } = hooks;
+
     try {
-      queueLogger.info("Starting dynamic analysis workflow", { filename });
+      queueLogger.info("Starting dynamic analysis workflow", {
+        filename,
+        existingTaskId,
+      });
 
-      // Phase A: Submit file
-      const submission = await this.submitFile(filePath, filename, options);
-      const taskId = submission.taskId;
+      // Phase A: Resume the task from a previous attempt, or submit the file
+      let taskId = existingTaskId
+        ? await this.resumeTask(existingTaskId)
+        : null;
+
+      if (!taskId) {
+        const submission = await this.submitFile(filePath, filename, options);
+        taskId = submission.taskId;
+
+        if (onSubmitted) {
+          await onSubmitted(taskId);
+        }
+      }
 
       // Phase B: Poll until complete
-      await this.pollUntilComplete(taskId);
+      await this.pollUntilComplete(taskId, onStatus);
 
       // Phase C: Retrieve report
       const report = await this.getReport(taskId);
@@ -353,6 +381,74 @@ class DynamicAnalysisService {
     }
   }
 
+  /**
+   * Check that a previously submitted task still exists on CAPE
+   * @param {String} taskId - Task ID persisted by an earlier attempt
+   * @returns {Promise<String|null>} taskId to keep polling, or null to resubmit
+   */
+  async resumeTask(taskId) {
+    try {
+      const statusInfo = await this.checkStatus(taskId);
+
+      queueLogger.info("Resuming existing dynamic analysis task", {
+        taskId,
+        status: statusInfo.status,
+      });
+
+      return taskId;
+    } catch (error) {
+      // Only a missing task is safe to resubmit - anything else would risk a duplicate
+      if (error.status === 404) {
+        queueLogger.warn("Previous dynamic analysis task not found, resubmitting", {
+          taskId,
+        });
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a task on CAPE (stops a pending/running detonation)
+   * @param {String} taskId - Task ID from submission
+   * @returns {Promise<Boolean>} true if deleted, false if CAPE no longer has it
+   */
+  async deleteTask(taskId) {
+    try {
+      const response = await axios.get(
+        `${this.apiUrl}/apiv2/tasks/delete/${taskId}/`,
+        {
+          headers: {
+            Authorization: `Token ${this.apiToken}`,
+          },
+          timeout: 30000, // 30 seconds
+        },
+      );
+
+      // Some CAPE builds answer 200 with { error: true } for unknown tasks
+      if (response.data?.error) {
+        if (/does not exist/i.test(response.data.error_value)) return false;
+        throw new Error(response.data.error_value || "CAPE refused deletion");
+      }
+
+      queueLogger.info("Dynamic analysis task deleted", { taskId });
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return false;
+      }
+
+      queueLogger.error("Dynamic analysis task deletion failed", {
+        taskId,
+        error: error.message,
+      });
+      throw new Error(
+        `Task deletion failed: ${error.response?.data?.message || error.message}`,
+      );
+    }
+  }
+
   /**
    * Parse and normalize report data
    * @param {Object} rawReport - Raw report from CAPEv2
@@ -363,7 +459,7 @@ class DynamicAnalysisService {
       malScore: rawReport.malscore || 0,
       signatures: (rawReport.signatures || []).map((sig) => ({
         name: sig.name || sig.description,
-        severity: sig.severity || "info",
+        severity: this.normalizeSeverity(sig.severity),
         description: sig.description || sig.name,
         marks: sig.marks || [],
       })),
@@ -404,6 +500,20 @@ class DynamicAnalysisService {
     return report;
   }
 
+  /**
+   * CAPE reports signature severity as a number (1-3+), older builds as text
+   */
+  normalizeSeverity(severity) {
+    if (typeof severity === "number") {
+      if (severity >= 4) return "critical";
+      if (severity === 3) return "high";
+      if (severity === 2) return "medium";
+      if (severity === 1) return "low";
+      return "info";
+    }
+    return severity || "info";
+  }
+
   /**
    * Sleep utility for polling
    */
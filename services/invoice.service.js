@@ -0,0 +1,575 @@
+import Invoice from "../models/invoice.model.js";
+import Counter from "../models/counter.model.js";
+import User from "../models/user.model.js";
+import PdfDocument from "../utils/pdf.js";
+import logger from "../utils/logger.js";
+
+// HTTP status of each invoice error code
+export const INVOICE_ERROR_STATUS = {
+  INVOICE_NOT_AVAILABLE: 400,
+  INVOICE_NOT_FOUND: 404,
+};
+
+const invoiceError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Payments that were invoiced (refunded ones keep their invoice)
+const INVOICED_STATUSES = ["success", "partially_refunded", "refunded"];
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// Numbering waits for a series locked to another document, and finishes a
+// lock left behind (crashed request) after NUMBER_LOCK_STALE_MS
+const NUMBER_LOCK_WAIT_MS = 50;
+const NUMBER_LOCK_ATTEMPTS = 100;
+const NUMBER_LOCK_STALE_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const COLORS = {
+  brand: [74, 5, 130],
+  text: [31, 41, 55],
+  muted: [107, 114, 128],
+  rule: [229, 231, 235],
+  band: [243, 244, 246],
+  white: [255, 255, 255],
+};
+
+/**
+ * Seller details and tax settings (read when a document is issued)
+ */
+const getSettings = () => {
+  const gstin = process.env.INVOICE_SELLER_GSTIN || "";
+  return {
+    seller: {
+      name: process.env.INVOICE_SELLER_NAME || "Cypher-Ray",
+      gstin,
+      address: process.env.INVOICE_SELLER_ADDRESS || "",
+      stateCode: process.env.INVOICE_SELLER_STATE_CODE || gstin.slice(0, 2) || "29",
+      email: process.env.INVOICE_SELLER_EMAIL || process.env.EMAIL_FROM || "",
+    },
+    taxRate: Number(process.env.GST_RATE ?? 18),
+    sac: process.env.INVOICE_SAC || "998314",
+    prefixes: {
+      invoice: process.env.INVOICE_PREFIX || "CR",
+      credit_note: process.env.CREDIT_NOTE_PREFIX || "CN",
+    },
+  };
+};
+
+const ADDRESS_FIELDS = ["line1", "line2", "city", "state", "stateCode", "postalCode", "country"];
+
+/**
+ * Indian financial year (April-March, IST) of a date
+ * @param {Date} date - Date
+ * @returns {String} e.g. "2026-27"
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const start = ist.getUTCMonth() < 3 ? ist.getUTCFullYear() - 1 : ist.getUTCFullYear();
+  return `${start}-${String(start + 1).slice(2)}`;
+};
+
+/**
+ * Split a GST-inclusive amount into taxable value and CGST/SGST or IGST
+ * Supplies inside the seller's state pay CGST + SGST, other states IGST;
+ * exports (non-INR or customers outside India) are zero-rated.
+ * @param {Number} total - Amount including GST, smallest currency unit
+ * @param {Object} options - { supplyType, taxRate }
+ * @returns {Object} { taxableAmount, cgst, sgst, igst }
+ */
+export const splitTax = (total, { supplyType, taxRate }) => {
+  if (supplyType === "export" || !taxRate) {
+    return { taxableAmount: total, cgst: 0, sgst: 0, igst: 0 };
+  }
+
+  const taxableAmount = Math.round((total * 100) / (100 + taxRate));
+  const tax = total - taxableAmount;
+  if (supplyType === "inter_state") {
+    return { taxableAmount, cgst: 0, sgst: 0, igst: tax };
+  }
+
+  const cgst = Math.floor(tax / 2);
+  return { taxableAmount, cgst, sgst: tax - cgst, igst: 0 };
+};
+
+const formatAmount = (amount) =>
+  (amount / 100).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    timeZone: "Asia/Kolkata",
+  });
+
+/**
+ * Invoice Service
+ * GST tax invoices for credit purchases and credit notes for their refunds.
+ * Documents are numbered per financial year (separate series for invoices
+ * and credit notes), keep a copy of the seller and customer details and are
+ * rendered to PDF on request. Plan prices include GST.
+ */
+class InvoiceService {
+  /**
+   * Customer details as printed on a document
+   * @param {Object} user - User document
+   * @returns {Object} Invoice `customer`
+   */
+  getCustomer(user) {
+    const billing = user.billing || {};
+    const address = Object.fromEntries(
+      ADDRESS_FIELDS.filter((field) => billing.address?.[field]).map((field) => [
+        field,
+        billing.address[field],
+      ])
+    );
+    const hasAddress = Object.keys(address).length > 0;
+
+    return {
+      name: billing.legalName || user.organizationName || user.username,
+      email: user.email,
+      gstin: billing.gstin || undefined,
+      address: hasAddress ? { country: "IN", ...address } : undefined,
+    };
+  }
+
+  /**
+   * Place of supply and supply type of a sale to a customer
+   * Registered customers are located by their GSTIN, others by their billing
+   * address; without one the sale is treated as inside the seller's state.
+   * @returns {Object} { placeOfSupply, supplyType }
+   */
+  getSupply(customer, currency, sellerStateCode) {
+    const country = customer.address?.country || "IN";
+    if (currency !== "INR" || country !== "IN") {
+      return { placeOfSupply: null, supplyType: "export" };
+    }
+
+    const placeOfSupply =
+      customer.gstin?.slice(0, 2) || customer.address?.stateCode || sellerStateCode;
+    return {
+      placeOfSupply,
+      supplyType: placeOfSupply === sellerStateCode ? "intra_state" : "inter_state",
+    };
+  }
+
+  /**
+   * Number of a document series
+   * @param {String} series - Counter ID, e.g. invoice:2026-27
+   * @param {Number} seq - Position in the series
+   * @returns {String} e.g. CR2627-000042
+   */
+  formatNumber(series, seq) {
+    const { prefixes } = getSettings();
+    const [type, financialYear] = series.split(":");
+    const code = financialYear.slice(2, 4) + financialYear.slice(5); // 2026-27 -> 2627
+
+    return `${prefixes[type]}${code}-${String(seq).padStart(6, "0")}`;
+  }
+
+  /**
+   * Give a document its number if it doesn't have one yet
+   * Series have no gaps: the series is locked to the document, which is
+   * checked for a number again, and only then the next number is taken and
+   * written. A number taken under a lock left behind goes to its document.
+   * @param {Object} invoice - Invoice document
+   * @returns {Promise<Object>} Numbered invoice document
+   * @throws {Error} when the series stays locked by other documents
+   */
+  async ensureNumber(invoice) {
+    const series = `${invoice.type}:${invoice.financialYear}`;
+
+    for (let attempt = 0; attempt < NUMBER_LOCK_ATTEMPTS; attempt++) {
+      if (invoice.number) return invoice;
+
+      const lock = await this.lockSeries(series, invoice._id);
+      if (lock) {
+        // Numbered before the lock was ours - no number is taken
+        const numbered = await Invoice.exists({ _id: invoice._id, number: { $ne: null } });
+        const taken = numbered
+          ? null
+          : await Counter.findOneAndUpdate(
+              { _id: series, lockedBy: invoice._id, numberTaken: false },
+              { $inc: { seq: 1 }, $set: { numberTaken: true } },
+              { new: true }
+            );
+        await this.unlockSeries(taken || lock);
+      } else {
+        await sleep(NUMBER_LOCK_WAIT_MS);
+      }
+
+      invoice = await Invoice.findById(invoice._id);
+    }
+
+    throw new Error(`Invoice series ${series} is busy - try again`);
+  }
+
+  /**
+   * Lock a series to a document
+   * A lock that holds a taken number, or was left behind, is finished instead.
+   * @param {String} series - Counter ID
+   * @param {String} documentId - Invoice ID
+   * @returns {Promise<Object|null>} Locked counter, null if another document holds it
+   */
+  async lockSeries(series, documentId) {
+    try {
+      const lock = await Counter.findOneAndUpdate(
+        { _id: series, lockedBy: null },
+        { $set: { lockedBy: documentId, lockedAt: new Date(), numberTaken: false } },
+        { upsert: true, new: true }
+      );
+      if (lock) return lock;
+    } catch (error) {
+      if (error.code !== 11000) throw error; // Upsert of a locked series
+    }
+
+    const counter = await Counter.findById(series);
+    if (
+      counter?.lockedBy &&
+      (counter.numberTaken || counter.lockedAt < new Date(Date.now() - NUMBER_LOCK_STALE_MS))
+    ) {
+      await this.unlockSeries(counter);
+    }
+    return null;
+  }
+
+  /**
+   * Write the number taken under a lock, if any, and unlock the series
+   * Safe to repeat: the number is written once and only this lock is released.
+   * @param {Object} counter - Counter as locked
+   */
+  async unlockSeries(counter) {
+    if (counter.numberTaken) {
+      const number = this.formatNumber(counter._id, counter.seq);
+      const numbered = await Invoice.findOneAndUpdate(
+        { _id: counter.lockedBy, number: null },
+        { $set: { number } },
+        { new: true }
+      );
+
+      if (numbered) {
+        logger.info("Invoice issued", {
+          number,
+          type: numbered.type,
+          paymentId: numbered.paymentId.toString(),
+        });
+      }
+    }
+
+    await Counter.updateOne(
+      { _id: counter._id, lockedBy: counter.lockedBy, seq: counter.seq },
+      { $set: { lockedBy: null, numberTaken: false } }
+    );
+  }
+
+  /**
+   * Create a document once per key and number it
+   * @param {Object} key - { paymentId, type, refundId }
+   * @param {Function} build - async () => remaining document fields
+   * @returns {Promise<Object>} Invoice document
+   */
+  async issue(key, build) {
+    const existing = await Invoice.findOne(key);
+    if (existing) return this.ensureNumber(existing);
+
+    let invoice;
+    try {
+      invoice = await Invoice.create({ ...key, ...(await build()) });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      invoice = await Invoice.findOne(key); // Issued by a concurrent request
+    }
+
+    return this.ensureNumber(invoice);
+  }
+
+  /**
+   * Tax invoice of a successful payment (issued once)
+   * @param {Object} payment - Payment document
+   * @param {Object} user - Payment's user (loaded when not given)
+   * @returns {Promise<Object>} Invoice document
+   * @throws {Error} code INVOICE_NOT_AVAILABLE if the payment hasn't succeeded
+   */
+  async issueInvoice(payment, user = null) {
+    if (!INVOICED_STATUSES.includes(payment.status)) {
+      throw invoiceError("INVOICE_NOT_AVAILABLE", "Invoices are issued for successful payments only");
+    }
+
+    return this.issue({ paymentId: payment._id, type: "invoice", refundId: null }, async () => {
+      const { seller, taxRate, sac } = getSettings();
+      const customer = this.getCustomer(
+        user || (await User.findById(payment.userId).select("username email organizationName billing"))
+      );
+      const supply = this.getSupply(customer, payment.currency, seller.stateCode);
+      const issuedAt = new Date();
+
+      return {
+        financialYear: getFinancialYear(issuedAt),
+        issuedAt,
+        userId: payment.userId,
+        paymentReference: payment.razorpayPaymentId,
+        seller,
+        customer,
+        ...supply,
+        taxRate,
+        lines: [
+          {
+            description: `${payment.creditsAmount} analysis credits - ${payment.planName} plan`,
+            sac,
+            quantity: 1,
+            amount: payment.coupon?.originalAmount || payment.amount,
+          },
+        ],
+        currency: payment.currency,
+        discount: payment.coupon?.discountAmount || 0,
+        ...splitTax(payment.amount, { ...supply, taxRate }),
+        total: payment.amount,
+      };
+    });
+  }
+
+  /**
+   * Credit note for a refund of a payment (issued once per refund)
+   * @param {Object} payment - Payment document
+   * @param {Object} refund - { refundId, amount (smallest unit), reason }
+   * @returns {Promise<Object>} Invoice document of type credit_note
+   */
+  async issueCreditNote(payment, { refundId, amount, reason }) {
+    const invoice = await this.issueInvoice(payment);
+
+    return this.issue({ paymentId: payment._id, type: "credit_note", refundId }, async () => {
+      const issuedAt = new Date();
+      const total = Math.min(amount, invoice.total);
+
+      return {
+        financialYear: getFinancialYear(issuedAt),
+        issuedAt,
+        userId: payment.userId,
+        paymentReference: payment.razorpayPaymentId,
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.number,
+        reason,
+        seller: invoice.seller,
+        customer: invoice.customer,
+        placeOfSupply: invoice.placeOfSupply,
+        supplyType: invoice.supplyType,
+        taxRate: invoice.taxRate,
+        lines: [
+          {
+            description: `Refund - ${invoice.lines[0].description}`,
+            sac: invoice.lines[0].sac,
+            quantity: 1,
+            amount: total,
+          },
+        ],
+        currency: invoice.currency,
+        ...splitTax(total, invoice),
+        total,
+      };
+    });
+  }
+
+  /**
+   * Credit note of one of a payment's refunds (default: the latest)
+   * @param {Object} payment - Payment document
+   * @param {String} refundId - Razorpay refund ID
+   * @returns {Promise<Object>} Invoice document
+   * @throws {Error} code INVOICE_NOT_FOUND
+   */
+  async getCreditNote(payment, refundId = null) {
+    const creditNote = await Invoice.findOne({
+      paymentId: payment._id,
+      type: "credit_note",
+      ...(refundId && { refundId }),
+    }).sort({ issuedAt: -1 });
+
+    if (!creditNote) {
+      throw invoiceError("INVOICE_NOT_FOUND", "No credit note for this payment");
+    }
+    return this.ensureNumber(creditNote);
+  }
+
+  /**
+   * Document as a PDF email attachment / download
+   * @param {Object} invoice - Invoice document
+   * @returns {Object} { filename, content }
+   */
+  toAttachment(invoice) {
+    return {
+      filename: `${invoice.number.replace(/[^A-Za-z0-9_-]/g, "_")}.pdf`,
+      content: this.renderPdf(invoice),
+    };
+  }
+
+  /**
+   * Render a document
+   * @param {Object} invoice - Invoice document
+   * @returns {Buffer} PDF file
+   */
+  renderPdf(invoice) {
+    const isCreditNote = invoice.type === "credit_note";
+    const title = isCreditNote ? "CREDIT NOTE" : "TAX INVOICE";
+    const pdf = new PdfDocument({ title: `${title} ${invoice.number}`, author: invoice.seller.name });
+    const left = 40;
+    const right = 555;
+    const money = (amount) => formatAmount(amount);
+
+    // Header band
+    pdf.rect(0, 0, 595.28, 80, { color: COLORS.brand });
+    pdf.text(invoice.seller.name, left, 48, { size: 20, bold: true, color: COLORS.white });
+    pdf.text(title, right, 48, { size: 16, bold: true, align: "right", color: COLORS.white });
+
+    // Seller (left) and document details (right)
+    let y = 112;
+    pdf.text("From", left, y, { size: 9, bold: true, color: COLORS.muted });
+    y += 15;
+    pdf.text(invoice.seller.name, left, y, { bold: true, color: COLORS.text });
+    for (const line of pdf.wrap(invoice.seller.address, 260, 9)) {
+      if (!line) continue;
+      y += 13;
+      pdf.text(line, left, y, { size: 9, color: COLORS.text });
+    }
+    if (invoice.seller.gstin) {
+      y += 13;
+      pdf.text(`GSTIN: ${invoice.seller.gstin}`, left, y, { size: 9, color: COLORS.text });
+    }
+    if (invoice.seller.email) {
+      y += 13;
+      pdf.text(invoice.seller.email, left, y, { size: 9, color: COLORS.text });
+    }
+
+    const details = [
+      [isCreditNote ? "Credit note no." : "Invoice no.", invoice.number],
+      ["Date", formatDate(invoice.issuedAt)],
+      ...(isCreditNote ? [["Against invoice", invoice.invoiceNumber]] : []),
+      [
+        "Place of supply",
+        invoice.supplyType === "export" ? "Outside India" : `State code ${invoice.placeOfSupply}`,
+      ],
+      ...(invoice.paymentReference ? [["Payment", invoice.paymentReference]] : []),
+    ];
+    let detailY = 112;
+    for (const [label, value] of details) {
+      pdf.text(label, 380, detailY, { size: 9, color: COLORS.muted });
+      pdf.text(value || "-", right, detailY, { size: 9, bold: true, align: "right", color: COLORS.text });
+      detailY += 15;
+    }
+
+    // Customer
+    y = Math.max(y, detailY) + 28;
+    pdf.text("Bill to", left, y, { size: 9, bold: true, color: COLORS.muted });
+    y += 15;
+    pdf.text(invoice.customer.name, left, y, { bold: true, color: COLORS.text });
+    const address = invoice.customer.address;
+    const addressLines = address
+      ? [
+          address.line1,
+          address.line2,
+          [address.city, address.state, address.postalCode].filter(Boolean).join(", "),
+          address.country && address.country !== "IN" ? address.country : null,
+        ]
+      : [];
+    for (const line of addressLines.filter(Boolean)) {
+      y += 13;
+      pdf.text(line, left, y, { size: 9, color: COLORS.text });
+    }
+    if (invoice.customer.gstin) {
+      y += 13;
+      pdf.text(`GSTIN: ${invoice.customer.gstin}`, left, y, { size: 9, color: COLORS.text });
+    }
+    y += 13;
+    pdf.text(invoice.customer.email, left, y, { size: 9, color: COLORS.text });
+
+    // Line items
+    y += 30;
+    pdf.rect(left, y - 14, right - left, 22, { color: COLORS.band });
+    pdf.text("#", left + 8, y, { size: 9, bold: true, color: COLORS.text });
+    pdf.text("Description", left + 30, y, { size: 9, bold: true, color: COLORS.text });
+    pdf.text("SAC", 360, y, { size: 9, bold: true, color: COLORS.text });
+    pdf.text("Qty", 430, y, { size: 9, bold: true, align: "right", color: COLORS.text });
+    pdf.text(`Amount (${invoice.currency})`, right - 8, y, {
+      size: 9,
+      bold: true,
+      align: "right",
+      color: COLORS.text,
+    });
+
+    invoice.lines.forEach((line, index) => {
+      y += 24;
+      pdf.text(String(index + 1), left + 8, y, { size: 9, color: COLORS.text });
+      pdf.wrap(line.description, 300, 9).forEach((text, row) =>
+        pdf.text(text, left + 30, y + row * 12, { size: 9, color: COLORS.text })
+      );
+      pdf.text(line.sac || "-", 360, y, { size: 9, color: COLORS.text });
+      pdf.text(String(line.quantity), 430, y, { size: 9, align: "right", color: COLORS.text });
+      pdf.text(money(line.amount), right - 8, y, { size: 9, align: "right", color: COLORS.text });
+    });
+    y += 14;
+    pdf.line(left, y, right, y, { color: COLORS.rule });
+
+    // Totals
+    const rate = invoice.taxRate;
+    const totals = [
+      ...(invoice.discount ? [["Discount", `-${money(invoice.discount)}`]] : []),
+      ["Taxable value", money(invoice.taxableAmount)],
+      ...(invoice.supplyType === "intra_state"
+        ? [
+            [`CGST @ ${rate / 2}%`, money(invoice.cgst)],
+            [`SGST @ ${rate / 2}%`, money(invoice.sgst)],
+          ]
+        : invoice.supplyType === "inter_state"
+          ? [[`IGST @ ${rate}%`, money(invoice.igst)]]
+          : [["IGST (zero-rated)", money(0)]]),
+    ];
+    for (const [label, value] of totals) {
+      y += 18;
+      pdf.text(label, 380, y, { size: 9, color: COLORS.muted });
+      pdf.text(value, right - 8, y, { size: 9, align: "right", color: COLORS.text });
+    }
+    y += 12;
+    pdf.rect(370, y, right - 370, 26, { color: COLORS.brand });
+    pdf.text(isCreditNote ? "Total credited" : "Total", 380, y + 17, {
+      size: 10,
+      bold: true,
+      color: COLORS.white,
+    });
+    pdf.text(`${invoice.currency} ${money(invoice.total)}`, right - 8, y + 17, {
+      size: 10,
+      bold: true,
+      align: "right",
+      color: COLORS.white,
+    });
+
+    // Notes
+    y += 56;
+    const notes = [
+      invoice.supplyType === "export"
+        ? "Export of services - zero-rated supply, no GST charged."
+        : "Amounts include GST.",
+      ...(isCreditNote && invoice.reason ? [`Reason: ${invoice.reason}`] : []),
+    ];
+    for (const note of notes) {
+      for (const line of pdf.wrap(note, right - left, 9)) {
+        pdf.text(line, left, y, { size: 9, color: COLORS.muted });
+        y += 13;
+      }
+    }
+
+    pdf.line(left, 790, right, 790, { color: COLORS.rule });
+    pdf.text(
+      "This is a computer-generated document and does not require a signature.",
+      297.64,
+      805,
+      { size: 8, align: "center", color: COLORS.muted }
+    );
+
+    return pdf.toBuffer();
+  }
+}
+
+export default new InvoiceService();
@@ -0,0 +1,181 @@
+import { sdkAnalysisQueue } from "../config/queue.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import { settleJobCredits, releaseJobCredits } from "./credit.service.js";
+import { calculateCancellationCredits } from "./credit.calculator.js";
+import pricingService from "./pricing.service.js";
+import dynamicAnalysisService from "./dynamic.analysis.service.js";
+import storageService from "./storage.service.js";
+import containerService from "./container.service.js";
+import jobEvents from "./job.events.service.js";
+import { queueLogger } from "../utils/logger.js";
+
+/**
+ * Job Cancellation Service
+ * Stops queued or processing analysis jobs.
+ *
+ * The job is marked `cancelled` in MongoDB first, so it works whichever
+ * process runs the worker: waiting Bull jobs are removed, and an active
+ * worker notices the status at its next checkpoint (AnalysisJob.assertNotCancelled)
+ * or when its deleted CAPE task disappears. The job's credit hold is settled
+ * to calculateCancellationCredits() (released in full when that is free, or
+ * when the charge fails).
+ */
+class JobCancellationService {
+  /**
+   * Cancel a job (and, for unpacked containers, its pending members)
+   * @param {Object} analysisJob - AnalysisJob owned by the caller
+   * @param {Object} options - { cancelledBy: sdk | user-dashboard | container }
+   * @returns {Promise<Object|null>} Cancelled job, or null if it already finished
+   */
+  async cancel(analysisJob, { cancelledBy }) {
+    const jobId = analysisJob._id.toString();
+    const cancelledAt = new Date();
+
+    // Returns the job as it was, so the previous status and CAPE task are known
+    const previous = await AnalysisJob.findOneAndUpdate(
+      { _id: analysisJob._id, status: { $in: ["queued", "processing"] } },
+      {
+        $set: {
+          status: "cancelled",
+          completedAt: cancelledAt,
+          "cancellation.cancelledAt": cancelledAt,
+          "cancellation.cancelledBy": cancelledBy,
+        },
+      },
+    );
+    if (!previous) return null;
+
+    await this.removeQueuedJob(jobId);
+
+    const taskId = previous.dynamicTask?.taskId;
+    if (taskId) {
+      try {
+        await dynamicAnalysisService.deleteTask(taskId);
+      } catch (error) {
+        // The worker still stops at its next checkpoint
+        queueLogger.warn("Could not delete CAPE task of cancelled job", {
+          jobId,
+          taskId,
+          error: error.message,
+        });
+      }
+    }
+
+    const creditsCharged = await this.chargeCancellation(previous, Boolean(taskId));
+
+    const cancelled = await AnalysisJob.findByIdAndUpdate(
+      analysisJob._id,
+      {
+        $set: {
+          creditsDeducted: creditsCharged,
+          "cancellation.previousStatus": previous.status,
+          "cancellation.sandboxStarted": Boolean(taskId),
+          "cancellation.creditsCharged": creditsCharged,
+        },
+      },
+      { new: true },
+    );
+
+    // The stored sample is no longer needed
+    const { storageProvider, storageKey } = previous.getStorageLocation();
+    if (storageKey) {
+      await storageService.deleteFile(storageKey, storageProvider);
+    }
+
+    await this.cancelMembers(jobId);
+    if (previous.parentJobId) {
+      await containerService.rollup(previous.parentJobId);
+    }
+
+    jobEvents.emit(previous.userId.toString(), jobId, "job:cancelled", {
+      status: "cancelled",
+      previousStatus: previous.status,
+      creditsCharged,
+    });
+
+    queueLogger.info("Analysis job cancelled", {
+      jobId,
+      cancelledBy,
+      previousStatus: previous.status,
+      dynamicTaskId: taskId,
+      creditsCharged,
+    });
+
+    return cancelled;
+  }
+
+  /**
+   * Cancel the pending member jobs of an unpacked container
+   */
+  async cancelMembers(parentJobId) {
+    const members = await AnalysisJob.find({
+      parentJobId,
+      status: { $in: ["queued", "processing"] },
+    });
+
+    for (const member of members) {
+      await this.cancel(member, { cancelledBy: "container" });
+    }
+  }
+
+  /**
+   * Remove the Bull job unless a worker already holds it
+   * Active jobs cannot be removed - the worker stops itself instead.
+   */
+  async removeQueuedJob(jobId) {
+    try {
+      const queueJob = await sdkAnalysisQueue.getJob(jobId);
+      if (!queueJob) return;
+
+      const state = await queueJob.getState();
+      if (["waiting", "delayed", "paused", "failed"].includes(state)) {
+        await queueJob.remove();
+      }
+    } catch (error) {
+      queueLogger.warn("Failed to remove cancelled job from queue", {
+        jobId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Settle the job's credit hold to the cancellation charge rule
+   * Priced with the pricing version the hold was computed with.
+   * @returns {Promise<Number>} Credits charged
+   * @throws {Error} If the charge failed and the hold could not be released
+   */
+  async chargeCancellation(previous, sandboxStarted) {
+    const pricing = await pricingService.getPricing(previous.creditHold?.pricingVersion);
+    const { total, rule } = calculateCancellationCredits(
+      previous.fileSize,
+      sandboxStarted,
+      { pricing, tier: previous.tier },
+    );
+
+    const source = previous.metadata?.source === "user-dashboard" ? "Dashboard" : "SDK";
+
+    try {
+      return await settleJobCredits(previous._id, total, {
+        description: `${source} Analysis Cancelled (${rule})`,
+        apiKeyId: previous.apiKeyId,
+      });
+    } catch (error) {
+      queueLogger.error("Failed to charge cancelled job - releasing its hold", {
+        jobId: previous._id.toString(),
+        amount: total,
+        error: error.message,
+      });
+    }
+
+    // Not charging beats holding the credits forever. A release that fails
+    // too is thrown, before anything about the charge is recorded.
+    await releaseJobCredits(previous._id, "cancellation charge failed");
+
+    // Without a transaction the settle may have charged before it failed
+    const { creditHold } = await AnalysisJob.findById(previous._id).select("creditHold");
+    return creditHold?.status === "settled" ? creditHold.charged : 0;
+  }
+}
+
+export default new JobCancellationService();
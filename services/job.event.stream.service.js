@@ -0,0 +1,139 @@
+import redisClient from "../config/redis.js";
+import { queueLogger } from "../utils/logger.js";
+
+const STREAM_PREFIX = "job-events:";
+const TERMINAL_EVENTS = ["job:completed", "job:failed", "job:cancelled"];
+const TERMINAL_STATUSES = ["completed", "failed", "cancelled"];
+
+// Redis stream entry IDs (<ms>-<seq>) double as SSE event IDs
+const STREAM_ID_PATTERN = /^\d+-\d+$/;
+
+/**
+ * Job Event Stream Service
+ * Keeps a per-job Redis stream of the events sent to socket.io
+ * (job.events.service.js), so SDK clients can follow a job over SSE and
+ * resume with `Last-Event-ID` - from any API node, whichever process ran
+ * the worker.
+ *
+ * Streams are capped (JOB_EVENTS_MAX_LENGTH) and expire
+ * JOB_EVENTS_TTL_SECONDS after the last event.
+ */
+class JobEventStreamService {
+  constructor() {
+    this.maxLength = parseInt(process.env.JOB_EVENTS_MAX_LENGTH) || 500;
+    this.ttlSeconds = parseInt(process.env.JOB_EVENTS_TTL_SECONDS) || 24 * 60 * 60;
+  }
+
+  streamKey(jobId) {
+    return `${STREAM_PREFIX}${jobId}`;
+  }
+
+  isTerminalEvent(event) {
+    return TERMINAL_EVENTS.includes(event);
+  }
+
+  isTerminalStatus(status) {
+    return TERMINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * Normalize a client-supplied Last-Event-ID ("0" = from the start)
+   */
+  parseLastEventId(lastEventId) {
+    return typeof lastEventId === "string" && STREAM_ID_PATTERN.test(lastEventId)
+      ? lastEventId
+      : "0";
+  }
+
+  /**
+   * Append an event to the job's stream
+   * @param {String} jobId - AnalysisJob ID
+   * @param {String} event - e.g. job:progress
+   * @param {Object} payload - Event payload as sent to socket.io
+   */
+  async append(jobId, event, payload) {
+    const key = this.streamKey(jobId);
+
+    const replies = await redisClient
+      .multi()
+      .xadd(key, "MAXLEN", "~", this.maxLength, "*", "event", event, "data", JSON.stringify(payload))
+      .expire(key, this.ttlSeconds)
+      .exec();
+
+    const failed = replies.find(([error]) => error);
+    if (failed) throw failed[0];
+  }
+
+  /**
+   * Dedicated connection for blocking reads - one per SSE client, since a
+   * blocked connection can't serve other commands
+   */
+  createReader(blockMs) {
+    const reader = redisClient.duplicate({ commandTimeout: blockMs + 5000 });
+
+    reader.on("error", (err) => {
+      queueLogger.warn("Job event reader Redis error", { error: err.message });
+    });
+
+    return reader;
+  }
+
+  /**
+   * Read events after `lastId`, waiting up to `blockMs` for new ones
+   * @param {Object} client - Redis client (a reader from createReader when blocking)
+   * @param {String} jobId - AnalysisJob ID
+   * @param {String} lastId - Last stream ID seen ("0" = from the start)
+   * @param {Number} blockMs - 0 returns immediately
+   * @returns {Promise<Array>} [{ id, event, data }]
+   */
+  async read(client, jobId, lastId, blockMs = 0) {
+    const args = ["COUNT", 100];
+    if (blockMs > 0) args.push("BLOCK", blockMs);
+
+    const reply = await client.xread(...args, "STREAMS", this.streamKey(jobId), lastId);
+    if (!reply) return [];
+
+    const [, entries] = reply[0];
+    return entries.map(([id, fields]) => {
+      const entry = {};
+      for (let i = 0; i < fields.length; i += 2) {
+        entry[fields[i]] = fields[i + 1];
+      }
+
+      return { id, event: entry.event, data: JSON.parse(entry.data) };
+    });
+  }
+
+  /**
+   * Terminal event rebuilt from the job document, for jobs whose stream has
+   * expired (or never recorded the final event)
+   * @param {Object} job - AnalysisJob in a terminal status
+   * @returns {Object} { event, data }
+   */
+  buildFinalEvent(job) {
+    const base = {
+      jobId: job._id.toString(),
+      status: job.status,
+    };
+
+    let data;
+    if (job.status === "completed") {
+      data = { ...base, results: job.results, creditsCharged: job.creditsDeducted };
+    } else if (job.status === "failed") {
+      data = { ...base, error: { message: job.error?.message, code: job.error?.code } };
+    } else {
+      data = {
+        ...base,
+        previousStatus: job.cancellation?.previousStatus,
+        creditsCharged: job.cancellation?.creditsCharged || 0,
+      };
+    }
+
+    return {
+      event: `job:${job.status}`,
+      data: { ...data, timestamp: (job.completedAt || new Date()).toISOString() },
+    };
+  }
+}
+
+export default new JobEventStreamService();
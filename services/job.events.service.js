@@ -0,0 +1,61 @@
+import { queueLogger } from "../utils/logger.js";
+import { socketEmitter } from "../config/socket.js";
+import { ADMIN_ROOM } from "../middleware/socket.auth.js";
+import jobEventStream from "./job.event.stream.service.js";
+import webhookService from "./webhook.service.js";
+
+/**
+ * Job Events Service
+ * Broadcasts analysis job updates to socket.io rooms, shared by the queue
+ * worker and the API controllers.
+ *
+ * Events are published through Redis (config/socket.js), so this works the
+ * same from an API node and from a standalone worker process. Each event is
+ * also appended to the job's Redis stream for SSE clients
+ * (job.event.stream.service.js); completed and failed jobs are sent to the
+ * owner's webhook endpoints (webhook.service.js).
+ *
+ * Events go to the `job:<jobId>` and `user:<userId>` rooms, which sockets
+ * can only join for jobs they own (middleware/socket.auth.js), and to the
+ * platform-wide admin room with the owner's userId added.
+ */
+class JobEventsService {
+  /**
+   * Emit a job event (socket, stream and webhook failures are logged, never thrown)
+   * @param {String} userId - Job owner
+   * @param {String} jobId - AnalysisJob ID
+   * @param {String} event - e.g. job:processing, job:completed, job:cancelled
+   * @param {Object} data - Event payload (jobId and timestamp are added)
+   */
+  emit(userId, jobId, event, data) {
+    try {
+      const payload = {
+        jobId: jobId.toString(),
+        ...data,
+        timestamp: new Date().toISOString(),
+      };
+
+      // A socket in several rooms still receives the event once
+      socketEmitter.to(`job:${jobId}`).to(`user:${userId}`).emit(event, payload);
+      socketEmitter.to(ADMIN_ROOM).emit(event, { ...payload, userId: userId.toString() });
+
+      jobEventStream.append(jobId.toString(), event, payload).catch((error) => {
+        queueLogger.error("Job event stream append failed", {
+          event,
+          jobId: jobId.toString(),
+          error: error.message,
+        });
+      });
+
+      webhookService.dispatchJobEvent(jobId, event, payload);
+    } catch (error) {
+      queueLogger.error("Socket emit failed", {
+        event,
+        jobId: jobId?.toString(),
+        error: error.message,
+      });
+    }
+  }
+}
+
+export default new JobEventsService();
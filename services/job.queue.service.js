@@ -0,0 +1,69 @@
+import { sdkAnalysisQueue } from "../config/queue.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import { releaseJobCredits } from "./credit.service.js";
+import { queueLogger } from "../utils/logger.js";
+
+/**
+ * Job Queue Service
+ * Puts new analysis jobs on the Bull queue. A job that can't be queued (Redis
+ * down) has no worker to pick it up, so it is failed and its credit hold
+ * released before the error reaches the caller.
+ */
+class JobQueueService {
+  /**
+   * Queue a new analysis job
+   * @param {Object} analysisJob - AnalysisJob (queued, holding credits)
+   * @param {String} name - Bull processor name (tier)
+   * @param {Object} data - Bull payload
+   * @param {Object} options - Bull job options
+   * @returns {Promise<Object>} Bull job
+   * @throws The queue's error, once the job is failed and its hold released
+   */
+  async enqueue(analysisJob, name, data, options) {
+    try {
+      return await sdkAnalysisQueue.add(name, data, options);
+    } catch (error) {
+      await this.failUnqueued(analysisJob, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fail a job the queue refused and give its credits back
+   * Errors are logged - the caller reports the queue's error.
+   */
+  async failUnqueued(analysisJob, queueError) {
+    const jobId = analysisJob._id.toString();
+
+    try {
+      await AnalysisJob.updateOne(
+        { _id: analysisJob._id, status: "queued" },
+        {
+          $set: {
+            status: "failed",
+            completedAt: new Date(),
+            error: {
+              message: `Job could not be queued: ${queueError.message}`,
+              code: "QUEUE_UNAVAILABLE",
+            },
+          },
+        }
+      );
+      const released = await releaseJobCredits(analysisJob._id, "job could not be queued");
+
+      queueLogger.error("Analysis job could not be queued", {
+        jobId,
+        creditsReleased: released,
+        error: queueError.message,
+      });
+    } catch (error) {
+      queueLogger.error("Failed to clean up analysis job that could not be queued", {
+        jobId,
+        queueError: queueError.message,
+        error: error.message,
+      });
+    }
+  }
+}
+
+export default new JobQueueService();
@@ -0,0 +1,494 @@
+import mongoose from "mongoose";
+import Organization, { ORG_ROLES } from "../models/organization.model.js";
+import User from "../models/user.model.js";
+import ApiKey from "../models/api.key.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import { addOrganizationCredits } from "./credit.service.js";
+import logger from "../utils/logger.js";
+
+// HTTP status of each organization error code
+export const ORG_ERROR_STATUS = {
+  INVALID_ROLE: 400,
+  ORG_FORBIDDEN: 403,
+  USER_NOT_FOUND: 404,
+  MEMBER_NOT_FOUND: 404,
+  ORGANIZATION_NOT_FOUND: 404,
+  ALREADY_IN_ORGANIZATION: 409,
+  ORGANIZATION_EXISTS: 409,
+  LAST_OWNER: 409,
+};
+
+const orgError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Whether a user belongs to an organization with at least the given role
+ * @param {Object} user - User document
+ * @param {String} minimumRole - viewer, analyst, admin or owner
+ * @returns {Boolean}
+ */
+export const hasOrgRole = (user, minimumRole) =>
+  Boolean(user?.organizationId) &&
+  ORG_ROLES.indexOf(user.organizationRole) >= ORG_ROLES.indexOf(minimumRole);
+
+/**
+ * Filter for the jobs a user may read: their own and, for members, their
+ * organization's
+ * @param {Object} user - User document
+ * @returns {Object} AnalysisJob filter
+ */
+export const readableJobsFilter = (user) =>
+  user.organizationId
+    ? { $or: [{ userId: user._id }, { organizationId: user.organizationId }] }
+    : { userId: user._id };
+
+/**
+ * Organization Service
+ * Organizations share one credit pool between their members. Each user
+ * belongs to at most one organization (User.organizationId) with a role:
+ * - viewer: sees the organization's analyses and credits
+ * - analyst: also submits analyses, charged to the pool
+ * - admin: also manages analysts/viewers and organization API keys
+ * - owner: also manages admins and owners
+ * Platform admins manage every organization.
+ */
+class OrganizationService {
+  /**
+   * Create an organization
+   * @param {Object} data - { name, ownerId, credits }
+   * @param {String} createdById - Admin creating it
+   * @returns {Promise<Object>} Organization
+   * @throws {Error} code ORGANIZATION_EXISTS, or a member error for ownerId
+   */
+  async createOrganization({ name, ownerId = null, credits = 0 }, createdById) {
+    if (ownerId) {
+      const owner = mongoose.isValidObjectId(ownerId)
+        ? await User.findById(ownerId).select("userType organizationId")
+        : null;
+      if (!owner || owner.userType !== "user") {
+        throw orgError("USER_NOT_FOUND", "Owner user not found");
+      }
+      if (owner.organizationId) {
+        throw orgError("ALREADY_IN_ORGANIZATION", "Owner already belongs to an organization");
+      }
+    }
+
+    let organization;
+    try {
+      organization = await Organization.create({
+        name,
+        inviteCode: Organization.generateInviteCode(),
+        createdBy: createdById,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw orgError("ORGANIZATION_EXISTS", "An organization with this name already exists");
+      }
+      throw error;
+    }
+
+    if (ownerId) {
+      await this.addMember(organization._id, ownerId, "owner");
+    }
+
+    if (credits > 0) {
+      const result = await addOrganizationCredits(
+        organization._id,
+        credits,
+        "Initial organization credits"
+      );
+      organization = result.organization;
+    }
+
+    logger.info("Organization created", {
+      organizationId: organization._id.toString(),
+      name,
+      ownerId: ownerId?.toString(),
+      credits,
+    });
+
+    return organization;
+  }
+
+  /**
+   * Get an organization
+   * @param {String} organizationId - Organization ID
+   * @returns {Promise<Object>} Organization
+   * @throws {Error} code ORGANIZATION_NOT_FOUND
+   */
+  async getOrganization(organizationId) {
+    const organization = mongoose.isValidObjectId(organizationId)
+      ? await Organization.findById(organizationId)
+      : null;
+
+    if (!organization) {
+      throw orgError("ORGANIZATION_NOT_FOUND", "Organization not found");
+    }
+
+    return organization;
+  }
+
+  /**
+   * Paginated organizations with their member counts
+   * @param {Object} options - { search, page, limit }
+   * @returns {Promise<Object>} { organizations, pagination }
+   */
+  async listOrganizations({ search, page = 1, limit = 20 } = {}) {
+    const filter = search
+      ? { name: { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" } }
+      : {};
+    const skip = (page - 1) * limit;
+
+    const [organizations, total] = await Promise.all([
+      Organization.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Organization.countDocuments(filter),
+    ]);
+
+    const counts = await User.aggregate([
+      { $match: { organizationId: { $in: organizations.map((org) => org._id) } } },
+      { $group: { _id: "$organizationId", members: { $sum: 1 } } },
+    ]);
+    const memberCounts = new Map(counts.map((row) => [row._id.toString(), row.members]));
+
+    return {
+      organizations: organizations.map((org) => ({
+        ...org,
+        memberCount: memberCounts.get(org._id.toString()) || 0,
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Members of an organization, owners first
+   * @param {String} organizationId - Organization ID
+   * @returns {Promise<Array>} Users
+   */
+  async listMembers(organizationId) {
+    const members = await User.find({ organizationId })
+      .select("username email organizationRole accountStatus isActive lastLogin createdAt")
+      .lean();
+
+    return members.sort(
+      (a, b) =>
+        ORG_ROLES.indexOf(b.organizationRole) - ORG_ROLES.indexOf(a.organizationRole) ||
+        a.createdAt - b.createdAt
+    );
+  }
+
+  /**
+   * Check a member with `actorRole` may move a member from `currentRole` to `role`
+   * Owners manage everyone; admins manage analysts and viewers. Platform
+   * admins (no actorRole) are not restricted.
+   * @throws {Error} code ORG_FORBIDDEN
+   */
+  assertCanManage(actorRole, currentRole, role) {
+    if (!actorRole || actorRole === "owner") return;
+
+    const analystRank = ORG_ROLES.indexOf("analyst");
+    const managed = [currentRole, role].every(
+      (value) => value === null || ORG_ROLES.indexOf(value) <= analystRank
+    );
+
+    if (actorRole !== "admin" || !managed) {
+      throw orgError(
+        "ORG_FORBIDDEN",
+        "Only organization owners can manage owners and admins"
+      );
+    }
+  }
+
+  /**
+   * Refuse to take away the organization's last owner
+   * @throws {Error} code LAST_OWNER
+   */
+  async assertNotLastOwner(organizationId, member) {
+    if (member.organizationRole !== "owner") return;
+
+    const owners = await User.countDocuments({ organizationId, organizationRole: "owner" });
+    if (owners <= 1) {
+      throw orgError("LAST_OWNER", "An organization must keep at least one owner");
+    }
+  }
+
+  /**
+   * Attach a user to an organization
+   * @param {String} organizationId - Organization ID
+   * @param {String} userId - User ID
+   * @param {String} role - Member role
+   * @param {Object} options - { actorRole } of the member making the change
+   * @returns {Promise<Object>} Updated user
+   * @throws {Error} codes INVALID_ROLE, USER_NOT_FOUND, ALREADY_IN_ORGANIZATION, ORG_FORBIDDEN
+   */
+  async addMember(organizationId, userId, role = "analyst", { actorRole = null } = {}) {
+    if (!ORG_ROLES.includes(role)) {
+      throw orgError("INVALID_ROLE", `Role must be one of: ${ORG_ROLES.join(", ")}`);
+    }
+    this.assertCanManage(actorRole, null, role);
+
+    const organization = await this.getOrganization(organizationId);
+    if (!mongoose.isValidObjectId(userId)) {
+      throw orgError("USER_NOT_FOUND", "User not found");
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, userType: "user", organizationId: null },
+      {
+        $set: {
+          organizationId: organization._id,
+          organizationRole: role,
+          organizationName: organization.name,
+        },
+      },
+      { new: true }
+    ).select("-password");
+
+    if (!user) {
+      const existing = await User.findById(userId).select("userType organizationId");
+      if (!existing || existing.userType !== "user") {
+        throw orgError("USER_NOT_FOUND", "User not found");
+      }
+      throw orgError(
+        "ALREADY_IN_ORGANIZATION",
+        "User already belongs to an organization"
+      );
+    }
+
+    logger.info("Organization member added", {
+      organizationId: organization._id.toString(),
+      userId: user._id.toString(),
+      role,
+    });
+
+    return user;
+  }
+
+  /**
+   * Change a member's role
+   * @param {String} organizationId - Organization ID
+   * @param {String} userId - Member's user ID
+   * @param {String} role - New role
+   * @param {Object} options - { actorRole }
+   * @returns {Promise<Object>} Updated user
+   * @throws {Error} codes INVALID_ROLE, MEMBER_NOT_FOUND, ORG_FORBIDDEN, LAST_OWNER
+   */
+  async changeMemberRole(organizationId, userId, role, { actorRole = null } = {}) {
+    if (!ORG_ROLES.includes(role)) {
+      throw orgError("INVALID_ROLE", `Role must be one of: ${ORG_ROLES.join(", ")}`);
+    }
+
+    const member = await this.getMember(organizationId, userId);
+    this.assertCanManage(actorRole, member.organizationRole, role);
+    if (role !== "owner") {
+      await this.assertNotLastOwner(organizationId, member);
+    }
+
+    member.organizationRole = role;
+    await member.save();
+
+    logger.info("Organization member role changed", {
+      organizationId: organizationId.toString(),
+      userId: member._id.toString(),
+      role,
+    });
+
+    return member;
+  }
+
+  /**
+   * Detach a member from an organization
+   * Organization API keys they created move to an owner (revoked when the
+   * organization has none). Their queued jobs are still charged to the pool.
+   * @param {String} organizationId - Organization ID
+   * @param {String} userId - Member's user ID
+   * @param {Object} options - { actorRole }
+   * @returns {Promise<Object>} Updated user
+   * @throws {Error} codes MEMBER_NOT_FOUND, ORG_FORBIDDEN, LAST_OWNER
+   */
+  async removeMember(organizationId, userId, { actorRole = null } = {}) {
+    const member = await this.getMember(organizationId, userId);
+    this.assertCanManage(actorRole, member.organizationRole, null);
+    await this.assertNotLastOwner(organizationId, member);
+
+    member.organizationId = null;
+    member.organizationRole = null;
+    await member.save();
+
+    const owner = await User.findOne({ organizationId, organizationRole: "owner" }).select("_id");
+    const keys = owner
+      ? await ApiKey.updateMany(
+          { organizationId, userId: member._id },
+          { $set: { userId: owner._id } }
+        )
+      : await ApiKey.updateMany(
+          { organizationId, userId: member._id },
+          { $set: { isActive: false } }
+        );
+
+    logger.info("Organization member removed", {
+      organizationId: organizationId.toString(),
+      userId: member._id.toString(),
+      apiKeys: keys.modifiedCount,
+      apiKeysMovedTo: owner?._id.toString() || null,
+    });
+
+    return member;
+  }
+
+  /**
+   * A member of the organization
+   * @throws {Error} code MEMBER_NOT_FOUND
+   */
+  async getMember(organizationId, userId) {
+    const member = mongoose.isValidObjectId(userId)
+      ? await User.findOne({ _id: userId, organizationId }).select("-password")
+      : null;
+
+    if (!member) {
+      throw orgError("MEMBER_NOT_FOUND", "Member not found in this organization");
+    }
+
+    return member;
+  }
+
+  /**
+   * Replace the organization's invite code (old codes stop working)
+   * @param {String} organizationId - Organization ID
+   * @returns {Promise<String>} New invite code
+   */
+  async rotateInviteCode(organizationId) {
+    const inviteCode = Organization.generateInviteCode();
+    await Organization.updateOne({ _id: organizationId }, { $set: { inviteCode } });
+    return inviteCode;
+  }
+
+  /**
+   * Active organization with this invite code
+   * @param {String} inviteCode - Invite code
+   * @returns {Promise<Object|null>} Organization
+   */
+  async findByInviteCode(inviteCode) {
+    if (typeof inviteCode !== "string" || !inviteCode) return null;
+    return Organization.findOne({ inviteCode, isActive: true });
+  }
+
+  /**
+   * Organization analysis history
+   * @param {String} organizationId - Organization ID
+   * @param {Object} options - { memberId, status, page, limit }
+   * @returns {Promise<Object>} { jobs, pagination }
+   */
+  async listJobs(organizationId, { memberId, status, page = 1, limit = 20 } = {}) {
+    const filter = { organizationId };
+    if (memberId && mongoose.isValidObjectId(memberId)) filter.userId = memberId;
+    if (status) filter.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const [jobs, total] = await Promise.all([
+      AnalysisJob.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select(
+          "_id userId filename status tier progress results createdAt startedAt completedAt error creditsDeducted"
+        )
+        .populate("userId", "username email"),
+      AnalysisJob.countDocuments(filter),
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Credits each member spent from the pool
+   * Charges minus refunds per member, including former members.
+   * @param {String} organizationId - Organization ID
+   * @param {Object} options - { from, to } dates (default: all time)
+   * @returns {Promise<Object>} { members, totals }
+   */
+  async getMemberSpend(organizationId, { from = null, to = null } = {}) {
+    const match = {
+      organizationId: new mongoose.Types.ObjectId(organizationId.toString()),
+      userId: { $ne: null },
+      type: { $in: ["debit", "refund"] },
+    };
+    if (from || to) {
+      match.createdAt = {};
+      if (from) match.createdAt.$gte = from;
+      if (to) match.createdAt.$lt = to;
+    }
+
+    const [rows, members] = await Promise.all([
+      CreditTransaction.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: "$userId",
+            charged: { $sum: { $cond: [{ $eq: ["$type", "debit"] }, "$amount", 0] } },
+            refunded: { $sum: { $cond: [{ $eq: ["$type", "refund"] }, "$amount", 0] } },
+            jobs: { $sum: { $cond: [{ $eq: ["$type", "debit"] }, 1, 0] } },
+          },
+        },
+      ]),
+      this.listMembers(organizationId),
+    ]);
+
+    const spendByUser = new Map(rows.map((row) => [row._id.toString(), row]));
+    const formerIds = rows
+      .map((row) => row._id)
+      .filter((id) => !members.some((member) => member._id.equals(id)));
+    const former = formerIds.length
+      ? await User.find({ _id: { $in: formerIds } }).select("username email").lean()
+      : [];
+
+    const report = [
+      ...members.map((member) => ({ ...member, isMember: true })),
+      ...former.map((user) => ({ ...user, organizationRole: null, isMember: false })),
+    ].map((user) => {
+      const spend = spendByUser.get(user._id.toString());
+      const charged = spend?.charged || 0;
+      const refunded = spend?.refunded || 0;
+      return {
+        userId: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.organizationRole,
+        isMember: user.isMember,
+        jobsCharged: spend?.jobs || 0,
+        charged,
+        refunded,
+        spent: charged - refunded,
+      };
+    });
+
+    report.sort((a, b) => b.spent - a.spent);
+
+    return {
+      members: report,
+      totals: {
+        jobsCharged: report.reduce((sum, row) => sum + row.jobsCharged, 0),
+        spent: report.reduce((sum, row) => sum + row.spent, 0),
+      },
+    };
+  }
+}
+
+export default new OrganizationService();
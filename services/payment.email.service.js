@@ -13,7 +13,8 @@ const resend = new Resend(process.env.RESEND_API_KEY);
 /**
  * Send Payment Success Email
  * @param {String} email - User email
- * @param {Object} paymentDetails - Payment details
+ * @param {Object} paymentDetails - Payment details, with the invoice PDF
+ *   (`invoice: { number, filename, content }`) when one was issued
  */
 export const sendPaymentSuccessEmail = async (email, paymentDetails) => {
   const {
@@ -23,6 +24,7 @@ export const sendPaymentSuccessEmail = async (email, paymentDetails) => {
     amount,
     paymentId,
     transactionDate,
+    invoice,
   } = paymentDetails;
 
   try {
@@ -30,6 +32,9 @@ export const sendPaymentSuccessEmail = async (email, paymentDetails) => {
       from: `${process.env.EMAIL_FROM_NAME} <${process.env.EMAIL_FROM}>`,
       to: email,
       subject: "Payment Successful - Credits Added | Cypher-Ray",
+      ...(invoice && {
+        attachments: [{ filename: invoice.filename, content: invoice.content }],
+      }),
       html: `
       <!DOCTYPE html>
       <html>
@@ -201,6 +206,14 @@ export const sendPaymentSuccessEmail = async (email, paymentDetails) => {
                 <span class="label">Payment ID </span>
                 <span class="value">${paymentId}</span>
               </div>
+              ${
+                invoice
+                  ? `<div class="details-row">
+                <span class="label">Invoice </span>
+                <span class="value">${invoice.number} (attached)</span>
+              </div>`
+                  : ""
+              }
               <div class="details-row">
                 <span class="label">Date & Time </span>
                 <span class="value">${new Date(transactionDate).toLocaleString(
@@ -0,0 +1,483 @@
+import Payment from "../models/payment.model.js";
+import User from "../models/user.model.js";
+import {
+  addCreditsFromPayment,
+  reverseCreditsFromPayment,
+  restoreCreditsFromPayment,
+} from "./credit.service.js";
+import { sendPaymentSuccessEmail, sendPaymentFailedEmail } from "./payment.email.service.js";
+import couponService from "./coupon.service.js";
+import invoiceService from "./invoice.service.js";
+import logger from "../utils/logger.js";
+
+// Payments with money left to refund
+export const REFUNDABLE_STATUSES = ["success", "partially_refunded"];
+
+// Payments that were paid, whatever happened since (disputes are recorded on
+// the payment without changing its status)
+export const PAID_STATUSES = [...REFUNDABLE_STATUSES, "refunded"];
+
+/**
+ * Status of a successful payment after refunds of `refundedAmount`
+ */
+const statusAfterRefunds = (payment, refundedAmount) => {
+  if (refundedAmount <= 0) return "success";
+  return refundedAmount >= payment.amount ? "refunded" : "partially_refunded";
+};
+
+/**
+ * Payment Service
+ * What happens to a credit purchase after checkout: success, failure, refunds
+ * and disputes. Checkout verification and Razorpay webhooks can report the
+ * same change, in any order and more than once - every step here is safe to
+ * repeat.
+ */
+class PaymentService {
+  /**
+   * Mark a captured payment successful and add its credits
+   * Only the first call adds the credits, updates the user's totals, redeems
+   * the promo code and sends the success email (with the invoice); later
+   * calls retry a promo code bonus that failed.
+   * @param {Object} payment - Payment document
+   * @param {Object} details - { razorpayPaymentId, signature, method }
+   * @returns {Promise<Object>} { payment, credited, bonusCredits }
+   */
+  async completePayment(payment, { razorpayPaymentId, signature, method } = {}) {
+    if (razorpayPaymentId) payment.razorpayPaymentId = razorpayPaymentId;
+    if (signature) payment.razorpaySignature = signature;
+    if (method) payment.paymentMethod = method;
+    if (!REFUNDABLE_STATUSES.includes(payment.status) && payment.status !== "refunded") {
+      payment.status = "success";
+    }
+    if (!payment.paidAt) payment.paidAt = new Date();
+    await payment.save();
+
+    const result = await addCreditsFromPayment(
+      payment.userId,
+      payment.creditsAmount,
+      payment._id,
+      `Credit purchase - ${payment.planName}`
+    );
+    payment.creditsAdded = true;
+
+    if (result.alreadyAdded) {
+      // A promo code bonus that failed the first time is added now
+      return { payment, credited: false, bonusCredits: await this.redeemCoupon(payment) };
+    }
+    payment.creditTransactionId = result.transaction._id;
+
+    const user = await User.findByIdAndUpdate(
+      payment.userId,
+      {
+        $addToSet: { paymentHistory: payment._id },
+        $inc: {
+          totalSpent: payment.amount / 100, // Convert paise to rupees
+          lifetimeCredits: payment.creditsAmount,
+        },
+      },
+      { new: true }
+    );
+
+    const bonusCredits = await this.redeemCoupon(payment);
+
+    logger.info("Payment completed", {
+      paymentId: payment._id.toString(),
+      userId: payment.userId.toString(),
+      credits: payment.creditsAmount,
+      bonusCredits,
+    });
+
+    // Send success email (async, don't wait)
+    this.invoiceAttachment(payment, user)
+      .then((invoice) =>
+        sendPaymentSuccessEmail(user.email, {
+          username: user.username,
+          planName: payment.planName,
+          creditsAmount: payment.creditsAmount,
+          amount: payment.amount,
+          paymentId: payment.razorpayPaymentId,
+          transactionDate: payment.createdAt,
+          invoice,
+        })
+      )
+      .catch((error) =>
+        logger.error("Payment success email failed", {
+          paymentId: payment._id.toString(),
+          error: error.message,
+        })
+      );
+
+    return { payment, credited: true, bonusCredits };
+  }
+
+  /**
+   * Mark an unpaid payment failed and release its promo code
+   * A failure reported after the payment succeeded (an earlier attempt on the
+   * same order) is ignored.
+   * @param {Object} payment - Payment document
+   * @param {String} reason - Failure reason
+   * @param {Object} options - { notify } - email the user
+   * @returns {Promise<Boolean>} Whether the payment was marked failed
+   */
+  async failPayment(payment, reason, { notify = true } = {}) {
+    if (!["created", "pending", "failed"].includes(payment.status)) return false;
+
+    payment.status = "failed";
+    payment.failureReason = reason || "Payment failed";
+    await payment.save();
+
+    await couponService.release(payment, reason || "Payment failed");
+
+    if (notify) {
+      const user = await User.findById(payment.userId);
+      if (user) {
+        sendPaymentFailedEmail(user.email, {
+          username: user.username,
+          planName: payment.planName,
+          amount: payment.amount,
+          failureReason: reason,
+          attemptDate: payment.createdAt,
+        }).catch((error) =>
+          logger.error("Payment failure email failed", {
+            paymentId: payment._id.toString(),
+            error: error.message,
+          })
+        );
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * A payment's refunds (the single refund of payments refunded before
+   * `refunds` existed counts as one)
+   * @param {Object} payment - Payment document
+   * @returns {Array} [{ refundId, amount, credits, reason, status, refundedAt }]
+   */
+  listRefunds(payment) {
+    if (payment.refunds?.length) return payment.refunds;
+    if (!payment.refundId) return [];
+
+    return [
+      {
+        refundId: payment.refundId,
+        amount: payment.refundAmount || payment.amount,
+        reason: payment.refundReason,
+        status: "processed",
+        refundedAt: payment.refundedAt,
+      },
+    ];
+  }
+
+  /**
+   * Credits a refund of `amount` takes back, so that all of a payment's
+   * refunds together never take more than it added
+   * @param {Object} payment - Payment document
+   * @param {Number} amount - Amount refunded, in the smallest currency unit
+   * @returns {Promise<Number>}
+   */
+  async refundCredits(payment, amount) {
+    if (!payment.creditsAdded) return 0;
+
+    const total = await this.creditsFor(payment, (payment.refundedAmount || 0) + amount);
+    return Math.max(0, total - (payment.refundedCredits || 0));
+  }
+
+  /**
+   * Record a Razorpay refund of a payment and take back its share of the credits
+   * Refunds made by admins here and in the Razorpay Dashboard both land here;
+   * each refund is applied once, whichever reports it first. A payment can be
+   * refunded in parts until nothing is left ("partially_refunded", then
+   * "refunded"). The credit note is issued once Razorpay has processed the
+   * refund.
+   * @param {Object} payment - Payment document
+   * @param {Object} refund - Razorpay refund entity
+   * @param {Object} options - { reason }
+   * @returns {Promise<Object>} { payment, applied, creditNote }
+   */
+  async applyRefund(payment, refund, { reason } = {}) {
+    const processed = refund.status === "processed";
+
+    // Claimed against the refunded total read, so concurrent refunds of the
+    // same payment each take their own share
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const current = await Payment.findById(payment._id);
+
+      if (this.listRefunds(current).some((entry) => entry.refundId === refund.id)) {
+        // Already applied - the refund may have been processed since
+        const updated = processed ? await this.markRefundProcessed(current, refund) : null;
+        return { payment: updated || current, applied: false, creditNote: null };
+      }
+      if (!REFUNDABLE_STATUSES.includes(current.status)) {
+        return { payment: current, applied: false, creditNote: null };
+      }
+
+      const refundedBefore = current.refundedAmount || 0;
+      const amount = Math.min(refund.amount || current.amount, current.amount - refundedBefore);
+      const credits = await this.refundCredits(current, amount);
+
+      const claimed = await Payment.findOneAndUpdate(
+        {
+          _id: current._id,
+          status: current.status,
+          refundedAmount: current.refundedAmount,
+          "refunds.refundId": { $ne: refund.id },
+        },
+        {
+          $set: {
+            status: statusAfterRefunds(current, refundedBefore + amount),
+            refundedAmount: refundedBefore + amount,
+            refundedCredits: (current.refundedCredits || 0) + credits,
+          },
+          $push: {
+            refunds: {
+              refundId: refund.id,
+              amount,
+              credits,
+              reason: reason || refund.notes?.reason || "Refunded",
+              status: processed ? "processed" : "pending",
+              refundedAt: new Date(),
+            },
+          },
+        },
+        { new: true }
+      );
+      if (!claimed) continue; // Changed meanwhile - read it again
+
+      if (credits > 0) {
+        await this.takeBackCredits(claimed, credits, amount, `Refund - ${claimed.planName}`);
+      }
+
+      logger.info("Payment refunded", {
+        paymentId: claimed._id.toString(),
+        refundId: refund.id,
+        amount,
+        credits,
+        refundedAmount: claimed.refundedAmount,
+        status: claimed.status,
+      });
+
+      const creditNote = processed ? await this.issueCreditNote(claimed, refund.id) : null;
+      return { payment: claimed, applied: true, creditNote };
+    }
+
+    throw new Error(`Payment ${payment._id} kept changing while refund ${refund.id} was applied`);
+  }
+
+  /**
+   * Record that Razorpay processed a refund and issue its credit note
+   * @param {Object} payment - Payment document
+   * @param {Object} refund - Razorpay refund entity
+   * @returns {Promise<Object|null>} Updated payment (null if not one of this payment's refunds)
+   */
+  async markRefundProcessed(payment, refund) {
+    const updated = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        refunds: { $elemMatch: { refundId: refund.id, status: { $ne: "failed" } } },
+      },
+      { $set: { "refunds.$.status": "processed" } },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    await this.issueCreditNote(updated, refund.id);
+    return updated;
+  }
+
+  /**
+   * Undo a refund Razorpay could not process: its amount counts as paid again
+   * and its credits are given back
+   * @param {Object} payment - Payment document
+   * @param {Object} refund - Razorpay refund entity
+   * @returns {Promise<Boolean>} Whether the refund was undone
+   */
+  async cancelRefund(payment, refund) {
+    const entry = payment.refunds?.find((item) => item.refundId === refund.id);
+    if (!entry) return false;
+
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        refunds: { $elemMatch: { refundId: refund.id, status: "pending" } },
+      },
+      {
+        $set: { "refunds.$.status": "failed" },
+        $inc: { refundedAmount: -entry.amount, refundedCredits: -(entry.credits || 0) },
+      },
+      { new: true }
+    );
+    if (!claimed) return false;
+
+    // A refund applied meanwhile sets the status itself
+    await Payment.updateOne(
+      { _id: claimed._id, refundedAmount: claimed.refundedAmount },
+      { $set: { status: statusAfterRefunds(claimed, claimed.refundedAmount) } }
+    );
+
+    if (entry.credits > 0) {
+      await restoreCreditsFromPayment(
+        claimed.userId,
+        entry.credits,
+        claimed._id,
+        `Refund failed - ${claimed.planName}`
+      );
+      await User.updateOne({ _id: claimed.userId }, { $inc: { totalSpent: entry.amount / 100 } });
+    }
+
+    logger.warn("Payment refund failed - credits restored", {
+      paymentId: claimed._id.toString(),
+      refundId: refund.id,
+      credits: entry.credits || 0,
+    });
+    return true;
+  }
+
+  /**
+   * Record a chargeback on a payment
+   * Losing it takes the credits of what wasn't refunded back (once); fully
+   * refunded payments keep what the refunds already took.
+   * @param {Object} payment - Payment document
+   * @param {Object} dispute - Razorpay dispute entity
+   * @returns {Promise<Object>} { payment, creditsReversed }
+   */
+  async recordDispute(payment, dispute) {
+    await Payment.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          "dispute.id": dispute.id,
+          "dispute.status": dispute.status,
+          "dispute.phase": dispute.phase,
+          "dispute.reasonCode": dispute.reason_code,
+          "dispute.amount": dispute.amount,
+          "dispute.updatedAt": new Date(),
+        },
+      }
+    );
+
+    logger.warn("Payment dispute", {
+      paymentId: payment._id.toString(),
+      disputeId: dispute.id,
+      status: dispute.status,
+      amount: dispute.amount,
+    });
+
+    if (dispute.status !== "lost") {
+      return { payment: await Payment.findById(payment._id), creditsReversed: 0 };
+    }
+
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: { $in: REFUNDABLE_STATUSES },
+        "dispute.creditsReversed": { $ne: true },
+      },
+      { $set: { "dispute.creditsReversed": true } },
+      { new: true }
+    );
+    if (!claimed || !claimed.creditsAdded) {
+      return { payment: claimed || (await Payment.findById(payment._id)), creditsReversed: 0 };
+    }
+
+    const left = claimed.amount - (claimed.refundedAmount || 0);
+    const amount = Math.min(dispute.amount || left, left);
+    const credits = await this.refundCredits(claimed, amount);
+    await this.takeBackCredits(claimed, credits, amount, `Dispute lost - ${claimed.planName}`);
+
+    return { payment: claimed, creditsReversed: credits };
+  }
+
+  /**
+   * Credits bought with part of a payment (with any promo code bonus)
+   * @param {Object} payment - Payment document
+   * @param {Number} amount - Amount returned, in the smallest currency unit
+   * @returns {Promise<Number>}
+   */
+  async creditsFor(payment, amount) {
+    const credits = payment.creditsAmount + (await couponService.getGrantedBonus(payment));
+    return amount >= payment.amount ? credits : Math.round((credits * amount) / payment.amount);
+  }
+
+  /**
+   * Take credits back from the buyer and lower their total spent
+   * The balance may go negative (debt model) if the credits were already spent.
+   */
+  async takeBackCredits(payment, credits, amount, description) {
+    await reverseCreditsFromPayment(payment.userId, credits, payment._id, description);
+
+    await User.updateOne({ _id: payment.userId }, [
+      {
+        $set: {
+          totalSpent: {
+            $max: [0, { $subtract: [{ $ifNull: ["$totalSpent", 0] }, amount / 100] }],
+          },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Redeem the promo code of a successful payment (adds its bonus credits)
+   * The payment's credits are already added, so errors are logged, not thrown
+   * - the bonus stays pending and the next report of the payment retries it.
+   * @returns {Promise<Number>} Bonus credits added
+   */
+  async redeemCoupon(payment) {
+    try {
+      const redemption = await couponService.redeem(payment);
+      return redemption?.bonusTransactionId ? redemption.bonusCredits : 0;
+    } catch (error) {
+      logger.error("Coupon redemption failed", {
+        paymentId: payment._id.toString(),
+        error: error.message,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Issue the invoice of a successful payment as an email attachment
+   * Errors are logged - the success email goes out without the invoice.
+   * @returns {Promise<Object|null>} { number, filename, content }
+   */
+  async invoiceAttachment(payment, user) {
+    try {
+      const invoice = await invoiceService.issueInvoice(payment, user);
+      return { number: invoice.number, ...invoiceService.toAttachment(invoice) };
+    } catch (error) {
+      logger.error("Invoice generation failed", {
+        paymentId: payment._id.toString(),
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Issue the credit note of a processed refund
+   * The refund is done - a credit note that fails is issued on its next download.
+   * @param {Object} payment - Payment document
+   * @param {String} refundId - Razorpay refund ID
+   * @returns {Promise<Object|null>} Credit note document
+   */
+  async issueCreditNote(payment, refundId) {
+    try {
+      const refund = this.listRefunds(payment).find((entry) => entry.refundId === refundId);
+      return await invoiceService.issueCreditNote(payment, {
+        refundId,
+        amount: refund.amount,
+        reason: refund.reason,
+      });
+    } catch (error) {
+      logger.error("Credit note generation failed", {
+        paymentId: payment._id.toString(),
+        error: error.message,
+      });
+      return null;
+    }
+  }
+}
+
+export default new PaymentService();
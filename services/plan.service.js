@@ -0,0 +1,388 @@
+import Plan from "../models/plan.model.js";
+import logger from "../utils/logger.js";
+
+const USER_TIERS = ["tier1", "tier2"];
+
+// Fields admins can set (planId only when creating)
+const PLAN_FIELDS = [
+  "name",
+  "description",
+  "credits",
+  "amount",
+  "currency",
+  "tiers",
+  "popular",
+  "isActive",
+  "activeFrom",
+  "activeUntil",
+  "sortOrder",
+];
+
+// Plans created the first time the catalog is used (amounts in paise)
+const DEFAULT_PLANS = [
+  { planId: "basic", name: "Basic", credits: 100, amount: 100000, sortOrder: 1 },
+  { planId: "standard", name: "Standard", credits: 500, amount: 450000, popular: true, sortOrder: 2 },
+  { planId: "premium", name: "Premium", credits: 1000, amount: 800000, sortOrder: 3 },
+  { planId: "enterprise", name: "Enterprise", credits: 3000, amount: 2000000, sortOrder: 4 },
+  { planId: "ultimate", name: "Ultimate", credits: 5000, amount: 3000000, sortOrder: 5 },
+];
+
+// HTTP status of each plan error code
+export const PLAN_ERROR_STATUS = {
+  INVALID_PLAN: 400,
+  PLAN_NOT_AVAILABLE: 400,
+  PLAN_NOT_FOUND: 404,
+  PLAN_EXISTS: 409,
+};
+
+const planError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Plan Service
+ * Catalog of credit plans. Admins create and edit plans; users see the ones
+ * that are active, inside their activation window and visible to their tier.
+ * Orders snapshot the plan (snapshot()), so later edits only affect new orders.
+ */
+class PlanService {
+  constructor() {
+    this.seeded = null;
+  }
+
+  /**
+   * Create the default plans if the catalog has never been set up
+   * Runs once per process.
+   */
+  ensureDefaults() {
+    if (!this.seeded) {
+      this.seeded = (async () => {
+        if ((await Plan.estimatedDocumentCount()) > 0) return;
+
+        try {
+          await Plan.insertMany(DEFAULT_PLANS, { ordered: false });
+          logger.info("Default credit plans created", { plans: DEFAULT_PLANS.length });
+        } catch (error) {
+          // Another node created them at the same time
+          if (error.code !== 11000) throw error;
+        }
+      })().catch((error) => {
+        this.seeded = null; // Try again on the next request
+        throw error;
+      });
+    }
+
+    return this.seeded;
+  }
+
+  /**
+   * Whether a plan is active and inside its activation window
+   * @param {Object} plan - Plan document
+   * @param {Date} now - Current date
+   * @returns {Boolean}
+   */
+  isOnSale(plan, now = new Date()) {
+    if (!plan.isActive || plan.archivedAt) return false;
+    if (plan.activeFrom && plan.activeFrom > now) return false;
+    return !(plan.activeUntil && plan.activeUntil <= now);
+  }
+
+  /**
+   * Whether a plan can be bought now by a user of `tier`
+   * @param {Object} plan - Plan document
+   * @param {String|null} tier - User's tier (null = no tier / not signed in)
+   * @param {Date} now - Current date
+   * @returns {Boolean}
+   */
+  isAvailable(plan, tier = null, now = new Date()) {
+    return (
+      this.isOnSale(plan, now) && (plan.tiers.length === 0 || plan.tiers.includes(tier))
+    );
+  }
+
+  /**
+   * Plans a user can buy, in display order
+   * @param {Object|null} user - Signed-in user (null sees plans without a tier restriction)
+   * @returns {Promise<Array>} Plan documents
+   */
+  async listAvailable(user = null) {
+    await this.ensureDefaults();
+
+    const plans = await Plan.find({ isActive: true, archivedAt: null }).sort({
+      sortOrder: 1,
+      amount: 1,
+    });
+
+    const now = new Date();
+    return plans.filter((plan) => this.isAvailable(plan, user?.tier || null, now));
+  }
+
+  /**
+   * A plan a user is about to buy
+   * @param {String} planId - Plan ID
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Plan document
+   * @throws {Error} code PLAN_NOT_FOUND or PLAN_NOT_AVAILABLE
+   */
+  async getPurchasablePlan(planId, user) {
+    await this.ensureDefaults();
+
+    const plan =
+      typeof planId === "string"
+        ? await Plan.findOne({ planId: planId.toLowerCase(), archivedAt: null })
+        : null;
+    if (!plan) {
+      throw planError("PLAN_NOT_FOUND", "Invalid plan selected");
+    }
+    if (!this.isAvailable(plan, user?.tier || null)) {
+      throw planError("PLAN_NOT_AVAILABLE", "This plan is not available");
+    }
+
+    return plan;
+  }
+
+  /**
+   * Plan as shown to users
+   * @param {Object} plan - Plan document
+   * @returns {Object} { id, name, description, credits, price, amount, currency, popular, activeUntil }
+   */
+  toPublic(plan) {
+    return {
+      id: plan.planId,
+      name: plan.name,
+      description: plan.description,
+      credits: plan.credits,
+      price: plan.amount / 100, // In rupees (major unit)
+      amount: plan.amount,
+      currency: plan.currency,
+      popular: plan.popular,
+      activeUntil: plan.activeUntil,
+    };
+  }
+
+  /**
+   * Copy of the plan stored on a payment
+   * @param {Object} plan - Plan document
+   * @returns {Object} Payment `planSnapshot`
+   */
+  snapshot(plan) {
+    return {
+      planRef: plan._id,
+      planId: plan.planId,
+      name: plan.name,
+      description: plan.description,
+      credits: plan.credits,
+      amount: plan.amount,
+      currency: plan.currency,
+      tiers: [...plan.tiers],
+      version: plan.version,
+      takenAt: new Date(),
+    };
+  }
+
+  /**
+   * Validate plan fields
+   * @param {Object} input - Plan fields
+   * @param {Object} options - { partial } - updates only validate the fields given
+   * @returns {Object} Fields to write
+   * @throws {Error} code INVALID_PLAN
+   */
+  validate(input, { partial = false } = {}) {
+    const invalid = (message) => planError("INVALID_PLAN", message);
+    const has = (field) => input[field] !== undefined;
+    const fields = {};
+
+    for (const field of Object.keys(input)) {
+      if (!PLAN_FIELDS.includes(field) && !(field === "planId" && !partial)) {
+        throw invalid(`Unknown plan field: ${field}`);
+      }
+    }
+
+    if (!partial) {
+      if (typeof input.planId !== "string" || !/^[a-z0-9][a-z0-9_-]{1,39}$/i.test(input.planId)) {
+        throw invalid("planId must be 2-40 letters, digits, dashes or underscores");
+      }
+      fields.planId = input.planId.toLowerCase();
+
+      for (const field of ["name", "credits", "amount"]) {
+        if (!has(field)) throw invalid(`${field} is required`);
+      }
+    }
+
+    if (has("name")) {
+      if (typeof input.name !== "string" || !input.name.trim() || input.name.length > 100) {
+        throw invalid("name must be 1-100 characters");
+      }
+      fields.name = input.name.trim();
+    }
+    if (has("description")) {
+      if (input.description !== null && typeof input.description !== "string") {
+        throw invalid("description must be a string");
+      }
+      fields.description = input.description;
+    }
+    if (has("credits")) {
+      if (!isPositiveInteger(input.credits)) throw invalid("credits must be a positive integer");
+      fields.credits = input.credits;
+    }
+    if (has("amount")) {
+      if (!isPositiveInteger(input.amount)) {
+        throw invalid("amount must be a positive integer in the currency's smallest unit");
+      }
+      fields.amount = input.amount;
+    }
+    if (has("currency")) {
+      if (typeof input.currency !== "string" || !/^[A-Z]{3}$/i.test(input.currency)) {
+        throw invalid("currency must be a 3-letter ISO code");
+      }
+      fields.currency = input.currency.toUpperCase();
+    }
+    if (has("tiers")) {
+      if (!Array.isArray(input.tiers) || input.tiers.some((tier) => !USER_TIERS.includes(tier))) {
+        throw invalid(`tiers must be a list of: ${USER_TIERS.join(", ")}`);
+      }
+      fields.tiers = [...new Set(input.tiers)];
+    }
+    for (const field of ["popular", "isActive"]) {
+      if (has(field)) {
+        if (typeof input[field] !== "boolean") throw invalid(`${field} must be a boolean`);
+        fields[field] = input[field];
+      }
+    }
+    for (const field of ["activeFrom", "activeUntil"]) {
+      if (has(field)) {
+        const date = input[field] === null ? null : new Date(input[field]);
+        if (date && isNaN(date)) throw invalid(`${field} must be a date or null`);
+        fields[field] = date;
+      }
+    }
+    if (has("sortOrder")) {
+      if (!Number.isInteger(input.sortOrder)) throw invalid("sortOrder must be an integer");
+      fields.sortOrder = input.sortOrder;
+    }
+
+    return fields;
+  }
+
+  /**
+   * All plans (admin), in display order
+   * @param {Object} options - { includeArchived }
+   * @returns {Promise<Array>} Plan documents
+   */
+  async listAll({ includeArchived = false } = {}) {
+    await this.ensureDefaults();
+
+    return Plan.find(includeArchived ? {} : { archivedAt: null }).sort({
+      sortOrder: 1,
+      amount: 1,
+    });
+  }
+
+  /**
+   * A plan by its ID (admin - includes archived plans)
+   * @param {String} planId - Plan ID
+   * @returns {Promise<Object>} Plan document
+   * @throws {Error} code PLAN_NOT_FOUND
+   */
+  async getPlan(planId) {
+    const plan = await Plan.findOne({ planId: String(planId).toLowerCase() });
+    if (!plan) {
+      throw planError("PLAN_NOT_FOUND", "Plan not found");
+    }
+    return plan;
+  }
+
+  /**
+   * Create a plan
+   * @param {Object} input - Plan fields with planId
+   * @param {String} createdBy - Admin email
+   * @returns {Promise<Object>} Plan document
+   * @throws {Error} code INVALID_PLAN or PLAN_EXISTS
+   */
+  async createPlan(input = {}, createdBy = null) {
+    await this.ensureDefaults();
+
+    const fields = this.validate(input);
+    this.checkWindow(fields);
+
+    try {
+      const plan = await Plan.create({ ...fields, createdBy, updatedBy: createdBy });
+      logger.info("Credit plan created", { planId: plan.planId, createdBy });
+      return plan;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw planError("PLAN_EXISTS", `A plan with ID ${fields.planId} already exists`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change a plan - only orders placed afterwards use the new values
+   * @param {String} planId - Plan ID
+   * @param {Object} input - Fields to change
+   * @param {String} updatedBy - Admin email
+   * @returns {Promise<Object>} Plan document
+   * @throws {Error} code INVALID_PLAN or PLAN_NOT_FOUND
+   */
+  async updatePlan(planId, input = {}, updatedBy = null) {
+    const fields = this.validate(input, { partial: true });
+    const plan = await this.getPlan(planId);
+
+    this.checkWindow({ activeFrom: plan.activeFrom, activeUntil: plan.activeUntil, ...fields });
+
+    const updated = await Plan.findOneAndUpdate(
+      { _id: plan._id },
+      { $set: { ...fields, updatedBy }, $inc: { version: 1 } },
+      { new: true }
+    );
+
+    logger.info("Credit plan updated", {
+      planId: updated.planId,
+      version: updated.version,
+      fields: Object.keys(fields),
+      updatedBy,
+    });
+
+    return updated;
+  }
+
+  /**
+   * Archive a plan - it can no longer be bought, past payments keep it
+   * @param {String} planId - Plan ID
+   * @param {String} updatedBy - Admin email
+   * @returns {Promise<Object>} Plan document
+   * @throws {Error} code PLAN_NOT_FOUND
+   */
+  async archivePlan(planId, updatedBy = null) {
+    const plan = await this.getPlan(planId);
+
+    const archived = await Plan.findOneAndUpdate(
+      { _id: plan._id },
+      {
+        $set: { isActive: false, archivedAt: plan.archivedAt || new Date(), updatedBy },
+        $inc: { version: 1 },
+      },
+      { new: true }
+    );
+
+    logger.info("Credit plan archived", { planId: archived.planId, updatedBy });
+
+    return archived;
+  }
+
+  /**
+   * @throws {Error} code INVALID_PLAN if the window ends before it starts
+   */
+  checkWindow({ activeFrom, activeUntil }) {
+    if (activeFrom && activeUntil && activeUntil <= activeFrom) {
+      throw planError("INVALID_PLAN", "activeUntil must be after activeFrom");
+    }
+  }
+}
+
+export default new PlanService();
@@ -0,0 +1,287 @@
+import PricingConfig from "../models/pricing.config.model.js";
+import { DEFAULT_PRICING } from "./credit.calculator.js";
+import analyzerRegistry from "./analyzer.registry.js";
+import logger from "../utils/logger.js";
+
+const USER_TIERS = ["tier1", "tier2"];
+
+// Fields a pricing version defines (a new version copies omitted ones from the active version)
+const PRICING_FIELDS = [
+  "sizeBands",
+  "timeBands",
+  "backendSurcharges",
+  "complexity",
+  "tierMultipliers",
+];
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.code = "INVALID_PRICING";
+  return error;
+};
+
+const isNonNegative = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+
+/**
+ * Pricing Service
+ * Versioned pricing configurations for the credit calculator. Version 0 is
+ * the built-in DEFAULT_PRICING; admins create numbered versions and activate
+ * one. Versions are never edited, so a job settled with the version its hold
+ * recorded is charged what it was quoted.
+ *
+ * The active version is cached for PRICING_CACHE_SECONDS per process, so an
+ * activation reaches every API node and worker within that time.
+ */
+class PricingService {
+  constructor() {
+    this.cacheSeconds = parseInt(process.env.PRICING_CACHE_SECONDS) || 60;
+    this.active = null; // { loadedAt, pricing }
+    this.versions = new Map(); // version -> pricing (immutable, cached indefinitely)
+  }
+
+  /**
+   * Calculator pricing object from a PricingConfig document
+   */
+  toPricing(config) {
+    return {
+      version: config.version,
+      sizeBands: config.sizeBands.map(({ name, maxMB, credits }) => ({
+        name,
+        maxMB: maxMB ?? null,
+        credits,
+      })),
+      timeBands: config.timeBands.map(({ name, maxSeconds, credits }) => ({
+        name,
+        maxSeconds: maxSeconds ?? null,
+        credits,
+      })),
+      backendSurcharges: { ...(config.backendSurcharges || {}) },
+      complexity: {
+        perSignature: config.complexity?.perSignature || 0,
+        perPayload: config.complexity?.perPayload || 0,
+        maxCredits: config.complexity?.maxCredits || 0,
+      },
+      tierMultipliers: { ...(config.tierMultipliers || {}) },
+    };
+  }
+
+  /**
+   * Pricing applied to new jobs
+   * @returns {Promise<Object>} Pricing (DEFAULT_PRICING when none is active)
+   */
+  async getActivePricing() {
+    const now = Date.now();
+    if (this.active && now - this.active.loadedAt < this.cacheSeconds * 1000) {
+      return this.active.pricing;
+    }
+
+    const config = await PricingConfig.findOne({ isActive: true }).lean();
+    const pricing = config ? this.toPricing(config) : DEFAULT_PRICING;
+
+    this.active = { loadedAt: now, pricing };
+    if (config) this.versions.set(pricing.version, pricing);
+
+    return pricing;
+  }
+
+  /**
+   * Pricing of a given version
+   * Falls back to the active pricing for jobs without a recorded version
+   * (queued before versioning) or a version that no longer exists.
+   * @param {Number} version - Pricing version
+   * @returns {Promise<Object>} Pricing
+   */
+  async getPricing(version) {
+    if (version === undefined || version === null) {
+      return this.getActivePricing();
+    }
+    if (version === DEFAULT_PRICING.version) return DEFAULT_PRICING;
+    if (this.versions.has(version)) return this.versions.get(version);
+
+    const config = await PricingConfig.findOne({ version }).lean();
+    if (!config) {
+      logger.warn("Pricing version not found, using active pricing", { version });
+      return this.getActivePricing();
+    }
+
+    const pricing = this.toPricing(config);
+    this.versions.set(version, pricing);
+    return pricing;
+  }
+
+  /**
+   * Validate a pricing configuration
+   * @param {Object} pricing - Pricing fields
+   * @throws {Error} code INVALID_PRICING
+   */
+  validate(pricing) {
+    const validateBands = (bands, field, maxField) => {
+      if (!Array.isArray(bands) || bands.length === 0) {
+        throw invalid(`${field} must be a non-empty array`);
+      }
+
+      const names = new Set();
+      bands.forEach((band, index) => {
+        const isLast = index === bands.length - 1;
+
+        if (typeof band?.name !== "string" || !band.name.trim()) {
+          throw invalid(`${field}[${index}].name is required`);
+        }
+        if (names.has(band.name)) {
+          throw invalid(`${field} has a duplicate band name: ${band.name}`);
+        }
+        names.add(band.name);
+
+        if (!isNonNegative(band.credits)) {
+          throw invalid(`${field}[${index}].credits must be a non-negative number`);
+        }
+
+        const max = band[maxField] ?? null;
+        if (isLast) {
+          if (max !== null) {
+            throw invalid(`The last of ${field} must be unbounded (${maxField}: null)`);
+          }
+          return;
+        }
+
+        const previousMax = index > 0 ? bands[index - 1][maxField] : 0;
+        if (typeof max !== "number" || !Number.isFinite(max) || max <= previousMax) {
+          throw invalid(`${field}[${index}].${maxField} must be greater than the previous band's`);
+        }
+      });
+    };
+
+    validateBands(pricing.sizeBands, "sizeBands", "maxMB");
+    validateBands(pricing.timeBands, "timeBands", "maxSeconds");
+
+    for (const [backend, credits] of Object.entries(pricing.backendSurcharges || {})) {
+      if (!analyzerRegistry.get(backend)) {
+        throw invalid(`Unknown analyzer backend in backendSurcharges: ${backend}`);
+      }
+      if (!isNonNegative(credits)) {
+        throw invalid(`backendSurcharges.${backend} must be a non-negative number`);
+      }
+    }
+
+    if (typeof pricing.complexity !== "object" || pricing.complexity === null) {
+      throw invalid("complexity must be an object");
+    }
+    for (const field of ["perSignature", "perPayload", "maxCredits"]) {
+      const value = pricing.complexity?.[field] ?? 0;
+      if (!isNonNegative(value)) {
+        throw invalid(`complexity.${field} must be a non-negative number`);
+      }
+    }
+
+    for (const [tier, multiplier] of Object.entries(pricing.tierMultipliers || {})) {
+      if (!USER_TIERS.includes(tier)) {
+        throw invalid(`Unknown tier in tierMultipliers: ${tier}`);
+      }
+      if (typeof multiplier !== "number" || !Number.isFinite(multiplier) || multiplier <= 0) {
+        throw invalid(`tierMultipliers.${tier} must be a positive number`);
+      }
+    }
+  }
+
+  /**
+   * Create a new pricing version
+   * Fields that are omitted are copied from the active version.
+   * @param {Object} input - { description, sizeBands, timeBands, backendSurcharges, complexity, tierMultipliers }
+   * @param {Object} options - { createdBy, activate }
+   * @returns {Promise<Object>} Created PricingConfig
+   * @throws {Error} code INVALID_PRICING
+   */
+  async createVersion(input = {}, { createdBy, activate = false } = {}) {
+    const active = await this.getActivePricing();
+
+    const pricing = {};
+    for (const field of PRICING_FIELDS) {
+      pricing[field] = input[field] !== undefined ? input[field] : active[field];
+    }
+
+    this.validate(pricing);
+
+    const latest = await PricingConfig.findOne().sort({ version: -1 }).select("version").lean();
+    const version = (latest?.version || 0) + 1;
+
+    let config;
+    try {
+      config = await PricingConfig.create({
+        version,
+        description: input.description,
+        ...pricing,
+        createdBy,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        const conflict = new Error("Another pricing version was created at the same time, retry");
+        conflict.code = "PRICING_VERSION_CONFLICT";
+        throw conflict;
+      }
+      throw error;
+    }
+
+    logger.info("Pricing version created", { version, createdBy });
+
+    if (activate) {
+      return this.activateVersion(version);
+    }
+
+    return config;
+  }
+
+  /**
+   * Make a pricing version the one applied to new jobs
+   * Version 0 returns to the built-in pricing.
+   * @param {Number} version - Pricing version
+   * @returns {Promise<Object|null>} Activated PricingConfig (null for version 0)
+   * @throws {Error} code PRICING_NOT_FOUND
+   */
+  async activateVersion(version) {
+    let config = null;
+
+    if (version !== DEFAULT_PRICING.version) {
+      config = await PricingConfig.findOneAndUpdate(
+        { version },
+        { $set: { isActive: true, activatedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!config) {
+        const error = new Error(`Pricing version ${version} not found`);
+        error.code = "PRICING_NOT_FOUND";
+        throw error;
+      }
+    }
+
+    await PricingConfig.updateMany(
+      { isActive: true, version: { $ne: version } },
+      { $set: { isActive: false } }
+    );
+
+    this.active = null;
+
+    logger.info("Pricing version activated", { version });
+
+    return config;
+  }
+
+  /**
+   * A stored pricing version
+   * @param {Number} version - Pricing version
+   * @returns {Promise<Object|null>} PricingConfig document
+   */
+  async getVersion(version) {
+    return PricingConfig.findOne({ version }).lean();
+  }
+
+  /**
+   * All pricing versions, newest first
+   * @returns {Promise<Array>} PricingConfig documents
+   */
+  async listVersions() {
+    return PricingConfig.find().sort({ version: -1 }).lean();
+  }
+}
+
+export default new PricingService();
@@ -0,0 +1,201 @@
+import crypto from "crypto";
+import fs from "fs";
+import { Readable, Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { queueLogger } from "../utils/logger.js";
+
+/**
+ * Quarantine Service - Envelope encryption for stored samples
+ *
+ * Every sample gets a random AES-256-GCM data key, which is itself wrapped
+ * with QUARANTINE_MASTER_KEY. The stored blob is self-describing:
+ *
+ *   header  = magic "CRQ1" | keyId (4) | wrapIv (12) | wrappedKey (32) | wrapTag (16) | dataIv (12)
+ *   body    = AES-256-GCM(sample), header used as additional authenticated data
+ *   trailer = dataTag (16)
+ */
+
+const MAGIC = Buffer.from("CRQ1");
+const KEY_ID_LENGTH = 4;
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH =
+  MAGIC.length + KEY_ID_LENGTH + IV_LENGTH + KEY_LENGTH + TAG_LENGTH + IV_LENGTH;
+
+class QuarantineService {
+  constructor() {
+    this.algorithm = "aes-256-gcm";
+    this.masterKey = this.parseMasterKey(process.env.QUARANTINE_MASTER_KEY);
+    this.keyId = this.masterKey
+      ? crypto.createHash("sha256").update(this.masterKey).digest().subarray(0, KEY_ID_LENGTH)
+      : null;
+
+    if (!this.masterKey) {
+      queueLogger.warn(
+        "QUARANTINE_MASTER_KEY not set - samples will be stored unencrypted"
+      );
+    }
+  }
+
+  /**
+   * Accepts 32 bytes as 64 hex characters or base64
+   */
+  parseMasterKey(value) {
+    if (!value) return null;
+
+    const key = /^[0-9a-fA-F]{64}$/.test(value)
+      ? Buffer.from(value, "hex")
+      : Buffer.from(value, "base64");
+
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(
+        "QUARANTINE_MASTER_KEY must be 32 bytes (64 hex characters or base64)"
+      );
+    }
+
+    return key;
+  }
+
+  get enabled() {
+    return Boolean(this.masterKey);
+  }
+
+  /**
+   * Transform that encrypts a plaintext stream into the quarantine format
+   */
+  createEncryptStream() {
+    if (!this.enabled) {
+      throw new Error("Quarantine encryption is not configured");
+    }
+
+    // Wrap a fresh data key with the master key
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    const wrapIv = crypto.randomBytes(IV_LENGTH);
+    const wrapCipher = crypto.createCipheriv(this.algorithm, this.masterKey, wrapIv);
+    const wrappedKey = Buffer.concat([wrapCipher.update(dataKey), wrapCipher.final()]);
+
+    const dataIv = crypto.randomBytes(IV_LENGTH);
+    const header = Buffer.concat([
+      MAGIC,
+      this.keyId,
+      wrapIv,
+      wrappedKey,
+      wrapCipher.getAuthTag(),
+      dataIv,
+    ]);
+
+    const cipher = crypto.createCipheriv(this.algorithm, dataKey, dataIv);
+    cipher.setAAD(header);
+    dataKey.fill(0);
+
+    let headerWritten = false;
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        if (!headerWritten) {
+          this.push(header);
+          headerWritten = true;
+        }
+        callback(null, cipher.update(chunk));
+      },
+      flush(callback) {
+        if (!headerWritten) this.push(header); // Empty sample
+        this.push(cipher.final());
+        callback(null, cipher.getAuthTag());
+      },
+    });
+  }
+
+  /**
+   * Decrypt a quarantined file into destinationPath (created 0600)
+   * The output is removed if the blob fails authentication.
+   * @returns {Promise<Number>} Plaintext bytes written
+   */
+  async decryptFile(sourcePath, destinationPath) {
+    if (!this.enabled) {
+      throw new Error(
+        "Sample is encrypted but QUARANTINE_MASTER_KEY is not configured"
+      );
+    }
+
+    const { size } = await fs.promises.stat(sourcePath);
+    if (size < HEADER_LENGTH + TAG_LENGTH) {
+      throw new Error("Quarantined sample is truncated");
+    }
+
+    const handle = await fs.promises.open(sourcePath, "r");
+    const header = Buffer.alloc(HEADER_LENGTH);
+    const dataTag = Buffer.alloc(TAG_LENGTH);
+    try {
+      await handle.read(header, 0, HEADER_LENGTH, 0);
+      await handle.read(dataTag, 0, TAG_LENGTH, size - TAG_LENGTH);
+    } finally {
+      await handle.close();
+    }
+
+    const decipher = crypto.createDecipheriv(
+      this.algorithm,
+      this.unwrapDataKey(header),
+      header.subarray(HEADER_LENGTH - IV_LENGTH)
+    );
+    decipher.setAAD(header);
+    decipher.setAuthTag(dataTag);
+
+    const bodyLength = size - HEADER_LENGTH - TAG_LENGTH;
+    const body =
+      bodyLength > 0
+        ? fs.createReadStream(sourcePath, {
+            start: HEADER_LENGTH,
+            end: HEADER_LENGTH + bodyLength - 1,
+          })
+        : Readable.from([]);
+
+    try {
+      await pipeline(
+        body,
+        decipher,
+        fs.createWriteStream(destinationPath, { mode: 0o600 })
+      );
+    } catch (error) {
+      await fs.promises.rm(destinationPath, { force: true });
+
+      if (error.message.includes("unable to authenticate")) {
+        throw new Error("Quarantined sample failed integrity check");
+      }
+      throw error;
+    }
+
+    return bodyLength;
+  }
+
+  /**
+   * Validate the header and unwrap the per-sample data key
+   */
+  unwrapDataKey(header) {
+    let offset = 0;
+    const take = (length) => header.subarray(offset, (offset += length));
+
+    if (!take(MAGIC.length).equals(MAGIC)) {
+      throw new Error("Not a quarantined sample (bad header)");
+    }
+    if (!take(KEY_ID_LENGTH).equals(this.keyId)) {
+      throw new Error(
+        "Sample was encrypted with a different QUARANTINE_MASTER_KEY"
+      );
+    }
+
+    const wrapIv = take(IV_LENGTH);
+    const wrappedKey = take(KEY_LENGTH);
+    const wrapTag = take(TAG_LENGTH);
+
+    try {
+      const decipher = crypto.createDecipheriv(this.algorithm, this.masterKey, wrapIv);
+      decipher.setAuthTag(wrapTag);
+      return Buffer.concat([decipher.update(wrappedKey), decipher.final()]);
+    } catch (error) {
+      throw new Error("Failed to unwrap sample data key");
+    }
+  }
+}
+
+export default new QuarantineService();
@@ -1,9 +1,13 @@
+import path from "path";
+import mongoose from "mongoose";
 import { sdkAnalysisQueue } from "../config/queue.js";
 import AnalysisJob from "../models/analysis.job.model.js";
 import analysisService from "../services/analysis.service.js";
 import {
-  deductCreditsForSDK,
-  refundCreditsForSDK,
+  holdCreditsForJob,
+  releaseCreditHold,
+  releaseJobCredits,
+  settleJobCredits,
 } from "../services/credit.service.js";
 import {
   calculateDynamicCredits,
@@ -11,14 +15,19 @@ import {
   getTimeTier,
   formatCreditBreakdown,
 } from "./credit.calculator.js";
-import { deleteFile } from "../utils/file.handler.js";
 import {
-  downloadToTempFile,
-  deleteTempFile,
-  deleteFromCloudinary,
-} from "../utils/cloudinaryHelper.js";
+  calculateFileHash,
+  calculateFileHashes,
+} from "../utils/file.handler.js";
+import storageService from "./storage.service.js";
+import unpackService from "./unpack.service.js";
+import jobEvents from "./job.events.service.js";
+import containerService from "./container.service.js";
+import jobCancellationService from "./job.cancellation.service.js";
+import webhookService from "./webhook.service.js";
+import pricingService from "./pricing.service.js";
+import { deleteTempFile } from "../utils/storage.helper.js";
 import { queueLogger } from "../utils/logger.js";
-import { io } from "../server.js";
 
 /**
  * Queue Worker Service
@@ -38,8 +47,10 @@ async function processAnalysisJob(job) {
   const {
     jobId,
     userId,
-    cloudinaryUrl,
-    cloudinaryPublicId,
+    cloudinaryPublicId, // Legacy payloads queued before storage providers
+    storageProvider = "cloudinary",
+    storageKey = cloudinaryPublicId,
+    encrypted = false, // Quarantine-encrypted at rest
     fileHash,
     filename,
     fileSize,
@@ -47,6 +58,10 @@ async function processAnalysisJob(job) {
     apiKeyId,
     source = "sdk", // Default to SDK if not specified
     forceDeep = false, // Extract force_deep flag
+    backends, // Analyzer backends selected at upload (defaults when absent)
+    unpack = true, // Split archives/firmware images into member jobs
+    parentJobId, // Set on member jobs unpacked from a container
+    archivePath,
   } = job.data;
 
   queueLogger.info("Processing analysis job", {
@@ -55,9 +70,12 @@ async function processAnalysisJob(job) {
     filename,
     fileSize,
     tier,
-    cloudinaryPublicId,
+    storageProvider,
+    storageKey,
     source,
     forceDeep,
+    backends,
+    parentJobId,
   });
 
   let analysisJob = null;
@@ -71,48 +89,104 @@ async function processAnalysisJob(job) {
       throw new Error("Job not found in database");
     }
 
+    // Cancelled while waiting for a worker
+    if (analysisJob.status === "cancelled") {
+      queueLogger.info("Skipping cancelled job", { jobId });
+      return { success: false, jobId, cancelled: true };
+    }
+
     // Update status to processing
     await analysisJob.updateStatus("processing");
 
     // Emit socket event
-    emitJobEvent(userId, jobId, "job:processing", {
+    jobEvents.emit(userId, jobId, "job:processing", {
       status: "processing",
       progress: 10,
     });
 
-    // Update progress: 20% - Downloading from Cloudinary
+    // Retried container job: member jobs already exist, only roll them up
+    if (analysisJob.container?.unpackedAt) {
+      await containerService.rollup(jobId);
+      return { success: true, jobId, container: true };
+    }
+
+    // Update progress: 20% - Downloading from storage
     await analysisJob.updateProgress(20);
     await job.progress(20);
 
-    queueLogger.info("Downloading file from Cloudinary", {
+    queueLogger.info("Downloading file from storage", {
       jobId,
-      cloudinaryPublicId,
+      storageProvider,
+      storageKey,
     });
 
-    // Download file from Cloudinary to temp location
-    tempFilePath = await downloadToTempFile(cloudinaryPublicId, filename);
+    // Download (and decrypt) file from storage to temp location
+    tempFilePath = await storageService.downloadToTempFile(
+      storageKey,
+      filename,
+      storageProvider,
+      { encrypted }
+    );
 
     queueLogger.info("File downloaded successfully", {
       jobId,
       tempFilePath,
     });
 
+    // Verify the downloaded sample matches the hash computed at upload
+    // (legacy jobs stored the Cloudinary etag, which is not a SHA-256)
+    if (/^[a-f0-9]{64}$/.test(fileHash)) {
+      const downloadedHash = await calculateFileHash(tempFilePath);
+      if (downloadedHash !== fileHash) {
+        throw new Error(
+          `File integrity check failed: expected SHA-256 ${fileHash}, got ${downloadedHash}`
+        );
+      }
+    }
+
+    await AnalysisJob.assertNotCancelled(jobId);
+
+    // Archives and firmware images are analyzed member by member
+    // (members are never unpacked again - nesting is handled by the unpacker)
+    if (
+      !parentJobId &&
+      unpack !== false &&
+      unpackService.enabled &&
+      (await unpackService.detect(tempFilePath, filename))
+    ) {
+      const containerResult = await processContainerJob(
+        job,
+        analysisJob,
+        tempFilePath
+      );
+      await deleteTempFile(tempFilePath);
+      return containerResult;
+    }
+
     // Update progress: 40% - Starting analysis
     await analysisJob.updateProgress(40);
     await job.progress(40);
 
-    // Call ML service for analysis using temp file
-    queueLogger.info("Calling ML service", { jobId, filename, forceDeep });
-    const results = await analysisService.analyzeBinary(
-      tempFilePath,
+    // Run the selected analyzer backends against the temp file
+    queueLogger.info("Running analyzer backends", {
+      jobId,
       filename,
-      forceDeep
-    );
+      forceDeep,
+      backends,
+    });
+    const results = await analysisService.analyzeBinary(tempFilePath, filename, {
+      backends,
+      forceDeep,
+      jobId,
+    });
+
+    // Don't store results or charge for a job cancelled mid-analysis
+    await AnalysisJob.assertNotCancelled(jobId);
 
     // Update progress: 75% - Analysis complete
     await analysisJob.updateProgress(75);
     await job.progress(75);
-    emitJobEvent(userId, jobId, "job:progress", { progress: 75 });
+    jobEvents.emit(userId, jobId, "job:progress", { progress: 75 });
 
     // Save results
     analysisJob.results = results;
@@ -125,12 +199,31 @@ async function processAnalysisJob(job) {
       (analysisEndTime - analysisStartTime) / 1000
     );
 
-    // Calculate dynamic credits based on size + time
+    // Calculate dynamic credits with the pricing version the hold was priced with
+    const pricing = await pricingService.getPricing(
+      analysisJob.creditHold?.pricingVersion
+    );
+    const completedBackends = (results._analysis_metadata?.stages || [])
+      .filter((stage) => stage.status === "completed")
+      .map((stage) => stage.backend);
     const creditCalculation = calculateDynamicCredits(
       fileSize,
-      processingTimeSeconds
+      processingTimeSeconds,
+      {
+        pricing,
+        backends: completedBackends,
+        results,
+        tier: analysisJob.tier,
+      }
     );
-    const creditsToDeduct = creditCalculation.total;
+    const { breakdown } = creditCalculation;
+
+    // The hold is the most a job can be charged
+    const holdAmount = analysisJob.creditHold?.amount;
+    const creditsToDeduct =
+      holdAmount !== undefined
+        ? Math.min(creditCalculation.total, holdAmount)
+        : creditCalculation.total;
 
     // Log detailed credit calculation breakdown (internal)
     queueLogger.info("💰 Credit Calculation Breakdown", {
@@ -138,34 +231,44 @@ async function processAnalysisJob(job) {
       filename,
       fileSize: `${(fileSize / (1024 * 1024)).toFixed(2)} MB`,
       processingTime: `${processingTimeSeconds}s`,
-      sizeTier: getSizeTier(fileSize),
-      timeTier: getTimeTier(processingTimeSeconds),
-      baseCredits: creditCalculation.breakdown.baseCredits,
-      timeCredits: creditCalculation.breakdown.timeCredits,
-      complexityCredits: creditCalculation.breakdown.complexityCredits,
+      pricingVersion: breakdown.pricingVersion,
+      sizeTier: getSizeTier(fileSize, pricing),
+      timeTier: getTimeTier(processingTimeSeconds, pricing),
+      baseCredits: breakdown.baseCredits,
+      timeCredits: breakdown.timeCredits,
+      backendCredits: breakdown.backendCredits,
+      complexityCredits: breakdown.complexityCredits,
+      signatures: breakdown.signatures,
+      payloads: breakdown.payloads,
+      tierMultiplier: breakdown.tierMultiplier,
       totalCredits: creditsToDeduct,
-      formula: `${creditCalculation.breakdown.baseCredits} (size) + ${creditCalculation.breakdown.timeCredits} (time) = ${creditsToDeduct} total`,
+      formula: `(${breakdown.baseCredits} (size) + ${breakdown.timeCredits} (time) + ${breakdown.backendCredits} (backends) + ${breakdown.complexityCredits} (complexity)) x ${breakdown.tierMultiplier} = ${creditCalculation.total} total`,
     });
 
     // Update job with credit breakdown
     analysisJob.processingTimeSeconds = processingTimeSeconds;
     analysisJob.creditsDeducted = creditsToDeduct;
     analysisJob.creditBreakdown = {
-      baseCredits: creditCalculation.breakdown.baseCredits,
-      timeCredits: creditCalculation.breakdown.timeCredits,
-      complexityCredits: creditCalculation.breakdown.complexityCredits,
-      sizeTier: getSizeTier(fileSize),
-      timeTier: getTimeTier(processingTimeSeconds),
+      baseCredits: breakdown.baseCredits,
+      timeCredits: breakdown.timeCredits,
+      complexityCredits: breakdown.complexityCredits,
+      backendCredits: breakdown.backendCredits,
+      tierMultiplier: breakdown.tierMultiplier,
+      sizeTier: getSizeTier(fileSize, pricing),
+      timeTier: getTimeTier(processingTimeSeconds, pricing),
+      pricingVersion: breakdown.pricingVersion,
       totalCalculated: creditsToDeduct,
     };
 
     await analysisJob.save();
 
-    // Deduct credits AFTER successful analysis
+    // Settle the credits held at enqueue to the actual cost
     const analysisSource = source === "user-dashboard" ? "Dashboard" : "SDK";
-    const description = `${analysisSource} Binary Analysis`;
+    const description = archivePath
+      ? `${analysisSource} Archive Member Analysis (${archivePath})`
+      : `${analysisSource} Binary Analysis`;
 
-    queueLogger.info("Attempting to deduct credits", {
+    queueLogger.info("Attempting to settle credits", {
       jobId,
       userId,
       amount: creditsToDeduct,
@@ -174,32 +277,31 @@ async function processAnalysisJob(job) {
     });
 
     try {
-      await deductCreditsForSDK(
-        userId,
-        creditsToDeduct,
-        jobId,
+      await settleJobCredits(jobId, creditsToDeduct, {
+        description,
         apiKeyId,
-        description
-      );
+      });
 
-      queueLogger.info("✅ Credits deducted after successful analysis", {
+      queueLogger.info("✅ Credits settled after successful analysis", {
         jobId,
         userId,
         creditsDeducted: creditsToDeduct,
-        breakdown: formatCreditBreakdown(creditCalculation),
+        breakdown: formatCreditBreakdown({ ...breakdown, total: creditsToDeduct }),
         processingTime: `${processingTimeSeconds}s`,
         fileSize: `${(fileSize / (1024 * 1024)).toFixed(2)} MB`,
       });
     } catch (creditError) {
-      queueLogger.error("❌ Failed to deduct credits", {
+      queueLogger.error("❌ Failed to settle credits", {
         jobId,
         userId,
         amount: creditsToDeduct,
         error: creditError.message,
         stack: creditError.stack,
       });
-      // Don't fail the job, but log the error
-      // The analysis is complete, credit deduction failure is a separate issue
+      // Fail the attempt so the hold isn't left in credits.held: a retry
+      // settles again (a resolved hold is never charged twice) and the final
+      // attempt releases it
+      throw creditError;
     }
 
     // Mark as completed
@@ -207,7 +309,7 @@ async function processAnalysisJob(job) {
     await job.progress(100);
 
     // Emit completion event
-    emitJobEvent(userId, jobId, "job:completed", {
+    jobEvents.emit(userId, jobId, "job:completed", {
       status: "completed",
       results,
       creditsCharged: creditsToDeduct,
@@ -225,7 +327,11 @@ async function processAnalysisJob(job) {
       await deleteTempFile(tempFilePath);
     }
 
-    // Note: We keep the file on Cloudinary for 24 hours
+    if (parentJobId) {
+      await containerService.rollup(parentJobId);
+    }
+
+    // Note: We keep the stored file for 24 hours
     // Cleanup job will delete it later
 
     return {
@@ -235,6 +341,26 @@ async function processAnalysisJob(job) {
       creditsCharged: creditsToDeduct,
     };
   } catch (error) {
+    // Cancellation surfaces as JOB_CANCELLED or as a side effect (deleted
+    // CAPE task, deleted sample) - the cancel request already did the cleanup
+    if (
+      error.code === "JOB_CANCELLED" ||
+      (await AnalysisJob.exists({ _id: jobId, status: "cancelled" }))
+    ) {
+      queueLogger.info("Job cancelled during processing - stopping", {
+        jobId,
+        error: error.message,
+      });
+
+      if (tempFilePath) {
+        await deleteTempFile(tempFilePath);
+      }
+      // Members created before the cancel request saw them
+      await jobCancellationService.cancelMembers(jobId);
+
+      return { success: false, jobId, cancelled: true };
+    }
+
     queueLogger.error("Job processing failed", {
       jobId,
       error: error.message,
@@ -242,52 +368,77 @@ async function processAnalysisJob(job) {
     });
 
     // Determine if this error is retryable
-    // Sandbox failures (failed_analysis, failed_processing) should NOT be retried
-    // as they just create duplicate tasks on CAPE
+    // Terminal sandbox failures (failed_processing, stuck failed_analysis) should
+    // NOT be retried - the persisted CAPE task would just fail again
     const nonRetryableErrors = [
       "failed_processing",
       "failed_reporting",
       "stuck in failed_analysis",
       "not enabled",
       "authentication failed",
+      "quarantine_master_key", // Key missing or rotated - retrying cannot decrypt
+      "archive limit exceeded", // Zip bomb safeguards - the archive will not shrink
+      "failed to unpack",
+      "insufficient credits", // Job without a hold the balance no longer covers
     ];
     const isNonRetryable = nonRetryableErrors.some((keyword) =>
       error.message.toLowerCase().includes(keyword)
     );
 
-    // Update job status to failed (permanent, no more retries)
-    if (analysisJob) {
-      await analysisJob.updateStatus("failed", error);
+    // A retry needs the sample again and resumes the persisted CAPE task
+    // instead of resubmitting, so only finalize once no retry will follow
+    const isFinalAttempt =
+      isNonRetryable || job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+    if (isFinalAttempt) {
+      // Update job status to failed (permanent, no more retries)
+      if (analysisJob) {
+        await analysisJob.updateStatus("failed", error);
+      }
+
+      // Emit failure event
+      jobEvents.emit(userId, jobId, "job:failed", {
+        status: "failed",
+        error: {
+          message: error.message,
+          code: error.code,
+        },
+      });
+    } else {
+      queueLogger.warn("Job attempt failed - will be retried", {
+        jobId,
+        attempt: job.attemptsMade + 1,
+        maxAttempts: job.opts.attempts,
+      });
     }
 
-    // NO credits to refund since we didn't deduct any upfront
-    queueLogger.info("No credits refunded (none were deducted upfront)", {
-      jobId,
-      userId,
-      reason: "Credits are only deducted after successful analysis",
-    });
-
-    // Emit failure event
-    emitJobEvent(userId, jobId, "job:failed", {
-      status: "failed",
-      error: {
-        message: error.message,
-        code: error.code,
-      },
-    });
+    // Failed jobs are not charged - return the credits held at enqueue
+    if (isFinalAttempt) {
+      await releaseJobCredits(jobId, "analysis failed").catch((releaseError) =>
+        queueLogger.error("Failed to release credit hold", {
+          jobId,
+          error: releaseError.message,
+        })
+      );
+    }
 
     // Clean up temp file
     if (tempFilePath) {
       await deleteTempFile(tempFilePath);
     }
 
-    // Delete from Cloudinary immediately on failure
-    if (cloudinaryPublicId) {
-      queueLogger.info("Deleting failed job file from Cloudinary", {
+    // Delete from storage immediately on final failure
+    if (storageKey && isFinalAttempt) {
+      queueLogger.info("Deleting failed job file from storage", {
         jobId,
-        cloudinaryPublicId,
+        storageProvider,
+        storageKey,
       });
-      await deleteFromCloudinary(cloudinaryPublicId);
+      await storageService.deleteFile(storageKey, storageProvider);
+    }
+
+    if (parentJobId && isFinalAttempt) {
+      await containerService.rollup(parentJobId);
     }
 
     if (isNonRetryable) {
@@ -307,34 +458,240 @@ async function processAnalysisJob(job) {
 }
 
 /**
- * Emit socket event for job updates
+ * Build the Bull payload for an AnalysisJob (used when re-enqueueing)
+ */
+function buildQueuePayload(analysisJob) {
+  return {
+    jobId: analysisJob._id.toString(),
+    userId: analysisJob.userId.toString(),
+    ...analysisJob.getStorageLocation(),
+    fileHash: analysisJob.fileHash,
+    filename: analysisJob.filename,
+    fileSize: analysisJob.fileSize,
+    tier: analysisJob.tier,
+    apiKeyId: analysisJob.apiKeyId?.toString(),
+    source: analysisJob.metadata?.source || "sdk",
+    forceDeep: analysisJob.metadata?.forceDeep || false,
+    backends: analysisJob.backends,
+    unpack: analysisJob.metadata?.unpack !== false,
+    parentJobId: analysisJob.parentJobId?.toString(),
+    archivePath: analysisJob.archivePath,
+  };
+}
+
+/**
+ * Unpack a container sample into member jobs
+ * Each executable member is stored, queued and charged as its own job with
+ * its own credit hold (members the balance can't cover are skipped);
+ * the parent stays "processing" until containerService.rollup() sees every member
+ * finish. Safe to re-run: members created by an earlier attempt are reused.
  */
-function emitJobEvent(userId, jobId, event, data) {
+async function processContainerJob(job, analysisJob, tempFilePath) {
+  const jobId = analysisJob._id.toString();
+  const userId = analysisJob.userId.toString();
+
+  await analysisJob.updateProgress(30);
+  await job.progress(30);
+
+  const unpacked = await unpackService.unpack(tempFilePath, analysisJob.filename);
+
   try {
-    // Emit to job room
-    io.to(`job:${jobId}`).emit(event, {
-      jobId,
-      ...data,
-      timestamp: new Date().toISOString(),
+    // Members are charged individually - the container's hold funds their holds
+    await releaseJobCredits(jobId, "container unpacked into member jobs");
+
+    const skipped = [...unpacked.skipped];
+    const existingMembers = await AnalysisJob.find({
+      parentJobId: analysisJob._id,
     });
+    const existingPaths = new Set(
+      existingMembers.map((member) => member.archivePath)
+    );
+    const members = [...existingMembers];
+
+    for (const member of unpacked.members) {
+      if (existingPaths.has(member.archivePath)) continue;
+
+      let creditHold;
+      try {
+        creditHold = await holdCreditsForJob(analysisJob.userId, member.size, {
+          backends: analysisJob.backends,
+          tier: analysisJob.tier,
+          organizationId: analysisJob.organizationId,
+          apiKeyId: analysisJob.apiKeyId,
+        });
+      } catch (error) {
+        if (error.code === "API_KEY_BUDGET_EXCEEDED") {
+          skipped.push({ path: member.archivePath, reason: "API key budget reached" });
+          continue;
+        }
+        if (error.code !== "INSUFFICIENT_CREDITS") throw error;
+        skipped.push({ path: member.archivePath, reason: "insufficient credits" });
+        continue;
+      }
+
+      const filename = path.posix.basename(member.archivePath);
+      let memberJob;
+      try {
+        const fileHashes = await calculateFileHashes(member.path);
+        const stored = await storageService.uploadFile(member.path, {
+          userId,
+          filename,
+        });
+
+        memberJob = await AnalysisJob.create({
+          userId: analysisJob.userId,
+          organizationId: analysisJob.organizationId,
+          apiKeyId: analysisJob.apiKeyId,
+          parentJobId: analysisJob._id,
+          archivePath: member.archivePath,
+          fileHash: fileHashes.sha256,
+          fileHashes,
+          filename,
+          ...stored,
+          fileSize: member.size,
+          backends: analysisJob.backends,
+          status: "queued",
+          tier: analysisJob.tier,
+          priority: analysisJob.priority,
+          creditHold,
+          metadata: {
+            source: analysisJob.metadata?.source,
+            forceDeep: analysisJob.metadata?.forceDeep,
+          },
+        });
+      } catch (error) {
+        await releaseCreditHold(analysisJob.userId, creditHold);
+        throw error;
+      }
+
+      members.push(memberJob);
+    }
 
-    // Emit to user room
-    io.to(`user:${userId}`).emit(event, {
-      jobId,
-      ...data,
-      timestamp: new Date().toISOString(),
+    await AnalysisJob.assertNotCancelled(jobId);
+
+    // Record the members before queueing them so their rollup can find the parent
+    analysisJob.container = {
+      format: unpacked.format,
+      memberCount: members.length,
+      completedMembers: 0,
+      failedMembers: 0,
+      ignoredFiles: unpacked.ignored,
+      skipped,
+      members: members.map((member) => ({
+        jobId: member._id,
+        archivePath: member.archivePath,
+        fileHash: member.fileHash,
+        status: member.status,
+      })),
+      unpackedAt: new Date(),
+    };
+    analysisJob.progress = 50;
+    await analysisJob.save();
+    await job.progress(50);
+
+    for (const member of members.filter((member) => member.status === "queued")) {
+      await sdkAnalysisQueue.add(member.tier, buildQueuePayload(member), {
+        priority: member.priority,
+        jobId: member._id.toString(),
+      });
+    }
+
+    jobEvents.emit(userId, jobId, "job:unpacked", {
+      status: "processing",
+      progress: 50,
+      format: unpacked.format,
+      members: analysisJob.container.members.map((member) => ({
+        jobId: member.jobId.toString(),
+        archivePath: member.archivePath,
+      })),
+      skipped,
     });
-  } catch (error) {
-    queueLogger.error("Socket emit failed", {
-      event,
+
+    queueLogger.info("Container job split into member jobs", {
       jobId,
-      error: error.message,
+      format: unpacked.format,
+      members: members.length,
+      skipped: skipped.length,
+      ignored: unpacked.ignored,
     });
+
+    // Nothing to wait for when the container held no executables
+    await containerService.rollup(jobId);
+
+    return { success: true, jobId, container: true, members: members.length };
+  } finally {
+    await unpackService.cleanup(unpacked.workDir);
+  }
+}
+
+/**
+ * Reconcile jobs left queued/processing in MongoDB after a restart
+ * Jobs whose Bull entry is gone (Redis flushed, crash before enqueue) are
+ * re-added; jobs Bull gave up on (stalled too often) are retried. Jobs with
+ * a persisted CAPE task resume polling it rather than resubmitting.
+ */
+export async function reconcilePendingJobs() {
+  const pendingJobs = await AnalysisJob.find({
+    status: { $in: ["queued", "processing"] },
+  });
+
+  let requeued = 0;
+  let retried = 0;
+
+  for (const analysisJob of pendingJobs) {
+    const jobId = analysisJob._id.toString();
+
+    try {
+      // Unpacked containers finish when their members do - nothing to queue
+      if (analysisJob.container?.unpackedAt) {
+        await containerService.rollup(jobId);
+        continue;
+      }
+
+      const queueJob = await sdkAnalysisQueue.getJob(jobId);
+
+      if (!queueJob) {
+        await sdkAnalysisQueue.add(
+          analysisJob.tier,
+          buildQueuePayload(analysisJob),
+          {
+            priority: analysisJob.priority,
+            jobId,
+          }
+        );
+        requeued++;
+      } else if (await queueJob.isFailed()) {
+        await queueJob.retry();
+        retried++;
+      } else {
+        continue;
+      }
+
+      queueLogger.info("Reconciled pending analysis job", {
+        jobId,
+        status: analysisJob.status,
+        dynamicTaskId: analysisJob.dynamicTask?.taskId,
+        action: queueJob ? "retried" : "requeued",
+      });
+    } catch (error) {
+      queueLogger.error("Failed to reconcile analysis job", {
+        jobId,
+        error: error.message,
+      });
+    }
   }
+
+  queueLogger.info("Pending job reconciliation finished", {
+    checked: pendingJobs.length,
+    requeued,
+    retried,
+  });
 }
 
 /**
  * Register queue processors for each tier
+ * Called by the standalone worker (worker.js), and by server.js unless
+ * RUN_QUEUE_WORKERS=false.
  */
 export function initializeQueueWorkers() {
   queueLogger.info("Initializing queue workers");
@@ -355,6 +712,8 @@ export function initializeQueueWorkers() {
     });
   });
 
+  webhookService.registerWorker();
+
   // Event handlers
   sdkAnalysisQueue.on("completed", (job, result) => {
     queueLogger.info("Queue job completed", {
@@ -389,12 +748,24 @@ export function initializeQueueWorkers() {
   });
 
   queueLogger.info("Queue workers initialized successfully");
-}
 
-// Initialize workers
-initializeQueueWorkers();
+  // Reconcile once MongoDB is reachable (connection is opened by the entrypoint)
+  const runReconciliation = () =>
+    reconcilePendingJobs().catch((error) =>
+      queueLogger.error("Pending job reconciliation failed", {
+        error: error.message,
+      })
+    );
+
+  if (mongoose.connection.readyState === 1) {
+    runReconciliation();
+  } else {
+    mongoose.connection.once("open", runReconciliation);
+  }
+}
 
 export default {
   initializeQueueWorkers,
   processAnalysisJob,
+  reconcilePendingJobs,
 };
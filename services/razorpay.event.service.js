@@ -0,0 +1,353 @@
+import crypto from "crypto";
+import RazorpayEvent from "../models/razorpay.event.model.js";
+import Payment from "../models/payment.model.js";
+import paymentService from "./payment.service.js";
+import subscriptionService from "./subscription.service.js";
+import logger from "../utils/logger.js";
+
+// A worker that dies mid-event holds it this long
+const LOCK_TTL_SECONDS = 2 * 60;
+
+const ALL_STATUSES = ["pending", "processing", "processed", "ignored", "failed"];
+
+// HTTP status of each event error code
+export const RAZORPAY_EVENT_ERROR_STATUS = {
+  INVALID_EVENT: 400,
+  EVENT_NOT_FOUND: 404,
+  PAYMENT_NOT_FOUND: 404,
+  EVENT_LOCKED: 409,
+};
+
+const eventError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Razorpay Event Service
+ * Webhook events are stored before they are processed. Razorpay redelivers
+ * an event until it gets a 2xx, and may send it more than once: an event is
+ * processed by one request at a time (a lock on its document) and not again
+ * once it succeeded, unless an admin replays it.
+ */
+class RazorpayEventService {
+  /**
+   * ID of a webhook event
+   * @param {String} headerId - x-razorpay-event-id header
+   * @param {Buffer|String} rawBody - Request body
+   * @returns {String}
+   */
+  eventIdOf(headerId, rawBody) {
+    if (headerId) return String(headerId);
+
+    // Without the header, identical bodies are the same event
+    return `body_${crypto.createHash("sha256").update(rawBody || "").digest("hex")}`;
+  }
+
+  /**
+   * Store a delivery of an event (the first delivery creates it)
+   * @param {String} eventId - Event ID
+   * @param {Object} body - Webhook body
+   * @returns {Promise<Object>} Event document
+   * @throws {Error} code INVALID_EVENT
+   */
+  async record(eventId, body) {
+    if (!body || typeof body.event !== "string") {
+      throw eventError("INVALID_EVENT", "Webhook has no event");
+    }
+
+    const payload = body.payload || {};
+    const payment = payload.payment?.entity;
+    const related = payload.refund?.entity || payload.dispute?.entity;
+    const delivery = { $inc: { deliveries: 1 }, $set: { lastDeliveredAt: new Date() } };
+
+    try {
+      return await RazorpayEvent.findOneAndUpdate(
+        { eventId },
+        {
+          ...delivery,
+          $setOnInsert: {
+            event: body.event,
+            accountId: body.account_id,
+            occurredAt: body.created_at ? new Date(body.created_at * 1000) : null,
+            razorpayPaymentId: payment?.id || related?.payment_id,
+            razorpayOrderId: payment?.order_id || payload.order?.entity?.id,
+            entityId: related?.id || payload.subscription?.entity?.id,
+            payload: body,
+          },
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Two deliveries of a new event at once - the other one created it
+      if (error.code !== 11000) throw error;
+      return RazorpayEvent.findOneAndUpdate({ eventId }, delivery, { new: true });
+    }
+  }
+
+  /**
+   * Process a stored event under its lock
+   * @param {String} eventId - Event ID
+   * @param {Object} options - { replayedBy } - admin email; replays run events
+   *   that were already processed
+   * @returns {Promise<Object>} { event, duplicate } - duplicate when the event
+   *   was already processed or is being processed
+   * @throws {Error} code EVENT_NOT_FOUND or EVENT_LOCKED, or the handler's error
+   *   (the event is then failed)
+   */
+  async process(eventId, { replayedBy = null } = {}) {
+    const now = new Date();
+    const lockToken = crypto.randomUUID();
+
+    const event = await RazorpayEvent.findOneAndUpdate(
+      {
+        eventId,
+        status: { $in: replayedBy ? ALL_STATUSES : ["pending", "processing", "failed"] },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: {
+          status: "processing",
+          lockToken,
+          lockedUntil: new Date(now.getTime() + LOCK_TTL_SECONDS * 1000),
+        },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    );
+
+    if (!event) {
+      const current = await RazorpayEvent.findOne({ eventId });
+      if (!current) throw eventError("EVENT_NOT_FOUND", "Event not found");
+      if (replayedBy) throw eventError("EVENT_LOCKED", "Event is being processed");
+      return { event: current, duplicate: true };
+    }
+
+    let outcome = null;
+    let failure = null;
+    try {
+      outcome = await this.handle(event.event, event.payload?.payload || {});
+    } catch (error) {
+      failure = error;
+    }
+
+    const status = failure ? "failed" : outcome ? "processed" : "ignored";
+    const update = {
+      $set: {
+        status,
+        outcome: failure ? null : outcome || "Event not handled",
+        lastError: failure ? failure.message : null,
+        lockToken: null,
+        lockedUntil: null,
+        ...(!failure && { processedAt: new Date() }),
+      },
+    };
+    if (replayedBy) {
+      update.$push = { replays: { by: replayedBy, at: new Date(), status } };
+    }
+
+    // Not ours any more if the lock expired meanwhile
+    const finished = await RazorpayEvent.findOneAndUpdate({ _id: event._id, lockToken }, update, {
+      new: true,
+    });
+
+    logger[failure ? "error" : "info"]("Razorpay event processed", {
+      eventId,
+      event: event.event,
+      status,
+      outcome: update.$set.outcome,
+      error: failure?.message,
+      replayedBy,
+    });
+
+    if (failure) throw failure;
+    return { event: finished || event, duplicate: false };
+  }
+
+  /**
+   * Apply an event
+   * @param {String} event - Event name
+   * @param {Object} payload - Event payload (entities)
+   * @returns {Promise<String|null>} What was done, null for events not handled
+   */
+  async handle(event, payload) {
+    // Subscription lifecycle and charges (credits are granted per paid cycle)
+    if (event.startsWith("subscription.")) {
+      const subscription = await subscriptionService.handleRazorpayEvent(event, payload);
+      return subscription ? `Subscription ${subscription.status}` : "Subscription not found";
+    }
+
+    if (event.startsWith("payment.dispute.")) {
+      const dispute = payload.dispute?.entity;
+      if (!dispute) throw eventError("INVALID_EVENT", "Event has no dispute");
+      return this.handleDispute({
+        ...dispute,
+        status: dispute.status || event.slice("payment.dispute.".length),
+      });
+    }
+
+    switch (event) {
+      case "payment.captured":
+      case "order.paid":
+        return this.handlePaymentCaptured(payload.payment?.entity);
+      case "payment.failed":
+        return this.handlePaymentFailed(payload.payment?.entity);
+      case "refund.processed":
+        return this.handleRefundProcessed(payload.refund?.entity);
+      case "refund.failed":
+        return this.handleRefundFailed(payload.refund?.entity);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * payment.captured / order.paid - add the credits (once)
+   */
+  async handlePaymentCaptured(entity) {
+    if (!entity) throw eventError("INVALID_EVENT", "Event has no payment");
+
+    const payment = await Payment.findOne({ razorpayOrderId: entity.order_id });
+    if (!payment) {
+      // Subscription charges are handled by subscription.charged
+      if (entity.invoice_id) return "Subscription payment - credited via subscription.charged";
+      throw eventError("PAYMENT_NOT_FOUND", `Payment not found for order: ${entity.order_id}`);
+    }
+
+    if (entity.status && entity.status !== "captured") {
+      return `Payment ${entity.status} - not captured yet`;
+    }
+
+    const { credited, bonusCredits } = await paymentService.completePayment(payment, {
+      razorpayPaymentId: entity.id,
+      method: entity.method,
+    });
+    if (!credited) return "Credits already added";
+
+    return `Credits added: ${payment.creditsAmount}${bonusCredits ? ` (+${bonusCredits} bonus)` : ""}`;
+  }
+
+  /**
+   * payment.failed - fail the order's payment unless it succeeded meanwhile
+   */
+  async handlePaymentFailed(entity) {
+    if (!entity) throw eventError("INVALID_EVENT", "Event has no payment");
+
+    const payment = await Payment.findOne({ razorpayOrderId: entity.order_id });
+    if (!payment) return "Payment not found";
+
+    const failed = await paymentService.failPayment(payment, entity.error_description);
+    return failed ? "Payment failed" : `Payment ${payment.status} - failure ignored`;
+  }
+
+  /**
+   * refund.processed - apply refunds made in the Razorpay Dashboard, and
+   * issue the credit note
+   */
+  async handleRefundProcessed(refund) {
+    if (!refund) throw eventError("INVALID_EVENT", "Event has no refund");
+
+    const payment = await Payment.findOne({ razorpayPaymentId: refund.payment_id });
+    if (!payment) return "Payment not found";
+
+    const { applied, payment: current } = await paymentService.applyRefund(payment, {
+      ...refund,
+      status: "processed",
+    });
+    if (applied) return `Refund applied - payment ${current.status}`;
+
+    const known = paymentService
+      .listRefunds(current)
+      .some((entry) => entry.refundId === refund.id);
+    if (!known) {
+      logger.warn("Refund on a payment that can't be refunded", {
+        paymentId: current._id.toString(),
+        refundId: refund.id,
+        status: current.status,
+        refundedAmount: current.refundedAmount,
+      });
+      return `Refund not applied - payment ${current.status}`;
+    }
+    return "Refund processed";
+  }
+
+  /**
+   * refund.failed - undo the refund and give the credits back
+   */
+  async handleRefundFailed(refund) {
+    if (!refund) throw eventError("INVALID_EVENT", "Event has no refund");
+
+    const payment = await Payment.findOne({ razorpayPaymentId: refund.payment_id });
+    if (!payment) return "Payment not found";
+
+    const cancelled = await paymentService.cancelRefund(payment, refund);
+    return cancelled ? "Refund failed - credits restored" : "Refund not pending - nothing to undo";
+  }
+
+  /**
+   * payment.dispute.* - record the dispute, take the credits back if lost
+   */
+  async handleDispute(dispute) {
+    const payment = await Payment.findOne({ razorpayPaymentId: dispute.payment_id });
+    if (!payment) return "Payment not found";
+
+    const { creditsReversed } = await paymentService.recordDispute(payment, dispute);
+    return `Dispute ${dispute.status}${creditsReversed ? ` - ${creditsReversed} credits taken back` : ""}`;
+  }
+
+  /**
+   * List stored events (without payloads), newest first
+   * @param {Object} options - { page, limit, status, event, razorpayPaymentId }
+   * @returns {Promise<Object>} { events, pagination }
+   */
+  async listEvents({ page = 1, limit = 20, status = null, event = null, razorpayPaymentId = null } = {}) {
+    const filter = {
+      ...(status && { status }),
+      ...(event && { event }),
+      ...(razorpayPaymentId && { razorpayPaymentId }),
+    };
+    const skip = (page - 1) * limit;
+
+    const [events, total] = await Promise.all([
+      RazorpayEvent.find(filter).select("-payload").sort({ createdAt: -1 }).skip(skip).limit(limit),
+      RazorpayEvent.countDocuments(filter),
+    ]);
+
+    return {
+      events,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  /**
+   * Get a stored event with its payload
+   * @param {String} eventId - Event ID
+   * @returns {Promise<Object>} Event document
+   * @throws {Error} code EVENT_NOT_FOUND
+   */
+  async getEvent(eventId) {
+    const event = await RazorpayEvent.findOne({ eventId });
+    if (!event) throw eventError("EVENT_NOT_FOUND", "Event not found");
+    return event;
+  }
+
+  /**
+   * Process a stored event again (its handlers are safe to repeat)
+   * @param {String} eventId - Event ID
+   * @param {String} adminEmail - Admin replaying it
+   * @returns {Promise<Object>} Event document
+   * @throws {Error} code EVENT_NOT_FOUND or EVENT_LOCKED, or the handler's error
+   */
+  async replay(eventId, adminEmail) {
+    const { event } = await this.process(eventId, { replayedBy: adminEmail || "admin" });
+    return event;
+  }
+}
+
+export default new RazorpayEventService();
@@ -1,12 +1,16 @@
 import Razorpay from "razorpay";
 import crypto from "crypto";
+import razorpayStub from "./razorpay.stub.js";
 import logger from "../utils/logger.js";
 
-// Initialize Razorpay instance
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+// Initialize Razorpay instance (in-memory stub for local development and tests)
+const razorpay =
+  process.env.RAZORPAY_STUB === "true"
+    ? razorpayStub
+    : new Razorpay({
+        key_id: process.env.RAZORPAY_KEY_ID,
+        key_secret: process.env.RAZORPAY_KEY_SECRET,
+      });
 
 /**
  * Create Razorpay Order
@@ -170,6 +174,97 @@ export const fetchRefund = async (refundId) => {
   }
 };
 
+/**
+ * Create Razorpay Subscription
+ * @param {String} planId - Razorpay plan ID (monthly plan)
+ * @param {Number} totalCount - Billing cycles before the subscription completes
+ * @param {Object} notes - Additional notes
+ * @returns {Promise<Object>} Razorpay subscription object
+ */
+export const createSubscription = async (planId, totalCount, notes = {}) => {
+  try {
+    logger.info("[RAZORPAY] Creating subscription", { planId, totalCount });
+
+    const subscription = await razorpay.subscriptions.create({
+      plan_id: planId,
+      total_count: totalCount,
+      customer_notify: 1,
+      notes,
+    });
+
+    logger.info("[RAZORPAY] Subscription created successfully", {
+      subscriptionId: subscription.id,
+      planId,
+    });
+
+    return subscription;
+  } catch (error) {
+    logger.error("[RAZORPAY] Subscription creation failed", {
+      error: error.message || error,
+      planId,
+    });
+    throw new Error(
+      `Razorpay subscription creation failed: ${
+        error.message || JSON.stringify(error)
+      }`
+    );
+  }
+};
+
+/**
+ * Fetch Subscription Details
+ * @param {String} subscriptionId - Razorpay subscription ID
+ * @returns {Promise<Object>} Subscription details
+ */
+export const fetchSubscription = async (subscriptionId) => {
+  try {
+    logger.info("[RAZORPAY] Fetching subscription details", { subscriptionId });
+
+    const subscription = await razorpay.subscriptions.fetch(subscriptionId);
+
+    logger.info("[RAZORPAY] Subscription details fetched", {
+      subscriptionId,
+      status: subscription.status,
+      paidCount: subscription.paid_count,
+    });
+
+    return subscription;
+  } catch (error) {
+    logger.error("[RAZORPAY] Subscription fetch failed", {
+      error: error.message,
+      subscriptionId,
+    });
+    throw new Error(`Failed to fetch subscription: ${error.message}`);
+  }
+};
+
+/**
+ * Cancel Subscription
+ * @param {String} subscriptionId - Razorpay subscription ID
+ * @param {Boolean} atCycleEnd - Cancel when the current cycle ends (default) or now
+ * @returns {Promise<Object>} Subscription object
+ */
+export const cancelSubscription = async (subscriptionId, atCycleEnd = true) => {
+  try {
+    logger.warn("[RAZORPAY] Cancelling subscription", { subscriptionId, atCycleEnd });
+
+    const subscription = await razorpay.subscriptions.cancel(subscriptionId, atCycleEnd);
+
+    logger.warn("[RAZORPAY] Subscription cancelled", {
+      subscriptionId,
+      status: subscription.status,
+    });
+
+    return subscription;
+  } catch (error) {
+    logger.error("[RAZORPAY] Subscription cancel failed", {
+      error: error.message,
+      subscriptionId,
+    });
+    throw new Error(`Subscription cancel failed: ${error.message}`);
+  }
+};
+
 /**
  * Verify Payment Signature
  * CRITICAL SECURITY FUNCTION - Prevents fraudulent payments
@@ -216,6 +311,40 @@ export const verifyPaymentSignature = (orderId, paymentId, signature) => {
   }
 };
 
+/**
+ * Verify Subscription Payment Signature
+ * Sent by Checkout after the first subscription payment (authorization).
+ * @param {String} paymentId - Razorpay payment ID
+ * @param {String} subscriptionId - Razorpay subscription ID
+ * @param {String} signature - Signature from client
+ * @returns {Boolean} True if signature is valid
+ */
+export const verifySubscriptionSignature = (paymentId, subscriptionId, signature) => {
+  try {
+    const expectedSignature = crypto
+      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
+      .update(`${paymentId}|${subscriptionId}`)
+      .digest("hex");
+
+    const isValid = expectedSignature === signature;
+
+    if (!isValid) {
+      logger.error("[RAZORPAY] ❌ INVALID SUBSCRIPTION SIGNATURE - POTENTIAL FRAUD", {
+        paymentId,
+        subscriptionId,
+      });
+    }
+
+    return isValid;
+  } catch (error) {
+    logger.error("[RAZORPAY] Subscription signature verification error", {
+      error: error.message,
+      subscriptionId,
+    });
+    return false;
+  }
+};
+
 /**
  * Verify Webhook Signature
  * CRITICAL SECURITY FUNCTION - Prevents fake webhooks
@@ -255,6 +384,10 @@ export default {
   capturePayment,
   createRefund,
   fetchRefund,
+  createSubscription,
+  fetchSubscription,
+  cancelSubscription,
   verifyPaymentSignature,
+  verifySubscriptionSignature,
   verifyWebhookSignature,
 };
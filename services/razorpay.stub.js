@@ -0,0 +1,274 @@
+import crypto from "crypto";
+
+/**
+ * Local Razorpay stub (RAZORPAY_STUB=true)
+ * Stands in for the Razorpay client in local development and tests: orders,
+ * payments, refunds and subscriptions live in memory, nothing leaves the
+ * process. The helpers at the bottom play the customer's side - paying an
+ * order or charging a subscription cycle - and return the signatures and
+ * webhook bodies Razorpay would send, signed with RAZORPAY_KEY_SECRET and
+ * RAZORPAY_WEBHOOK_SECRET.
+ */
+
+const MONTH_SECONDS = 30 * 24 * 60 * 60;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString("hex")}`;
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+const hmac = (secret, body) =>
+  crypto.createHmac("sha256", secret || "").update(body).digest("hex");
+
+// Razorpay rejects unknown IDs with a 400 carrying an `error` object
+const notFound = (id) => {
+  const error = new Error(`The id provided does not exist: ${id}`);
+  error.statusCode = 400;
+  error.error = { code: "BAD_REQUEST_ERROR", description: error.message };
+  return error;
+};
+
+class RazorpayStub {
+  constructor() {
+    this.reset();
+
+    this.orders = {
+      create: async ({ amount, currency = "INR", receipt, notes = {} }) => {
+        const order = {
+          id: newId("order"),
+          entity: "order",
+          amount,
+          amount_paid: 0,
+          amount_due: amount,
+          currency,
+          receipt,
+          status: "created",
+          notes,
+          created_at: nowSeconds(),
+        };
+        this.state.orders.set(order.id, order);
+        return order;
+      },
+      fetch: async (orderId) => this.find("orders", orderId),
+    };
+
+    this.payments = {
+      fetch: async (paymentId) => this.find("payments", paymentId),
+      capture: async (paymentId, amount) => {
+        const payment = this.find("payments", paymentId);
+        payment.status = "captured";
+        payment.captured = true;
+        payment.amount = amount;
+        return payment;
+      },
+      refund: async (paymentId, { amount, notes = {} } = {}) => {
+        const payment = this.find("payments", paymentId);
+        const refund = {
+          id: newId("rfnd"),
+          entity: "refund",
+          payment_id: paymentId,
+          amount: amount || payment.amount,
+          currency: payment.currency,
+          notes,
+          status: "processed",
+          created_at: nowSeconds(),
+        };
+        this.state.refunds.set(refund.id, refund);
+        payment.amount_refunded = (payment.amount_refunded || 0) + refund.amount;
+        payment.refund_status =
+          payment.amount_refunded >= payment.amount ? "full" : "partial";
+        return refund;
+      },
+    };
+
+    this.refunds = {
+      fetch: async (refundId) => this.find("refunds", refundId),
+    };
+
+    this.subscriptions = {
+      create: async ({ plan_id, total_count, customer_notify = 1, notes = {} }) => {
+        const subscription = {
+          id: newId("sub"),
+          entity: "subscription",
+          plan_id,
+          status: "created",
+          current_start: null,
+          current_end: null,
+          charge_at: null,
+          total_count,
+          paid_count: 0,
+          remaining_count: total_count,
+          customer_notify,
+          short_url: `https://rzp.io/i/${crypto.randomBytes(4).toString("hex")}`,
+          notes,
+          created_at: nowSeconds(),
+        };
+        this.state.subscriptions.set(subscription.id, subscription);
+        return subscription;
+      },
+      fetch: async (subscriptionId) => this.find("subscriptions", subscriptionId),
+      cancel: async (subscriptionId, cancelAtCycleEnd = false) => {
+        const subscription = this.find("subscriptions", subscriptionId);
+        if (cancelAtCycleEnd) {
+          subscription.has_scheduled_changes = true;
+        } else {
+          subscription.status = "cancelled";
+          subscription.ended_at = nowSeconds();
+        }
+        return subscription;
+      },
+    };
+  }
+
+  /**
+   * Forget all orders, payments, refunds and subscriptions
+   */
+  reset() {
+    this.state = {
+      orders: new Map(),
+      payments: new Map(),
+      refunds: new Map(),
+      subscriptions: new Map(),
+    };
+  }
+
+  find(collection, id) {
+    const entity = this.state[collection].get(id);
+    if (!entity) throw notFound(id);
+    return entity;
+  }
+
+  createPayment(fields) {
+    const payment = {
+      id: newId("pay"),
+      entity: "payment",
+      currency: "INR",
+      status: "captured",
+      captured: true,
+      method: "card",
+      amount_refunded: 0,
+      refund_status: null,
+      created_at: nowSeconds(),
+      ...fields,
+    };
+    this.state.payments.set(payment.id, payment);
+    return payment;
+  }
+
+  /**
+   * Webhook body, X-Razorpay-Signature and X-Razorpay-Event-Id for an event
+   * @param {String} event - Event name
+   * @param {Object} payload - { payment: entity, subscription: entity, ... }
+   * @returns {Object} { body, rawBody, signature, eventId }
+   */
+  webhook(event, payload) {
+    const body = {
+      entity: "event",
+      account_id: "acc_stub",
+      event,
+      contains: Object.keys(payload),
+      payload: Object.fromEntries(
+        Object.entries(payload).map(([key, entity]) => [key, { entity }])
+      ),
+      created_at: nowSeconds(),
+    };
+    const rawBody = JSON.stringify(body);
+
+    return {
+      body,
+      rawBody,
+      signature: hmac(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody),
+      eventId: newId("evt"),
+    };
+  }
+
+  /**
+   * Pay an order (checkout succeeded)
+   * @param {String} orderId - Razorpay order ID
+   * @param {Object} options - { status: "captured" | "authorized" | "failed" }
+   * @returns {Object} { payment, signature, webhook } - webhook is payment.captured/failed
+   */
+  payOrder(orderId, { status = "captured" } = {}) {
+    const order = this.find("orders", orderId);
+    const payment = this.createPayment({
+      amount: order.amount,
+      currency: order.currency,
+      order_id: order.id,
+      status,
+      captured: status === "captured",
+      ...(status === "failed" && { error_description: "Payment declined by stub" }),
+    });
+
+    if (status === "captured") {
+      order.status = "paid";
+      order.amount_paid = order.amount;
+      order.amount_due = 0;
+    }
+
+    return {
+      payment,
+      signature: hmac(process.env.RAZORPAY_KEY_SECRET, `${order.id}|${payment.id}`),
+      webhook: this.webhook(status === "failed" ? "payment.failed" : "payment.captured", {
+        payment,
+      }),
+    };
+  }
+
+  /**
+   * Charge a subscription's next cycle (activates it on the first charge)
+   * @param {String} subscriptionId - Razorpay subscription ID
+   * @param {Object} options - { amount } in paise
+   * @returns {Object} { payment, signature, webhook } - webhook is subscription.charged
+   */
+  chargeSubscription(subscriptionId, { amount = 0 } = {}) {
+    const subscription = this.find("subscriptions", subscriptionId);
+    const start = subscription.current_end || nowSeconds();
+
+    subscription.status = "active";
+    subscription.paid_count += 1;
+    subscription.remaining_count = subscription.total_count - subscription.paid_count;
+    subscription.current_start = start;
+    subscription.current_end = start + MONTH_SECONDS;
+    subscription.charge_at = subscription.current_end;
+
+    const payment = this.createPayment({
+      amount,
+      order_id: newId("order"),
+      invoice_id: newId("inv"),
+      description: `Subscription ${subscription.id} cycle ${subscription.paid_count}`,
+    });
+
+    if (subscription.paid_count >= subscription.total_count) {
+      subscription.status = "completed";
+      subscription.ended_at = nowSeconds();
+    }
+
+    return {
+      payment,
+      signature: hmac(process.env.RAZORPAY_KEY_SECRET, `${payment.id}|${subscription.id}`),
+      webhook: this.webhook("subscription.charged", {
+        subscription: { ...subscription },
+        payment,
+      }),
+    };
+  }
+
+  /**
+   * Move a subscription to another state and build its webhook
+   * (e.g. "halted" after failed charges, "cancelled")
+   * @param {String} subscriptionId - Razorpay subscription ID
+   * @param {String} status - New status
+   * @returns {Object} { body, rawBody, signature } of subscription.<status>
+   */
+  setSubscriptionStatus(subscriptionId, status) {
+    const subscription = this.find("subscriptions", subscriptionId);
+    subscription.status = status;
+    if (["cancelled", "completed", "expired"].includes(status)) {
+      subscription.ended_at = nowSeconds();
+    }
+
+    return this.webhook(`subscription.${status}`, { subscription: { ...subscription } });
+  }
+}
+
+const razorpayStub = new RazorpayStub();
+
+export default razorpayStub;
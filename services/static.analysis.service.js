@@ -0,0 +1,533 @@
+import fs from "fs";
+import crypto from "crypto";
+import { queueLogger } from "../utils/logger.js";
+import cryptoScannerService from "./crypto.scanner.service.js";
+
+/**
+ * Static Analysis Service - Native binary format parser
+ * Parses PE, ELF and Mach-O headers/sections without executing the sample
+ * and runs the crypto constant scanner over the raw bytes
+ */
+
+// ELF e_machine values
+const ELF_MACHINES = {
+  0x03: "x86",
+  0x08: "MIPS",
+  0x14: "PowerPC",
+  0x15: "PowerPC64",
+  0x28: "ARM",
+  0x2a: "SuperH",
+  0x32: "IA-64",
+  0x3e: "x86-64",
+  0xb7: "ARM64",
+  0xf3: "RISC-V",
+  0x102: "LoongArch",
+};
+
+// PE COFF Machine values
+const PE_MACHINES = {
+  0x014c: "x86",
+  0x0166: "MIPS",
+  0x01c0: "ARM",
+  0x01c4: "ARM (Thumb-2)",
+  0x0200: "IA-64",
+  0x8664: "x86-64",
+  0xaa64: "ARM64",
+};
+
+// Mach-O cputype values (CPU_ARCH_ABI64 = 0x01000000)
+const MACHO_CPU_TYPES = {
+  0x7: "x86",
+  0x01000007: "x86-64",
+  0xc: "ARM",
+  0x0100000c: "ARM64",
+  0x12: "PowerPC",
+  0x01000012: "PowerPC64",
+};
+
+// Mach-O load commands we care about
+const LC_SEGMENT = 0x1;
+const LC_SYMTAB = 0x2;
+const LC_LOAD_DYLIB = 0xc;
+const LC_SEGMENT_64 = 0x19;
+
+// Section entropy above this is a strong hint of packing/encryption
+const PACKED_ENTROPY_THRESHOLD = 7.2;
+
+class StaticAnalysisService {
+  constructor() {
+    this.maxSections = 256;
+    this.maxLibraries = 256;
+  }
+
+  /**
+   * Run static analysis on a file on disk
+   * @param {String} filePath - Path to binary file
+   * @param {String} filename - Original filename
+   * @returns {Promise<Object>} Static analysis report
+   */
+  async analyzeFile(filePath, filename) {
+    const startTime = Date.now();
+
+    try {
+      const buffer = await fs.promises.readFile(filePath);
+      const report = this.analyzeBuffer(buffer);
+
+      queueLogger.info("Static analysis completed", {
+        filename,
+        format: report.format,
+        architecture: report.architecture,
+        sections: report.sections.length,
+        stripped: report.stripped,
+        duration: `${Date.now() - startTime}ms`,
+      });
+
+      return report;
+    } catch (error) {
+      queueLogger.error("Static analysis failed", {
+        filename,
+        error: error.message,
+        stack: error.stack,
+      });
+      throw new Error(`Static analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run static analysis on an in-memory buffer
+   * @param {Buffer} buffer - Binary contents
+   * @returns {Object} Static analysis report
+   */
+  analyzeBuffer(buffer) {
+    const report = {
+      format: "unknown",
+      file_type: "Unknown binary",
+      architecture: "unknown",
+      bits: null,
+      endianness: null,
+      entry_point: null,
+      stripped: null,
+      sections: [],
+      libraries: [],
+      detected_algorithms: [],
+      entropy: this.calculateEntropy(buffer),
+      packed: false,
+      size_bytes: buffer.length,
+      hashes: this.calculateHashes(buffer),
+      warnings: [],
+    };
+
+    try {
+      const format = this.detectFormat(buffer);
+
+      if (format === "elf") {
+        this.parseElf(buffer, report);
+      } else if (format === "pe") {
+        this.parsePe(buffer, report);
+      } else if (format === "macho" || format === "macho-fat") {
+        this.parseMachO(buffer, report, format === "macho-fat");
+      }
+    } catch (error) {
+      // Truncated or malformed headers are common in malware - keep what we have
+      report.warnings.push(`Header parsing incomplete: ${error.message}`);
+    }
+
+    report.detected_algorithms = cryptoScannerService.scanBuffer(
+      buffer,
+      report.sections
+    );
+
+    report.packed =
+      report.sections.some(
+        (section) =>
+          section.size > 1024 && section.entropy >= PACKED_ENTROPY_THRESHOLD
+      ) ||
+      (report.sections.length === 0 &&
+        report.entropy >= PACKED_ENTROPY_THRESHOLD);
+
+    return report;
+  }
+
+  /**
+   * Detect binary container format from magic bytes
+   * @param {Buffer} buffer - Binary contents
+   * @returns {String} elf | pe | macho | macho-fat | unknown
+   */
+  detectFormat(buffer) {
+    if (buffer.length < 4) return "unknown";
+
+    if (
+      buffer[0] === 0x7f &&
+      buffer[1] === 0x45 &&
+      buffer[2] === 0x4c &&
+      buffer[3] === 0x46
+    ) {
+      return "elf";
+    }
+
+    if (buffer[0] === 0x4d && buffer[1] === 0x5a && buffer.length >= 0x40) {
+      const peOffset = buffer.readUInt32LE(0x3c);
+      if (
+        peOffset + 4 <= buffer.length &&
+        buffer.readUInt32BE(peOffset) === 0x50450000
+      ) {
+        return "pe";
+      }
+    }
+
+    const magicBE = buffer.readUInt32BE(0);
+    if (
+      [0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe].includes(magicBE)
+    ) {
+      return "macho";
+    }
+
+    // 0xcafebabe is shared with Java class files - those have a huge "arch count"
+    if (magicBE === 0xcafebabe && buffer.length >= 8) {
+      const archCount = buffer.readUInt32BE(4);
+      if (archCount > 0 && archCount < 20) return "macho-fat";
+    }
+
+    return "unknown";
+  }
+
+  /**
+   * Parse ELF header, section headers and DT_NEEDED libraries
+   */
+  parseElf(buffer, report) {
+    const is64 = buffer[4] === 2;
+    const isLE = buffer[5] === 1;
+    const u16 = (offset) =>
+      isLE ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    const u32 = (offset) =>
+      isLE ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+    const addr = (offset) =>
+      is64
+        ? Number(
+            isLE ? buffer.readBigUInt64LE(offset) : buffer.readBigUInt64BE(offset)
+          )
+        : u32(offset);
+
+    const elfTypes = { 1: "relocatable", 2: "executable", 3: "shared object", 4: "core" };
+    const eType = u16(16);
+    const eMachine = u16(18);
+
+    report.format = "elf";
+    report.bits = is64 ? 64 : 32;
+    report.endianness = isLE ? "little" : "big";
+    report.architecture = ELF_MACHINES[eMachine] || `unknown (0x${eMachine.toString(16)})`;
+    report.entry_point = this.toHex(addr(24));
+    report.file_type = `ELF ${report.bits}-bit ${elfTypes[eType] || "object"} (${report.architecture})`;
+
+    const shoff = addr(is64 ? 0x28 : 0x20);
+    const shentsize = u16(is64 ? 0x3a : 0x2e);
+    const shnum = Math.min(u16(is64 ? 0x3c : 0x30), this.maxSections);
+    const shstrndx = u16(is64 ? 0x3e : 0x32);
+
+    if (!shoff || !shnum || shoff + shnum * shentsize > buffer.length) {
+      // Section headers stripped (sstrip) - nothing else to recover
+      report.stripped = true;
+      report.warnings.push("ELF section header table missing or truncated");
+      return;
+    }
+
+    const readSection = (index) => {
+      const base = shoff + index * shentsize;
+      return {
+        nameOffset: u32(base),
+        type: u32(base + 4),
+        address: addr(base + (is64 ? 0x10 : 0x0c)),
+        offset: addr(base + (is64 ? 0x18 : 0x10)),
+        size: addr(base + (is64 ? 0x20 : 0x14)),
+        link: u32(base + (is64 ? 0x28 : 0x18)),
+      };
+    };
+
+    const headers = Array.from({ length: shnum }, (_, i) => readSection(i));
+    const strtab = headers[shstrndx];
+
+    let hasSymtab = false;
+    let hasDebugInfo = false;
+
+    headers.forEach((header) => {
+      const name = strtab ? this.readCString(buffer, strtab.offset + header.nameOffset) : "";
+      // SHT_NOBITS (.bss) occupies no file space
+      const fileSize = header.type === 8 ? 0 : header.size;
+
+      if (header.type === 2) hasSymtab = true; // SHT_SYMTAB
+      if (name.startsWith(".debug_")) hasDebugInfo = true;
+      if (header.type === 0) return; // SHT_NULL
+
+      report.sections.push(
+        this.buildSection(buffer, name, header.offset, fileSize, header.address)
+      );
+    });
+
+    report.stripped = !hasSymtab && !hasDebugInfo;
+
+    // DT_NEEDED entries from the SHT_DYNAMIC section
+    const dynamic = headers.find((header) => header.type === 6);
+    if (dynamic && headers[dynamic.link]) {
+      const dynstr = headers[dynamic.link];
+      const entrySize = is64 ? 16 : 8;
+      for (
+        let offset = dynamic.offset;
+        offset + entrySize <= dynamic.offset + dynamic.size &&
+        offset + entrySize <= buffer.length;
+        offset += entrySize
+      ) {
+        const tag = addr(offset);
+        if (tag === 0) break; // DT_NULL
+        if (tag === 1) {
+          // DT_NEEDED
+          const value = addr(offset + (is64 ? 8 : 4));
+          this.pushLibrary(report, this.readCString(buffer, dynstr.offset + value));
+        }
+      }
+    }
+  }
+
+  /**
+   * Parse PE/COFF header, section table and import directory
+   */
+  parsePe(buffer, report) {
+    const peOffset = buffer.readUInt32LE(0x3c);
+    const coff = peOffset + 4;
+    const machine = buffer.readUInt16LE(coff);
+    const numberOfSections = Math.min(buffer.readUInt16LE(coff + 2), this.maxSections);
+    const pointerToSymbolTable = buffer.readUInt32LE(coff + 8);
+    const numberOfSymbols = buffer.readUInt32LE(coff + 12);
+    const sizeOfOptionalHeader = buffer.readUInt16LE(coff + 16);
+    const characteristics = buffer.readUInt16LE(coff + 18);
+
+    const optional = coff + 20;
+    const optionalMagic = buffer.readUInt16LE(optional);
+    const isPe32Plus = optionalMagic === 0x20b;
+    const isDll = (characteristics & 0x2000) !== 0;
+
+    report.format = "pe";
+    report.bits = isPe32Plus ? 64 : 32;
+    report.endianness = "little";
+    report.architecture = PE_MACHINES[machine] || `unknown (0x${machine.toString(16)})`;
+
+    const entryRva = buffer.readUInt32LE(optional + 16);
+    const imageBase = isPe32Plus
+      ? Number(buffer.readBigUInt64LE(optional + 24))
+      : buffer.readUInt32LE(optional + 28);
+    const subsystem = buffer.readUInt16LE(optional + 68);
+    const subsystems = { 1: "native", 2: "GUI", 3: "console", 9: "Windows CE", 10: "EFI application" };
+
+    report.entry_point = this.toHex(imageBase + entryRva);
+    report.file_type = `PE32${isPe32Plus ? "+" : ""} ${isDll ? "DLL" : "executable"} (${
+      subsystems[subsystem] || "unknown subsystem"
+    }) ${report.architecture}`;
+
+    // COFF symbols are normally stripped from linked images; a debug directory
+    // or a COFF symbol table means symbols are still available
+    const dataDirectories = optional + (isPe32Plus ? 112 : 96);
+    const readDirectory = (index) => ({
+      rva: buffer.readUInt32LE(dataDirectories + index * 8),
+      size: buffer.readUInt32LE(dataDirectories + index * 8 + 4),
+    });
+    const debugDirectory = readDirectory(6);
+    const hasCoffSymbols = pointerToSymbolTable !== 0 && numberOfSymbols > 0;
+    const debugStripped = (characteristics & 0x0200) !== 0;
+
+    report.stripped = !hasCoffSymbols && (debugStripped || debugDirectory.size === 0);
+
+    const sectionTable = optional + sizeOfOptionalHeader;
+    const sections = [];
+
+    for (let i = 0; i < numberOfSections; i++) {
+      const base = sectionTable + i * 40;
+      if (base + 40 > buffer.length) break;
+
+      const name = buffer
+        .subarray(base, base + 8)
+        .toString("latin1")
+        .replace(/\0.*$/, "");
+      const virtualSize = buffer.readUInt32LE(base + 8);
+      const virtualAddress = buffer.readUInt32LE(base + 12);
+      const rawSize = buffer.readUInt32LE(base + 16);
+      const rawOffset = buffer.readUInt32LE(base + 20);
+
+      sections.push({ virtualSize, virtualAddress, rawSize, rawOffset });
+      report.sections.push(
+        this.buildSection(buffer, name, rawOffset, rawSize, imageBase + virtualAddress)
+      );
+    }
+
+    const rvaToOffset = (rva) => {
+      const section = sections.find(
+        (s) =>
+          rva >= s.virtualAddress &&
+          rva < s.virtualAddress + Math.max(s.virtualSize, s.rawSize)
+      );
+      return section ? rva - section.virtualAddress + section.rawOffset : null;
+    };
+
+    // Import directory: 20-byte descriptors terminated by a zeroed entry
+    const importDirectory = readDirectory(1);
+    let descriptor = importDirectory.rva ? rvaToOffset(importDirectory.rva) : null;
+
+    while (descriptor !== null && descriptor + 20 <= buffer.length) {
+      const nameRva = buffer.readUInt32LE(descriptor + 12);
+      if (nameRva === 0) break;
+
+      const nameOffset = rvaToOffset(nameRva);
+      if (nameOffset !== null) {
+        this.pushLibrary(report, this.readCString(buffer, nameOffset));
+      }
+      if (report.libraries.length >= this.maxLibraries) break;
+      descriptor += 20;
+    }
+  }
+
+  /**
+   * Parse Mach-O header and load commands (first slice for fat binaries)
+   */
+  parseMachO(buffer, report, isFat) {
+    let base = 0;
+
+    if (isFat) {
+      const archCount = buffer.readUInt32BE(4);
+      report.warnings.push(`Universal binary with ${archCount} slices - analyzed first slice`);
+      base = buffer.readUInt32BE(8 + 8); // fat_arch.offset of first slice
+    }
+
+    const magic = buffer.readUInt32BE(base);
+    const isLE = magic === 0xcefaedfe || magic === 0xcffaedfe;
+    const is64 = magic === 0xfeedfacf || magic === 0xcffaedfe;
+    const u32 = (offset) =>
+      isLE ? buffer.readUInt32LE(base + offset) : buffer.readUInt32BE(base + offset);
+    const u64 = (offset) =>
+      Number(
+        isLE
+          ? buffer.readBigUInt64LE(base + offset)
+          : buffer.readBigUInt64BE(base + offset)
+      );
+
+    const cpuType = u32(4);
+    const fileType = u32(12);
+    const ncmds = u32(16);
+    const machoTypes = { 1: "object", 2: "executable", 6: "dylib", 8: "bundle" };
+
+    report.format = "macho";
+    report.bits = is64 ? 64 : 32;
+    report.endianness = isLE ? "little" : "big";
+    report.architecture =
+      MACHO_CPU_TYPES[cpuType] || `unknown (0x${cpuType.toString(16)})`;
+    report.file_type = `Mach-O ${report.bits}-bit ${machoTypes[fileType] || "binary"} (${report.architecture})`;
+
+    let offset = is64 ? 32 : 28;
+    let symbolCount = 0;
+
+    for (let i = 0; i < ncmds; i++) {
+      if (base + offset + 8 > buffer.length) break;
+
+      const cmd = u32(offset);
+      const cmdSize = u32(offset + 4);
+      if (cmdSize < 8) break;
+
+      if (cmd === LC_SEGMENT || cmd === LC_SEGMENT_64) {
+        const segHeader = cmd === LC_SEGMENT_64 ? 72 : 56;
+        const sectionSize = cmd === LC_SEGMENT_64 ? 80 : 68;
+        const nsects = u32(offset + (cmd === LC_SEGMENT_64 ? 64 : 48));
+
+        for (let s = 0; s < nsects && report.sections.length < this.maxSections; s++) {
+          const sect = offset + segHeader + s * sectionSize;
+          const sectName = this.readCString(buffer, base + sect, 16);
+          const segName = this.readCString(buffer, base + sect + 16, 16);
+          const address = cmd === LC_SEGMENT_64 ? u64(sect + 32) : u32(sect + 32);
+          const size = cmd === LC_SEGMENT_64 ? u64(sect + 40) : u32(sect + 36);
+          const fileOffset = u32(sect + (cmd === LC_SEGMENT_64 ? 48 : 40));
+          const flags = u32(sect + (cmd === LC_SEGMENT_64 ? 64 : 56));
+          // S_ZEROFILL sections have no file contents
+          const fileSize = (flags & 0xff) === 0x1 ? 0 : size;
+
+          report.sections.push(
+            this.buildSection(buffer, `${segName},${sectName}`, base + fileOffset, fileSize, address)
+          );
+        }
+      } else if (cmd === LC_SYMTAB) {
+        symbolCount = u32(offset + 12);
+      } else if (cmd === LC_LOAD_DYLIB) {
+        const nameOffset = u32(offset + 8);
+        this.pushLibrary(report, this.readCString(buffer, base + offset + nameOffset));
+      } else if (cmd === 0x28 || cmd === 0x80000028) {
+        // LC_MAIN: entryoff
+        report.entry_point = this.toHex(u64(offset + 8));
+      }
+
+      offset += cmdSize;
+    }
+
+    report.stripped = symbolCount === 0;
+  }
+
+  /**
+   * Build a section descriptor with entropy
+   */
+  buildSection(buffer, name, offset, size, virtualAddress) {
+    const start = Math.min(offset, buffer.length);
+    const end = Math.min(offset + size, buffer.length);
+
+    return {
+      name: name || "(unnamed)",
+      offset,
+      size,
+      virtual_address: this.toHex(virtualAddress),
+      entropy: size > 0 ? this.calculateEntropy(buffer.subarray(start, end)) : 0,
+    };
+  }
+
+  /**
+   * Shannon entropy in bits per byte (0-8)
+   */
+  calculateEntropy(buffer) {
+    if (!buffer || buffer.length === 0) return 0;
+
+    const counts = new Array(256).fill(0);
+    for (let i = 0; i < buffer.length; i++) counts[buffer[i]]++;
+
+    let entropy = 0;
+    for (const count of counts) {
+      if (count === 0) continue;
+      const p = count / buffer.length;
+      entropy -= p * Math.log2(p);
+    }
+
+    return Math.round(entropy * 1000) / 1000;
+  }
+
+  /**
+   * MD5/SHA-1/SHA-256 of the sample
+   */
+  calculateHashes(buffer) {
+    return {
+      md5: crypto.createHash("md5").update(buffer).digest("hex"),
+      sha1: crypto.createHash("sha1").update(buffer).digest("hex"),
+      sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+    };
+  }
+
+  readCString(buffer, offset, maxLength = 256) {
+    if (offset < 0 || offset >= buffer.length) return "";
+    const end = Math.min(offset + maxLength, buffer.length);
+    let cursor = offset;
+    while (cursor < end && buffer[cursor] !== 0) cursor++;
+    return buffer.subarray(offset, cursor).toString("latin1");
+  }
+
+  pushLibrary(report, name) {
+    if (name && !report.libraries.includes(name)) {
+      report.libraries.push(name);
+    }
+  }
+
+  toHex(value) {
+    return `0x${Number(value).toString(16)}`;
+  }
+}
+
+export default new StaticAnalysisService();
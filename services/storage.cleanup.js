@@ -1,18 +1,23 @@
 import cron from "node-cron";
-import {
-  deleteOldFiles,
-  deleteFromCloudinary,
-} from "../utils/cloudinaryHelper.js";
+import storageService from "./storage.service.js";
 import { queueLogger } from "../utils/logger.js";
 import AnalysisJob from "../models/analysis.job.model.js";
 
+// Jobs that still reference a stored sample (legacy jobs only have cloudinaryPublicId)
+const hasStoredFile = {
+  $or: [
+    { storageKey: { $exists: true, $ne: null } },
+    { cloudinaryPublicId: { $exists: true, $ne: null } },
+  ],
+};
+
 /**
- * Cloudinary Cleanup Service
- * Deletes files older than 24 hours from Cloudinary
+ * Storage Cleanup Service
+ * Deletes files older than 24 hours from the active storage provider
  * Runs daily at 2 AM
  */
 
-class CloudinaryCleanupService {
+class StorageCleanupService {
   constructor() {
     this.isRunning = false;
     this.cronSchedule = "0 2 * * *"; // 2 AM daily
@@ -23,7 +28,8 @@ class CloudinaryCleanupService {
    * Start the cleanup cron job
    */
   start() {
-    queueLogger.info("Starting Cloudinary cleanup service", {
+    queueLogger.info("Starting storage cleanup service", {
+      storageProvider: storageService.defaultProviderName,
       schedule: this.cronSchedule,
       hoursOld: this.hoursOld,
     });
@@ -33,7 +39,7 @@ class CloudinaryCleanupService {
       await this.runCleanup();
     });
 
-    queueLogger.info("Cloudinary cleanup service started");
+    queueLogger.info("Storage cleanup service started");
   }
 
   /**
@@ -48,18 +54,16 @@ class CloudinaryCleanupService {
     this.isRunning = true;
 
     try {
-      queueLogger.info("Starting Cloudinary cleanup job");
-
-      // Delete old files from Cloudinary (24+ hours old)
-      const cloudinaryResult = await deleteOldFiles(
-        this.hoursOld,
-        "cypherray/binaries"
-      );
-
-      queueLogger.info("Cloudinary cleanup completed", {
-        totalChecked: cloudinaryResult.totalChecked,
-        deleted: cloudinaryResult.deleted,
-        failed: cloudinaryResult.failed,
+      queueLogger.info("Starting storage cleanup job");
+
+      // Delete old files from storage (24+ hours old)
+      const storageResult = await storageService.deleteOldFiles(this.hoursOld);
+
+      queueLogger.info("Storage cleanup completed", {
+        storageProvider: storageService.defaultProviderName,
+        totalChecked: storageResult.totalChecked,
+        deleted: storageResult.deleted,
+        failed: storageResult.failed,
       });
 
       // Also clean up database records for old completed/failed jobs
@@ -72,7 +76,7 @@ class CloudinaryCleanupService {
 
       return {
         success: true,
-        cloudinary: cloudinaryResult,
+        storage: storageResult,
         database: dbCleanupResult,
       };
     } catch (error) {
@@ -104,9 +108,9 @@ class CloudinaryCleanupService {
         cutoffDate: cutoffDate.toISOString(),
       });
 
-      // Delete old completed and failed jobs
+      // Delete old completed, failed and cancelled jobs
       const result = await AnalysisJob.deleteMany({
-        status: { $in: ["completed", "failed"] },
+        status: { $in: ["completed", "failed", "cancelled"] },
         completedAt: { $lt: cutoffDate },
       });
 
@@ -132,18 +136,19 @@ class CloudinaryCleanupService {
   }
 
   /**
-   * Clean up orphaned files (files with failed jobs)
+   * Clean up orphaned files (files with failed or cancelled jobs)
    */
   async cleanupOrphanedFiles() {
     try {
-      queueLogger.info("Cleaning up orphaned Cloudinary files");
+      queueLogger.info("Cleaning up orphaned storage files");
 
-      // Find failed jobs older than 1 hour with Cloudinary files
+      // Find failed/cancelled jobs older than 1 hour with stored files
+      // (cancellation deletes the sample itself - this catches failed deletes)
       const cutoffDate = new Date(Date.now() - 60 * 60 * 1000); // 1 hour ago
 
       const failedJobs = await AnalysisJob.find({
-        status: "failed",
-        cloudinaryPublicId: { $exists: true, $ne: null },
+        status: { $in: ["failed", "cancelled"] },
+        ...hasStoredFile,
         completedAt: { $lt: cutoffDate },
       });
 
@@ -154,19 +159,25 @@ class CloudinaryCleanupService {
       let deletedCount = 0;
 
       for (const job of failedJobs) {
-        try {
-          await deleteFromCloudinary(job.cloudinaryPublicId);
+        const { storageProvider, storageKey } = job.getStorageLocation();
+        const deleted = await storageService.deleteFile(
+          storageKey,
+          storageProvider
+        );
+
+        if (deleted) {
           deletedCount++;
 
           queueLogger.info("Deleted orphaned file", {
             jobId: job._id.toString(),
-            publicId: job.cloudinaryPublicId,
+            storageProvider,
+            storageKey,
           });
-        } catch (error) {
+        } else {
           queueLogger.error("Failed to delete orphaned file", {
             jobId: job._id.toString(),
-            publicId: job.cloudinaryPublicId,
-            error: error.message,
+            storageProvider,
+            storageKey,
           });
         }
       }
@@ -193,32 +204,36 @@ class CloudinaryCleanupService {
    */
   async getStats() {
     try {
-      // Count total jobs with Cloudinary files
-      const totalWithCloudinary = await AnalysisJob.countDocuments({
-        cloudinaryPublicId: { $exists: true, $ne: null },
-      });
+      // Count total jobs with stored files
+      const totalWithFiles = await AnalysisJob.countDocuments(hasStoredFile);
 
       // Count by status
       const completed = await AnalysisJob.countDocuments({
-        cloudinaryPublicId: { $exists: true, $ne: null },
+        ...hasStoredFile,
         status: "completed",
       });
 
       const failed = await AnalysisJob.countDocuments({
-        cloudinaryPublicId: { $exists: true, $ne: null },
+        ...hasStoredFile,
         status: "failed",
       });
 
+      const cancelled = await AnalysisJob.countDocuments({
+        ...hasStoredFile,
+        status: "cancelled",
+      });
+
       const queued = await AnalysisJob.countDocuments({
-        cloudinaryPublicId: { $exists: true, $ne: null },
+        ...hasStoredFile,
         status: { $in: ["queued", "processing"] },
       });
 
       return {
-        totalWithCloudinary,
+        totalWithFiles,
         byStatus: {
           completed,
           failed,
+          cancelled,
           queued,
         },
       };
@@ -232,7 +247,7 @@ class CloudinaryCleanupService {
 }
 
 // Create singleton instance
-const cleanupService = new CloudinaryCleanupService();
+const cleanupService = new StorageCleanupService();
 
 // Export service and convenience functions
 export default cleanupService;
@@ -0,0 +1,170 @@
+import fs from "fs";
+import { queueLogger } from "../utils/logger.js";
+import quarantineService from "./quarantine.service.js";
+import {
+  createTempFilePath,
+  deleteTempFile,
+} from "../utils/storage.helper.js";
+import cloudinaryStorage from "./storage/cloudinary.storage.js";
+import localStorage from "./storage/local.storage.js";
+import s3Storage from "./storage/s3.storage.js";
+
+/**
+ * Storage Service - Single entry point for binary sample storage
+ * New uploads go to STORAGE_PROVIDER (cloudinary, local, s3). Existing files
+ * are always read/deleted through the provider recorded on their job.
+ *
+ * A provider implements:
+ *   name, maxFileSize
+ *   createUploadEngine()            - multer engine; sets file.storageKey/storageProvider
+ *   upload(stream, { userId, filename }) - server-side upload; { storageProvider, storageKey, size }
+ *   downloadToFile(key, destPath)   - resolves to bytes written
+ *   delete(key)                     - resolves to true/false, never throws
+ *   deleteOlderThan(hoursOld)       - cleanup summary
+ */
+class StorageService {
+  constructor() {
+    this.providers = new Map(
+      [cloudinaryStorage, localStorage, s3Storage].map((provider) => [
+        provider.name,
+        provider,
+      ]),
+    );
+    this.defaultProviderName = (
+      process.env.STORAGE_PROVIDER || "cloudinary"
+    ).toLowerCase();
+
+    if (!this.providers.has(this.defaultProviderName)) {
+      throw new Error(
+        `Unknown STORAGE_PROVIDER "${this.defaultProviderName}". Use one of: ${[
+          ...this.providers.keys(),
+        ].join(", ")}`,
+      );
+    }
+  }
+
+  /**
+   * @param {String} name - Provider name (defaults to STORAGE_PROVIDER)
+   */
+  getProvider(name = this.defaultProviderName) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown storage provider: ${name}`);
+    }
+    return provider;
+  }
+
+  get maxFileSize() {
+    return this.getProvider().maxFileSize;
+  }
+
+  /**
+   * Multer storage engine for new uploads
+   */
+  createUploadEngine() {
+    return this.getProvider().createUploadEngine();
+  }
+
+  /**
+   * Store a local file with the active provider, quarantine-encrypted when
+   * a master key is configured (same as multer uploads)
+   * @param {String} filePath - File to upload
+   * @param {Object} owner - { userId, filename }
+   * @returns {Promise<Object>} { storageProvider, storageKey, encrypted }
+   */
+  async uploadFile(filePath, { userId, filename }) {
+    const provider = this.getProvider();
+    const encrypted = quarantineService.enabled;
+    const source = fs.createReadStream(filePath);
+    let stream = source;
+
+    if (encrypted) {
+      stream = source.pipe(quarantineService.createEncryptStream());
+      source.on("error", (error) => stream.destroy(error));
+    }
+
+    const { storageKey } = await provider.upload(stream, { userId, filename });
+
+    return {
+      storageProvider: provider.name,
+      storageKey,
+      encrypted,
+    };
+  }
+
+  /**
+   * Download a stored file to a temp location for analysis
+   * Encrypted samples are decrypted here, so plaintext only exists in temp/
+   * @param {String} storageKey - Key returned at upload
+   * @param {String} filename - Original filename
+   * @param {String} providerName - Provider recorded on the job
+   * @param {Object} options - { encrypted } as recorded on the job
+   * @returns {Promise<String>} Temporary file path
+   */
+  async downloadToTempFile(storageKey, filename, providerName, options = {}) {
+    const provider = this.getProvider(providerName);
+    const tempPath = await createTempFilePath(filename);
+    const encryptedPath = options.encrypted ? `${tempPath}.enc` : null;
+
+    try {
+      let bytes = await provider.downloadToFile(
+        storageKey,
+        encryptedPath || tempPath
+      );
+
+      if (encryptedPath) {
+        bytes = await quarantineService.decryptFile(encryptedPath, tempPath);
+      }
+
+      queueLogger.info("File downloaded to temp location", {
+        storageProvider: provider.name,
+        storageKey,
+        tempPath,
+        bytes,
+        encrypted: Boolean(options.encrypted),
+      });
+
+      return tempPath;
+    } catch (error) {
+      await deleteTempFile(tempPath);
+
+      queueLogger.error("Failed to download to temp file", {
+        storageProvider: provider.name,
+        storageKey,
+        filename,
+        error: error.message,
+      });
+      throw error;
+    } finally {
+      if (encryptedPath) await deleteTempFile(encryptedPath);
+    }
+  }
+
+  /**
+   * Delete a stored file (failures are logged, not thrown)
+   * @returns {Promise<Boolean>} Success status
+   */
+  async deleteFile(storageKey, providerName) {
+    if (!storageKey) return false;
+
+    try {
+      return await this.getProvider(providerName).delete(storageKey);
+    } catch (error) {
+      queueLogger.error("Storage deletion failed", {
+        storageProvider: providerName || this.defaultProviderName,
+        storageKey,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Delete files older than the given age from the active provider
+   */
+  async deleteOldFiles(hoursOld = 24) {
+    return this.getProvider().deleteOlderThan(hoursOld);
+  }
+}
+
+export default new StorageService();
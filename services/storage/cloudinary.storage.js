@@ -0,0 +1,157 @@
+import fs from "fs";
+import { queueLogger } from "../../utils/logger.js";
+
+/**
+ * Cloudinary Storage Provider
+ * Cloudinary modules are imported on first use, so deployments on another
+ * provider do not need CLOUDINARY_URL.
+ */
+class CloudinaryStorageProvider {
+  constructor() {
+    this.name = "cloudinary";
+    this.maxFileSize = 80 * 1024 * 1024; // 80MB - Cloudinary free tier (CLOUDINARY_CONFIG.maxFileSize)
+    this.modules = null;
+  }
+
+  async load() {
+    if (!this.modules) {
+      this.modules = Promise.all([
+        import("../../config/cloudinary.js"),
+        import("../../utils/cloudinaryHelper.js"),
+        import("multer-storage-cloudinary"),
+      ]).then(([config, helper, { CloudinaryStorage }]) => ({
+        config,
+        helper,
+        CloudinaryStorage,
+      }));
+    }
+    return this.modules;
+  }
+
+  /**
+   * Upload a stream (server-side uploads, e.g. unpacked archive members)
+   * @returns {Promise<Object>} { storageProvider, storageKey, size }
+   */
+  async upload(stream, { userId, filename }) {
+    const { config } = await this.load();
+    const baseFilename = filename.replace(/\.[^/.]+$/, ""); // Remove extension
+    const publicId = config.generatePublicId(userId, baseFilename);
+
+    queueLogger.info("Cloudinary upload initiated", {
+      userId,
+      filename,
+      publicId,
+    });
+
+    const result = await new Promise((resolve, reject) => {
+      const uploadStream = config.default.uploader.upload_stream(
+        {
+          ...config.CLOUDINARY_CONFIG.uploadOptions,
+          public_id: publicId,
+          use_filename: false, // Use our generated public_id
+        },
+        (error, uploadResult) => (error ? reject(error) : resolve(uploadResult)),
+      );
+
+      stream.on("error", reject);
+      stream.pipe(uploadStream);
+    });
+
+    return {
+      storageProvider: this.name,
+      storageKey: result.public_id,
+      size: result.bytes,
+    };
+  }
+
+  /**
+   * Multer storage engine uploading straight to Cloudinary
+   */
+  createUploadEngine() {
+    let engine = null;
+
+    const getEngine = async () => {
+      if (!engine) {
+        const { config, CloudinaryStorage } = await this.load();
+
+        engine = new CloudinaryStorage({
+          cloudinary: config.default,
+          params: async (req, file) => {
+            // Get userId from authenticated request
+            const userId = req.user?._id?.toString() || "anonymous";
+
+            // Generate unique public ID (without extension to avoid Cloudinary validation)
+            const baseFilename = file.originalname.replace(/\.[^/.]+$/, ""); // Remove extension
+            const publicId = config.generatePublicId(userId, baseFilename);
+
+            queueLogger.info("Cloudinary upload initiated", {
+              userId,
+              filename: file.originalname,
+              publicId,
+            });
+
+            return {
+              folder: config.CLOUDINARY_CONFIG.baseFolder,
+              public_id: publicId,
+              resource_type: "raw", // Use 'raw' for any file type including binaries
+              type: "private", // Private files
+              access_mode: "authenticated",
+              use_filename: false, // Use our generated public_id
+              unique_filename: true,
+              overwrite: false,
+              allowed_formats: null, // Accept any format (disable format validation)
+            };
+          },
+        });
+      }
+      return engine;
+    };
+
+    return {
+      _handleFile: (req, file, cb) => {
+        getEngine()
+          .then((storage) =>
+            storage._handleFile(req, file, (error, info) => {
+              if (error) return cb(error);
+
+              // Cloudinary returns secure_url in path and public_id in filename
+              cb(null, {
+                ...info,
+                storageProvider: this.name,
+                storageKey: info.filename,
+                storageUrl: info.path,
+              });
+            }),
+          )
+          .catch(cb);
+      },
+
+      _removeFile: (req, file, cb) => {
+        this.delete(file.storageKey).then(() => cb(null), cb);
+      },
+    };
+  }
+
+  /**
+   * Download a stored file to a local path
+   * @returns {Promise<Number>} Bytes written
+   */
+  async downloadToFile(storageKey, destinationPath) {
+    const { helper } = await this.load();
+    const buffer = await helper.downloadFromCloudinary(storageKey);
+    await fs.promises.writeFile(destinationPath, buffer);
+    return buffer.length;
+  }
+
+  async delete(storageKey) {
+    const { helper } = await this.load();
+    return helper.deleteFromCloudinary(storageKey);
+  }
+
+  async deleteOlderThan(hoursOld) {
+    const { config, helper } = await this.load();
+    return helper.deleteOldFiles(hoursOld, config.CLOUDINARY_CONFIG.baseFolder);
+  }
+}
+
+export default new CloudinaryStorageProvider();
@@ -0,0 +1,187 @@
+import fs from "fs";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { fileURLToPath } from "url";
+import { queueLogger } from "../../utils/logger.js";
+import { generateStorageKey } from "../../utils/storage.helper.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Local Filesystem Storage Provider
+ * Stores samples under STORAGE_LOCAL_DIR (default: uploads/binaries) for
+ * self-hosted deployments.
+ */
+class LocalStorageProvider {
+  constructor() {
+    this.name = "local";
+    this.rootDir = path.resolve(
+      process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "../../uploads/binaries"),
+    );
+    this.maxFileSize =
+      parseInt(process.env.STORAGE_MAX_FILE_SIZE_MB || "100", 10) * 1024 * 1024;
+  }
+
+  /**
+   * Map a storage key to a path, refusing keys that escape the root
+   */
+  resolveKey(storageKey) {
+    const filePath = path.resolve(this.rootDir, storageKey);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${storageKey}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Store a stream under a new key
+   * @returns {Promise<Object>} { storageProvider, storageKey, size }
+   */
+  async upload(stream, { userId, filename }) {
+    const storageKey = generateStorageKey(userId, filename);
+    const filePath = this.resolveKey(storageKey);
+
+    queueLogger.info("Local upload initiated", {
+      userId,
+      filename,
+      storageKey,
+    });
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const output = fs.createWriteStream(filePath, { mode: 0o600 });
+    await pipeline(stream, output);
+
+    return {
+      storageProvider: this.name,
+      storageKey,
+      size: output.bytesWritten,
+    };
+  }
+
+  /**
+   * Multer storage engine writing to the local storage directory
+   */
+  createUploadEngine() {
+    return {
+      _handleFile: (req, file, cb) => {
+        this.upload(file.stream, {
+          userId: req.user?._id?.toString() || "anonymous",
+          filename: file.originalname,
+        }).then((info) => cb(null, info), cb);
+      },
+
+      _removeFile: (req, file, cb) => {
+        this.delete(file.storageKey).then(() => cb(null), cb);
+      },
+    };
+  }
+
+  /**
+   * Copy a stored file to a local path
+   * @returns {Promise<Number>} Bytes written
+   */
+  async downloadToFile(storageKey, destinationPath) {
+    try {
+      await fs.promises.copyFile(this.resolveKey(storageKey), destinationPath);
+      const { size } = await fs.promises.stat(destinationPath);
+      return size;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error("File not found in local storage");
+      }
+      throw error;
+    }
+  }
+
+  async delete(storageKey) {
+    try {
+      await fs.promises.unlink(this.resolveKey(storageKey));
+      queueLogger.info("Local storage deletion successful", { storageKey });
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return true;
+      }
+
+      queueLogger.error("Local storage deletion failed", {
+        storageKey,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  async deleteOlderThan(hoursOld) {
+    try {
+      const cutoffDate = new Date(Date.now() - hoursOld * 60 * 60 * 1000);
+      const files = await this.listFiles(this.rootDir);
+      let deleted = 0;
+      let failed = 0;
+
+      for (const filePath of files) {
+        const { mtime } = await fs.promises.stat(filePath);
+        if (mtime >= cutoffDate) continue;
+
+        try {
+          await fs.promises.unlink(filePath);
+          deleted++;
+        } catch (error) {
+          failed++;
+          queueLogger.error("Local storage deletion failed", {
+            filePath,
+            error: error.message,
+          });
+        }
+      }
+
+      queueLogger.info("Local storage cleanup completed", {
+        deleted,
+        failed,
+        totalChecked: files.length,
+      });
+
+      return {
+        success: true,
+        totalChecked: files.length,
+        deleted,
+        failed,
+        cutoffDate: cutoffDate.toISOString(),
+      };
+    } catch (error) {
+      queueLogger.error("Local storage cleanup failed", {
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+
+  async listFiles(directory) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await this.listFiles(entryPath)));
+      } else if (entry.isFile()) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+}
+
+export default new LocalStorageProvider();
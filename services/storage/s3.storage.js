@@ -0,0 +1,237 @@
+import fs from "fs";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { queueLogger } from "../../utils/logger.js";
+import { generateStorageKey } from "../../utils/storage.helper.js";
+
+/**
+ * S3-Compatible Storage Provider (AWS S3, MinIO, Ceph...)
+ * The AWS SDK is imported on first use.
+ */
+class S3StorageProvider {
+  constructor() {
+    this.name = "s3";
+    this.bucket = process.env.S3_BUCKET || "";
+    this.prefix = (process.env.S3_PREFIX || "cypherray/binaries").replace(/\/+$/, "");
+    this.maxFileSize =
+      parseInt(process.env.STORAGE_MAX_FILE_SIZE_MB || "100", 10) * 1024 * 1024;
+    this.clientConfig = {
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined, // e.g. http://localhost:9000 for MinIO
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true", // Required by MinIO
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined, // Fall back to the default AWS credential chain
+    };
+    this.modules = null;
+  }
+
+  async load() {
+    if (!this.bucket) {
+      throw new Error("S3_BUCKET environment variable is required for S3 storage");
+    }
+
+    if (!this.modules) {
+      this.modules = Promise.all([
+        import("@aws-sdk/client-s3"),
+        import("@aws-sdk/lib-storage"),
+      ]).then(([s3, { Upload }]) => ({
+        s3,
+        Upload,
+        client: new s3.S3Client(this.clientConfig),
+      }));
+    }
+    return this.modules;
+  }
+
+  /**
+   * Stream an object to the bucket (multipart)
+   * @returns {Promise<Object>} { storageProvider, storageKey, size }
+   */
+  async upload(stream, { userId, filename }) {
+    const storageKey = `${this.prefix}/${generateStorageKey(userId, filename)}`;
+    let size = 0;
+
+    queueLogger.info("S3 upload initiated", {
+      userId,
+      filename,
+      bucket: this.bucket,
+      storageKey,
+    });
+
+    const body = stream.pipe(
+      new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          callback(null, chunk);
+        },
+      }),
+    );
+    stream.on("error", (error) => body.destroy(error));
+
+    try {
+      const { client, Upload } = await this.load();
+      await new Upload({
+        client,
+        params: {
+          Bucket: this.bucket,
+          Key: storageKey,
+          Body: body,
+          ContentType: "application/octet-stream",
+        },
+      }).done();
+    } catch (error) {
+      queueLogger.error("S3 upload failed", {
+        storageKey,
+        error: error.message,
+      });
+      throw error;
+    }
+
+    return {
+      storageProvider: this.name,
+      storageKey,
+      size,
+    };
+  }
+
+  /**
+   * Multer storage engine streaming uploads to the bucket
+   */
+  createUploadEngine() {
+    return {
+      _handleFile: (req, file, cb) => {
+        this.upload(file.stream, {
+          userId: req.user?._id?.toString() || "anonymous",
+          filename: file.originalname,
+        }).then((info) => cb(null, info), cb);
+      },
+
+      _removeFile: (req, file, cb) => {
+        this.delete(file.storageKey).then(() => cb(null), cb);
+      },
+    };
+  }
+
+  /**
+   * Download an object to a local path
+   * @returns {Promise<Number>} Bytes written
+   */
+  async downloadToFile(storageKey, destinationPath) {
+    const { s3, client } = await this.load();
+
+    try {
+      const response = await client.send(
+        new s3.GetObjectCommand({ Bucket: this.bucket, Key: storageKey }),
+      );
+      await pipeline(response.Body, fs.createWriteStream(destinationPath));
+
+      const { size } = await fs.promises.stat(destinationPath);
+      return size;
+    } catch (error) {
+      if (error.name === "NoSuchKey") {
+        throw new Error("File not found in S3 storage");
+      }
+      throw new Error(`S3 download failed: ${error.message}`);
+    }
+  }
+
+  async delete(storageKey) {
+    try {
+      const { s3, client } = await this.load();
+      await client.send(
+        new s3.DeleteObjectCommand({ Bucket: this.bucket, Key: storageKey }),
+      );
+
+      queueLogger.info("S3 deletion successful", { storageKey });
+      return true;
+    } catch (error) {
+      queueLogger.error("S3 deletion failed", {
+        storageKey,
+        error: error.message,
+      });
+
+      // Don't throw error for deletion failures - just log
+      return false;
+    }
+  }
+
+  async deleteOlderThan(hoursOld) {
+    try {
+      const { s3, client } = await this.load();
+      const cutoffDate = new Date(Date.now() - hoursOld * 60 * 60 * 1000);
+
+      // List all objects under the prefix
+      const oldKeys = [];
+      let totalChecked = 0;
+      let continuationToken;
+
+      do {
+        const result = await client.send(
+          new s3.ListObjectsV2Command({
+            Bucket: this.bucket,
+            Prefix: `${this.prefix}/`,
+            ContinuationToken: continuationToken,
+          }),
+        );
+
+        const objects = result.Contents || [];
+        totalChecked += objects.length;
+        oldKeys.push(
+          ...objects
+            .filter((object) => object.LastModified < cutoffDate)
+            .map((object) => object.Key),
+        );
+        continuationToken = result.IsTruncated
+          ? result.NextContinuationToken
+          : undefined;
+      } while (continuationToken);
+
+      // DeleteObjects accepts up to 1000 keys per request
+      let deleted = 0;
+      let failed = 0;
+
+      for (let i = 0; i < oldKeys.length; i += 1000) {
+        const chunk = oldKeys.slice(i, i + 1000);
+        const result = await client.send(
+          new s3.DeleteObjectsCommand({
+            Bucket: this.bucket,
+            Delete: { Objects: chunk.map((Key) => ({ Key })), Quiet: true },
+          }),
+        );
+
+        const errors = result.Errors?.length || 0;
+        failed += errors;
+        deleted += chunk.length - errors;
+      }
+
+      queueLogger.info("S3 cleanup completed", {
+        deleted,
+        failed,
+        totalChecked,
+      });
+
+      return {
+        success: true,
+        totalChecked,
+        deleted,
+        failed,
+        cutoffDate: cutoffDate.toISOString(),
+      };
+    } catch (error) {
+      queueLogger.error("S3 cleanup failed", {
+        error: error.message,
+      });
+
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
+}
+
+export default new S3StorageProvider();
@@ -0,0 +1,747 @@
+import crypto from "crypto";
+import cron from "node-cron";
+import mongoose from "mongoose";
+import Subscription, { LIVE_SUBSCRIPTION_STATUSES } from "../models/subscription.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import User from "../models/user.model.js";
+import {
+  getTierInfo,
+  grantCredits,
+  expireCreditLot,
+  getExpiringCredits,
+} from "./credit.service.js";
+import {
+  createSubscription,
+  fetchSubscription,
+  cancelSubscription,
+  verifySubscriptionSignature,
+} from "./razorpay.service.js";
+import redisClient from "../config/redis.js";
+import logger from "../utils/logger.js";
+
+const LOCK_KEY = "subscription-credits:lock";
+const LOCK_TTL_SECONDS = 30 * 60;
+
+const TIERS = ["tier1", "tier2"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// HTTP status of each subscription error code
+export const SUBSCRIPTION_ERROR_STATUS = {
+  INVALID_TIER: 400,
+  INVALID_SUBSCRIPTION_TERMS: 400,
+  INVALID_SIGNATURE: 400,
+  ORGANIZATION_MEMBER: 400,
+  SUBSCRIPTION_PLAN_NOT_CONFIGURED: 400,
+  USER_NOT_FOUND: 404,
+  SUBSCRIPTION_NOT_FOUND: 404,
+  SUBSCRIPTION_EXISTS: 409,
+};
+
+const subscriptionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Env number, `fallback` when unset ("" = null, i.e. unlimited/never)
+ */
+const envNumber = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined) return fallback;
+  if (value === "") return null;
+  return Number(value);
+};
+
+/**
+ * Same day of month `months` later (clamped to the month's last day), UTC
+ * @param {Date} date - Start date
+ * @param {Number} months - Months to add
+ * @returns {Date}
+ */
+export const addMonths = (date, months) => {
+  const target = new Date(date);
+  const day = target.getUTCDate();
+  target.setUTCDate(1);
+  target.setUTCMonth(target.getUTCMonth() + months);
+  const lastDay = new Date(
+    Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target;
+};
+
+/**
+ * Grant terms of a tier, with optional overrides
+ * Defaults: the tier's monthly credits, a rollover cap of
+ * SUBSCRIPTION_ROLLOVER_MONTHS months of credits and credits lasting
+ * SUBSCRIPTION_CREDIT_EXPIRY_DAYS days.
+ * @param {String} tier - tier1 or tier2
+ * @param {Object} overrides - { monthlyCredits, rolloverCap, creditExpiryDays }
+ *   (null rolloverCap = unlimited, null creditExpiryDays = never expire)
+ * @returns {Object} { monthlyCredits, rolloverCap, creditExpiryDays }
+ * @throws {Error} code INVALID_TIER or INVALID_SUBSCRIPTION_TERMS
+ */
+export const getSubscriptionTerms = (tier, overrides = {}) => {
+  if (!TIERS.includes(tier)) {
+    throw subscriptionError("INVALID_TIER", `Tier must be one of: ${TIERS.join(", ")}`);
+  }
+
+  const monthlyCredits = overrides.monthlyCredits ?? getTierInfo(tier).monthlyCredits;
+  const rolloverMonths = envNumber("SUBSCRIPTION_ROLLOVER_MONTHS", 1);
+  const terms = {
+    monthlyCredits,
+    rolloverCap:
+      overrides.rolloverCap !== undefined
+        ? overrides.rolloverCap
+        : rolloverMonths === null
+          ? null
+          : monthlyCredits * rolloverMonths,
+    creditExpiryDays:
+      overrides.creditExpiryDays !== undefined
+        ? overrides.creditExpiryDays
+        : envNumber("SUBSCRIPTION_CREDIT_EXPIRY_DAYS", 90) || null,
+  };
+
+  if (!Number.isInteger(terms.monthlyCredits) || terms.monthlyCredits <= 0) {
+    throw subscriptionError(
+      "INVALID_SUBSCRIPTION_TERMS",
+      "monthlyCredits must be a positive integer"
+    );
+  }
+  if (terms.rolloverCap !== null && !(Number.isInteger(terms.rolloverCap) && terms.rolloverCap >= 0)) {
+    throw subscriptionError(
+      "INVALID_SUBSCRIPTION_TERMS",
+      "rolloverCap must be a non-negative integer or null"
+    );
+  }
+  if (
+    terms.creditExpiryDays !== null &&
+    !(Number.isInteger(terms.creditExpiryDays) && terms.creditExpiryDays > 0)
+  ) {
+    throw subscriptionError(
+      "INVALID_SUBSCRIPTION_TERMS",
+      "creditExpiryDays must be a positive integer or null"
+    );
+  }
+
+  return terms;
+};
+
+/**
+ * Subscription Service
+ * Grants each live subscription its tier's monthly credits as a CreditLot
+ * that expires after `creditExpiryDays`:
+ * - manual subscriptions (set up by an admin) on `nextGrantAt`, one month
+ *   apart, by the subscription cron
+ * - Razorpay subscriptions on each paid cycle (subscription.charged webhook,
+ *   or checkout verification for the first one)
+ * Each cycle is granted once (unique per subscription and cycle). Before a
+ * new cycle's credits count, the unused subscription credits carried over
+ * are capped at `rolloverCap`; the excess lapses oldest-first. The cron also
+ * expires lots past their `expiresAt`. It runs on one API node at a time.
+ */
+class SubscriptionService {
+  constructor() {
+    this.isRunning = false;
+    this.cronSchedule = process.env.SUBSCRIPTION_CRON || "0 * * * *"; // Hourly
+    this.totalCycles = envNumber("SUBSCRIPTION_TOTAL_CYCLES", 12);
+  }
+
+  /**
+   * Start the subscription cron job
+   */
+  start() {
+    if (this.cronSchedule === "off") {
+      logger.info("Subscription credits disabled (SUBSCRIPTION_CRON=off)");
+      return;
+    }
+
+    cron.schedule(this.cronSchedule, async () => {
+      try {
+        await this.runCycle();
+      } catch (error) {
+        logger.error("Subscription credit run failed", { error: error.message });
+      }
+    });
+
+    logger.info("Subscription credit service started", { schedule: this.cronSchedule });
+  }
+
+  /**
+   * Expire lapsed credit lots and grant due manual subscriptions
+   * @returns {Object|null} { expired, granted }, null if already running
+   */
+  async runCycle() {
+    if (this.isRunning) {
+      logger.warn("Subscription credit run already in progress, skipping");
+      return null;
+    }
+
+    // Only one node runs the scheduled job
+    const lockToken = crypto.randomUUID();
+    const locked = await redisClient.set(LOCK_KEY, lockToken, "EX", LOCK_TTL_SECONDS, "NX");
+    if (!locked) {
+      logger.info("Subscription credit run in progress on another node, skipping");
+      return null;
+    }
+
+    this.isRunning = true;
+
+    try {
+      const expired = await this.expireDueLots();
+      const granted = await this.grantDueSubscriptions();
+
+      logger.info("Subscription credit run completed", { expired, granted });
+
+      return { expired, granted };
+    } finally {
+      this.isRunning = false;
+
+      if ((await redisClient.get(LOCK_KEY)) === lockToken) {
+        await redisClient.del(LOCK_KEY);
+      }
+    }
+  }
+
+  /**
+   * Expire open lots past their expiry date
+   * @param {Date} now - Current date
+   * @returns {Number} Credits taken off balances
+   */
+  async expireDueLots(now = new Date()) {
+    const cursor = CreditLot.find({ status: "open", expiresAt: { $ne: null, $lte: now } })
+      .select("_id")
+      .lean()
+      .cursor();
+
+    let expired = 0;
+    for await (const lot of cursor) {
+      try {
+        expired += await expireCreditLot(lot._id);
+      } catch (error) {
+        logger.error("Failed to expire credit lot", {
+          lotId: lot._id.toString(),
+          error: error.message,
+        });
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Grant every manual subscription whose next grant is due
+   * A subscription behind by several months is granted each missed cycle.
+   * @param {Date} now - Current date
+   * @returns {Number} Cycles granted
+   */
+  async grantDueSubscriptions(now = new Date()) {
+    const cursor = Subscription.find({
+      provider: "manual",
+      status: "active",
+      nextGrantAt: { $lte: now },
+    }).cursor();
+
+    let granted = 0;
+    for await (const subscription of cursor) {
+      try {
+        granted += await this.grantManualSubscription(subscription, now);
+      } catch (error) {
+        logger.error("Failed to grant subscription credits", {
+          subscriptionId: subscription._id.toString(),
+          error: error.message,
+        });
+      }
+    }
+
+    return granted;
+  }
+
+  /**
+   * Grant a manual subscription's due cycles (or end it if it was cancelled
+   * at period end)
+   * @param {Object} subscription - Subscription document
+   * @param {Date} now - Current date
+   * @returns {Number} Cycles granted
+   */
+  async grantManualSubscription(subscription, now = new Date()) {
+    let granted = 0;
+
+    while (subscription.status === "active" && subscription.nextGrantAt <= now) {
+      if (subscription.cancelAtPeriodEnd) {
+        subscription.status = "cancelled";
+        subscription.cancelledAt = subscription.nextGrantAt;
+        await subscription.save();
+        logger.info("Subscription ended at period end", {
+          subscriptionId: subscription._id.toString(),
+        });
+        break;
+      }
+
+      const cycle = subscription.grantsIssued + 1;
+      const periodStart = subscription.nextGrantAt;
+      const periodEnd = addMonths(periodStart, 1);
+
+      const result = await this.grantCycle(subscription, cycle, periodStart);
+      if (result) granted++;
+
+      // Advance only from the cycle just granted, in case another run moved on
+      const advanced = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, grantsIssued: cycle - 1 },
+        {
+          $set: {
+            grantsIssued: cycle,
+            currentPeriodStart: periodStart,
+            currentPeriodEnd: periodEnd,
+            nextGrantAt: periodEnd,
+            lastGrantAt: new Date(),
+          },
+        },
+        { new: true }
+      );
+      if (!advanced) break;
+      subscription = advanced;
+    }
+
+    return granted;
+  }
+
+  /**
+   * Grant one cycle of a subscription and apply its rollover cap
+   * @param {Object} subscription - Subscription document
+   * @param {Number} cycle - Cycle number (1 = first)
+   * @param {Date} periodStart - Start of the cycle (credits expire from it)
+   * @returns {Object|null} Grant result, null if the cycle was already granted
+   */
+  async grantCycle(subscription, cycle, periodStart = new Date()) {
+    const tierInfo = getTierInfo(subscription.tier);
+    const expiresAt = subscription.creditExpiryDays
+      ? new Date(periodStart.getTime() + subscription.creditExpiryDays * DAY_MS)
+      : null;
+
+    const result = await grantCredits(subscription.userId, subscription.monthlyCredits, {
+      description: `${tierInfo.name} subscription - cycle ${cycle}`,
+      subscriptionId: subscription._id,
+      cycle,
+      expiresAt,
+    });
+
+    if (!result) {
+      logger.info("Subscription cycle already granted", {
+        subscriptionId: subscription._id.toString(),
+        cycle,
+      });
+      return null;
+    }
+
+    // The subscription's tier prices the user's analyses
+    await User.updateOne(
+      { _id: subscription.userId },
+      { $set: { tier: subscription.tier, tierInfo } }
+    );
+
+    const lapsed = await this.applyRolloverCap(subscription, result.lot._id);
+
+    logger.info("Subscription credits granted", {
+      subscriptionId: subscription._id.toString(),
+      userId: subscription.userId.toString(),
+      cycle,
+      credits: subscription.monthlyCredits,
+      expiresAt,
+      lapsedOverRolloverCap: lapsed,
+    });
+
+    return result;
+  }
+
+  /**
+   * Let subscription credits carried over from earlier cycles lapse down to
+   * the rollover cap, oldest first
+   * @param {Object} subscription - Subscription document
+   * @param {String} newLotId - Lot of the cycle just granted (not capped)
+   * @returns {Number} Credits taken off the balance
+   */
+  async applyRolloverCap(subscription, newLotId) {
+    if (subscription.rolloverCap === null || subscription.rolloverCap === undefined) {
+      return 0;
+    }
+
+    const carried = await CreditLot.find({
+      userId: subscription.userId,
+      source: "subscription",
+      status: "open",
+      _id: { $ne: newLotId },
+    }).sort({ createdAt: 1, _id: 1 });
+
+    let excess =
+      carried.reduce((sum, lot) => sum + lot.remaining, 0) - subscription.rolloverCap;
+    let lapsed = 0;
+
+    for (const lot of carried) {
+      if (excess <= 0) break;
+
+      const amount = Math.min(lot.remaining, excess);
+      lapsed += await expireCreditLot(lot._id, {
+        amount,
+        description: `Unused subscription credits above the rollover cap (${subscription.rolloverCap})`,
+      });
+      excess -= amount;
+    }
+
+    return lapsed;
+  }
+
+  /**
+   * A user's live subscription
+   * @param {String} userId - User ID
+   * @returns {Object|null} Subscription document
+   */
+  async getLiveSubscription(userId) {
+    return Subscription.findOne({ userId, status: { $in: LIVE_SUBSCRIPTION_STATUSES } });
+  }
+
+  /**
+   * Load a user who may subscribe
+   * @throws {Error} code USER_NOT_FOUND, ORGANIZATION_MEMBER or SUBSCRIPTION_EXISTS
+   */
+  async getSubscriber(userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      throw subscriptionError("USER_NOT_FOUND", "User not found");
+    }
+
+    const user = await User.findById(userId).select("email tier organizationId");
+    if (!user) {
+      throw subscriptionError("USER_NOT_FOUND", "User not found");
+    }
+    if (user.organizationId) {
+      throw subscriptionError(
+        "ORGANIZATION_MEMBER",
+        "Organization members use their organization's credit pool"
+      );
+    }
+    if (await this.getLiveSubscription(user._id)) {
+      throw subscriptionError("SUBSCRIPTION_EXISTS", "User already has an active subscription");
+    }
+
+    return user;
+  }
+
+  /**
+   * Set up a subscription granted by the cron (admin)
+   * The first cycle is granted right away unless it starts later.
+   * @param {String} userId - User ID
+   * @param {Object} options - { tier (default: the user's), monthlyCredits,
+   *   rolloverCap, creditExpiryDays, startAt }
+   * @param {String} createdBy - Admin email
+   * @returns {Object} Subscription document
+   */
+  async createManualSubscription(userId, options = {}, createdBy = null) {
+    const user = await this.getSubscriber(userId);
+    const tier = options.tier || user.tier || "tier2";
+    const terms = getSubscriptionTerms(tier, options);
+
+    const startAt = options.startAt ? new Date(options.startAt) : new Date();
+    if (isNaN(startAt)) {
+      throw subscriptionError("INVALID_SUBSCRIPTION_TERMS", "startAt must be a valid date");
+    }
+
+    const subscription = await Subscription.create({
+      userId: user._id,
+      tier,
+      provider: "manual",
+      status: "active",
+      ...terms,
+      nextGrantAt: startAt,
+      createdBy,
+    });
+
+    logger.info("Manual subscription created", {
+      subscriptionId: subscription._id.toString(),
+      userId: user._id.toString(),
+      tier,
+      ...terms,
+      createdBy,
+    });
+
+    await this.grantManualSubscription(subscription);
+
+    return Subscription.findById(subscription._id);
+  }
+
+  /**
+   * Cancel a user's unpaid Razorpay subscriptions, at Razorpay too, so their
+   * checkout links can't be paid any more
+   * One paid meanwhile is synced instead.
+   * @param {String} userId - User ID
+   * @throws {Error} code SUBSCRIPTION_EXISTS if one turned out to be paid
+   */
+  async supersedeUnpaidSubscriptions(userId) {
+    const unpaid = await Subscription.find({ userId, provider: "razorpay", status: "created" });
+
+    for (const subscription of unpaid) {
+      const entity = await fetchSubscription(subscription.razorpaySubscriptionId);
+
+      if (entity.status === "created") {
+        await this.cancel(subscription, { atPeriodEnd: false });
+        continue;
+      }
+
+      const synced = await this.syncRazorpaySubscription(subscription, entity);
+      if (LIVE_SUBSCRIPTION_STATUSES.includes(synced.status)) {
+        throw subscriptionError("SUBSCRIPTION_EXISTS", "User already has an active subscription");
+      }
+    }
+  }
+
+  /**
+   * Start a Razorpay subscription (the user completes it in Checkout)
+   * Earlier unpaid subscriptions of the user are superseded.
+   * @param {String} userId - User ID
+   * @param {String} tier - tier1 or tier2 (default: the user's)
+   * @returns {Object} Subscription document
+   */
+  async createRazorpaySubscription(userId, tier = null) {
+    const user = await this.getSubscriber(userId);
+    tier = tier || user.tier || "tier2";
+    const terms = getSubscriptionTerms(tier);
+
+    const planId = process.env[`RAZORPAY_PLAN_${tier.toUpperCase()}`];
+    if (!planId) {
+      throw subscriptionError(
+        "SUBSCRIPTION_PLAN_NOT_CONFIGURED",
+        `No Razorpay plan is configured for ${tier}`
+      );
+    }
+
+    await this.supersedeUnpaidSubscriptions(user._id);
+
+    const razorpaySubscription = await createSubscription(planId, this.totalCycles, {
+      userId: user._id.toString(),
+      tier,
+    });
+
+    const subscription = await Subscription.create({
+      userId: user._id,
+      tier,
+      provider: "razorpay",
+      status: razorpaySubscription.status,
+      ...terms,
+      razorpaySubscriptionId: razorpaySubscription.id,
+      razorpayPlanId: planId,
+      shortUrl: razorpaySubscription.short_url,
+    });
+
+    logger.info("Razorpay subscription created", {
+      subscriptionId: subscription._id.toString(),
+      razorpaySubscriptionId: razorpaySubscription.id,
+      userId: user._id.toString(),
+      tier,
+    });
+
+    return subscription;
+  }
+
+  /**
+   * Confirm a Razorpay subscription after Checkout and grant what is paid
+   * @param {String} userId - User ID
+   * @param {Object} body - { razorpay_payment_id, razorpay_subscription_id, razorpay_signature }
+   * @returns {Object} Subscription document
+   * @throws {Error} code SUBSCRIPTION_NOT_FOUND or INVALID_SIGNATURE
+   */
+  async verifyRazorpaySubscription(
+    userId,
+    { razorpay_payment_id, razorpay_subscription_id, razorpay_signature }
+  ) {
+    const subscription = await Subscription.findOne({
+      userId,
+      razorpaySubscriptionId: razorpay_subscription_id,
+    });
+    if (!subscription) {
+      throw subscriptionError("SUBSCRIPTION_NOT_FOUND", "Subscription not found");
+    }
+
+    if (
+      !verifySubscriptionSignature(
+        razorpay_payment_id,
+        razorpay_subscription_id,
+        razorpay_signature
+      )
+    ) {
+      throw subscriptionError("INVALID_SIGNATURE", "Subscription verification failed - invalid signature");
+    }
+
+    const entity = await fetchSubscription(razorpay_subscription_id);
+    return this.syncRazorpaySubscription(subscription, entity, {
+      paymentId: razorpay_payment_id,
+    });
+  }
+
+  /**
+   * Apply a Razorpay subscription entity: status, current period and a
+   * grant for each paid cycle not granted yet
+   * Subscriptions cancelled here are left as they are: a charge that got
+   * through before Razorpay saw the cancellation grants nothing and is
+   * logged for a refund.
+   * @param {Object} subscription - Subscription document
+   * @param {Object} entity - Razorpay subscription entity
+   * @param {Object} options - { paymentId } of the charge reported with it
+   * @returns {Object} Updated subscription document
+   */
+  async syncRazorpaySubscription(subscription, entity, { paymentId = null } = {}) {
+    if (subscription.status === "cancelled") {
+      await this.ignoreCancelledSubscription(subscription, entity, paymentId);
+      return subscription;
+    }
+
+    const paidCount = entity.paid_count || 0;
+    const periodStart = entity.current_start ? new Date(entity.current_start * 1000) : null;
+
+    for (let cycle = subscription.grantsIssued + 1; cycle <= paidCount; cycle++) {
+      // Only the latest cycle's period is known - earlier ones start now
+      await this.grantCycle(
+        subscription,
+        cycle,
+        cycle === paidCount && periodStart ? periodStart : new Date()
+      );
+    }
+
+    const update = {
+      $set: {
+        status: entity.status,
+        ...(periodStart && { currentPeriodStart: periodStart }),
+        ...(entity.current_end && { currentPeriodEnd: new Date(entity.current_end * 1000) }),
+        ...(entity.has_scheduled_changes && { cancelAtPeriodEnd: true }),
+        ...(["cancelled", "completed", "expired"].includes(entity.status) && {
+          cancelledAt: entity.ended_at ? new Date(entity.ended_at * 1000) : new Date(),
+        }),
+      },
+      $max: { grantsIssued: paidCount },
+    };
+    if (paidCount > subscription.grantsIssued) {
+      update.$set.lastGrantAt = new Date();
+    }
+
+    return Subscription.findByIdAndUpdate(subscription._id, update, { new: true });
+  }
+
+  /**
+   * Keep a subscription cancelled here cancelled at Razorpay
+   * @param {Object} subscription - Cancelled subscription document
+   * @param {Object} entity - Razorpay subscription entity
+   * @param {String} paymentId - Charge reported with the entity, if any
+   */
+  async ignoreCancelledSubscription(subscription, entity, paymentId) {
+    const details = {
+      subscriptionId: subscription._id.toString(),
+      razorpaySubscriptionId: subscription.razorpaySubscriptionId,
+      razorpayStatus: entity.status,
+      paymentId,
+    };
+
+    if (paymentId) {
+      logger.error("Cancelled subscription was charged - refund the payment", details);
+    } else {
+      logger.info("Update of a cancelled subscription ignored", details);
+    }
+
+    if (["cancelled", "completed", "expired"].includes(entity.status)) return;
+
+    try {
+      await cancelSubscription(subscription.razorpaySubscriptionId, false);
+    } catch (error) {
+      logger.error("Failed to cancel subscription at Razorpay", {
+        ...details,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Handle a subscription.* webhook event
+   * @param {String} event - Event name
+   * @param {Object} payload - Webhook payload ({ subscription, payment })
+   * @returns {Object|null} Updated subscription, null if it isn't ours
+   */
+  async handleRazorpayEvent(event, payload) {
+    const entity = payload?.subscription?.entity;
+    if (!entity) return null;
+
+    const subscription = await Subscription.findOne({ razorpaySubscriptionId: entity.id });
+    if (!subscription) {
+      logger.warn("Webhook for unknown subscription", { event, razorpaySubscriptionId: entity.id });
+      return null;
+    }
+
+    logger.info("Subscription webhook", {
+      event,
+      subscriptionId: subscription._id.toString(),
+      status: entity.status,
+      paidCount: entity.paid_count,
+      paymentId: payload.payment?.entity?.id,
+    });
+
+    return this.syncRazorpaySubscription(subscription, entity, {
+      paymentId: payload.payment?.entity?.id,
+    });
+  }
+
+  /**
+   * Cancel a subscription
+   * Credits already granted stay until they expire.
+   * @param {Object} subscription - Subscription document
+   * @param {Object} options - { atPeriodEnd } - default: no further grants
+   *   after the current cycle
+   * @returns {Object} Updated subscription document
+   */
+  async cancel(subscription, { atPeriodEnd = true } = {}) {
+    if (!LIVE_SUBSCRIPTION_STATUSES.includes(subscription.status) && subscription.status !== "created") {
+      return subscription;
+    }
+
+    // Unpaid subscriptions have no cycle to finish
+    const immediately = !atPeriodEnd || subscription.status === "created";
+
+    if (subscription.provider === "razorpay") {
+      const entity = await cancelSubscription(subscription.razorpaySubscriptionId, !immediately);
+      subscription.status = entity.status;
+    } else if (immediately) {
+      subscription.status = "cancelled";
+    }
+
+    subscription.cancelAtPeriodEnd = !immediately;
+    if (subscription.status === "cancelled") {
+      subscription.cancelledAt = new Date();
+    }
+    await subscription.save();
+
+    logger.info("Subscription cancelled", {
+      subscriptionId: subscription._id.toString(),
+      atPeriodEnd: !immediately,
+    });
+
+    return subscription;
+  }
+
+  /**
+   * A user's subscriptions (newest first) and credits due to expire
+   * @param {String} userId - User ID
+   * @returns {Object} { subscriptions, expiringCredits }
+   */
+  async listForUser(userId) {
+    const [subscriptions, expiringCredits] = await Promise.all([
+      Subscription.find({ userId }).sort({ createdAt: -1 }).limit(20),
+      getExpiringCredits(userId),
+    ]);
+
+    return { subscriptions, expiringCredits };
+  }
+}
+
+// Create singleton instance
+const subscriptionService = new SubscriptionService();
+
+export default subscriptionService;
+
+export const startSubscriptionService = () => subscriptionService.start();
+export const runSubscriptionCycle = () => subscriptionService.runCycle();
@@ -0,0 +1,248 @@
+import fs from "fs";
+import path from "path";
+import { queueLogger } from "../utils/logger.js";
+import { createTempFilePath, wipeFile } from "../utils/storage.helper.js";
+import staticAnalysisService from "./static.analysis.service.js";
+import { ExtractionBudget } from "./unpackers/extraction.budget.js";
+import zipUnpacker from "./unpackers/zip.unpacker.js";
+import tarUnpacker from "./unpackers/tar.unpacker.js";
+import gzipUnpacker from "./unpackers/gzip.unpacker.js";
+import cpioUnpacker from "./unpackers/cpio.unpacker.js";
+import uimageUnpacker from "./unpackers/uimage.unpacker.js";
+import sevenZipUnpacker from "./unpackers/sevenzip.unpacker.js";
+import squashfsUnpacker from "./unpackers/squashfs.unpacker.js";
+
+const HEADER_SIZE = 4096; // Enough for the PE header offset in most binaries
+
+const isLimitError = (error) => error.message.startsWith("Archive limit exceeded");
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Unpack Service
+ * Recursively extracts archives and firmware images so each executable
+ * member can be analyzed as its own child job.
+ *
+ * An unpacker is an object with:
+ *   name, label                  - identifiers reported on the parent job
+ *   isAvailable()                - whether it can run on this server
+ *   detect(header, filename)     - whether the first bytes match its format
+ *   extract(filePath, outputDir, budget, { filename, timeout })
+ *     -> { entries: [{ name, path, size }], skipped: [{ name, reason }] }
+ *
+ * Unpackers write through the ExtractionBudget, which enforces the file
+ * count, total size and compression ratio limits.
+ */
+class UnpackService {
+  constructor() {
+    this.unpackers = [];
+    this.enabled = process.env.UNPACK_ENABLED !== "false";
+    this.maxDepth = readPositiveInt(process.env.UNPACK_MAX_DEPTH, 3);
+    this.maxMembers = readPositiveInt(process.env.UNPACK_MAX_MEMBERS, 50);
+    this.timeout = readPositiveInt(process.env.UNPACK_TIMEOUT_SECONDS, 120) * 1000;
+    this.limits = {
+      maxFiles: readPositiveInt(process.env.UNPACK_MAX_FILES, 1000),
+      maxTotalBytes:
+        readPositiveInt(process.env.UNPACK_MAX_TOTAL_MB, 1024) * 1024 * 1024,
+      maxRatio: readPositiveInt(process.env.UNPACK_MAX_RATIO, 200),
+    };
+  }
+
+  /**
+   * Register an unpacker (earlier registrations win on detection)
+   */
+  register(unpacker) {
+    if (!unpacker?.name || typeof unpacker.extract !== "function") {
+      throw new Error("Unpacker must have a name and extract()");
+    }
+    this.unpackers.push(unpacker);
+  }
+
+  /**
+   * Describe registered unpackers (for API responses)
+   */
+  list() {
+    return this.unpackers.map((unpacker) => ({
+      name: unpacker.name,
+      label: unpacker.label,
+      available: unpacker.isAvailable(),
+    }));
+  }
+
+  async readHeader(filePath) {
+    const header = Buffer.alloc(HEADER_SIZE);
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+      const { bytesRead } = await handle.read(header, 0, HEADER_SIZE, 0);
+      return header.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  findUnpacker(header, filename) {
+    return (
+      this.unpackers.find(
+        (unpacker) => unpacker.isAvailable() && unpacker.detect(header, filename),
+      ) || null
+    );
+  }
+
+  /**
+   * Detect whether a file is a container this server can unpack
+   * @returns {Promise<Object|null>} Matching unpacker
+   */
+  async detect(filePath, filename = path.basename(filePath)) {
+    return this.findUnpacker(await this.readHeader(filePath), filename);
+  }
+
+  /**
+   * Recursively unpack a container
+   * @param {String} filePath - Decrypted sample on disk
+   * @param {String} filename - Original filename
+   * @returns {Promise<Object>} { format, workDir, members: [{ path, archivePath, size, format }],
+   *                             skipped: [{ path, reason }], ignored }
+   */
+  async unpack(filePath, filename) {
+    const unpacker = await this.detect(filePath, filename);
+    if (!unpacker) {
+      throw new Error(`Failed to unpack ${filename}: unsupported container format`);
+    }
+
+    const workDir = await createTempFilePath("unpack");
+    await fs.promises.mkdir(workDir, { mode: 0o700 });
+    const budget = new ExtractionBudget(this.limits);
+    const result = {
+      format: unpacker.name,
+      workDir,
+      members: [],
+      skipped: [],
+      ignored: 0,
+    };
+
+    try {
+      await this.unpackLayer(unpacker, filePath, filename, [], 1, budget, result);
+    } catch (error) {
+      await this.cleanup(workDir);
+      throw isLimitError(error)
+        ? error
+        : new Error(`Failed to unpack ${filename}: ${error.message}`);
+    }
+
+    queueLogger.info("Container unpacked", {
+      filename,
+      format: result.format,
+      members: result.members.length,
+      skipped: result.skipped.length,
+      ignored: result.ignored,
+      extractedBytes: budget.bytes,
+    });
+
+    return result;
+  }
+
+  async unpackLayer(unpacker, filePath, filename, parents, depth, budget, result) {
+    const { size } = await fs.promises.stat(filePath);
+    const layerPath = [...parents, filename].join("/");
+    const outputDir = await fs.promises.mkdtemp(path.join(result.workDir, "layer-"));
+
+    const { entries, skipped } = await unpacker.extract(
+      filePath,
+      outputDir,
+      budget.forArchive(layerPath, size),
+      { filename: path.posix.basename(filename), timeout: this.timeout },
+    );
+
+    // Member paths are reported relative to the uploaded container
+    const memberPath = (name) => [...parents, filename, name].slice(1).join("/");
+
+    for (const entry of skipped) {
+      result.skipped.push({ path: memberPath(entry.name), reason: entry.reason });
+    }
+
+    for (const entry of entries) {
+      const archivePath = memberPath(entry.name);
+      const header = await this.readHeader(entry.path);
+      const nested = this.findUnpacker(header, entry.name);
+
+      if (nested) {
+        if (depth >= this.maxDepth) {
+          result.skipped.push({ path: archivePath, reason: "nesting too deep" });
+          continue;
+        }
+
+        try {
+          await this.unpackLayer(
+            nested,
+            entry.path,
+            entry.name,
+            [...parents, filename],
+            depth + 1,
+            budget,
+            result,
+          );
+        } catch (error) {
+          // A corrupt nested archive only loses its own members
+          if (isLimitError(error)) throw error;
+          result.skipped.push({ path: archivePath, reason: error.message });
+        }
+        continue;
+      }
+
+      const format = staticAnalysisService.detectFormat(header);
+      if (format === "unknown") {
+        result.ignored++; // Data files, scripts, docs
+        continue;
+      }
+
+      if (result.members.length >= this.maxMembers) {
+        result.skipped.push({ path: archivePath, reason: "member limit reached" });
+        continue;
+      }
+
+      result.members.push({
+        path: entry.path,
+        archivePath,
+        size: entry.size,
+        format,
+      });
+    }
+  }
+
+  /**
+   * Wipe and remove an unpack work directory (never throws)
+   */
+  async cleanup(workDir) {
+    if (!workDir) return;
+
+    try {
+      const walk = async (directory) => {
+        for (const dirent of await fs.promises.readdir(directory, { withFileTypes: true })) {
+          const entryPath = path.join(directory, dirent.name);
+          if (dirent.isDirectory()) await walk(entryPath);
+          else if (dirent.isFile()) await wipeFile(entryPath);
+        }
+      };
+      await walk(workDir);
+    } catch (error) {
+      queueLogger.warn("Failed to wipe unpacked files", { workDir, error: error.message });
+    }
+
+    await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+const unpackService = new UnpackService();
+
+unpackService.register(zipUnpacker);
+unpackService.register(tarUnpacker);
+unpackService.register(gzipUnpacker);
+unpackService.register(cpioUnpacker);
+unpackService.register(uimageUnpacker);
+unpackService.register(sevenZipUnpacker);
+unpackService.register(squashfsUnpacker);
+
+export default unpackService;
@@ -0,0 +1,155 @@
+import fs from "fs";
+import { Readable } from "stream";
+import { normalizeEntryName } from "./extraction.budget.js";
+
+const TRAILER = "TRAILER!!!";
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+const S_IFLNK = 0o120000;
+
+const align4 = (value) => Math.ceil(value / 4) * 4;
+
+/**
+ * CPIO Unpacker - "newc"/"crc" (070701/070702) and portable ASCII "odc"
+ * (070707) formats, as used by initramfs images and RPM payloads
+ */
+class CpioUnpacker {
+  constructor() {
+    this.name = "cpio";
+    this.label = "CPIO archive";
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  detect(header) {
+    return (
+      header.length >= 6 &&
+      ["070701", "070702", "070707"].includes(header.toString("latin1", 0, 6))
+    );
+  }
+
+  /**
+   * @returns {Promise<Object>} { entries: [{ name, path, size }], skipped: [{ name, reason }] }
+   */
+  async extract(filePath, outputDir, budget) {
+    const handle = await fs.promises.open(filePath, "r");
+
+    try {
+      const { size } = await handle.stat();
+      const entries = [];
+      const skipped = [];
+      let position = 0;
+
+      while (position < size) {
+        const header = await this.readHeader(handle, position, size);
+        if (Number.isNaN(header.mode) || Number.isNaN(header.fileSize)) {
+          throw new Error("Corrupt CPIO header");
+        }
+        const dataStart = header.dataStart;
+        position = header.nextPosition;
+
+        if (header.name === TRAILER) break;
+        if (dataStart + header.fileSize > size) {
+          throw new Error("Truncated CPIO entry");
+        }
+
+        const fileType = header.mode & S_IFMT;
+        if (fileType !== S_IFREG && fileType !== S_IFLNK) continue; // Dirs, devices
+
+        const name = normalizeEntryName(header.name);
+        const reason = !name
+          ? "unsafe path"
+          : fileType === S_IFLNK
+            ? "symlink"
+            : null;
+
+        if (reason) {
+          skipped.push({ name: name || header.name, reason });
+          continue;
+        }
+
+        const destinationPath = budget.addEntry(outputDir);
+        const written = await budget.writeEntry(
+          destinationPath,
+          header.fileSize > 0
+            ? handle.createReadStream({
+                autoClose: false,
+                start: dataStart,
+                end: dataStart + header.fileSize - 1,
+              })
+            : Readable.from([])
+        );
+
+        entries.push({ name, path: destinationPath, size: written });
+      }
+
+      return { entries, skipped };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Parse the entry header at position
+   * @returns {Promise<Object>} { name, mode, fileSize, dataStart, nextPosition }
+   */
+  async readHeader(handle, position, size) {
+    const fixed = Buffer.alloc(110);
+    const { bytesRead } = await handle.read(fixed, 0, 110, position);
+    const magic = fixed.toString("latin1", 0, 6);
+
+    // newc: 13 eight-digit hex fields, name and data padded to 4 bytes
+    if ((magic === "070701" || magic === "070702") && bytesRead === 110) {
+      const field = (index) =>
+        parseInt(fixed.toString("latin1", 6 + index * 8, 14 + index * 8), 16);
+      const mode = field(1);
+      const fileSize = field(6);
+      const nameSize = field(11);
+      const name = await this.readName(handle, position + 110, nameSize, size);
+      const dataStart = align4(position + 110 + nameSize);
+
+      return {
+        name,
+        mode,
+        fileSize,
+        dataStart,
+        nextPosition: align4(dataStart + fileSize),
+      };
+    }
+
+    // odc: octal fields, no padding
+    if (magic === "070707" && bytesRead >= 76) {
+      const octal = (start, length) =>
+        parseInt(fixed.toString("latin1", start, start + length), 8);
+      const mode = octal(18, 6);
+      const nameSize = octal(59, 6);
+      const fileSize = octal(65, 11);
+      const name = await this.readName(handle, position + 76, nameSize, size);
+      const dataStart = position + 76 + nameSize;
+
+      return {
+        name,
+        mode,
+        fileSize,
+        dataStart,
+        nextPosition: dataStart + fileSize,
+      };
+    }
+
+    throw new Error("Corrupt CPIO header");
+  }
+
+  async readName(handle, position, nameSize, size) {
+    if (!(nameSize > 0 && nameSize <= 4096) || position + nameSize > size) {
+      throw new Error("Corrupt CPIO entry name");
+    }
+
+    const name = Buffer.alloc(nameSize);
+    await handle.read(name, 0, nameSize, position);
+    return name.toString("utf8").replace(/\0.*$/s, "");
+  }
+}
+
+export default new CpioUnpacker();
@@ -0,0 +1,140 @@
+import fs from "fs";
+import path from "path";
+import { execFile, spawn } from "child_process";
+import { normalizeEntryName } from "./extraction.budget.js";
+
+/**
+ * Helpers for unpackers backed by command-line tools (7-Zip, unsquashfs)
+ */
+
+/**
+ * Resolve the first candidate that is an executable file
+ * Absolute paths are checked directly, bare names are looked up on PATH.
+ * @returns {String|null} Executable path
+ */
+export const findExecutable = (candidates) => {
+  const searchPath = (process.env.PATH || "").split(path.delimiter).filter(Boolean);
+
+  for (const candidate of candidates.filter(Boolean)) {
+    const locations = path.isAbsolute(candidate)
+      ? [candidate]
+      : searchPath.map((directory) => path.join(directory, candidate));
+
+    for (const location of locations) {
+      try {
+        fs.accessSync(location, fs.constants.X_OK);
+        if (fs.statSync(location).isFile()) return location;
+      } catch (error) {
+        // Not here - keep looking
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Run a tool to completion (stdin closed, killed on timeout)
+ * @returns {Promise<String>} stdout
+ */
+export const runTool = (command, args, { timeout }) =>
+  new Promise((resolve, reject) => {
+    const child = execFile(
+      command,
+      args,
+      { timeout, killSignal: "SIGKILL", maxBuffer: 32 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) {
+          const reason = error.killed
+            ? `timed out after ${timeout}ms`
+            : (stderr || error.message).trim().split("\n").pop();
+          return reject(new Error(`${path.basename(command)} failed: ${reason}`));
+        }
+        resolve(stdout);
+      }
+    );
+    child.stdin?.end();
+  });
+
+/**
+ * Stream a tool's stdout into the extraction budget (single-stream formats)
+ * @returns {Promise<Number>} Bytes written
+ */
+export const streamTool = async (command, args, { timeout }, budget, destinationPath) => {
+  const child = spawn(command, args, { stdio: ["ignore", "pipe", "ignore"] });
+  const exited = new Promise((resolve, reject) => {
+    child.on("error", reject);
+    child.on("close", resolve);
+  });
+  const timer = setTimeout(() => child.kill("SIGKILL"), timeout);
+
+  try {
+    const written = await budget.writeEntry(destinationPath, child.stdout);
+    const code = await exited;
+    if (code !== 0) {
+      throw new Error(`${path.basename(command)} exited with code ${code}`);
+    }
+    return written;
+  } catch (error) {
+    child.kill("SIGKILL");
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Move regular files a tool extracted under rootDir into budgeted entries
+ * Symlinks, special files and anything resolving outside rootDir are skipped.
+ * @returns {Promise<Object>} { entries, skipped }
+ */
+export const collectExtractedFiles = async (rootDir, outputDir, budget) => {
+  const realRoot = await fs.promises.realpath(rootDir);
+  const entries = [];
+  const skipped = [];
+
+  const walk = async (directory) => {
+    for (const dirent of await fs.promises.readdir(directory, { withFileTypes: true })) {
+      const entryPath = path.join(directory, dirent.name);
+      const rawName = path.relative(rootDir, entryPath).split(path.sep).join("/");
+
+      if (dirent.isDirectory()) {
+        await walk(entryPath);
+        continue;
+      }
+
+      const name = normalizeEntryName(rawName);
+      const realPath = await fs.promises.realpath(entryPath).catch(() => null);
+      const reason = dirent.isSymbolicLink()
+        ? "symlink"
+        : !dirent.isFile()
+          ? "special file"
+          : !name || !realPath?.startsWith(realRoot + path.sep)
+            ? "unsafe path"
+            : null;
+
+      if (reason) {
+        skipped.push({ name: name || rawName, reason });
+        continue;
+      }
+
+      const { size } = await fs.promises.stat(entryPath);
+      budget.consume(size);
+      const destinationPath = budget.addEntry(outputDir);
+      await fs.promises.rename(entryPath, destinationPath);
+      await fs.promises.chmod(destinationPath, 0o600);
+
+      entries.push({ name, path: destinationPath, size });
+    }
+  };
+
+  await walk(rootDir);
+  return { entries, skipped };
+};
+
+export default {
+  findExecutable,
+  runTool,
+  streamTool,
+  collectExtractedFiles,
+};
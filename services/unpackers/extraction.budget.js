@@ -0,0 +1,133 @@
+import fs from "fs";
+import path from "path";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+
+/**
+ * Extraction Budget - Zip bomb and path traversal safeguards shared by all
+ * unpackers. One budget covers a whole upload (every nesting level); each
+ * archive gets an ArchiveBudget that also enforces the compression ratio.
+ *
+ * Limit violations throw "Archive limit exceeded: ..." which the worker
+ * treats as non-retryable.
+ */
+export class ExtractionBudget {
+  /**
+   * @param {Object} limits - { maxFiles, maxTotalBytes, maxRatio }
+   */
+  constructor(limits) {
+    this.limits = limits;
+    this.files = 0;
+    this.bytes = 0;
+    this.nextId = 0;
+  }
+
+  forArchive(archivePath, archiveSize) {
+    return new ArchiveBudget(this, archivePath, archiveSize);
+  }
+}
+
+class ArchiveBudget {
+  constructor(budget, archivePath, archiveSize) {
+    this.budget = budget;
+    this.archivePath = archivePath;
+    this.bytes = 0;
+    // Small archives legitimately expand a lot - allow at least 1MB
+    this.maxBytes = Math.max(archiveSize * budget.limits.maxRatio, 1024 * 1024);
+  }
+
+  limitExceeded(reason) {
+    return new Error(`Archive limit exceeded: ${reason} (${this.archivePath})`);
+  }
+
+  /**
+   * Reserve an entry slot and a fresh output path inside outputDir
+   * Archive names are never used on disk, so they cannot escape the work dir.
+   */
+  addEntry(outputDir) {
+    if (++this.budget.files > this.budget.limits.maxFiles) {
+      throw this.limitExceeded(`more than ${this.budget.limits.maxFiles} files`);
+    }
+    return path.join(outputDir, `entry-${++this.budget.nextId}`);
+  }
+
+  consume(byteCount) {
+    this.bytes += byteCount;
+    this.budget.bytes += byteCount;
+
+    if (this.budget.bytes > this.budget.limits.maxTotalBytes) {
+      throw this.limitExceeded(
+        `extracted size over ${this.budget.limits.maxTotalBytes} bytes`
+      );
+    }
+    if (this.bytes > this.maxBytes) {
+      throw this.limitExceeded(
+        `compression ratio over ${this.budget.limits.maxRatio}:1`
+      );
+    }
+  }
+
+  /**
+   * Check sizes an external tool reports before extracting anything
+   */
+  checkDeclared(fileCount, totalBytes) {
+    const { maxFiles, maxTotalBytes } = this.budget.limits;
+
+    if (this.budget.files + fileCount > maxFiles) {
+      throw this.limitExceeded(`more than ${maxFiles} files`);
+    }
+    if (this.budget.bytes + totalBytes > maxTotalBytes) {
+      throw this.limitExceeded(`extracted size over ${maxTotalBytes} bytes`);
+    }
+    if (this.bytes + totalBytes > this.maxBytes) {
+      throw this.limitExceeded(
+        `compression ratio over ${this.budget.limits.maxRatio}:1`
+      );
+    }
+  }
+
+  /**
+   * Stream an entry to disk, aborting as soon as a limit is crossed
+   * @param {String} destinationPath - Path from addEntry()
+   * @param {...Stream} streams - Source followed by any decompressors
+   * @returns {Promise<Number>} Bytes written
+   */
+  async writeEntry(destinationPath, ...streams) {
+    let written = 0;
+    const meter = new Transform({
+      transform: (chunk, encoding, callback) => {
+        try {
+          this.consume(chunk.length);
+        } catch (error) {
+          return callback(error);
+        }
+        written += chunk.length;
+        callback(null, chunk);
+      },
+    });
+
+    await pipeline(
+      ...streams,
+      meter,
+      fs.createWriteStream(destinationPath, { mode: 0o600 })
+    );
+    return written;
+  }
+}
+
+/**
+ * Normalize an archive member name for reporting
+ * @returns {String|null} Relative POSIX path, or null for absolute/traversal names
+ */
+export const normalizeEntryName = (name) => {
+  const cleaned = name.replace(/\\/g, "/").replace(/\0.*$/, "");
+
+  if (cleaned.startsWith("/") || /^[a-zA-Z]:/.test(cleaned)) return null;
+
+  const normalized = path.posix.normalize(cleaned);
+  if (normalized === ".." || normalized.startsWith("../")) return null;
+
+  return normalized.replace(/^(\.\/)+/, "").replace(/\/$/, "");
+};
+
+export default { ExtractionBudget, normalizeEntryName };
@@ -0,0 +1,74 @@
+import fs from "fs";
+import zlib from "zlib";
+import { normalizeEntryName } from "./extraction.budget.js";
+
+const FLAG_EXTRA = 0x04;
+const FLAG_NAME = 0x08;
+
+/**
+ * GZIP Unpacker - single-stream decompression (.gz, .tgz)
+ * The output is one member, unpacked again if it is itself an archive.
+ */
+class GzipUnpacker {
+  constructor() {
+    this.name = "gzip";
+    this.label = "GZIP stream";
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  detect(header) {
+    return header.length >= 10 && header[0] === 0x1f && header[1] === 0x8b;
+  }
+
+  /**
+   * @returns {Promise<Object>} { entries: [{ name, path, size }], skipped: [] }
+   */
+  async extract(filePath, outputDir, budget, { filename }) {
+    const header = Buffer.alloc(1024);
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+      await handle.read(header, 0, header.length, 0);
+    } finally {
+      await handle.close();
+    }
+
+    const originalName = this.readOriginalName(header);
+    const name =
+      (originalName && normalizeEntryName(originalName)) ||
+      filename.replace(/\.tgz$/i, ".tar").replace(/\.gz$/i, "") ||
+      "payload";
+
+    const destinationPath = budget.addEntry(outputDir);
+    const written = await budget.writeEntry(
+      destinationPath,
+      fs.createReadStream(filePath),
+      zlib.createGunzip()
+    );
+
+    return {
+      entries: [{ name, path: destinationPath, size: written }],
+      skipped: [],
+    };
+  }
+
+  /**
+   * Original filename from the FNAME header field, if present
+   */
+  readOriginalName(header) {
+    const flags = header[3];
+    if (!(flags & FLAG_NAME)) return null;
+
+    let offset = 10;
+    if (flags & FLAG_EXTRA) {
+      offset += 2 + header.readUInt16LE(offset);
+    }
+
+    const end = header.indexOf(0, offset);
+    return end > offset ? header.toString("latin1", offset, end) : null;
+  }
+}
+
+export default new GzipUnpacker();
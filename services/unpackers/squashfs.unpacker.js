@@ -0,0 +1,51 @@
+import path from "path";
+import { findExecutable, runTool, collectExtractedFiles } from "./external.tool.js";
+
+/**
+ * SquashFS Unpacker - firmware root filesystems through `unsquashfs`
+ * Available when squashfs-tools is installed (or UNSQUASHFS_PATH is set).
+ */
+class SquashfsUnpacker {
+  constructor() {
+    this.name = "squashfs";
+    this.label = "SquashFS filesystem";
+    this.binary = findExecutable([process.env.UNSQUASHFS_PATH, "unsquashfs"]);
+  }
+
+  isAvailable() {
+    return Boolean(this.binary);
+  }
+
+  detect(header) {
+    const magic = header.toString("latin1", 0, 4);
+    return magic === "hsqs" || magic === "sqsh";
+  }
+
+  /**
+   * @returns {Promise<Object>} { entries: [{ name, path, size }], skipped: [{ name, reason }] }
+   */
+  async extract(filePath, outputDir, budget, { timeout }) {
+    // Check declared sizes before anything touches the disk
+    // `-lls` lines look like: -rwxr-xr-x root/root 12345 2020-01-01 00:00 squashfs-root/bin/sh
+    const listing = await runTool(this.binary, ["-n", "-lls", filePath], { timeout });
+    const sizes = listing
+      .split("\n")
+      .filter((line) => line.startsWith("-"))
+      .map((line) => parseInt(line.split(/\s+/)[2], 10) || 0);
+    budget.checkDeclared(
+      sizes.length,
+      sizes.reduce((total, size) => total + size, 0)
+    );
+
+    const extractDir = path.join(outputDir, "squashfs-root"); // Must not exist yet
+    await runTool(
+      this.binary,
+      ["-n", "-no-xattrs", "-d", extractDir, filePath],
+      { timeout }
+    );
+
+    return collectExtractedFiles(extractDir, outputDir, budget);
+  }
+}
+
+export default new SquashfsUnpacker();
@@ -0,0 +1,156 @@
+import fs from "fs";
+import { Readable } from "stream";
+import { normalizeEntryName } from "./extraction.budget.js";
+
+const BLOCK_SIZE = 512;
+
+/**
+ * TAR Unpacker (v7, ustar, GNU long names and PAX paths)
+ * Compressed tarballs are handled as two layers: the gzip unpacker
+ * produces the .tar, which is detected and unpacked here.
+ */
+class TarUnpacker {
+  constructor() {
+    this.name = "tar";
+    this.label = "TAR archive";
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  detect(header) {
+    if (header.length < BLOCK_SIZE) return false;
+    if (header.toString("latin1", 257, 262) === "ustar") return true;
+
+    // v7 tar has no magic - fall back to the header checksum
+    return this.verifyChecksum(header.subarray(0, BLOCK_SIZE));
+  }
+
+  verifyChecksum(block) {
+    const stored = parseInt(block.toString("latin1", 148, 156).replace(/\0.*$/, "").trim(), 8);
+    if (Number.isNaN(stored)) return false;
+
+    let sum = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+      sum += i >= 148 && i < 156 ? 0x20 : block[i];
+    }
+    return sum === stored;
+  }
+
+  /**
+   * @returns {Promise<Object>} { entries: [{ name, path, size }], skipped: [{ name, reason }] }
+   */
+  async extract(filePath, outputDir, budget) {
+    const handle = await fs.promises.open(filePath, "r");
+
+    try {
+      const { size } = await handle.stat();
+      const entries = [];
+      const skipped = [];
+      const block = Buffer.alloc(BLOCK_SIZE);
+      let position = 0;
+      let longName = null;
+      let paxPath = null;
+
+      while (position + BLOCK_SIZE <= size) {
+        await handle.read(block, 0, BLOCK_SIZE, position);
+        position += BLOCK_SIZE;
+
+        if (block.every((byte) => byte === 0)) break; // End-of-archive marker
+        if (!this.verifyChecksum(block)) {
+          throw new Error("Corrupt TAR header checksum");
+        }
+
+        const type = String.fromCharCode(block[156] || 0x30);
+        const entrySize = this.parseSize(block.subarray(124, 136));
+        const dataStart = position;
+        position += Math.ceil(entrySize / BLOCK_SIZE) * BLOCK_SIZE;
+
+        if (dataStart + entrySize > size) {
+          throw new Error("Truncated TAR entry");
+        }
+
+        // Metadata entries describing the next header
+        if (type === "L" || type === "x") {
+          const data = await this.readData(handle, dataStart, entrySize);
+          if (type === "L") {
+            longName = data.toString("utf8").replace(/\0.*$/s, "");
+          } else {
+            paxPath = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(data.toString("utf8"))?.[1] || null;
+          }
+          continue;
+        }
+        if (type === "g") continue; // Global PAX header
+
+        // Only POSIX ustar has a name prefix (old GNU stores times there)
+        const prefix =
+          block.toString("latin1", 257, 263) === "ustar\0"
+            ? block.toString("utf8", 345, 500).replace(/\0.*$/s, "")
+            : "";
+        const headerName = block.toString("utf8", 0, 100).replace(/\0.*$/s, "");
+        const rawName =
+          paxPath || longName || (prefix ? `${prefix}/${headerName}` : headerName);
+        longName = null;
+        paxPath = null;
+
+        if (type === "5") continue; // Directory
+
+        const name = normalizeEntryName(rawName);
+        const reason = !name
+          ? "unsafe path"
+          : type === "1" || type === "2"
+            ? "link"
+            : !["0", "7"].includes(type)
+              ? `unsupported entry type ${type}`
+              : null;
+
+        if (reason) {
+          skipped.push({ name: name || rawName, reason });
+          continue;
+        }
+
+        const destinationPath = budget.addEntry(outputDir);
+        const written = await budget.writeEntry(
+          destinationPath,
+          entrySize > 0
+            ? handle.createReadStream({
+                autoClose: false,
+                start: dataStart,
+                end: dataStart + entrySize - 1,
+              })
+            : Readable.from([])
+        );
+
+        entries.push({ name, path: destinationPath, size: written });
+      }
+
+      return { entries, skipped };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Octal size field, or GNU base-256 encoding for files over 8GB
+   */
+  parseSize(field) {
+    if (field[0] & 0x80) {
+      return field
+        .subarray(1)
+        .reduce((size, byte) => size * 256 + byte, field[0] & 0x7f);
+    }
+    return parseInt(field.toString("latin1").replace(/\0.*$/, "").trim() || "0", 8);
+  }
+
+  async readData(handle, position, length) {
+    if (length > 1024 * 1024) {
+      throw new Error("Oversized TAR metadata entry");
+    }
+    const data = Buffer.alloc(length);
+    await handle.read(data, 0, length, position);
+    return data;
+  }
+}
+
+export default new TarUnpacker();
@@ -0,0 +1,123 @@
+import fs from "fs";
+import { Readable } from "stream";
+
+const UIMAGE_MAGIC = 0x27051956;
+const HEADER_SIZE = 64;
+const TYPE_MULTI = 4;
+
+// ih_comp values - payloads are emitted as-is and unpacked as the next layer
+const COMPRESSION_SUFFIXES = {
+  0: "",
+  1: ".gz",
+  2: ".bz2",
+  3: ".lzma",
+  4: ".lzo",
+  5: ".lz4",
+  6: ".zst",
+};
+
+/**
+ * U-Boot uImage Unpacker (legacy image format)
+ * Extracts the kernel/ramdisk payload, or each image of a multi-file image.
+ */
+class UImageUnpacker {
+  constructor() {
+    this.name = "uimage";
+    this.label = "U-Boot uImage";
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  detect(header) {
+    return header.length >= HEADER_SIZE && header.readUInt32BE(0) === UIMAGE_MAGIC;
+  }
+
+  /**
+   * @returns {Promise<Object>} { entries: [{ name, path, size }], skipped: [] }
+   */
+  async extract(filePath, outputDir, budget) {
+    const handle = await fs.promises.open(filePath, "r");
+
+    try {
+      const { size } = await handle.stat();
+      const header = Buffer.alloc(HEADER_SIZE);
+      await handle.read(header, 0, HEADER_SIZE, 0);
+
+      const dataSize = header.readUInt32BE(12);
+      const imageType = header[30];
+      const suffix = COMPRESSION_SUFFIXES[header[31]] ?? ".bin";
+      const imageName =
+        header
+          .toString("latin1", 32, 64)
+          .replace(/\0.*$/s, "")
+          .replace(/[^a-zA-Z0-9._-]/g, "_") || "payload";
+
+      if (HEADER_SIZE + dataSize > size) {
+        throw new Error("Truncated uImage payload");
+      }
+
+      // Multi-file images start with a zero-terminated list of image sizes
+      let images = [{ name: `${imageName}${suffix}`, start: HEADER_SIZE, size: dataSize }];
+      if (imageType === TYPE_MULTI) {
+        images = await this.readMultiImageTable(handle, dataSize, imageName, suffix);
+      }
+
+      const entries = [];
+      for (const image of images) {
+        const destinationPath = budget.addEntry(outputDir);
+        const written = await budget.writeEntry(
+          destinationPath,
+          image.size > 0
+            ? handle.createReadStream({
+                autoClose: false,
+                start: image.start,
+                end: image.start + image.size - 1,
+              })
+            : Readable.from([])
+        );
+
+        entries.push({ name: image.name, path: destinationPath, size: written });
+      }
+
+      return { entries, skipped: [] };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async readMultiImageTable(handle, dataSize, imageName, suffix) {
+    const sizes = [];
+    const word = Buffer.alloc(4);
+    let position = HEADER_SIZE;
+
+    while (true) {
+      if (position + 4 > HEADER_SIZE + dataSize || sizes.length > 256) {
+        throw new Error("Corrupt uImage multi-file table");
+      }
+      await handle.read(word, 0, 4, position);
+      position += 4;
+
+      const imageSize = word.readUInt32BE(0);
+      if (imageSize === 0) break;
+      sizes.push(imageSize);
+    }
+
+    return sizes.map((imageSize, index) => {
+      const image = {
+        name: `${imageName}-${index}${suffix}`,
+        start: position,
+        size: imageSize,
+      };
+      position += Math.ceil(imageSize / 4) * 4;
+
+      if (image.start + imageSize > HEADER_SIZE + dataSize) {
+        throw new Error("Corrupt uImage multi-file table");
+      }
+      return image;
+    });
+  }
+}
+
+export default new UImageUnpacker();
@@ -0,0 +1,157 @@
+import fs from "fs";
+import zlib from "zlib";
+import { Readable } from "stream";
+import { normalizeEntryName } from "./extraction.budget.js";
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const MAX_EOCD_SEARCH = 22 + 0xffff; // EOCD record + maximum comment length
+
+/**
+ * ZIP Unpacker (stored and deflated entries)
+ * Entries are located through the central directory; encrypted entries and
+ * other compression methods are reported as skipped.
+ */
+class ZipUnpacker {
+  constructor() {
+    this.name = "zip";
+    this.label = "ZIP archive";
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  detect(header) {
+    return (
+      header.length >= 4 &&
+      [LOCAL_SIGNATURE, EOCD_SIGNATURE].includes(header.readUInt32LE(0))
+    );
+  }
+
+  /**
+   * @returns {Promise<Object>} { entries: [{ name, path, size }], skipped: [{ name, reason }] }
+   */
+  async extract(filePath, outputDir, budget) {
+    const handle = await fs.promises.open(filePath, "r");
+
+    try {
+      const { size } = await handle.stat();
+      const centralDirectory = await this.readCentralDirectory(handle, size);
+      const entries = [];
+      const skipped = [];
+
+      let offset = 0;
+      while (offset + 46 <= centralDirectory.length) {
+        if (centralDirectory.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+          throw new Error("Corrupt ZIP central directory");
+        }
+
+        const flags = centralDirectory.readUInt16LE(offset + 8);
+        const method = centralDirectory.readUInt16LE(offset + 10);
+        const compressedSize = centralDirectory.readUInt32LE(offset + 20);
+        const nameLength = centralDirectory.readUInt16LE(offset + 28);
+        const extraLength = centralDirectory.readUInt16LE(offset + 30);
+        const commentLength = centralDirectory.readUInt16LE(offset + 32);
+        const fileMode = centralDirectory.readUInt32LE(offset + 38) >>> 16;
+        const localOffset = centralDirectory.readUInt32LE(offset + 42);
+        const rawName = centralDirectory.toString(
+          "utf8",
+          offset + 46,
+          offset + 46 + nameLength
+        );
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (rawName.endsWith("/")) continue; // Directory
+
+        const name = normalizeEntryName(rawName);
+        const reason = !name
+          ? "unsafe path"
+          : (fileMode & 0o170000) === 0o120000
+            ? "symlink"
+            : flags & 0x1
+              ? "encrypted"
+              : ![0, 8].includes(method)
+                ? `unsupported compression method ${method}`
+                : compressedSize === 0xffffffff || localOffset === 0xffffffff
+                  ? "ZIP64 entry"
+                  : null;
+
+        if (reason) {
+          skipped.push({ name: name || rawName, reason });
+          continue;
+        }
+
+        const dataStart = await this.locateData(handle, localOffset, size);
+        if (dataStart + compressedSize > size) {
+          throw new Error(`Truncated ZIP entry: ${name}`);
+        }
+
+        const source =
+          compressedSize > 0
+            ? handle.createReadStream({
+                autoClose: false,
+                start: dataStart,
+                end: dataStart + compressedSize - 1,
+              })
+            : Readable.from([]);
+
+        const destinationPath = budget.addEntry(outputDir);
+        const written = await budget.writeEntry(
+          destinationPath,
+          source,
+          ...(method === 8 ? [zlib.createInflateRaw()] : [])
+        );
+
+        entries.push({ name, path: destinationPath, size: written });
+      }
+
+      return { entries, skipped };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async readCentralDirectory(handle, size) {
+    const tailLength = Math.min(size, MAX_EOCD_SEARCH);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+
+    for (let i = tailLength - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) !== EOCD_SIGNATURE) continue;
+
+      const directorySize = tail.readUInt32LE(i + 12);
+      const directoryOffset = tail.readUInt32LE(i + 16);
+
+      if (directoryOffset === 0xffffffff) {
+        throw new Error("ZIP64 archives are not supported");
+      }
+      if (directoryOffset + directorySize > size) {
+        throw new Error("Corrupt ZIP end of central directory");
+      }
+
+      const centralDirectory = Buffer.alloc(directorySize);
+      await handle.read(centralDirectory, 0, directorySize, directoryOffset);
+      return centralDirectory;
+    }
+
+    throw new Error("ZIP end of central directory not found");
+  }
+
+  async locateData(handle, localOffset, size) {
+    const header = Buffer.alloc(30);
+    if (localOffset + 30 > size) {
+      throw new Error("Corrupt ZIP local header offset");
+    }
+
+    await handle.read(header, 0, 30, localOffset);
+    if (header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+      throw new Error("Corrupt ZIP local header");
+    }
+
+    return localOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  }
+}
+
+export default new ZipUnpacker();
@@ -1,7 +1,13 @@
 import User from "../models/user.model.js";
+import organizationService from "./organization.service.js";
 import { generatePassword } from "../utils/generate.password.js";
 import { sendWelcomeEmail } from "../utils/send.email.js";
-import { getTierCredits, getTierInfo, addCredits } from "./credit.service.js";
+import {
+  getTierCredits,
+  getTierInfo,
+  addCredits,
+  recordOpeningCredits,
+} from "./credit.service.js";
 import {
   createPasswordChangeOTP,
   verifyPasswordChangeOTP,
@@ -14,13 +20,16 @@ import {
 
 /**
  * Create a new user/organization
+ * Users created into an organization (organizationId) draw on its credit
+ * pool, so they get no personal tier credits.
  * @param {Object} userData - User data
  * @param {String} createdById - ID of admin creating the user
  * @returns {Object} Created user
  */
 export const createUserService = async (userData, createdById) => {
   try {
-    const { email, organizationName, userType, tier } = userData;
+    const { email, userType, tier, organizationId, organizationRole } = userData;
+    let { organizationName } = userData;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
@@ -35,9 +44,14 @@ export const createUserService = async (userData, createdById) => {
     // Generate secure password
     const tempPassword = generatePassword(10);
 
+    const organization = organizationId
+      ? await organizationService.getOrganization(organizationId)
+      : null;
+    if (organization) organizationName = organization.name;
+
     // Get tier information and credits
     const tierInfo = getTierInfo(tier);
-    const credits = getTierCredits(tier);
+    const credits = organization ? 0 : getTierCredits(tier);
 
     // Create user
     const newUser = await User.create({
@@ -46,6 +60,8 @@ export const createUserService = async (userData, createdById) => {
       password: tempPassword,
       userType: userType || "user",
       organizationName,
+      organizationId: organization?._id || null,
+      organizationRole: organization ? organizationRole || "analyst" : null,
       accountStatus: "active",
       credits: {
         total: credits,
@@ -58,6 +74,14 @@ export const createUserService = async (userData, createdById) => {
       createdBy: createdById,
     });
 
+    if (!organization) {
+      await recordOpeningCredits(
+        newUser._id,
+        credits,
+        `Initial credits - ${tierInfo?.name || tier}`
+      );
+    }
+
     // Send welcome email (async, don't wait)
     sendWelcomeEmail({
       email: newUser.email,
@@ -65,7 +89,7 @@ export const createUserService = async (userData, createdById) => {
       password: tempPassword,
       organizationName: newUser.organizationName,
       tier: tierInfo?.name,
-      credits: newUser.credits.remaining,
+      credits: organization ? organization.credits.remaining : newUser.credits.remaining,
     }).catch((err) => console.error("Email sending failed:", err));
 
     // Return user without password
@@ -277,7 +301,7 @@ export const getPlatformStatsService = async () => {
  */
 export const updateUserProfileService = async (userId, updates) => {
   try {
-    const allowedUpdates = ["username", "organizationName"];
+    const allowedUpdates = ["username", "organizationName", "billing"];
     const filteredUpdates = {};
 
     // Only allow specific fields to be updated
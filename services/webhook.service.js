@@ -0,0 +1,404 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import axios from "axios";
+import { webhookQueue } from "../config/queue.js";
+import WebhookEndpoint, { WEBHOOK_EVENTS } from "../models/webhook.endpoint.model.js";
+import WebhookDelivery from "../models/webhook.delivery.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import { queueLogger } from "../utils/logger.js";
+
+// Job events (job.events.service.js) that are also sent as webhooks
+const JOB_WEBHOOK_EVENTS = {
+  "job:completed": "job.completed",
+  "job:failed": "job.failed",
+};
+
+const RESPONSE_BODY_LIMIT = 1024; // Characters of the response kept in the delivery log
+
+// Loopback, private and link-local ranges webhooks may not target
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 127], // :: and ::1
+  ["fc00::", 7],
+  ["fe80::", 10],
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, "ipv6"));
+
+const invalidUrl = (message) => {
+  const error = new Error(message);
+  error.code = "INVALID_WEBHOOK_URL";
+  return error;
+};
+
+/**
+ * Webhook Service
+ * Sends signed job, credit and payment events to user-registered endpoints.
+ *
+ * Each event creates one WebhookDelivery per subscribed endpoint and a job on
+ * the webhook-delivery Bull queue, which retries failed attempts with
+ * exponential backoff (WEBHOOK_MAX_ATTEMPTS). Requests carry
+ * `X-CypherRay-Signature: t=<unix>,v1=<hex>`, an HMAC-SHA256 of
+ * `<t>.<raw body>` keyed with the endpoint secret.
+ *
+ * Endpoints must resolve to public addresses (checked again at connect time,
+ * so DNS rebinding can't reach internal services) unless
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true, and use HTTPS unless WEBHOOK_ALLOW_HTTP=true.
+ */
+class WebhookService {
+  constructor() {
+    this.events = WEBHOOK_EVENTS;
+    this.timeoutMs = (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+    this.concurrency = parseInt(process.env.WEBHOOK_CONCURRENCY) || 5;
+    this.allowPrivateUrls = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+    this.allowHttp = process.env.WEBHOOK_ALLOW_HTTP === "true";
+
+    const lookup = this.guardedLookup.bind(this);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+  }
+
+  isBlockedAddress(address) {
+    if (this.allowPrivateUrls) return false;
+
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1)
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return blockedAddresses.check(mapped[1], "ipv4");
+
+    return blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+  }
+
+  /**
+   * dns.lookup that refuses blocked addresses - used by the delivery agents
+   */
+  guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address : [{ address }];
+      const blocked = addresses.find((entry) => this.isBlockedAddress(entry.address));
+      if (blocked) {
+        return callback(invalidUrl(`Webhook host resolves to a private address (${blocked.address})`));
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  /**
+   * Validate an endpoint URL (throws INVALID_WEBHOOK_URL)
+   * @param {String} url - Endpoint URL
+   */
+  async validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw invalidUrl("Webhook URL is not a valid URL");
+    }
+
+    const allowedProtocols = this.allowHttp ? ["https:", "http:"] : ["https:"];
+    if (!allowedProtocols.includes(parsed.protocol)) {
+      throw invalidUrl(`Webhook URL must use ${allowedProtocols.join(" or ")}`);
+    }
+    if (parsed.username || parsed.password) {
+      throw invalidUrl("Webhook URL must not contain credentials");
+    }
+
+    // IP literals never go through the agents' lookup
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+    let addresses;
+    if (net.isIP(hostname)) {
+      addresses = [hostname];
+    } else {
+      try {
+        addresses = (await dns.promises.lookup(hostname, { all: true })).map(
+          (entry) => entry.address
+        );
+      } catch (error) {
+        throw invalidUrl(`Webhook host ${hostname} could not be resolved`);
+      }
+    }
+
+    const blocked = addresses.find((address) => this.isBlockedAddress(address));
+    if (blocked) {
+      throw invalidUrl(`Webhook host resolves to a private address (${blocked})`);
+    }
+  }
+
+  /**
+   * HMAC-SHA256 signature header value
+   * @param {String} secret - Endpoint secret
+   * @param {Number} timestamp - Unix seconds
+   * @param {String} body - Raw request body
+   * @returns {String} t=<timestamp>,v1=<hex>
+   */
+  sign(secret, timestamp, body) {
+    const signature = crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Queue an event for every active endpoint subscribed to it
+   * Failures are logged, never thrown - webhooks must not break the caller.
+   * @param {String} userId - Account the event belongs to
+   * @param {String} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data
+   * @param {Object} options - { apiKeyId } also notifies endpoints scoped to that key
+   * @returns {Promise<Number>} Deliveries queued
+   */
+  async dispatch(userId, event, data, { apiKeyId = null } = {}) {
+    try {
+      const scopes = [{ apiKeyId: null }];
+      if (apiKeyId) scopes.push({ apiKeyId });
+
+      const endpoints = await WebhookEndpoint.find({
+        userId,
+        isActive: true,
+        events: event,
+        $or: scopes,
+      });
+      if (endpoints.length === 0) return 0;
+
+      const eventId = `evt_${crypto.randomUUID()}`;
+      const payload = {
+        id: eventId,
+        event,
+        createdAt: new Date().toISOString(),
+        data,
+      };
+
+      for (const endpoint of endpoints) {
+        const delivery = await WebhookDelivery.create({
+          endpointId: endpoint._id,
+          userId,
+          eventId,
+          event,
+          payload,
+        });
+        await this.enqueue(delivery);
+      }
+
+      queueLogger.info("Webhook event dispatched", {
+        userId: userId.toString(),
+        event,
+        eventId,
+        endpoints: endpoints.length,
+      });
+
+      return endpoints.length;
+    } catch (error) {
+      queueLogger.error("Webhook dispatch failed", {
+        userId: userId?.toString(),
+        event,
+        error: error.message,
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Send job.completed / job.failed for a job event (see job.events.service.js)
+   * @param {String} jobId - AnalysisJob ID
+   * @param {String} jobEvent - Socket event name (job:completed, job:failed)
+   * @param {Object} payload - Socket event payload
+   */
+  async dispatchJobEvent(jobId, jobEvent, payload) {
+    const event = JOB_WEBHOOK_EVENTS[jobEvent];
+    if (!event) return 0;
+
+    try {
+      const job = await AnalysisJob.findById(jobId).select(
+        "userId apiKeyId filename fileHash parentJobId archivePath completedAt"
+      );
+      if (!job) return 0;
+
+      const data = {
+        jobId: job._id.toString(),
+        status: payload.status,
+        filename: job.filename,
+        fileHash: job.fileHash,
+        parentJobId: job.parentJobId?.toString() || null,
+        archivePath: job.archivePath || null,
+        completedAt: job.completedAt || payload.timestamp,
+        resultsUrl: `/api/sdk/results/${job._id}`,
+      };
+
+      if (event === "job.completed") {
+        const assessment = payload.results?.vulnerability_assessment;
+        data.creditsCharged = payload.creditsCharged || 0;
+        data.summary = {
+          severity: assessment?.severity || null,
+          securityScore: assessment?.security_score ?? null,
+          algorithmsDetected: payload.results?.detected_algorithms?.length || 0,
+        };
+      } else {
+        data.error = payload.error || null;
+      }
+
+      return await this.dispatch(job.userId, event, data, { apiKeyId: job.apiKeyId });
+    } catch (error) {
+      queueLogger.error("Webhook job event dispatch failed", {
+        jobId: jobId?.toString(),
+        event,
+        error: error.message,
+      });
+      return 0;
+    }
+  }
+
+  async enqueue(delivery) {
+    await webhookQueue.add(
+      { deliveryId: delivery._id.toString() },
+      { jobId: delivery._id.toString() }
+    );
+  }
+
+  /**
+   * Attempt a delivery - throws on a retryable failure so Bull retries it
+   * @param {String} deliveryId - WebhookDelivery ID
+   * @param {Number} attempt - 1-based attempt number
+   * @param {Number} maxAttempts - Attempts configured on the queue job
+   * @returns {Promise<Object>} { status, responseStatus }
+   */
+  async deliver(deliveryId, attempt, maxAttempts) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status !== "pending") {
+      return { status: delivery?.status || "missing" };
+    }
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select("+secret");
+    const attemptedAt = new Date();
+    let response = null;
+    let errorMessage = null;
+    let retryable = true;
+
+    if (!endpoint || !endpoint.isActive) {
+      errorMessage = "Endpoint was deleted or disabled";
+      retryable = false;
+    } else {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+
+      try {
+        await this.validateUrl(endpoint.url);
+
+        response = await axios.post(endpoint.url, body, {
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "CypherRay-Webhooks/1.0",
+            "X-CypherRay-Event": delivery.event,
+            "X-CypherRay-Event-Id": delivery.eventId,
+            "X-CypherRay-Delivery": delivery._id.toString(),
+            "X-CypherRay-Signature": this.sign(endpoint.secret, timestamp, body),
+          },
+          timeout: this.timeoutMs,
+          maxRedirects: 0,
+          maxContentLength: 64 * 1024,
+          responseType: "text",
+          transformResponse: (data) => data,
+          validateStatus: () => true,
+          httpAgent: this.httpAgent,
+          httpsAgent: this.httpsAgent,
+        });
+      } catch (error) {
+        errorMessage = error.message;
+        retryable = error.code !== "INVALID_WEBHOOK_URL";
+      }
+    }
+
+    const succeeded = response && response.status >= 200 && response.status < 300;
+    if (response && !succeeded) {
+      errorMessage = `Endpoint responded with HTTP ${response.status}`;
+    }
+
+    const finalAttempt = succeeded || !retryable || attempt >= maxAttempts;
+    const status = succeeded ? "succeeded" : finalAttempt ? "failed" : "pending";
+
+    delivery.attempts += 1;
+    delivery.status = status;
+    delivery.lastAttempt = {
+      attemptedAt,
+      responseStatus: response?.status,
+      responseBody:
+        typeof response?.data === "string"
+          ? response.data.slice(0, RESPONSE_BODY_LIMIT)
+          : undefined,
+      durationMs: Date.now() - attemptedAt.getTime(),
+      error: errorMessage,
+    };
+    if (succeeded) delivery.deliveredAt = new Date();
+    await delivery.save();
+
+    if (endpoint && finalAttempt) {
+      await WebhookEndpoint.updateOne(
+        { _id: endpoint._id },
+        { $set: { lastDeliveryAt: attemptedAt, lastDeliveryStatus: status } }
+      );
+    }
+
+    if (!finalAttempt) {
+      throw new Error(`Webhook delivery failed: ${errorMessage}`);
+    }
+
+    if (!succeeded) {
+      queueLogger.warn("Webhook delivery gave up", {
+        deliveryId,
+        endpointId: delivery.endpointId.toString(),
+        event: delivery.event,
+        attempts: delivery.attempts,
+        error: errorMessage,
+      });
+    }
+
+    return { status, responseStatus: response?.status };
+  }
+
+  /**
+   * Manually send a logged delivery again (same event ID and payload)
+   * @param {Object} delivery - WebhookDelivery owned by the caller
+   * @returns {Promise<Object>} New WebhookDelivery
+   */
+  async redeliver(delivery) {
+    const redelivery = await WebhookDelivery.create({
+      endpointId: delivery.endpointId,
+      userId: delivery.userId,
+      eventId: delivery.eventId,
+      event: delivery.event,
+      payload: delivery.payload,
+      redeliveryOf: delivery._id,
+    });
+    await this.enqueue(redelivery);
+
+    return redelivery;
+  }
+
+  /**
+   * Register the webhook-delivery queue processor (called by initializeQueueWorkers)
+   */
+  registerWorker() {
+    webhookQueue.process(this.concurrency, async (job) =>
+      this.deliver(job.data.deliveryId, job.attemptsMade + 1, job.opts.attempts || 1)
+    );
+
+    queueLogger.info("Registered webhook delivery processor", {
+      concurrency: this.concurrency,
+    });
+  }
+}
+
+export default new WebhookService();
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import analysisService from "../services/analysis.service.js";
+
+// Sandbox report as dynamicAnalysisService.getReport() returns it
+const dynamicResults = (file = {}) => ({
+  taskId: 42,
+  report: {
+    malScore: 0,
+    riskLevel: "Clean",
+    signatures: [],
+    extractedKeys: [],
+    behavioralAnalysis: {},
+    screenshots: [],
+    target: { file: { type: "PE32+ executable", size: 1024, sha256: "abc", ...file } },
+  },
+});
+
+test("dynamic-only results don't guess the architecture", () => {
+  const results = analysisService.buildDynamicOnlyResults(dynamicResults());
+
+  assert.equal(results.file_metadata.file_type, "PE32+ executable");
+  assert.equal(results.file_metadata.architecture, undefined);
+
+  const reported = analysisService.buildDynamicOnlyResults(
+    dynamicResults({ architecture: "x86" })
+  );
+  assert.equal(reported.file_metadata.architecture, "x86");
+});
+
+test("another backend fills in the architecture the sandbox didn't report", () => {
+  const results = analysisService.mergeBackendResults(
+    analysisService.buildDynamicOnlyResults(dynamicResults()),
+    { file_metadata: { architecture: "ARM64" }, detected_algorithms: [] }
+  );
+
+  assert.equal(results.file_metadata.architecture, "ARM64");
+  assert.equal(results.file_metadata.sha256, "abc");
+});
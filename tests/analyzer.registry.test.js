@@ -0,0 +1,80 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import analyzerRegistry from "../services/analyzer.registry.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import { useMemoryModel, resetMemoryModels } from "./helpers/memory.model.js";
+
+useMemoryModel(AnalysisJob);
+
+const backend = (name) => ({
+  name,
+  stage: "static",
+  label: name,
+  provider: "test",
+  isAvailable: () => true,
+  analyze: async () => ({ output: {}, cost: 0 }),
+});
+
+analyzerRegistry.register(backend("zeta"));
+analyzerRegistry.register(backend("alpha"));
+analyzerRegistry.defaultBackends = ["zeta", "alpha"];
+
+const userId = new mongoose.Types.ObjectId();
+
+const completedJob = (fields) =>
+  AnalysisJob.create({
+    userId,
+    filename: "sample.bin",
+    fileSize: 1024,
+    fileHash: "abc",
+    status: "completed",
+    ...fields,
+  });
+
+const findDuplicate = (backends) =>
+  AnalysisJob.findOne({
+    userId,
+    fileHash: "abc",
+    ...analyzerRegistry.backendsFilter(backends),
+    status: "completed",
+  });
+
+beforeEach(resetMemoryModels);
+
+test("stores backend selections in one order", () => {
+  assert.deepEqual(analyzerRegistry.resolveBackends("zeta,alpha").backends, ["alpha", "zeta"]);
+  assert.deepEqual(analyzerRegistry.resolveBackends(["alpha", "zeta", "alpha"]).backends, [
+    "alpha",
+    "zeta",
+  ]);
+  assert.deepEqual(analyzerRegistry.resolveBackends(undefined).backends, ["alpha", "zeta"]);
+});
+
+test("rejects unknown backends", () => {
+  const result = analyzerRegistry.resolveBackends("alpha,nope");
+
+  assert.equal(result.valid, false);
+});
+
+test("deduplicates whatever order the backends were stored in", async () => {
+  const job = await completedJob({ backends: ["zeta", "alpha"] });
+
+  const duplicate = await findDuplicate(["alpha", "zeta"]);
+
+  assert.equal(String(duplicate?._id), String(job._id));
+});
+
+test("doesn't deduplicate against a different selection", async () => {
+  await completedJob({ backends: ["alpha", "zeta"] });
+
+  assert.equal(await findDuplicate(["alpha"]), null);
+  assert.equal(await findDuplicate(["alpha", "static"]), null);
+});
+
+test("jobs without stored backends ran the defaults", async () => {
+  const legacy = await completedJob({ backends: undefined });
+
+  assert.equal(String((await findDuplicate(["alpha", "zeta"]))?._id), String(legacy._id));
+  assert.equal(await findDuplicate(["alpha"]), null);
+});
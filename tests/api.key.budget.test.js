@@ -0,0 +1,167 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import PricingConfig from "../models/pricing.config.model.js";
+import ApiKey from "../models/api.key.model.js";
+import {
+  parseKeyLimits,
+  reserveKeyBudget,
+  adjustKeyBudget,
+  getCurrentSpend,
+  findOversizedFiles,
+  getKeysSpend,
+} from "../services/api.key.budget.service.js";
+import {
+  holdCreditsForJob,
+  settleJobCredits,
+  releaseJobCredits,
+} from "../services/credit.service.js";
+import { useMemoryModels, resetMemoryModels } from "./helpers/memory.model.js";
+import { createUser, reload, objectId } from "./helpers/fixtures.js";
+
+useMemoryModels(User, AnalysisJob, CreditTransaction, CreditLot, PricingConfig, ApiKey);
+
+const createKey = (limits = {}, spend = undefined) =>
+  ApiKey.create({
+    key: `cr_test_${objectId()}`,
+    userId: objectId(),
+    limits,
+    ...(spend && { spend }),
+  });
+
+const spendOf = async (apiKey) => getCurrentSpend(await reload(apiKey));
+
+beforeEach(resetMemoryModels);
+
+test("validates key limits", () => {
+  assert.deepEqual(parseKeyLimits(undefined), {});
+  assert.deepEqual(parseKeyLimits({ dailyCredits: 50, maxFileSizeMB: null }), {
+    dailyCredits: 50,
+    maxFileSizeMB: null,
+  });
+
+  for (const input of [[], "50", { hourlyCredits: 5 }, { dailyCredits: 0 }, { dailyCredits: "5" }]) {
+    assert.throws(() => parseKeyLimits(input), { code: "INVALID_KEY_LIMITS" });
+  }
+});
+
+test("reserves credits against every period", async () => {
+  const apiKey = await createKey({ dailyCredits: 50 });
+
+  const keyBudget = await reserveKeyBudget(apiKey._id, 20);
+  await reserveKeyBudget(apiKey._id, 30);
+
+  assert.equal(String(keyBudget.apiKeyId), String(apiKey._id));
+  assert.equal(keyBudget.day, new Date().toISOString().slice(0, 10));
+  assert.deepEqual(await spendOf(apiKey), { today: 50, thisMonth: 50, lifetime: 50 });
+});
+
+test("refuses a reservation over a cap", async () => {
+  const apiKey = await createKey({ dailyCredits: 100, monthlyCredits: 40 });
+  await reserveKeyBudget(apiKey._id, 30);
+
+  await assert.rejects(reserveKeyBudget(apiKey._id, 11), (error) => {
+    assert.equal(error.code, "API_KEY_BUDGET_EXCEEDED");
+    assert.equal(error.details.limit, "monthly");
+    assert.equal(error.details.cap, 40);
+    assert.equal(error.details.spent, 30);
+    assert.equal(error.details.required, 11);
+    assert.ok(error.details.resetsAt > new Date());
+    return true;
+  });
+  assert.deepEqual(await spendOf(apiKey), { today: 30, thisMonth: 30, lifetime: 30 });
+  assert.equal(await reserveKeyBudget(objectId(), 5), null);
+});
+
+test("starts the daily and monthly counters over in a new period", async () => {
+  const apiKey = await createKey(
+    { dailyCredits: 10, lifetimeCredits: 100 },
+    { day: "2000-01-01", dayCredits: 10, month: "2000-01", monthCredits: 10, lifetimeCredits: 95 }
+  );
+
+  await assert.rejects(reserveKeyBudget(apiKey._id, 6), { code: "API_KEY_BUDGET_EXCEEDED" });
+  await reserveKeyBudget(apiKey._id, 5);
+
+  assert.deepEqual(await spendOf(apiKey), { today: 5, thisMonth: 5, lifetime: 100 });
+});
+
+test("gives unused credits back only to the period they were reserved in", async () => {
+  const apiKey = await createKey();
+  const keyBudget = await reserveKeyBudget(apiKey._id, 20);
+
+  await adjustKeyBudget(keyBudget, -15);
+  assert.deepEqual(await spendOf(apiKey), { today: 5, thisMonth: 5, lifetime: 5 });
+
+  await adjustKeyBudget({ ...keyBudget, day: "2000-01-01", month: "2000-01" }, -5);
+  assert.deepEqual(await spendOf(apiKey), { today: 5, thisMonth: 5, lifetime: 0 });
+});
+
+test("settling or releasing a job gives the unused hold back to its key", async () => {
+  const user = await createUser(500);
+  const apiKey = await createKey({ dailyCredits: 400 });
+  const creditHold = await holdCreditsForJob(user._id, 1024, { tier: "tier1", apiKeyId: apiKey._id });
+  const job = await AnalysisJob.create({
+    userId: user._id,
+    apiKeyId: apiKey._id,
+    filename: "sample.bin",
+    fileHash: "0".repeat(64),
+    fileSize: 1024,
+    creditHold,
+  });
+  const other = await AnalysisJob.create({
+    userId: user._id,
+    apiKeyId: apiKey._id,
+    filename: "other.bin",
+    fileHash: "1".repeat(64),
+    fileSize: 1024,
+    creditHold: await holdCreditsForJob(user._id, 1024, { tier: "tier1", apiKeyId: apiKey._id }),
+  });
+
+  assert.equal((await spendOf(apiKey)).today, 2 * creditHold.amount);
+  const [spend] = (await getKeysSpend([await reload(apiKey)])).values();
+  assert.equal(spend.held, 2 * creditHold.amount);
+  assert.equal(spend.remaining.daily, 400 - 2 * creditHold.amount);
+
+  await settleJobCredits(job._id, 1);
+  await releaseJobCredits(other._id);
+
+  assert.deepEqual(await spendOf(apiKey), { today: 1, thisMonth: 1, lifetime: 1 });
+});
+
+test("a job over the key's cap holds nothing", async () => {
+  const user = await createUser(500);
+  const apiKey = await createKey({ lifetimeCredits: 1 });
+
+  await assert.rejects(
+    holdCreditsForJob(user._id, 1024, { tier: "tier1", apiKeyId: apiKey._id }),
+    { code: "API_KEY_BUDGET_EXCEEDED" }
+  );
+  assert.equal((await reload(user)).credits.held, 0);
+  assert.equal((await spendOf(apiKey)).lifetime, 0);
+});
+
+test("a job the balance can't cover gives its key reservation back", async () => {
+  const user = await createUser(0);
+  const apiKey = await createKey({ dailyCredits: 100 });
+
+  await assert.rejects(
+    holdCreditsForJob(user._id, 1024, { tier: "tier1", apiKeyId: apiKey._id }),
+    { code: "INSUFFICIENT_CREDITS" }
+  );
+  assert.deepEqual(await spendOf(apiKey), { today: 0, thisMonth: 0, lifetime: 0 });
+});
+
+test("finds files over the key's max size", async () => {
+  const files = [
+    { originalname: "small.bin", size: 1024 * 1024 },
+    { originalname: "large.bin", size: 3 * 1024 * 1024 },
+  ];
+
+  assert.deepEqual(findOversizedFiles({ limits: { maxFileSizeMB: 2 } }, files), [
+    { filename: "large.bin", size: 3 * 1024 * 1024 },
+  ]);
+  assert.deepEqual(findOversizedFiles({ limits: { maxFileSizeMB: null } }, files), []);
+});
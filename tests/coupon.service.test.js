@@ -0,0 +1,254 @@
+import "./helpers/env.js";
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import Payment from "../models/payment.model.js";
+import Coupon from "../models/coupon.model.js";
+import CouponRedemption from "../models/coupon.redemption.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import couponService from "../services/coupon.service.js";
+import paymentService from "../services/payment.service.js";
+import invoiceService from "../services/invoice.service.js";
+import {
+  useMemoryModels,
+  resetMemoryModels,
+  storedDocs,
+  failingQuery,
+} from "./helpers/memory.model.js";
+import { createUser, reload, objectId } from "./helpers/fixtures.js";
+
+useMemoryModels(User, Payment, Coupon, CouponRedemption, CreditTransaction, CreditLot);
+
+// Success emails and invoices aren't under test
+mock.method(invoiceService, "issueInvoice", async () => {
+  throw new Error("Invoices not under test");
+});
+mock.method(globalThis, "fetch", async () => Response.json({ id: "email_test" }));
+
+const PLAN = { planId: "starter", name: "Starter", amount: 50000, currency: "INR", credits: 100 };
+
+const createCoupon = (fields = {}) =>
+  couponService.createCoupon({
+    code: "WELCOME",
+    discountType: "percentage",
+    discountValue: 10,
+    ...fields,
+  });
+
+const reserve = (user, code = "WELCOME", paymentId = objectId()) =>
+  couponService.reserve({ code, userId: user._id, plan: PLAN, paymentId });
+
+/**
+ * Unpaid order with a reserved promo code, like create-order makes
+ */
+const createOrder = async (user, code = "WELCOME") => {
+  const paymentId = objectId();
+  const { redemption } = await reserve(user, code, paymentId);
+
+  return Payment.create({
+    _id: paymentId,
+    userId: user._id,
+    razorpayOrderId: `order_${paymentId}`,
+    planId: PLAN.planId,
+    planName: PLAN.name,
+    creditsAmount: PLAN.credits,
+    amount: redemption.amount,
+    coupon: {
+      couponId: redemption.couponId,
+      redemptionId: redemption._id,
+      code: redemption.code,
+      bonusCredits: redemption.bonusCredits,
+    },
+  });
+};
+
+const bonusEntries = () => storedDocs(CreditTransaction).filter((entry) => entry.type === "bonus");
+
+// Balance changes go through User.findOneAndUpdate - fail the given call
+const failBalanceChange = (t, call = 0) =>
+  t.mock
+    .method(User, "findOneAndUpdate")
+    .mock.mockImplementationOnce(() => failingQuery(new Error("connection reset")), call);
+
+beforeEach(resetMemoryModels);
+
+test("prices an order with the coupon", async () => {
+  await createCoupon({ maxDiscount: 3000, bonusCredits: 20 });
+  const user = await createUser(0);
+
+  const { coupon, redemption } = await reserve(user, " welcome ");
+
+  assert.equal(coupon.redemptionCount, 1);
+  assert.equal(redemption.status, "reserved");
+  assert.equal(redemption.slot, 1);
+  assert.deepEqual(
+    [
+      redemption.originalAmount,
+      redemption.discountAmount,
+      redemption.amount,
+      redemption.bonusCredits,
+    ],
+    [50000, 3000, 47000, 20]
+  );
+});
+
+test("concurrent orders can't go over the per-user limit", async () => {
+  await createCoupon({ maxRedemptionsPerUser: 2, maxRedemptions: 10 });
+  const user = await createUser(0);
+
+  const results = await Promise.allSettled([reserve(user), reserve(user), reserve(user)]);
+
+  assert.equal(results.filter((result) => result.status === "fulfilled").length, 2);
+  const [rejected] = results.filter((result) => result.status === "rejected");
+  assert.equal(rejected.reason.code, "COUPON_LIMIT_REACHED");
+  // The global use claimed for the refused order was given back
+  assert.equal((await Coupon.findOne({ code: "WELCOME" })).redemptionCount, 2);
+  assert.deepEqual(
+    storedDocs(CouponRedemption).map((redemption) => redemption.slot).sort(),
+    [1, 2]
+  );
+});
+
+test("a released use frees the user's slot", async () => {
+  await createCoupon();
+  const user = await createUser(0);
+  const { redemption } = await reserve(user);
+
+  await assert.rejects(reserve(user), { code: "COUPON_LIMIT_REACHED" });
+  assert.equal(await couponService.releaseRedemption(redemption._id, "Order not paid"), true);
+  assert.equal((await reload(redemption)).slot, undefined);
+
+  await reserve(user);
+  assert.equal((await Coupon.findOne({ code: "WELCOME" })).redemptionCount, 1);
+});
+
+test("stops at the global limit", async () => {
+  await createCoupon({ maxRedemptions: 1, maxRedemptionsPerUser: null });
+  const [first, second] = [await createUser(0), await createUser(0)];
+
+  const { redemption } = await reserve(first);
+  await assert.rejects(reserve(second), { code: "COUPON_LIMIT_REACHED" });
+
+  assert.equal(redemption.slot, undefined);
+  assert.equal((await Coupon.findOne({ code: "WELCOME" })).redemptionCount, 1);
+});
+
+test("redeems once and adds the bonus once", async () => {
+  await createCoupon({ discountType: "none", discountValue: 0, bonusCredits: 25 });
+  const user = await createUser(0);
+  const payment = await createOrder(user);
+
+  const redemption = await couponService.redeem(payment);
+  await couponService.redeem(payment);
+
+  assert.equal(redemption.status, "redeemed");
+  assert.ok(redemption.bonusTransactionId);
+  assert.equal(bonusEntries().length, 1);
+  assert.equal((await reload(user)).credits.remaining, 25);
+  assert.equal(await couponService.getGrantedBonus(payment), 25);
+});
+
+test("a bonus that failed stays pending and is added by the next call", async (t) => {
+  await createCoupon({ discountType: "none", discountValue: 0, bonusCredits: 25 });
+  const user = await createUser(0);
+  const payment = await createOrder(user);
+  failBalanceChange(t);
+
+  await assert.rejects(couponService.redeem(payment), /connection reset/);
+
+  const pending = await CouponRedemption.findById(payment.coupon.redemptionId);
+  assert.equal(pending.status, "redeemed");
+  assert.equal(pending.bonusTransactionId, undefined);
+  assert.equal((await reload(payment)).bonusCreditsAdded, false);
+  assert.equal(await couponService.getGrantedBonus(payment), 0);
+
+  const redemption = await couponService.redeem(payment);
+
+  assert.ok(redemption.bonusTransactionId);
+  assert.equal(bonusEntries().length, 1);
+  assert.equal((await reload(user)).credits.remaining, 25);
+  assert.equal((await Coupon.findOne({ code: "WELCOME" })).redemptionCount, 1);
+});
+
+test("a bonus added but not recorded isn't added again", async () => {
+  await createCoupon({ discountType: "none", discountValue: 0, bonusCredits: 25 });
+  const user = await createUser(0);
+  const payment = await createOrder(user);
+  await couponService.redeem(payment);
+  // Lost the write that records the bonus transaction
+  await CouponRedemption.updateOne(
+    { _id: payment.coupon.redemptionId },
+    { $unset: { bonusTransactionId: "" } }
+  );
+
+  const redemption = await couponService.redeem(payment);
+
+  assert.equal(String(redemption.bonusTransactionId), String(bonusEntries()[0]._id));
+  assert.equal(bonusEntries().length, 1);
+  assert.equal((await reload(user)).credits.remaining, 25);
+});
+
+test("the next report of a completed payment retries its bonus", async (t) => {
+  await createCoupon({ bonusCredits: 25 });
+  const user = await createUser(0);
+  const payment = await createOrder(user);
+  failBalanceChange(t, 1); // The purchased credits are the first
+
+  const first = await paymentService.completePayment(payment, { razorpayPaymentId: "pay_1" });
+  assert.deepEqual([first.credited, first.bonusCredits], [true, 0]);
+  assert.equal((await reload(user)).credits.remaining, 100);
+
+  const retried = await paymentService.completePayment(await reload(payment), {
+    razorpayPaymentId: "pay_1",
+  });
+  assert.deepEqual([retried.credited, retried.bonusCredits], [false, 25]);
+  assert.equal((await reload(user)).credits.remaining, 125);
+
+  const again = await paymentService.completePayment(await reload(payment));
+  assert.equal(again.bonusCredits, 25);
+  assert.equal(bonusEntries().length, 1);
+});
+
+test("an order paid after its use was released takes a use again", async () => {
+  await createCoupon({ maxRedemptions: 2 });
+  const user = await createUser(0);
+  const payment = await createOrder(user);
+  await couponService.release(payment, "Order not paid");
+
+  const redemption = await couponService.redeem(payment);
+
+  assert.equal(redemption.status, "redeemed");
+  const stored = await CouponRedemption.findById(payment.coupon.redemptionId);
+  assert.deepEqual([stored.slot, stored.overLimit], [1, false]);
+  assert.equal((await Coupon.findOne({ code: "WELCOME" })).redemptionCount, 1);
+});
+
+test("a released use paid with the coupon at its limit is flagged, not counted", async () => {
+  await createCoupon({ maxRedemptions: 1, maxRedemptionsPerUser: null });
+  const [first, second] = [await createUser(0), await createUser(0)];
+  const payment = await createOrder(first);
+  await couponService.release(payment, "Order not paid");
+  await reserve(second); // Takes the only use meanwhile
+
+  await couponService.redeem(payment);
+
+  const stored = await CouponRedemption.findById(payment.coupon.redemptionId);
+  assert.equal(stored.status, "redeemed");
+  assert.equal(stored.overLimit, true);
+  assert.equal((await Coupon.findOne({ code: "WELCOME" })).redemptionCount, 1);
+});
+
+test("a released use paid after the user took their slot again is flagged", async () => {
+  await createCoupon({ maxRedemptions: 10 });
+  const user = await createUser(0);
+  const payment = await createOrder(user);
+  await couponService.release(payment, "Order not paid");
+  await reserve(user); // A new order takes the user's only slot
+
+  await couponService.redeem(payment);
+
+  const stored = await CouponRedemption.findById(payment.coupon.redemptionId);
+  assert.deepEqual([stored.slot, stored.overLimit], [undefined, true]);
+  assert.equal((await Coupon.findOne({ code: "WELCOME" })).redemptionCount, 1);
+});
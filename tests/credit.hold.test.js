@@ -0,0 +1,130 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import PricingConfig from "../models/pricing.config.model.js";
+import {
+  holdCredits,
+  holdCreditsForJob,
+  settleJobCredits,
+  releaseJobCredits,
+  getActiveHolds,
+} from "../services/credit.service.js";
+import { calculateCreditHold, DEFAULT_PRICING } from "../services/credit.calculator.js";
+import { useMemoryModels, resetMemoryModels, storedDocs } from "./helpers/memory.model.js";
+import { createUser, createHeldJob, reload } from "./helpers/fixtures.js";
+
+useMemoryModels(User, AnalysisJob, CreditTransaction, CreditLot, PricingConfig);
+
+const credits = async (user) => (await reload(user)).credits.toObject();
+
+beforeEach(resetMemoryModels);
+
+test("holds credits only when the available balance covers them", async () => {
+  const user = await createUser(10);
+
+  assert.deepEqual(await holdCredits(user._id, 8).then((held) => held.toObject()), {
+    total: 10,
+    used: 0,
+    remaining: 2,
+    held: 8,
+  });
+  assert.equal(await holdCredits(user._id, 3), null);
+  assert.deepEqual(await credits(user), { total: 10, used: 0, remaining: 2, held: 8 });
+});
+
+test("holds the worst-case cost of a job", async () => {
+  const user = await createUser(500);
+  const { total } = calculateCreditHold(2 * 1024 * 1024, { pricing: DEFAULT_PRICING, tier: "tier1" });
+
+  const creditHold = await holdCreditsForJob(user._id, 2 * 1024 * 1024, { tier: "tier1" });
+
+  assert.equal(creditHold.amount, total);
+  assert.equal(creditHold.status, "held");
+  assert.equal(creditHold.pricingVersion, DEFAULT_PRICING.version);
+  assert.equal((await credits(user)).held, total);
+});
+
+test("refuses a job hold the balance can't cover", async () => {
+  const user = await createUser(1);
+
+  await assert.rejects(holdCreditsForJob(user._id, 50 * 1024 * 1024, { tier: "tier1" }), (error) => {
+    assert.equal(error.code, "INSUFFICIENT_CREDITS");
+    assert.equal(error.details.available, 1);
+    assert.ok(error.details.required > 1);
+    return true;
+  });
+  assert.deepEqual(await credits(user), { total: 1, used: 0, remaining: 1, held: 0 });
+});
+
+test("settles a hold to the actual charge and returns the rest", async () => {
+  const user = await createUser(50);
+  const job = await createHeldJob(user, 20);
+
+  assert.equal(await settleJobCredits(job._id, 6, { description: "SDK Binary Analysis" }), 6);
+
+  assert.deepEqual(await credits(user), { total: 50, used: 6, remaining: 44, held: 0 });
+
+  const { creditHold } = await reload(job);
+  assert.equal(creditHold.status, "settled");
+  assert.equal(creditHold.charged, 6);
+
+  const [debit] = storedDocs(CreditTransaction);
+  assert.equal(debit.type, "debit");
+  assert.equal(debit.amount, 6);
+  assert.equal(debit.jobId, job._id.toString());
+});
+
+test("never charges a resolved hold twice", async () => {
+  const user = await createUser(50);
+  const job = await createHeldJob(user, 20);
+
+  await settleJobCredits(job._id, 6);
+  assert.equal(await settleJobCredits(job._id, 6), 0);
+  assert.equal(await releaseJobCredits(job._id), 0);
+
+  assert.deepEqual(await credits(user), { total: 50, used: 6, remaining: 44, held: 0 });
+  assert.equal(storedDocs(CreditTransaction).length, 1);
+});
+
+test("a zero charge releases the hold without a ledger entry", async () => {
+  const user = await createUser(50);
+  const job = await createHeldJob(user, 20);
+
+  assert.equal(await settleJobCredits(job._id, 0), 0);
+
+  assert.equal((await reload(job)).creditHold.status, "released");
+  assert.deepEqual(await credits(user), { total: 50, used: 0, remaining: 50, held: 0 });
+  assert.equal(storedDocs(CreditTransaction).length, 0);
+});
+
+test("releases the hold of a failed job", async () => {
+  const user = await createUser(50);
+  const job = await createHeldJob(user, 20);
+  const other = await createHeldJob(user, 5);
+
+  assert.equal(await releaseJobCredits(job._id, "analysis failed"), 20);
+
+  assert.deepEqual(await credits(user), { total: 50, used: 0, remaining: 45, held: 5 });
+  assert.deepEqual(
+    (await getActiveHolds(user._id)).map((hold) => [String(hold.jobId), hold.amount]),
+    [[String(other._id), 5]]
+  );
+});
+
+test("charges jobs queued before holds existed post-hoc", async () => {
+  const user = await createUser(50);
+  const legacy = await AnalysisJob.create({
+    userId: user._id,
+    filename: "sample.bin",
+    fileHash: "0".repeat(64),
+    fileSize: 1024,
+    status: "processing",
+  });
+
+  assert.equal(await settleJobCredits(legacy._id, 4), 4);
+
+  assert.deepEqual(await credits(user), { total: 50, used: 4, remaining: 46, held: 0 });
+});
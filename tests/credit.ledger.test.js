@@ -0,0 +1,188 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import Organization from "../models/organization.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import redisClient from "../config/redis.js";
+import reconciliationService from "../services/credit.reconciliation.js";
+import {
+  recordOpeningCredits,
+  settleJobCredits,
+  releaseJobCredits,
+  deductCreditsForSDK,
+  setCredits,
+  grantCredits,
+  expireCreditLot,
+} from "../services/credit.service.js";
+import { useMemoryModels, resetMemoryModels, storedDocs } from "./helpers/memory.model.js";
+import { createUser, createHeldJob, reload } from "./helpers/fixtures.js";
+
+useMemoryModels(User, Organization, AnalysisJob, CreditTransaction, CreditLot);
+
+// Reconciliation lock kept in memory
+const locks = new Map();
+mock.method(redisClient, "set", async (key, value) => {
+  if (locks.has(key)) return null;
+  locks.set(key, value);
+  return "OK";
+});
+mock.method(redisClient, "get", async (key) => locks.get(key) ?? null);
+mock.method(redisClient, "del", async (key) => Number(locks.delete(key)));
+
+reconciliationService.recheckDelayMs = 0;
+
+/**
+ * User with an opening ledger entry for their balance
+ */
+const ledgeredUser = async (remaining) => {
+  const user = await createUser(remaining);
+  await recordOpeningCredits(user._id, remaining);
+  return user;
+};
+
+const balances = () =>
+  storedDocs(CreditTransaction).map((entry) => [entry.type, entry.balanceBefore, entry.balanceAfter]);
+
+beforeEach(() => {
+  resetMemoryModels();
+  locks.clear();
+});
+
+test("entries record remaining + held while several holds are open", async () => {
+  const user = await ledgeredUser(100);
+  const first = await createHeldJob(user, 20);
+  const second = await createHeldJob(user, 30);
+
+  await settleJobCredits(first._id, 5);
+  await settleJobCredits(second._id, 10);
+
+  assert.deepEqual(balances(), [
+    ["bonus", 0, 100],
+    ["debit", 100, 95],
+    ["debit", 95, 85],
+  ]);
+  assert.deepEqual((await reload(user)).credits.toObject(), {
+    total: 100,
+    used: 15,
+    remaining: 85,
+    held: 0,
+  });
+});
+
+test("the ledger adds up while jobs hold credits", async () => {
+  const user = await ledgeredUser(100);
+  const settled = await createHeldJob(user, 20);
+  await createHeldJob(user, 30);
+  await settleJobCredits(settled._id, 5);
+
+  const { balance, entries } = await reconciliationService.computeLedgerBalance(user._id);
+  const { credits } = await reload(user);
+
+  assert.equal(entries, 2);
+  assert.equal(balance, 95);
+  assert.equal(credits.remaining + credits.held, balance);
+  assert.equal(await reconciliationService.computeActiveHolds(user._id), 30);
+  assert.equal(await reconciliationService.checkAccount(user._id), null);
+});
+
+test("admin sets and expiring credits keep held credits in the ledger", async () => {
+  const user = await ledgeredUser(0);
+  const { lot } = await grantCredits(user._id, 40, { expiresAt: new Date() });
+  const job = await createHeldJob(user, 25);
+
+  assert.equal(await expireCreditLot(lot._id), 15);
+  await setCredits(user._id, 60);
+  await releaseJobCredits(job._id);
+
+  assert.deepEqual(balances(), [
+    ["bonus", 0, 0],
+    ["grant", 0, 40],
+    ["expiry", 40, 25],
+    ["adjustment", 25, 60],
+  ]);
+  assert.deepEqual((await reload(user)).credits.toObject(), {
+    total: 60,
+    used: 0,
+    remaining: 60,
+    held: 0,
+  });
+  assert.equal(await reconciliationService.checkAccount(user._id), null);
+});
+
+test("reports and repairs balance and hold drift", async () => {
+  const user = await ledgeredUser(100);
+  await createHeldJob(user, 20);
+  await User.updateOne(
+    { _id: user._id },
+    { $inc: { "credits.remaining": 7, "credits.held": 5 } }
+  );
+
+  const drift = await reconciliationService.checkAccount(user._id);
+  assert.equal(drift.balanceDrift, 12);
+  assert.equal(drift.heldDrift, 5);
+  assert.equal(drift.ledgerBalance, 100);
+  assert.equal(drift.activeHolds, 20);
+
+  assert.equal(await reconciliationService.repairAccount(drift), true);
+  const { credits } = await reload(user);
+  assert.equal(credits.remaining, 80);
+  assert.equal(credits.held, 20);
+  assert.equal(await reconciliationService.checkAccount(user._id), null);
+});
+
+test("runs once at a time and only repairs when asked", async () => {
+  const consistent = await ledgeredUser(50);
+  const drifted = await ledgeredUser(50);
+  await User.updateOne({ _id: drifted._id }, { $inc: { "credits.remaining": -3 } });
+  await createUser(10); // No ledger entries - nothing to reconcile
+
+  locks.set("credit-reconciliation:lock", "other-node");
+  assert.equal(await reconciliationService.runReconciliation(), null);
+  locks.clear();
+
+  const report = await reconciliationService.runReconciliation();
+  assert.equal(report.checked, 3);
+  assert.equal(report.drifted, 1);
+  assert.equal(report.repaired, 0);
+  assert.equal(report.users[0].userId, drifted._id.toString());
+  assert.equal(locks.size, 0);
+
+  const repair = await reconciliationService.runReconciliation({
+    repair: true,
+    userId: drifted._id,
+  });
+  assert.equal(repair.checked, 1);
+  assert.equal(repair.repaired, 1);
+  assert.equal((await reload(drifted)).credits.remaining, 50);
+  assert.equal((await reload(consistent)).credits.remaining, 50);
+});
+
+test("jobs without a hold can't overdraw the balance", async () => {
+  const user = await ledgeredUser(5);
+
+  await assert.rejects(deductCreditsForSDK(user._id, 8, "job-1"), (error) => {
+    assert.equal(error.code, "INSUFFICIENT_CREDITS");
+    return true;
+  });
+  assert.equal((await reload(user)).credits.remaining, 5);
+  assert.equal(storedDocs(CreditTransaction).length, 1);
+
+  await deductCreditsForSDK(user._id, 5, "job-2");
+  assert.equal((await reload(user)).credits.remaining, 0);
+  assert.deepEqual(balances().at(-1), ["debit", 5, 0]);
+});
+
+test("held credits can't be charged to a job without a hold", async () => {
+  const user = await ledgeredUser(10);
+  await createHeldJob(user, 8);
+
+  await assert.rejects(deductCreditsForSDK(user._id, 5, "job-1"), /Insufficient credits/);
+  assert.deepEqual((await reload(user)).credits.toObject(), {
+    total: 10,
+    used: 0,
+    remaining: 2,
+    held: 8,
+  });
+});
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import cryptoScannerService from "../services/crypto.scanner.service.js";
+import { CRYPTO_SIGNATURES } from "../utils/crypto.signatures.js";
+
+const signature = (id) => CRYPTO_SIGNATURES.find((entry) => entry.id === id);
+
+const words = (values, byteOrder) =>
+  cryptoScannerService.encodeWords(values, 4, byteOrder);
+
+// Zero padding around the planted constants (matches no signature)
+const plant = (parts) => Buffer.concat(parts.flatMap((part) => [Buffer.alloc(64), part]));
+
+const detected = (buffer, sections) =>
+  Object.fromEntries(
+    cryptoScannerService.scanBuffer(buffer, sections).map((entry) => [entry.algorithm_name, entry])
+  );
+
+test("finds nothing in a buffer without crypto constants", () => {
+  assert.deepEqual(cryptoScannerService.scanBuffer(Buffer.alloc(4096)), []);
+});
+
+test("detects the AES S-box and labels its section", () => {
+  const buffer = plant([Buffer.from(signature("aes-sbox").values)]);
+  const sections = [{ name: ".rodata", offset: 32, size: 1024 }];
+
+  const { AES } = detected(buffer, sections);
+
+  assert.equal(AES.algorithm_class, "block_cipher");
+  assert.equal(AES.confidence_score, 0.95);
+  assert.deepEqual(AES.locations, ["0x40 (.rodata)"]);
+  assert.match(AES.evidence[0], /AES forward S-box \(256 bytes, full table\)/);
+});
+
+test("matches word tables in either byte order", () => {
+  const k = signature("sha256-k").values;
+  const buffer = plant([words(k, "big-endian")]);
+
+  const entry = detected(buffer)["SHA-256"];
+
+  assert.match(entry.evidence[0], /full table\) \[big-endian\]/);
+  assert.equal(entry.confidence_score, 0.95);
+});
+
+test("lowers confidence when only a table prefix matches", () => {
+  const k = signature("sha256-k").values;
+  const prefix = words(k.slice(0, 16), "little-endian");
+
+  const entry = detected(plant([prefix]))["SHA-256"];
+
+  assert.match(entry.evidence[0], /table prefix/);
+  assert.equal(entry.confidence_score, Math.round(0.95 * 0.85 * 100) / 100);
+});
+
+test("combines independent evidence for one algorithm", () => {
+  const buffer = plant([
+    words(signature("sha256-k").values, "little-endian"),
+    words(signature("sha256-iv").values, "little-endian"),
+  ]);
+
+  const entry = detected(buffer)["SHA-256"];
+
+  assert.equal(entry.evidence.length, 2);
+  assert.equal(entry.confidence_score, 0.99);
+  assert.equal(entry.structural_signature, "round-constants, initialization-vector");
+});
+
+test("requires every scattered constant", () => {
+  const [first, second, third, fourth] = signature("sha1-k").values;
+  const some = plant([words([first], "little-endian"), words([second, third], "little-endian")]);
+  const all = plant([words([first, second], "little-endian"), words([third, fourth], "little-endian")]);
+
+  assert.equal(detected(some)["SHA-1"], undefined);
+  assert.match(detected(all)["SHA-1"].evidence[0], /4 constants/);
+});
+
+test("matches curve parameters stored little-endian", () => {
+  const prime = Buffer.from(signature("secp256k1-prime").value).reverse();
+
+  const entry = detected(plant([prime]))["ECC secp256k1"];
+
+  assert.equal(entry.algorithm_class, "public_key");
+  assert.match(entry.evidence[0], /\[little-endian\]/);
+});
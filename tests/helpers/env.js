@@ -0,0 +1,6 @@
+/**
+ * Settings services read when they are imported - import this module first
+ */
+process.env.RESEND_API_KEY ||= "re_test";
+process.env.RAZORPAY_KEY_SECRET ||= "key_secret";
+process.env.RAZORPAY_WEBHOOK_SECRET ||= "webhook_secret";
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import User from "../../models/user.model.js";
+import AnalysisJob from "../../models/analysis.job.model.js";
+import { holdCredits } from "../../services/credit.service.js";
+import { DEFAULT_PRICING } from "../../services/credit.calculator.js";
+
+/**
+ * Test data shared by the credit and billing tests (models must be in memory)
+ */
+
+let sequence = 0;
+
+/**
+ * Create a user with an available balance
+ * @param {Number} remaining - Available credits
+ * @param {Object} fields - Other user fields
+ */
+export const createUser = (remaining = 0, fields = {}) => {
+  sequence++;
+  return User.create({
+    username: `user${sequence}`,
+    email: `user${sequence}@example.com`,
+    password: "not-a-real-hash",
+    credits: { total: remaining, used: 0, remaining, held: 0 },
+    ...fields,
+  });
+};
+
+/**
+ * Create a queued job holding credits, like the upload endpoints do
+ * @param {Object} user - User document
+ * @param {Number} amount - Credits held
+ * @param {Object} fields - { organizationId, ... } other job fields
+ */
+export const createHeldJob = async (user, amount, fields = {}) => {
+  const organizationId = fields.organizationId || null;
+  const credits = await holdCredits(user._id, amount, organizationId);
+  if (!credits) throw new Error("Test user can't cover the hold");
+
+  return AnalysisJob.create({
+    userId: user._id,
+    filename: "sample.bin",
+    fileHash: "0".repeat(64),
+    fileSize: 1024,
+    tier: "tier1",
+    status: "queued",
+    creditHold: {
+      amount,
+      status: "held",
+      pricingVersion: DEFAULT_PRICING.version,
+      ...(organizationId && { organizationId }),
+      heldAt: new Date(),
+    },
+    ...fields,
+  });
+};
+
+/**
+ * Reload a document from its (in-memory) collection
+ */
+export const reload = (doc) => doc.constructor.findById(doc._id);
+
+export const objectId = () => new mongoose.Types.ObjectId();
@@ -0,0 +1,606 @@
+import sift from "sift";
+import mongoose from "mongoose";
+
+/**
+ * In-memory stand-in for Mongoose models
+ * Replaces a model's query statics with versions that work on documents kept
+ * in memory, so services can be tested without MongoDB. Supports the subset
+ * of queries, update operators and aggregation stages the services use;
+ * anything else throws, so a test never passes on an operator it ignored.
+ */
+
+const stores = new Map();
+
+// Plain, comparable form of a value (ObjectIds as strings, dates as ISO strings)
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof RegExp) return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value.toObject === "function") return normalize(value.toObject());
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => [key, normalize(item)])
+    );
+  }
+  return value;
+};
+
+const plain = (doc) => doc.toObject({ depopulate: true });
+
+const getPath = (object, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => key.startsWith("$"));
+
+const duplicateKeyError = (Model, fields) => {
+  const error = new Error(`E11000 duplicate key error collection: ${Model.modelName} ${fields.join(", ")}`);
+  error.code = 11000;
+  error.keyPattern = Object.fromEntries(fields.map((field) => [field, 1]));
+  return error;
+};
+
+/**
+ * Aggregation expression (update pipelines, $group accumulators)
+ */
+const evaluate = (expression, doc) => {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    return getPath(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) return expression.map((item) => evaluate(item, doc));
+  if (!isOperatorObject(expression)) {
+    if (expression === null || typeof expression !== "object" || expression instanceof Date) {
+      return expression;
+    }
+    if (expression instanceof mongoose.Types.ObjectId) return expression;
+    return Object.fromEntries(
+      Object.entries(expression).map(([key, value]) => [key, evaluate(value, doc)])
+    );
+  }
+
+  const [[operator, argument]] = Object.entries(expression);
+  const args = () => (Array.isArray(argument) ? argument : [argument]).map((a) => evaluate(a, doc));
+  const compare = (a, b) => {
+    const [x, y] = [normalize(a), normalize(b)];
+    return x < y ? -1 : x > y ? 1 : 0;
+  };
+
+  switch (operator) {
+    case "$literal":
+      return argument;
+    case "$add":
+      return args().reduce((sum, value) => sum + (value || 0), 0);
+    case "$subtract": {
+      const [a, b] = args();
+      return (a || 0) - (b || 0);
+    }
+    case "$multiply":
+      return args().reduce((product, value) => product * value, 1);
+    case "$max":
+      return Math.max(...args().filter((value) => value != null));
+    case "$min":
+      return Math.min(...args().filter((value) => value != null));
+    case "$ifNull": {
+      const values = args();
+      return values.find((value) => value != null) ?? values[values.length - 1];
+    }
+    case "$cond": {
+      const [condition, then, otherwise] = Array.isArray(argument)
+        ? argument
+        : [argument.if, argument.then, argument.else];
+      return evaluate(condition, doc) ? evaluate(then, doc) : evaluate(otherwise, doc);
+    }
+    case "$eq":
+      return compare(...args()) === 0;
+    case "$ne":
+      return compare(...args()) !== 0;
+    case "$gt":
+      return compare(...args()) > 0;
+    case "$gte":
+      return compare(...args()) >= 0;
+    case "$lt":
+      return compare(...args()) < 0;
+    case "$lte":
+      return compare(...args()) <= 0;
+    case "$and":
+      return args().every(Boolean);
+    case "$or":
+      return args().some(Boolean);
+    case "$size":
+      return (evaluate(argument, doc) || []).length;
+    default:
+      throw new Error(`memory model: unsupported expression ${operator}`);
+  }
+};
+
+/**
+ * Query filter matcher ($expr is evaluated like pipeline updates)
+ */
+const operations = {
+  $expr: (expression, ownerQuery, options) =>
+    sift.createEqualsOperation((object) => Boolean(evaluate(expression, object)), ownerQuery, options),
+};
+
+const matcher = (filter = {}) => {
+  const test = sift(normalize(filter), { operations });
+  return (doc) => test(normalize(plain(doc)));
+};
+
+/**
+ * Index of the array element a filter matched (positional $ updates)
+ */
+const positionalIndex = (doc, arrayPath, filter = {}) => {
+  const conditions = {};
+  for (const [path, condition] of Object.entries(filter)) {
+    if (path === arrayPath && condition?.$elemMatch) Object.assign(conditions, condition.$elemMatch);
+    else if (path.startsWith(`${arrayPath}.`)) conditions[path.slice(arrayPath.length + 1)] = condition;
+  }
+
+  const matches = sift(normalize(conditions));
+  return (doc.get(arrayPath) || []).findIndex((item) =>
+    matches(normalize(item?.toObject ? item.toObject() : item))
+  );
+};
+
+class MemoryStore {
+  constructor(Model) {
+    this.Model = Model;
+    this.docs = [];
+    this.uniqueIndexes = [
+      { fields: ["_id"] },
+      ...Model.schema
+        .indexes()
+        .filter(([, options]) => options?.unique)
+        .map(([fields, options]) => ({
+          fields: Object.keys(fields),
+          partial: options.partialFilterExpression && matcher(options.partialFilterExpression),
+          sparse: Boolean(options.sparse),
+        })),
+    ];
+  }
+
+  find(filter) {
+    const matches = matcher(filter);
+    return this.docs.filter((doc) => matches(doc));
+  }
+
+  checkUnique(doc) {
+    for (const index of this.uniqueIndexes) {
+      if (index.partial && !index.partial(doc)) continue;
+
+      const key = index.fields.map((field) => normalize(doc.get(field)));
+      if (index.sparse && key.every((value) => value === null)) continue;
+
+      const clash = this.docs.some(
+        (other) =>
+          other !== doc &&
+          (!index.partial || index.partial(other)) &&
+          index.fields.every((field, i) => JSON.stringify(normalize(other.get(field))) === JSON.stringify(key[i]))
+      );
+      if (clash) throw duplicateKeyError(this.Model, index.fields);
+    }
+  }
+
+  insert(data) {
+    const doc = data instanceof this.Model ? new this.Model(plain(data)) : new this.Model(data);
+    const invalid = doc.validateSync();
+    if (invalid) throw invalid;
+
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  // A copy callers can change without touching the stored document
+  copy(doc) {
+    return doc ? this.Model.hydrate(plain(doc)) : null;
+  }
+
+  applyUpdate(doc, update, { inserted = false, filter = {} } = {}) {
+    const before = plain(doc);
+
+    if (Array.isArray(update)) {
+      for (const stage of update) {
+        const [[name, fields]] = Object.entries(stage);
+        if (name !== "$set" && name !== "$addFields") {
+          throw new Error(`memory model: unsupported update stage ${name}`);
+        }
+        const current = plain(doc);
+        for (const [path, expression] of Object.entries(fields)) {
+          doc.set(path, evaluate(expression, current));
+        }
+      }
+    } else {
+      const operators = Object.keys(update).some((key) => key.startsWith("$"))
+        ? update
+        : { $set: update };
+
+      for (const [operator, fields] of Object.entries(operators)) {
+        for (let [path, value] of Object.entries(fields)) {
+          if (/\.\$(\.|$)/.test(path)) {
+            const arrayPath = path.split(".$")[0];
+            path = path.replace(".$", `.${positionalIndex(doc, arrayPath, filter)}`);
+          }
+          const current = doc.get(path);
+          switch (operator) {
+            case "$set":
+              doc.set(path, value);
+              break;
+            case "$setOnInsert":
+              if (inserted) doc.set(path, value);
+              break;
+            case "$unset":
+              doc.set(path, undefined);
+              break;
+            case "$inc":
+              doc.set(path, (current || 0) + value);
+              break;
+            case "$max":
+              if (current == null || value > current) doc.set(path, value);
+              break;
+            case "$min":
+              if (current == null || value < current) doc.set(path, value);
+              break;
+            case "$push": {
+              const items = value?.$each || [value];
+              doc.set(path, [...(current || []), ...items]);
+              break;
+            }
+            case "$addToSet": {
+              const list = [...(current || [])];
+              for (const item of value?.$each || [value]) {
+                if (!list.some((existing) => JSON.stringify(normalize(existing)) === JSON.stringify(normalize(item)))) {
+                  list.push(item);
+                }
+              }
+              doc.set(path, list);
+              break;
+            }
+            case "$pull": {
+              const remove = sift(normalize(value));
+              doc.set(
+                path,
+                (current || []).filter((item) => !remove(normalize(item?.toObject ? item.toObject() : item)))
+              );
+              break;
+            }
+            default:
+              throw new Error(`memory model: unsupported update operator ${operator}`);
+          }
+        }
+      }
+    }
+
+    try {
+      this.checkUnique(doc);
+    } catch (error) {
+      doc.overwrite(before);
+      throw error;
+    }
+  }
+
+  /**
+   * Document an upsert inserts: the filter's equality conditions
+   */
+  seed(filter) {
+    const data = {};
+    for (const [path, value] of Object.entries(filter)) {
+      if (path.startsWith("$") || isOperatorObject(value)) continue;
+      data[path] = value;
+    }
+    return data;
+  }
+}
+
+const sortDocs = (docs, sort) => {
+  if (!sort) return docs;
+  const keys =
+    typeof sort === "string"
+      ? sort.split(/\s+/).filter(Boolean).map((key) => (key.startsWith("-") ? [key.slice(1), -1] : [key, 1]))
+      : Object.entries(sort);
+
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const x = normalize(a.get ? a.get(key) : getPath(a, key));
+      const y = normalize(b.get ? b.get(key) : getPath(b, key));
+      if (x === y) continue;
+      if (x === null) return -direction;
+      if (y === null) return direction;
+      return (x < y ? -1 : 1) * (direction === -1 || direction === "desc" ? -1 : 1);
+    }
+    return 0;
+  });
+};
+
+/**
+ * Chainable query resolving to `run()`'s result
+ */
+const query = (store, run, { many = false } = {}) => {
+  const options = { sort: null, skip: 0, limit: 0, lean: false, populate: [] };
+
+  // Populate refs to models kept in memory (fields selection is ignored)
+  const populate = (doc) => {
+    for (const path of options.populate) {
+      const ref = store.Model.schema.path(path)?.options?.ref;
+      const refStore = [...stores.values()].find((other) => other.Model.modelName === ref);
+      const id = doc.get(path);
+      if (!refStore || !id) continue;
+
+      const found = refStore.docs.find((other) => String(other._id) === String(id));
+      doc.set(path, found ? refStore.copy(found) : null);
+    }
+    return doc;
+  };
+
+  const result = async () => {
+    let value = await run(options);
+    if (many) {
+      value = sortDocs(value, options.sort).slice(
+        options.skip,
+        options.limit ? options.skip + options.limit : undefined
+      );
+      value = value.map((doc) => populate(store.copy(doc)));
+      return options.lean ? value.map(plain) : value;
+    }
+    if (value && store.docs.includes(value)) value = populate(store.copy(value));
+    return options.lean && value ? plain(value) : value;
+  };
+
+  const chain = {
+    sort(sort) {
+      options.sort = sort;
+      return chain;
+    },
+    skip(skip) {
+      options.skip = skip;
+      return chain;
+    },
+    limit(limit) {
+      options.limit = limit;
+      return chain;
+    },
+    lean() {
+      options.lean = true;
+      return chain;
+    },
+    select: () => chain,
+    session: () => chain,
+    populate(path) {
+      options.populate.push(path);
+      return chain;
+    },
+    read: () => chain,
+    exec: () => result(),
+    cursor() {
+      const pending = result();
+      return {
+        async *[Symbol.asyncIterator]() {
+          const docs = await pending;
+          yield* docs;
+        },
+      };
+    },
+    then: (resolve, reject) => result().then(resolve, reject),
+    catch: (reject) => result().catch(reject),
+  };
+  return chain;
+};
+
+/**
+ * Aggregation pipeline over the stored documents
+ */
+const aggregate = (store, pipeline) => {
+  let rows = store.docs.map(plain);
+
+  for (const stage of pipeline) {
+    const [[name, spec]] = Object.entries(stage);
+    switch (name) {
+      case "$match": {
+        const test = sift(normalize(spec));
+        rows = rows.filter((row) => test(normalize(row)));
+        break;
+      }
+      case "$group": {
+        const groups = new Map();
+        for (const row of rows) {
+          const id = evaluate(spec._id, row) ?? null;
+          const key = JSON.stringify(normalize(id));
+          if (!groups.has(key)) groups.set(key, { _id: id, rows: [] });
+          groups.get(key).rows.push(row);
+        }
+        rows = [...groups.values()].map(({ _id, rows: members }) => {
+          const out = { _id };
+          for (const [field, accumulator] of Object.entries(spec)) {
+            if (field === "_id") continue;
+            const [[operator, expression]] = Object.entries(accumulator);
+            const values = members.map((member) => evaluate(expression, member));
+            if (operator === "$sum") out[field] = values.reduce((sum, v) => sum + (typeof v === "number" ? v : 0), 0);
+            else if (operator === "$max") out[field] = Math.max(...values);
+            else if (operator === "$min") out[field] = Math.min(...values);
+            else if (operator === "$first") out[field] = values[0];
+            else throw new Error(`memory model: unsupported accumulator ${operator}`);
+          }
+          return out;
+        });
+        break;
+      }
+      case "$sort":
+        rows = sortDocs(rows, spec);
+        break;
+      case "$limit":
+        rows = rows.slice(0, spec);
+        break;
+      default:
+        throw new Error(`memory model: unsupported aggregation stage ${name}`);
+    }
+  }
+
+  return rows;
+};
+
+const returnsNew = (options = {}) => options.new === true || options.returnDocument === "after";
+
+/**
+ * Keep a model's documents in memory
+ * @param {Object} Model - Mongoose model
+ * @returns {Array} The stored documents (for assertions)
+ */
+export const useMemoryModel = (Model) => {
+  const store = new MemoryStore(Model);
+  stores.set(Model, store);
+
+  const findOneAndUpdate = (filter, update, options = {}) =>
+    query(store, () => {
+      let doc = store.find(filter)[0];
+      if (!doc) {
+        if (!options.upsert) return null;
+        doc = store.insert(store.seed(filter));
+        try {
+          store.applyUpdate(doc, update, { inserted: true });
+        } catch (error) {
+          store.docs.splice(store.docs.indexOf(doc), 1);
+          throw error;
+        }
+        return returnsNew(options) ? doc : null;
+      }
+
+      const before = store.copy(doc);
+      store.applyUpdate(doc, update, { filter });
+      return returnsNew(options) ? doc : before;
+    });
+
+  Object.assign(Model, {
+    find: (filter) => query(store, () => store.find(filter), { many: true }),
+    findOne: (filter) => query(store, () => store.find(filter)[0] || null),
+    findById: (id) => query(store, () => store.find({ _id: id })[0] || null),
+    exists: async (filter) => {
+      const doc = store.find(filter)[0];
+      return doc ? { _id: doc._id } : null;
+    },
+    countDocuments: (filter) => query(store, () => store.find(filter).length),
+    distinct: async (path, filter) => [
+      ...new Map(store.find(filter).map((doc) => [JSON.stringify(normalize(doc.get(path))), doc.get(path)])).values(),
+    ],
+    create: async (data) =>
+      Array.isArray(data) ? data.map((item) => store.copy(store.insert(item))) : store.copy(store.insert(data)),
+    insertMany: async (data) => data.map((item) => store.copy(store.insert(item))),
+    findOneAndUpdate,
+    findByIdAndUpdate: (id, update, options) => findOneAndUpdate({ _id: id }, update, options),
+    updateOne: (filter, update, options = {}) =>
+      query(store, () => {
+        const doc = store.find(filter)[0];
+        if (!doc) {
+          if (!options.upsert) return { matchedCount: 0, modifiedCount: 0 };
+          const inserted = store.insert(store.seed(filter));
+          store.applyUpdate(inserted, update, { inserted: true });
+          return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+        }
+        const before = JSON.stringify(normalize(plain(doc)));
+        store.applyUpdate(doc, update, { filter });
+        return {
+          matchedCount: 1,
+          modifiedCount: before === JSON.stringify(normalize(plain(doc))) ? 0 : 1,
+        };
+      }),
+    updateMany: (filter, update) =>
+      query(store, () => {
+        const docs = store.find(filter);
+        docs.forEach((doc) => store.applyUpdate(doc, update, { filter }));
+        return { matchedCount: docs.length, modifiedCount: docs.length };
+      }),
+    deleteOne: (filter) =>
+      query(store, () => {
+        const doc = store.find(filter)[0];
+        if (doc) store.docs.splice(store.docs.indexOf(doc), 1);
+        return { deletedCount: doc ? 1 : 0 };
+      }),
+    deleteMany: (filter) =>
+      query(store, () => {
+        const docs = store.find(filter);
+        docs.forEach((doc) => store.docs.splice(store.docs.indexOf(doc), 1));
+        return { deletedCount: docs.length };
+      }),
+    findOneAndDelete: (filter) =>
+      query(store, () => {
+        const doc = store.find(filter)[0];
+        if (doc) store.docs.splice(store.docs.indexOf(doc), 1);
+        return doc || null;
+      }),
+    aggregate: (pipeline) => {
+      const run = async () => aggregate(store, pipeline);
+      return { then: (resolve, reject) => run().then(resolve, reject), exec: run };
+    },
+  });
+
+  // Saving a document writes its modified paths to the store (inserting new
+  // ones), so it doesn't undo concurrent updates to other paths
+  Model.prototype.save = async function save() {
+    const stored = store.docs.find((doc) => String(doc._id) === String(this._id));
+    if (!stored) {
+      store.insert(this);
+    } else {
+      const invalid = this.validateSync();
+      if (invalid) throw invalid;
+      const before = plain(stored);
+      for (const modified of this.directModifiedPaths()) {
+        const value = this.get(modified);
+        stored.set(modified, value?.toObject ? value.toObject({ depopulate: true }) : value);
+      }
+      try {
+        store.checkUnique(stored);
+      } catch (error) {
+        stored.overwrite(before);
+        throw error;
+      }
+    }
+    this.$__reset();
+    this.isNew = false;
+    return this;
+  };
+
+  return store.docs;
+};
+
+/**
+ * Keep several models in memory
+ * @param {...Object} models - Mongoose models
+ */
+export const useMemoryModels = (...models) => models.forEach(useMemoryModel);
+
+/**
+ * Documents stored for a model
+ * @param {Object} Model - Mongoose model
+ * @returns {Array} Copies of the documents
+ */
+export const storedDocs = (Model) => stores.get(Model).docs.map((doc) => stores.get(Model).copy(doc));
+
+/**
+ * Remove every stored document (between tests)
+ */
+export const resetMemoryModels = () => {
+  for (const store of stores.values()) store.docs.length = 0;
+};
+
+/**
+ * Query that fails with `error` (for mocking a failing model call)
+ * @param {Error} error - Error the query rejects with
+ */
+export const failingQuery = (error) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    session: () => chain,
+    lean: () => chain,
+    exec: () => Promise.reject(error),
+    then: (resolve, reject) => Promise.reject(error).then(resolve, reject),
+  };
+  return chain;
+};
@@ -0,0 +1,166 @@
+import "./helpers/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import Payment from "../models/payment.model.js";
+import Invoice from "../models/invoice.model.js";
+import Counter from "../models/counter.model.js";
+import invoiceService, { getFinancialYear, splitTax } from "../services/invoice.service.js";
+import { useMemoryModels, resetMemoryModels, storedDocs } from "./helpers/memory.model.js";
+import { createUser, reload } from "./helpers/fixtures.js";
+
+useMemoryModels(User, Payment, Invoice, Counter);
+
+const FY = getFinancialYear();
+const CODE = FY.slice(2, 4) + FY.slice(5);
+
+const invoiceNumber = (seq) => `CR${CODE}-${String(seq).padStart(6, "0")}`;
+
+let sequence = 0;
+
+const createPayment = async (user, fields = {}) => {
+  sequence++;
+  return Payment.create({
+    userId: user._id,
+    razorpayOrderId: `order_${sequence}`,
+    razorpayPaymentId: `pay_${sequence}`,
+    planId: "starter",
+    planName: "Starter",
+    creditsAmount: 100,
+    amount: 11800,
+    status: "success",
+    ...fields,
+  });
+};
+
+const numbers = () =>
+  storedDocs(Invoice)
+    .filter((invoice) => invoice.type === "invoice")
+    .map((invoice) => invoice.number)
+    .sort();
+
+beforeEach(resetMemoryModels);
+
+test("financial years start in April, IST", () => {
+  assert.equal(getFinancialYear(new Date("2026-03-31T18:29:59Z")), "2025-26");
+  assert.equal(getFinancialYear(new Date("2026-03-31T18:30:00Z")), "2026-27");
+});
+
+test("splits GST by supply type", () => {
+  assert.deepEqual(splitTax(11800, { supplyType: "intra_state", taxRate: 18 }), {
+    taxableAmount: 10000,
+    cgst: 900,
+    sgst: 900,
+    igst: 0,
+  });
+  assert.deepEqual(splitTax(11800, { supplyType: "inter_state", taxRate: 18 }), {
+    taxableAmount: 10000,
+    cgst: 0,
+    sgst: 0,
+    igst: 1800,
+  });
+  assert.deepEqual(splitTax(11800, { supplyType: "export", taxRate: 18 }), {
+    taxableAmount: 11800,
+    cgst: 0,
+    sgst: 0,
+    igst: 0,
+  });
+});
+
+test("issues one invoice per payment", async () => {
+  const user = await createUser(0);
+  const payment = await createPayment(user);
+
+  const [first, second] = await Promise.all([
+    invoiceService.issueInvoice(payment),
+    invoiceService.issueInvoice(payment),
+  ]);
+
+  assert.equal(first.number, invoiceNumber(1));
+  assert.equal(second.number, invoiceNumber(1));
+  assert.equal(storedDocs(Invoice).length, 1);
+
+  // The next payment gets the next number - none was taken for the lost race
+  const next = await invoiceService.issueInvoice(await createPayment(user));
+  assert.equal(next.number, invoiceNumber(2));
+  assert.equal((await Counter.findById(`invoice:${FY}`)).lockedBy, null);
+});
+
+test("concurrent invoices get consecutive numbers", async () => {
+  const user = await createUser(0);
+  const payments = [];
+  for (let i = 0; i < 6; i++) payments.push(await createPayment(user));
+
+  await Promise.all(
+    [...payments, ...payments].map((payment) => invoiceService.issueInvoice(payment))
+  );
+
+  assert.deepEqual(numbers(), [1, 2, 3, 4, 5, 6].map(invoiceNumber));
+});
+
+test("a number taken by a request that crashed goes to its invoice", async () => {
+  const user = await createUser(0);
+  const issued = await invoiceService.issueInvoice(await createPayment(user));
+  // Crashed after taking number 2 for an invoice it didn't write it to
+  const orphan = await Invoice.create({
+    ...issued.toObject(),
+    _id: undefined,
+    paymentId: (await createPayment(user))._id,
+    number: null,
+  });
+  await Counter.updateOne(
+    { _id: `invoice:${FY}` },
+    { $set: { seq: 2, lockedBy: orphan._id, lockedAt: new Date(), numberTaken: true } }
+  );
+
+  const next = await invoiceService.issueInvoice(await createPayment(user));
+
+  assert.equal((await reload(orphan)).number, invoiceNumber(2));
+  assert.equal(next.number, invoiceNumber(3));
+});
+
+test("a lock left behind without a number is released once stale", async () => {
+  const user = await createUser(0);
+  const payment = await createPayment(user);
+  await Counter.create({
+    _id: `invoice:${FY}`,
+    seq: 4,
+    lockedBy: payment._id,
+    lockedAt: new Date(Date.now() - 60 * 1000),
+  });
+
+  const invoice = await invoiceService.issueInvoice(payment);
+
+  assert.equal(invoice.number, invoiceNumber(5));
+});
+
+test("credit notes have their own series, one per refund", async () => {
+  const user = await createUser(0);
+  const payment = await createPayment(user, { status: "refunded" });
+
+  const first = await invoiceService.issueCreditNote(payment, {
+    refundId: "rfnd_1",
+    amount: 5900,
+    reason: "Partial refund",
+  });
+  const again = await invoiceService.issueCreditNote(payment, { refundId: "rfnd_1", amount: 5900 });
+  const second = await invoiceService.issueCreditNote(payment, {
+    refundId: "rfnd_2",
+    amount: 99999,
+  });
+
+  assert.equal(first.number, `CN${CODE}-000001`);
+  assert.equal(String(again._id), String(first._id));
+  assert.equal(second.number, `CN${CODE}-000002`);
+  assert.equal(first.invoiceNumber, invoiceNumber(1));
+  assert.deepEqual([first.total, first.cgst, first.sgst], [5900, 450, 450]);
+  assert.equal(second.total, 11800); // Never more than the invoice
+});
+
+test("only successful payments are invoiced", async () => {
+  const user = await createUser(0);
+  const payment = await createPayment(user, { status: "failed" });
+
+  await assert.rejects(invoiceService.issueInvoice(payment), { code: "INVOICE_NOT_AVAILABLE" });
+  assert.deepEqual(storedDocs(Counter), []);
+});
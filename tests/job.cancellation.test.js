@@ -0,0 +1,128 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import Organization from "../models/organization.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import PricingConfig from "../models/pricing.config.model.js";
+import ApiKey from "../models/api.key.model.js";
+import { sdkAnalysisQueue } from "../config/queue.js";
+import jobCancellationService from "../services/job.cancellation.service.js";
+import dynamicAnalysisService from "../services/dynamic.analysis.service.js";
+import storageService from "../services/storage.service.js";
+import jobEvents from "../services/job.events.service.js";
+import webhookService from "../services/webhook.service.js";
+import {
+  useMemoryModels,
+  resetMemoryModels,
+  storedDocs,
+  failingQuery,
+} from "./helpers/memory.model.js";
+import { createUser, createHeldJob, reload } from "./helpers/fixtures.js";
+
+useMemoryModels(User, Organization, AnalysisJob, CreditTransaction, CreditLot, PricingConfig, ApiKey);
+
+mock.method(sdkAnalysisQueue, "getJob", async () => null);
+mock.method(dynamicAnalysisService, "deleteTask", async () => {});
+mock.method(storageService, "deleteFile", async () => {});
+mock.method(jobEvents, "emit", () => {});
+mock.method(webhookService, "dispatch", async () => {});
+
+// Sandbox started on a < 500 KB tier1 sample: 2 credits (DEFAULT_PRICING)
+const CANCELLATION_CHARGE = 2;
+
+const processingJob = (user, hold = 10) =>
+  createHeldJob(user, hold, {
+    status: "processing",
+    dynamicTask: { taskId: "42", status: "running" },
+  });
+
+beforeEach(resetMemoryModels);
+
+test("charges the cancellation fee and releases the rest of the hold", async () => {
+  const user = await createUser(50);
+  const job = await processingJob(user);
+
+  const cancelled = await jobCancellationService.cancel(job, { cancelledBy: "sdk" });
+
+  assert.equal(cancelled.status, "cancelled");
+  assert.equal(cancelled.cancellation.creditsCharged, CANCELLATION_CHARGE);
+  assert.equal(cancelled.creditsDeducted, CANCELLATION_CHARGE);
+  assert.equal(cancelled.creditHold.status, "settled");
+
+  const { credits } = await reload(user);
+  assert.equal(credits.remaining, 50 - CANCELLATION_CHARGE);
+  assert.equal(credits.held, 0);
+});
+
+test("releases the whole hold of a job cancelled before the sandbox", async () => {
+  const user = await createUser(50);
+  const job = await createHeldJob(user, 10);
+
+  const cancelled = await jobCancellationService.cancel(job, { cancelledBy: "sdk" });
+
+  assert.equal(cancelled.cancellation.creditsCharged, 0);
+  assert.equal(cancelled.creditHold.status, "released");
+  assert.deepEqual((await reload(user)).credits.toObject(), {
+    total: 50,
+    used: 0,
+    remaining: 50,
+    held: 0,
+  });
+});
+
+test("releases the hold when the charge fails", async (t) => {
+  const user = await createUser(50);
+  const job = await processingJob(user);
+
+  // The cancel claims the job, then the settle fails to claim the hold
+  const claim = t.mock.method(AnalysisJob, "findOneAndUpdate");
+  claim.mock.mockImplementationOnce(() => failingQuery(new Error("connection reset")), 1);
+
+  const cancelled = await jobCancellationService.cancel(job, { cancelledBy: "sdk" });
+
+  assert.equal(cancelled.cancellation.creditsCharged, 0);
+  assert.equal(cancelled.creditsDeducted, 0);
+  assert.equal(cancelled.creditHold.status, "released");
+
+  const { credits } = await reload(user);
+  assert.equal(credits.remaining, 50);
+  assert.equal(credits.held, 0);
+});
+
+test("records what a failed settle already charged", async (t) => {
+  const user = await createUser(50);
+  const job = await processingJob(user);
+
+  // Standalone MongoDB: the hold is settled, then the ledger write fails
+  t.mock.method(CreditTransaction, "create", async () => {
+    throw new Error("write concern error");
+  });
+
+  const cancelled = await jobCancellationService.cancel(job, { cancelledBy: "sdk" });
+
+  assert.equal(cancelled.cancellation.creditsCharged, CANCELLATION_CHARGE);
+  assert.equal(cancelled.creditHold.status, "settled");
+  assert.equal((await reload(user)).credits.held, 0);
+});
+
+test("doesn't record a charge when the hold can't be released either", async (t) => {
+  const user = await createUser(50);
+  const job = await processingJob(user);
+
+  const claim = t.mock.method(AnalysisJob, "findOneAndUpdate");
+  for (const call of [1, 2]) {
+    claim.mock.mockImplementationOnce(() => failingQuery(new Error("connection reset")), call);
+  }
+
+  await assert.rejects(
+    jobCancellationService.cancel(job, { cancelledBy: "sdk" }),
+    /connection reset/
+  );
+
+  const [stored] = storedDocs(AnalysisJob);
+  assert.equal(stored.status, "cancelled");
+  assert.equal(stored.cancellation.creditsCharged, undefined);
+  assert.equal(stored.creditHold.status, "held");
+});
@@ -0,0 +1,54 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import { sdkAnalysisQueue } from "../config/queue.js";
+import jobQueueService from "../services/job.queue.service.js";
+import { useMemoryModels, resetMemoryModels } from "./helpers/memory.model.js";
+import { createUser, createHeldJob, reload } from "./helpers/fixtures.js";
+
+useMemoryModels(User, AnalysisJob, CreditTransaction, CreditLot);
+
+const add = mock.method(sdkAnalysisQueue, "add", async (name, data, options) => ({
+  id: options.jobId,
+}));
+
+beforeEach(() => {
+  resetMemoryModels();
+  add.mock.resetCalls();
+});
+
+test("queues the job under its id", async () => {
+  const user = await createUser(50);
+  const job = await createHeldJob(user, 10);
+
+  await jobQueueService.enqueue(job, "tier1", { jobId: job._id.toString() }, { priority: 1 });
+
+  assert.equal(add.mock.callCount(), 1);
+  const [name, data] = add.mock.calls[0].arguments;
+  assert.deepEqual([name, data], ["tier1", { jobId: job._id.toString() }]);
+  assert.equal((await reload(job)).status, "queued");
+  assert.equal((await reload(user)).credits.held, 10);
+});
+
+test("a job the queue refuses is failed and its hold released", async () => {
+  const user = await createUser(50);
+  const job = await createHeldJob(user, 10);
+  add.mock.mockImplementationOnce(async () => {
+    throw new Error("connect ECONNREFUSED 127.0.0.1:6379");
+  });
+
+  await assert.rejects(
+    jobQueueService.enqueue(job, "tier1", { jobId: job._id.toString() }, { priority: 1 }),
+    /ECONNREFUSED/
+  );
+
+  const failed = await reload(job);
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.error.code, "QUEUE_UNAVAILABLE");
+  assert.equal(failed.creditHold.status, "released");
+  const { credits } = await reload(user);
+  assert.deepEqual([credits.remaining, credits.held], [50, 0]);
+});
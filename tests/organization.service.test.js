@@ -0,0 +1,175 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import Organization from "../models/organization.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import ApiKey from "../models/api.key.model.js";
+import organizationService from "../services/organization.service.js";
+import reconciliationService from "../services/credit.reconciliation.js";
+import { settleJobCredits, releaseJobCredits } from "../services/credit.service.js";
+import { useMemoryModels, resetMemoryModels, storedDocs } from "./helpers/memory.model.js";
+import { createUser, createHeldJob, reload, objectId } from "./helpers/fixtures.js";
+
+useMemoryModels(User, Organization, AnalysisJob, CreditTransaction, CreditLot, ApiKey);
+
+const adminId = objectId();
+
+/**
+ * Organization with an owner, an analyst and a pool of `credits`
+ */
+const createTeam = async (credits = 100) => {
+  const owner = await createUser(0);
+  const analyst = await createUser(7);
+  const organization = await organizationService.createOrganization(
+    { name: `Team ${owner.username}`, ownerId: owner._id, credits },
+    adminId
+  );
+  await organizationService.addMember(organization._id, analyst._id, "analyst");
+
+  return { organization, owner, analyst };
+};
+
+const poolJob = (member, organization, amount) =>
+  createHeldJob(member, amount, {
+    organizationId: organization._id,
+  });
+
+const rejectsWith = (promise, code) =>
+  assert.rejects(promise, (error) => {
+    assert.equal(error.code, code);
+    return true;
+  });
+
+beforeEach(resetMemoryModels);
+
+test("creates an organization with its owner and a ledgered pool", async () => {
+  const { organization, owner } = await createTeam(100);
+
+  assert.equal(organization.credits.remaining, 100);
+  assert.equal((await reload(owner)).organizationRole, "owner");
+
+  const [entry] = storedDocs(CreditTransaction);
+  assert.equal(String(entry.organizationId), String(organization._id));
+  assert.equal(entry.amount, 100);
+  assert.equal(await reconciliationService.checkAccount(organization._id, "organization"), null);
+});
+
+test("members' jobs are held and charged on the shared pool", async () => {
+  const { organization, analyst } = await createTeam(100);
+  const charged = await poolJob(analyst, organization, 30);
+  const failed = await poolJob(analyst, organization, 20);
+
+  assert.deepEqual((await reload(organization)).credits.toObject(), {
+    total: 100,
+    used: 0,
+    remaining: 50,
+    held: 50,
+  });
+
+  await settleJobCredits(charged._id, 12);
+  await releaseJobCredits(failed._id, "analysis failed");
+
+  assert.deepEqual((await reload(organization)).credits.toObject(), {
+    total: 100,
+    used: 12,
+    remaining: 88,
+    held: 0,
+  });
+  // The member's own credits are untouched
+  assert.equal((await reload(analyst)).credits.remaining, 7);
+
+  const debit = storedDocs(CreditTransaction).find((entry) => entry.type === "debit");
+  assert.equal(String(debit.organizationId), String(organization._id));
+  assert.equal(String(debit.userId), String(analyst._id));
+  assert.deepEqual([debit.balanceBefore, debit.balanceAfter], [100, 88]);
+
+  assert.equal(await reconciliationService.checkAccount(organization._id, "organization"), null);
+});
+
+test("a member can't join a second organization", async () => {
+  const { analyst } = await createTeam();
+  const other = await organizationService.createOrganization({ name: "Other" }, adminId);
+
+  await rejectsWith(
+    organizationService.addMember(other._id, analyst._id, "viewer"),
+    "ALREADY_IN_ORGANIZATION"
+  );
+  await rejectsWith(organizationService.addMember(other._id, objectId()), "USER_NOT_FOUND");
+  await rejectsWith(
+    organizationService.addMember(other._id, analyst._id, "superuser"),
+    "INVALID_ROLE"
+  );
+});
+
+test("admins only manage analysts and viewers", async () => {
+  const { organization, owner, analyst } = await createTeam();
+  const admin = await createUser(0);
+  await organizationService.addMember(organization._id, admin._id, "admin");
+
+  const actor = { actorRole: "admin" };
+  await organizationService.changeMemberRole(organization._id, analyst._id, "viewer", actor);
+  assert.equal((await reload(analyst)).organizationRole, "viewer");
+
+  await rejectsWith(
+    organizationService.changeMemberRole(organization._id, analyst._id, "admin", actor),
+    "ORG_FORBIDDEN"
+  );
+  await rejectsWith(
+    organizationService.removeMember(organization._id, owner._id, actor),
+    "ORG_FORBIDDEN"
+  );
+});
+
+test("keeps at least one owner", async () => {
+  const { organization, owner } = await createTeam();
+
+  await rejectsWith(organizationService.removeMember(organization._id, owner._id), "LAST_OWNER");
+  await rejectsWith(
+    organizationService.changeMemberRole(organization._id, owner._id, "admin"),
+    "LAST_OWNER"
+  );
+});
+
+test("a removed member's organization keys move to an owner", async () => {
+  const { organization, owner, analyst } = await createTeam();
+  const key = await ApiKey.create({
+    key: "cr_test_key",
+    userId: analyst._id,
+    organizationId: organization._id,
+  });
+
+  await organizationService.removeMember(organization._id, analyst._id);
+
+  const member = await reload(analyst);
+  assert.equal(member.organizationId, null);
+  assert.equal(member.organizationRole, null);
+  assert.equal(String((await reload(key)).userId), String(owner._id));
+});
+
+test("reports each member's spend, including former members", async () => {
+  const { organization, owner, analyst } = await createTeam(100);
+  const ownerJob = await poolJob(owner, organization, 20);
+  const analystJob = await poolJob(analyst, organization, 20);
+  await settleJobCredits(ownerJob._id, 4);
+  await settleJobCredits(analystJob._id, 10);
+  await CreditTransaction.create({
+    organizationId: organization._id,
+    userId: analyst._id,
+    type: "refund",
+    amount: 3,
+  });
+  await organizationService.removeMember(organization._id, analyst._id);
+
+  const { members, totals } = await organizationService.getMemberSpend(organization._id);
+
+  assert.deepEqual(
+    members.map((row) => [String(row.userId), row.isMember, row.charged, row.refunded, row.spent]),
+    [
+      [String(analyst._id), false, 10, 3, 7],
+      [String(owner._id), true, 4, 0, 4],
+    ]
+  );
+  assert.deepEqual(totals, { jobsCharged: 2, spent: 11 });
+});
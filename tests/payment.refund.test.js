@@ -0,0 +1,268 @@
+import "./helpers/env.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import Payment from "../models/payment.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import Coupon from "../models/coupon.model.js";
+import CouponRedemption from "../models/coupon.redemption.model.js";
+import Invoice from "../models/invoice.model.js";
+import Counter from "../models/counter.model.js";
+import paymentService from "../services/payment.service.js";
+import razorpayEventService from "../services/razorpay.event.service.js";
+import razorpayStub from "../services/razorpay.stub.js";
+import { verifyPayment, retryPayment } from "../controllers/payment.controller.js";
+import { useMemoryModels, resetMemoryModels, storedDocs } from "./helpers/memory.model.js";
+import { createUser, reload } from "./helpers/fixtures.js";
+
+useMemoryModels(
+  User,
+  Payment,
+  CreditTransaction,
+  CreditLot,
+  Coupon,
+  CouponRedemption,
+  Invoice,
+  Counter
+);
+
+let sequence = 0;
+
+/**
+ * Successful payment of ₹1000 whose 100 credits were added to the buyer
+ */
+const createPaidOrder = async (fields = {}) => {
+  sequence++;
+  const user = await createUser(100, { totalSpent: 1000 });
+  const payment = await Payment.create({
+    userId: user._id,
+    razorpayOrderId: `order_${sequence}`,
+    razorpayPaymentId: `pay_${sequence}`,
+    planId: "starter",
+    planName: "Starter",
+    creditsAmount: 100,
+    amount: 100000,
+    status: "success",
+    creditsAdded: true,
+    ...fields,
+  });
+  return { user, payment };
+};
+
+const refundOf = (payment, id, amount, status = "processed") => ({
+  id,
+  entity: "refund",
+  payment_id: payment.razorpayPaymentId,
+  amount,
+  status,
+});
+
+/**
+ * Call a controller with a request and capture its response
+ */
+const call = async (handler, req) => {
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await handler(req, res);
+  return res;
+};
+
+const creditNotes = () => storedDocs(Invoice).filter((invoice) => invoice.type === "credit_note");
+
+beforeEach(() => {
+  resetMemoryModels();
+  razorpayStub.reset();
+});
+
+test("refunds a payment in parts until nothing is left", async () => {
+  const { user, payment } = await createPaidOrder();
+
+  const first = await paymentService.applyRefund(payment, refundOf(payment, "rfnd_1", 30000));
+  assert.equal(first.applied, true);
+  assert.equal(first.payment.status, "partially_refunded");
+  assert.deepEqual([first.payment.refundedAmount, first.payment.refundedCredits], [30000, 30]);
+  assert.equal((await reload(user)).credits.remaining, 70);
+
+  // Asks for more than is left - only the rest is refunded
+  const second = await paymentService.applyRefund(payment, refundOf(payment, "rfnd_2", 90000));
+  assert.equal(second.applied, true);
+  assert.equal(second.payment.status, "refunded");
+  assert.deepEqual([second.payment.refundedAmount, second.payment.refundedCredits], [100000, 100]);
+  assert.deepEqual(
+    second.payment.refunds.map((entry) => [entry.refundId, entry.amount, entry.credits]),
+    [
+      ["rfnd_1", 30000, 30],
+      ["rfnd_2", 70000, 70],
+    ]
+  );
+
+  const buyer = await reload(user);
+  assert.equal(buyer.credits.remaining, 0);
+  assert.equal(buyer.totalSpent, 0);
+  assert.deepEqual(creditNotes().map((note) => [note.refundId, note.total]), [
+    ["rfnd_1", 30000],
+    ["rfnd_2", 70000],
+  ]);
+
+  // Nothing is left for another refund
+  const third = await paymentService.applyRefund(payment, refundOf(payment, "rfnd_3", 1000));
+  assert.equal(third.applied, false);
+  assert.equal((await reload(payment)).refunds.length, 2);
+});
+
+test("each refund is applied once, however often it's reported", async () => {
+  const { user, payment } = await createPaidOrder();
+  const pending = refundOf(payment, "rfnd_1", 50000, "pending");
+
+  const results = await Promise.all([
+    paymentService.applyRefund(payment, pending, { reason: "Duplicate order" }),
+    paymentService.applyRefund(payment, pending),
+  ]);
+  assert.deepEqual(results.map((result) => result.applied).sort(), [false, true]);
+  assert.deepEqual(creditNotes(), []); // Not processed yet
+
+  const processed = await razorpayEventService.handleRefundProcessed(
+    refundOf(payment, "rfnd_1", 50000)
+  );
+  await razorpayEventService.handleRefundProcessed(refundOf(payment, "rfnd_1", 50000));
+
+  assert.equal(processed, "Refund processed");
+  const stored = await reload(payment);
+  assert.equal(stored.status, "partially_refunded");
+  assert.equal(stored.refundedAmount, 50000);
+  assert.deepEqual(
+    stored.refunds.map((entry) => [entry.refundId, entry.status, entry.reason]),
+    [["rfnd_1", "processed", "Duplicate order"]]
+  );
+  assert.equal((await reload(user)).credits.remaining, 50);
+  assert.equal(creditNotes().length, 1);
+});
+
+test("concurrent refunds of one payment each take their own share", async () => {
+  const { user, payment } = await createPaidOrder();
+
+  await Promise.all([
+    paymentService.applyRefund(payment, refundOf(payment, "rfnd_1", 20000)),
+    paymentService.applyRefund(payment, refundOf(payment, "rfnd_2", 30000)),
+  ]);
+
+  const stored = await reload(payment);
+  assert.equal(stored.refundedAmount, 50000);
+  assert.equal(stored.refundedCredits, 50);
+  assert.equal(stored.refunds.length, 2);
+  assert.equal((await reload(user)).credits.remaining, 50);
+});
+
+test("a failed refund counts as paid again and gives its credits back", async () => {
+  const { user, payment } = await createPaidOrder();
+  await paymentService.applyRefund(payment, refundOf(payment, "rfnd_1", 20000));
+  await paymentService.applyRefund(payment, refundOf(payment, "rfnd_2", 30000, "pending"));
+
+  const result = await razorpayEventService.handleRefundFailed(
+    refundOf(payment, "rfnd_2", 30000, "failed")
+  );
+  const again = await paymentService.cancelRefund(
+    await reload(payment),
+    refundOf(payment, "rfnd_2", 30000, "failed")
+  );
+
+  assert.equal(result, "Refund failed - credits restored");
+  assert.equal(again, false);
+  const stored = await reload(payment);
+  assert.equal(stored.status, "partially_refunded");
+  assert.deepEqual([stored.refundedAmount, stored.refundedCredits], [20000, 20]);
+  assert.deepEqual(stored.refunds.map((entry) => entry.status), ["processed", "failed"]);
+  const buyer = await reload(user);
+  assert.equal(buyer.credits.remaining, 80);
+  assert.equal(buyer.totalSpent, 800);
+
+  // A processed refund can't fail any more
+  assert.equal(
+    await paymentService.cancelRefund(stored, refundOf(payment, "rfnd_1", 20000, "failed")),
+    false
+  );
+});
+
+test("a lost dispute after a partial refund takes back only the rest", async () => {
+  const { user, payment } = await createPaidOrder();
+  await paymentService.applyRefund(payment, refundOf(payment, "rfnd_1", 40000));
+  const dispute = {
+    id: "disp_1",
+    entity: "dispute",
+    payment_id: payment.razorpayPaymentId,
+    amount: 100000,
+    status: "lost",
+    phase: "chargeback",
+  };
+
+  const result = await razorpayEventService.handleDispute(dispute);
+  await razorpayEventService.handleDispute(dispute);
+
+  assert.equal(result, "Dispute lost - 60 credits taken back");
+  assert.equal((await reload(user)).credits.remaining, 0);
+  assert.equal((await reload(payment)).dispute.creditsReversed, true);
+});
+
+test("a refund of a payment that is already refunded is not applied", async () => {
+  const { user, payment } = await createPaidOrder();
+  await paymentService.applyRefund(payment, refundOf(payment, "rfnd_1", 100000));
+
+  const result = await razorpayEventService.handleRefundProcessed(
+    refundOf(payment, "rfnd_2", 100000)
+  );
+
+  assert.equal(result, "Refund not applied - payment refunded");
+  assert.equal((await reload(payment)).refunds.length, 1);
+  assert.equal((await reload(user)).credits.remaining, 0);
+});
+
+test("verifying a refunded payment again leaves its refunds alone", async () => {
+  const order = await razorpayStub.orders.create({ amount: 100000, currency: "INR" });
+  const { payment: paid, signature } = razorpayStub.payOrder(order.id);
+  const { user, payment } = await createPaidOrder({
+    razorpayOrderId: order.id,
+    razorpayPaymentId: paid.id,
+  });
+  await paymentService.applyRefund(payment, refundOf(payment, "rfnd_1", 30000));
+  paid.status = "refunded";
+
+  const res = await call(verifyPayment, {
+    body: {
+      razorpay_order_id: order.id,
+      razorpay_payment_id: paid.id,
+      razorpay_signature: signature,
+    },
+    user: { id: user._id },
+    payment: await reload(payment),
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.status, "partially_refunded");
+  const stored = await reload(payment);
+  assert.equal(stored.status, "partially_refunded");
+  assert.equal(stored.refundedAmount, 30000);
+  assert.equal((await reload(user)).credits.remaining, 70);
+});
+
+test("a refunded payment can't be retried", async () => {
+  const { user, payment } = await createPaidOrder();
+  await paymentService.applyRefund(payment, refundOf(payment, "rfnd_1", 100000));
+
+  const res = await call(retryPayment, {
+    body: { paymentId: payment._id.toString() },
+    user: { id: user._id },
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.status, "refunded");
+  assert.equal(storedDocs(Payment).length, 1);
+});
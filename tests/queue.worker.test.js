@@ -0,0 +1,138 @@
+import { test, beforeEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import User from "../models/user.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import PricingConfig from "../models/pricing.config.model.js";
+import queueWorker from "../services/queue.worker.js";
+import analysisService from "../services/analysis.service.js";
+import storageService from "../services/storage.service.js";
+import jobEvents from "../services/job.events.service.js";
+import webhookService from "../services/webhook.service.js";
+import {
+  useMemoryModels,
+  resetMemoryModels,
+  storedDocs,
+  failingQuery,
+} from "./helpers/memory.model.js";
+import { createUser, createHeldJob, reload } from "./helpers/fixtures.js";
+
+useMemoryModels(User, AnalysisJob, CreditTransaction, CreditLot, PricingConfig);
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "worker-test-"));
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const SAMPLE = Buffer.from("sample");
+const SAMPLE_HASH = crypto.createHash("sha256").update(SAMPLE).digest("hex");
+
+mock.method(storageService, "downloadToTempFile", async () => {
+  const tempFilePath = path.join(scratch, `sample-${crypto.randomUUID()}`);
+  fs.writeFileSync(tempFilePath, SAMPLE);
+  return tempFilePath;
+});
+mock.method(storageService, "deleteFile", async () => {});
+mock.method(analysisService, "analyzeBinary", async () => ({
+  detected_algorithms: [],
+  _analysis_metadata: { stages: [] },
+}));
+mock.method(jobEvents, "emit", () => {});
+mock.method(webhookService, "dispatch", async () => {});
+
+/**
+ * Bull job for an AnalysisJob on the given attempt (1-based)
+ */
+const queueJob = (analysisJob, attempt = 1, attempts = 3) => ({
+  data: {
+    jobId: analysisJob._id.toString(),
+    userId: analysisJob.userId.toString(),
+    storageProvider: "local",
+    storageKey: "samples/sample.bin",
+    fileHash: SAMPLE_HASH,
+    filename: analysisJob.filename,
+    fileSize: analysisJob.fileSize,
+    tier: analysisJob.tier,
+    unpack: false,
+  },
+  attemptsMade: attempt - 1,
+  opts: { attempts },
+  progress: async () => {},
+  discard: async () => {},
+});
+
+// The settle claims the hold with the first AnalysisJob.findOneAndUpdate
+const failSettle = (t) =>
+  t.mock
+    .method(AnalysisJob, "findOneAndUpdate")
+    .mock.mockImplementationOnce(() => failingQuery(new Error("connection reset")), 0);
+
+beforeEach(resetMemoryModels);
+
+test("settles the hold when the analysis completes", async () => {
+  const user = await createUser(50);
+  const job = await createHeldJob(user, 20);
+
+  const result = await queueWorker.processAnalysisJob(queueJob(job));
+
+  assert.equal(result.success, true);
+  assert.ok(result.creditsCharged > 0 && result.creditsCharged <= 20);
+
+  const completed = await reload(job);
+  assert.equal(completed.status, "completed");
+  assert.equal(completed.creditHold.status, "settled");
+  assert.equal(completed.creditHold.charged, result.creditsCharged);
+
+  const { credits } = await reload(user);
+  assert.equal(credits.remaining, 50 - result.creditsCharged);
+  assert.equal(credits.held, 0);
+});
+
+test("fails the attempt and keeps the hold when the settle fails", async (t) => {
+  const user = await createUser(50);
+  const job = await createHeldJob(user, 20);
+  failSettle(t);
+
+  await assert.rejects(queueWorker.processAnalysisJob(queueJob(job, 1)), /connection reset/);
+
+  const stored = await reload(job);
+  assert.notEqual(stored.status, "completed");
+  assert.equal(stored.creditHold.status, "held");
+  assert.equal((await reload(user)).credits.held, 20);
+});
+
+test("a retry after a failed settle charges once", async (t) => {
+  const user = await createUser(50);
+  const job = await createHeldJob(user, 20);
+  failSettle(t);
+
+  await assert.rejects(queueWorker.processAnalysisJob(queueJob(job, 1)));
+  const result = await queueWorker.processAnalysisJob(queueJob(job, 2));
+
+  assert.equal((await reload(job)).status, "completed");
+  const { credits } = await reload(user);
+  assert.equal(credits.remaining, 50 - result.creditsCharged);
+  assert.equal(credits.held, 0);
+  assert.equal(storedDocs(CreditTransaction).length, 1);
+});
+
+test("releases the hold when the settle fails on the last attempt", async (t) => {
+  const user = await createUser(50);
+  const job = await createHeldJob(user, 20);
+  failSettle(t);
+
+  await assert.rejects(queueWorker.processAnalysisJob(queueJob(job, 3, 3)), /connection reset/);
+
+  const failed = await reload(job);
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.creditHold.status, "released");
+  assert.deepEqual((await reload(user)).credits.toObject(), {
+    total: 50,
+    used: 0,
+    remaining: 50,
+    held: 0,
+  });
+});
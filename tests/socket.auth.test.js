@@ -0,0 +1,82 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import Organization from "../models/organization.model.js";
+import AnalysisJob from "../models/analysis.job.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import ApiKey from "../models/api.key.model.js";
+import organizationService from "../services/organization.service.js";
+import { socketAuth, authorizeSubscription } from "../middleware/socket.auth.js";
+import { useMemoryModels, resetMemoryModels } from "./helpers/memory.model.js";
+import { createUser, createHeldJob, reload, objectId } from "./helpers/fixtures.js";
+
+useMemoryModels(User, Organization, AnalysisJob, CreditTransaction, CreditLot, ApiKey);
+
+/**
+ * Run socketAuth on a handshake, resolving to the socket or the rejection
+ */
+const connect = (auth) =>
+  new Promise((resolve) => {
+    const socket = { id: "socket_test", handshake: { auth }, data: {} };
+    socketAuth(socket, (error) => resolve(error || socket));
+  });
+
+/**
+ * Organization with an owner, an analyst, and a job the owner submitted
+ */
+const createTeam = async () => {
+  const owner = await createUser(0);
+  const analyst = await createUser(0);
+  const organization = await organizationService.createOrganization(
+    { name: `Team ${owner.username}`, ownerId: owner._id, credits: 100 },
+    objectId()
+  );
+  await organizationService.addMember(organization._id, analyst._id, "analyst");
+  const job = await createHeldJob(owner, 10, { organizationId: organization._id });
+
+  return { organization, owner, analyst, job };
+};
+
+beforeEach(resetMemoryModels);
+
+test("members can subscribe to their organization's jobs", async () => {
+  const { analyst, job } = await createTeam();
+  const outsider = await createUser(0);
+
+  const member = await authorizeSubscription(
+    { data: { user: await reload(analyst) } },
+    "job",
+    job._id.toString()
+  );
+  const stranger = await authorizeSubscription(
+    { data: { user: outsider } },
+    "job",
+    job._id.toString()
+  );
+
+  assert.deepEqual(member, { allowed: true, room: `job:${job._id}` });
+  assert.equal(stranger.allowed, false);
+  assert.equal(stranger.code, "FORBIDDEN");
+});
+
+test("a removed member's organization key can't open a socket", async () => {
+  const { organization, analyst } = await createTeam();
+  await ApiKey.create({
+    key: "cray_org_key",
+    userId: analyst._id,
+    organizationId: organization._id,
+    permissions: ["sdk:results"],
+  });
+
+  const socket = await connect({ apiKey: "cray_org_key" });
+  assert.equal(String(socket.data.user._id), String(analyst._id));
+
+  // The key moves to an owner on removal - put it back on the former member
+  await organizationService.removeMember(organization._id, analyst._id);
+  await ApiKey.updateOne({ key: "cray_org_key" }, { $set: { userId: analyst._id } });
+
+  const rejected = await connect({ apiKey: "cray_org_key" });
+  assert.ok(rejected instanceof Error);
+  assert.equal(rejected.data.code, "ORGANIZATION_KEY_INVALID");
+});
@@ -0,0 +1,221 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import staticAnalysisService from "../services/static.analysis.service.js";
+
+/**
+ * Minimal ELF64 executable: .text, .shstrtab, .dynamic (DT_NEEDED libc) and
+ * .dynstr, no symbol table
+ */
+const buildElf = () => {
+  const buffer = Buffer.alloc(576);
+  buffer.set([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1], 0);
+  buffer.writeUInt16LE(2, 16); // ET_EXEC
+  buffer.writeUInt16LE(0x3e, 18); // x86-64
+  buffer.writeBigUInt64LE(0x401000n, 24);
+  buffer.writeBigUInt64LE(256n, 0x28); // e_shoff
+  buffer.writeUInt16LE(64, 0x3a);
+  buffer.writeUInt16LE(5, 0x3c);
+  buffer.writeUInt16LE(2, 0x3e); // .shstrtab
+
+  const names = "\0.text\0.shstrtab\0.dynamic\0.dynstr\0";
+  buffer.write(names, 64, "latin1");
+  buffer.write("\0libc.so.6\0", 160, "latin1");
+  buffer.writeBigUInt64LE(1n, 192); // DT_NEEDED
+  buffer.writeBigUInt64LE(1n, 200); // "libc.so.6"
+
+  const section = (index, { name, type, address = 0, offset, size, link = 0 }) => {
+    const base = 256 + index * 64;
+    buffer.writeUInt32LE(names.indexOf(name), base);
+    buffer.writeUInt32LE(type, base + 4);
+    buffer.writeBigUInt64LE(BigInt(address), base + 0x10);
+    buffer.writeBigUInt64LE(BigInt(offset), base + 0x18);
+    buffer.writeBigUInt64LE(BigInt(size), base + 0x20);
+    buffer.writeUInt32LE(link, base + 0x28);
+  };
+  section(1, { name: ".text", type: 1, address: 0x401000, offset: 128, size: 32 });
+  section(2, { name: ".shstrtab", type: 3, offset: 64, size: names.length });
+  section(3, { name: ".dynamic", type: 6, offset: 192, size: 32, link: 4 });
+  section(4, { name: ".dynstr", type: 3, offset: 160, size: 11 });
+
+  return buffer;
+};
+
+/**
+ * Minimal PE32+ console executable: .text and .idata importing KERNEL32.dll
+ */
+const buildPe = () => {
+  const buffer = Buffer.alloc(0x800);
+  buffer.write("MZ", 0, "latin1");
+  buffer.writeUInt32LE(0x80, 0x3c);
+  buffer.writeUInt32BE(0x50450000, 0x80);
+
+  const coff = 0x84;
+  buffer.writeUInt16LE(0x8664, coff);
+  buffer.writeUInt16LE(2, coff + 2);
+  buffer.writeUInt16LE(240, coff + 16);
+  buffer.writeUInt16LE(0x0022, coff + 18);
+
+  const optional = coff + 20;
+  buffer.writeUInt16LE(0x20b, optional);
+  buffer.writeUInt32LE(0x1000, optional + 16);
+  buffer.writeBigUInt64LE(0x140000000n, optional + 24);
+  buffer.writeUInt16LE(3, optional + 68); // console
+  buffer.writeUInt32LE(0x2000, optional + 112 + 8); // import directory
+  buffer.writeUInt32LE(40, optional + 112 + 12);
+
+  const section = (index, name, virtualAddress, rawOffset) => {
+    const base = optional + 240 + index * 40;
+    buffer.write(name, base, "latin1");
+    buffer.writeUInt32LE(0x100, base + 8);
+    buffer.writeUInt32LE(virtualAddress, base + 12);
+    buffer.writeUInt32LE(0x200, base + 16);
+    buffer.writeUInt32LE(rawOffset, base + 20);
+  };
+  section(0, ".text", 0x1000, 0x400);
+  section(1, ".idata", 0x2000, 0x600);
+
+  buffer.writeUInt32LE(0x2040, 0x600 + 12); // Descriptor name RVA
+  buffer.write("KERNEL32.dll\0", 0x640, "latin1");
+
+  return buffer;
+};
+
+/**
+ * Minimal 64-bit little-endian Mach-O (ARM64): __TEXT,__text, libSystem,
+ * LC_MAIN and a symbol table
+ */
+const buildMachO = () => {
+  const buffer = Buffer.alloc(0x400);
+  buffer.writeUInt32LE(0xfeedfacf, 0);
+  buffer.writeUInt32LE(0x0100000c, 4);
+  buffer.writeUInt32LE(2, 12); // MH_EXECUTE
+  buffer.writeUInt32LE(4, 16);
+
+  let offset = 32;
+  buffer.writeUInt32LE(0x19, offset); // LC_SEGMENT_64
+  buffer.writeUInt32LE(152, offset + 4);
+  buffer.writeUInt32LE(1, offset + 64);
+  const sect = offset + 72;
+  buffer.write("__text", sect, "latin1");
+  buffer.write("__TEXT", sect + 16, "latin1");
+  buffer.writeBigUInt64LE(0x100004000n, sect + 32);
+  buffer.writeBigUInt64LE(0x40n, sect + 40);
+  buffer.writeUInt32LE(0x300, sect + 48);
+  offset += 152;
+
+  buffer.writeUInt32LE(0xc, offset); // LC_LOAD_DYLIB
+  buffer.writeUInt32LE(56, offset + 4);
+  buffer.writeUInt32LE(24, offset + 8);
+  buffer.write("/usr/lib/libSystem.B.dylib\0", offset + 24, "latin1");
+  offset += 56;
+
+  buffer.writeUInt32LE(0x80000028, offset); // LC_MAIN
+  buffer.writeUInt32LE(24, offset + 4);
+  buffer.writeBigUInt64LE(0x4000n, offset + 8);
+  offset += 24;
+
+  buffer.writeUInt32LE(0x2, offset); // LC_SYMTAB
+  buffer.writeUInt32LE(24, offset + 4);
+  buffer.writeUInt32LE(5, offset + 12);
+
+  return buffer;
+};
+
+test("parses ELF headers, sections and needed libraries", () => {
+  const report = staticAnalysisService.analyzeBuffer(buildElf());
+
+  assert.equal(report.format, "elf");
+  assert.equal(report.architecture, "x86-64");
+  assert.equal(report.bits, 64);
+  assert.equal(report.endianness, "little");
+  assert.equal(report.entry_point, "0x401000");
+  assert.equal(report.file_type, "ELF 64-bit executable (x86-64)");
+  assert.deepEqual(
+    report.sections.map((section) => section.name),
+    [".text", ".shstrtab", ".dynamic", ".dynstr"]
+  );
+  assert.equal(report.sections[0].virtual_address, "0x401000");
+  assert.deepEqual(report.libraries, ["libc.so.6"]);
+  assert.equal(report.stripped, true);
+  assert.deepEqual(report.warnings, []);
+});
+
+test("reports ELF files without section headers as stripped", () => {
+  const buffer = buildElf().subarray(0, 256);
+  const report = staticAnalysisService.analyzeBuffer(buffer);
+
+  assert.equal(report.format, "elf");
+  assert.equal(report.stripped, true);
+  assert.deepEqual(report.sections, []);
+  assert.match(report.warnings[0], /section header table/);
+});
+
+test("parses PE headers, sections and imports", () => {
+  const report = staticAnalysisService.analyzeBuffer(buildPe());
+
+  assert.equal(report.format, "pe");
+  assert.equal(report.architecture, "x86-64");
+  assert.equal(report.bits, 64);
+  assert.equal(report.entry_point, "0x140001000");
+  assert.equal(report.file_type, "PE32+ executable (console) x86-64");
+  assert.deepEqual(
+    report.sections.map((section) => [section.name, section.virtual_address]),
+    [
+      [".text", "0x140001000"],
+      [".idata", "0x140002000"],
+    ]
+  );
+  assert.deepEqual(report.libraries, ["KERNEL32.dll"]);
+  assert.equal(report.stripped, true);
+});
+
+test("parses Mach-O load commands", () => {
+  const report = staticAnalysisService.analyzeBuffer(buildMachO());
+
+  assert.equal(report.format, "macho");
+  assert.equal(report.architecture, "ARM64");
+  assert.equal(report.file_type, "Mach-O 64-bit executable (ARM64)");
+  assert.equal(report.entry_point, "0x4000");
+  assert.deepEqual(
+    report.sections.map((section) => section.name),
+    ["__TEXT,__text"]
+  );
+  assert.deepEqual(report.libraries, ["/usr/lib/libSystem.B.dylib"]);
+  assert.equal(report.stripped, false);
+});
+
+test("tells Java class files from universal binaries", () => {
+  const javaClass = Buffer.from("cafebabe00000034", "hex");
+  const fat = Buffer.from("cafebabe00000002", "hex");
+
+  assert.equal(staticAnalysisService.detectFormat(javaClass), "unknown");
+  assert.equal(staticAnalysisService.detectFormat(fat), "macho-fat");
+  assert.equal(staticAnalysisService.detectFormat(Buffer.from("MZ")), "unknown");
+});
+
+test("keeps a partial report for truncated headers", () => {
+  const buffer = buildPe().subarray(0, 0xa0);
+  const report = staticAnalysisService.analyzeBuffer(buffer);
+
+  assert.equal(report.format, "pe");
+  assert.equal(report.architecture, "x86-64");
+  assert.match(report.warnings[0], /Header parsing incomplete/);
+  assert.equal(report.size_bytes, 0xa0);
+});
+
+test("measures entropy and flags packed data", () => {
+  assert.equal(staticAnalysisService.calculateEntropy(Buffer.alloc(64)), 0);
+  assert.equal(
+    staticAnalysisService.calculateEntropy(Buffer.from([...Array(256).keys()])),
+    8
+  );
+
+  const random = staticAnalysisService.analyzeBuffer(crypto.randomBytes(64 * 1024));
+  assert.equal(random.format, "unknown");
+  assert.equal(random.packed, true);
+
+  const elf = staticAnalysisService.analyzeBuffer(buildElf());
+  assert.equal(elf.packed, false);
+  assert.equal(elf.hashes.sha256, crypto.createHash("sha256").update(buildElf()).digest("hex"));
+});
@@ -0,0 +1,196 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.model.js";
+import Subscription from "../models/subscription.model.js";
+import CreditTransaction from "../models/credit.transaction.model.js";
+import CreditLot from "../models/credit.lot.model.js";
+import razorpayStub from "../services/razorpay.stub.js";
+import subscriptionService, { addMonths } from "../services/subscription.service.js";
+import { useMemoryModels, resetMemoryModels, storedDocs } from "./helpers/memory.model.js";
+import { createUser, reload } from "./helpers/fixtures.js";
+
+useMemoryModels(User, Subscription, CreditTransaction, CreditLot);
+
+process.env.RAZORPAY_PLAN_TIER1 = "plan_tier1";
+process.env.RAZORPAY_PLAN_TIER2 = "plan_tier2";
+process.env.RAZORPAY_KEY_SECRET = "key_secret";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const stubStatus = (subscription) =>
+  razorpayStub.state.subscriptions.get(subscription.razorpaySubscriptionId).status;
+
+// Deliver a stub webhook the way the event handler receives it
+const deliver = ({ body }) => subscriptionService.handleRazorpayEvent(body.event, body.payload);
+
+const grantedCycles = () => storedDocs(CreditLot).map((lot) => lot.cycle);
+
+beforeEach(() => {
+  resetMemoryModels();
+  razorpayStub.reset();
+});
+
+test("a new checkout cancels the user's unpaid subscription at Razorpay", async () => {
+  const user = await createUser(0);
+  const first = await subscriptionService.createRazorpaySubscription(user._id, "tier2");
+
+  const second = await subscriptionService.createRazorpaySubscription(user._id, "tier2");
+
+  assert.equal((await reload(first)).status, "cancelled");
+  assert.equal(stubStatus(first), "cancelled");
+  assert.equal(second.status, "created");
+  assert.equal(stubStatus(second), "created");
+});
+
+test("an unpaid subscription paid meanwhile is synced instead of cancelled", async () => {
+  const user = await createUser(0);
+  const first = await subscriptionService.createRazorpaySubscription(user._id, "tier2");
+  razorpayStub.chargeSubscription(first.razorpaySubscriptionId);
+
+  await assert.rejects(subscriptionService.createRazorpaySubscription(user._id, "tier2"), {
+    code: "SUBSCRIPTION_EXISTS",
+  });
+
+  const synced = await reload(first);
+  assert.equal(synced.status, "active");
+  assert.equal(synced.grantsIssued, 1);
+  assert.equal(stubStatus(first), "active");
+  assert.equal((await reload(user)).credits.remaining, 500);
+  assert.equal(await Subscription.countDocuments({ userId: user._id }), 1);
+});
+
+test("grants each paid cycle once, however often its event is delivered", async () => {
+  const user = await createUser(0);
+  const subscription = await subscriptionService.createRazorpaySubscription(user._id, "tier2");
+
+  const first = razorpayStub.chargeSubscription(subscription.razorpaySubscriptionId);
+  await deliver(first.webhook);
+  await deliver(first.webhook);
+  const second = razorpayStub.chargeSubscription(subscription.razorpaySubscriptionId);
+  await deliver(second.webhook);
+  await deliver(first.webhook); // Late redelivery of the first cycle
+
+  const synced = await reload(subscription);
+  assert.equal(synced.status, "active");
+  assert.equal(synced.grantsIssued, 2);
+  assert.deepEqual(grantedCycles(), [1, 2]);
+  assert.equal(storedDocs(CreditTransaction).filter((entry) => entry.type === "grant").length, 2);
+  assert.equal((await reload(user)).tier, "tier2");
+});
+
+test("checkout verification and the charged webhook grant the first cycle once", async () => {
+  const user = await createUser(0);
+  const subscription = await subscriptionService.createRazorpaySubscription(user._id, "tier1");
+  const { payment, signature, webhook } = razorpayStub.chargeSubscription(
+    subscription.razorpaySubscriptionId
+  );
+
+  await assert.rejects(
+    subscriptionService.verifyRazorpaySubscription(user._id, {
+      razorpay_payment_id: payment.id,
+      razorpay_subscription_id: subscription.razorpaySubscriptionId,
+      razorpay_signature: "0".repeat(64),
+    }),
+    { code: "INVALID_SIGNATURE" }
+  );
+
+  const verified = await subscriptionService.verifyRazorpaySubscription(user._id, {
+    razorpay_payment_id: payment.id,
+    razorpay_subscription_id: subscription.razorpaySubscriptionId,
+    razorpay_signature: signature,
+  });
+  await deliver(webhook);
+
+  assert.equal(verified.status, "active");
+  assert.deepEqual(grantedCycles(), [1]);
+  assert.equal((await reload(user)).credits.remaining, 1000);
+});
+
+test("events for a subscription cancelled here grant nothing", async () => {
+  const user = await createUser(0);
+  const subscription = await subscriptionService.createRazorpaySubscription(user._id, "tier2");
+  // Cancelled here, but the cancellation never reached Razorpay
+  await Subscription.updateOne({ _id: subscription._id }, { $set: { status: "cancelled" } });
+
+  const { webhook } = razorpayStub.chargeSubscription(subscription.razorpaySubscriptionId);
+  const result = await deliver(webhook);
+
+  assert.equal(result.status, "cancelled");
+  const stored = await reload(subscription);
+  assert.equal(stored.status, "cancelled");
+  assert.equal(stored.grantsIssued, 0);
+  assert.deepEqual(grantedCycles(), []);
+  assert.equal((await reload(user)).credits.remaining, 0);
+  // ...and it's cancelled at Razorpay now
+  assert.equal(stubStatus(subscription), "cancelled");
+});
+
+test("a failed cancellation at Razorpay still ignores the event", async (t) => {
+  const user = await createUser(0);
+  const subscription = await subscriptionService.createRazorpaySubscription(user._id, "tier2");
+  await Subscription.updateOne({ _id: subscription._id }, { $set: { status: "cancelled" } });
+  t.mock.method(razorpayStub.subscriptions, "cancel", async () => {
+    throw new Error("gateway timeout");
+  });
+
+  const { webhook } = razorpayStub.chargeSubscription(subscription.razorpaySubscriptionId);
+  await deliver(webhook);
+
+  assert.equal((await reload(subscription)).status, "cancelled");
+  assert.deepEqual(grantedCycles(), []);
+});
+
+test("manual subscriptions grant each due month and cap the rollover", async () => {
+  const user = await createUser(0);
+  // Between two and three calendar months ago
+  const startAt = new Date(Date.now() - 75 * DAY_MS);
+
+  const subscription = await subscriptionService.createManualSubscription(
+    user._id,
+    { tier: "tier2", monthlyCredits: 100, rolloverCap: 50, creditExpiryDays: null, startAt },
+    "admin@example.com"
+  );
+
+  // Three cycles were due: 100 + 50 carried over from the two before
+  assert.equal(subscription.grantsIssued, 3);
+  assert.equal(
+    subscription.nextGrantAt.getTime(),
+    addMonths(addMonths(addMonths(startAt, 1), 1), 1).getTime()
+  );
+  assert.equal((await reload(user)).credits.remaining, 150);
+  assert.deepEqual(
+    storedDocs(CreditLot).map((lot) => [lot.cycle, lot.remaining]),
+    [
+      [1, 0],
+      [2, 50],
+      [3, 100],
+    ]
+  );
+
+  // Nothing more is due until next month
+  assert.equal(await subscriptionService.grantManualSubscription(await reload(subscription)), 0);
+  await assert.rejects(
+    subscriptionService.createManualSubscription(user._id, { tier: "tier2" }),
+    { code: "SUBSCRIPTION_EXISTS" }
+  );
+});
+
+test("a manual subscription cancelled at period end stops granting", async () => {
+  const user = await createUser(0);
+  const subscription = await subscriptionService.createManualSubscription(user._id, {
+    tier: "tier1",
+    monthlyCredits: 10,
+  });
+
+  const cancelled = await subscriptionService.cancel(subscription);
+  assert.equal(cancelled.cancelAtPeriodEnd, true);
+  assert.equal(cancelled.status, "active");
+
+  const due = new Date(cancelled.nextGrantAt.getTime() + 1000);
+  assert.equal(await subscriptionService.grantManualSubscription(cancelled, due), 0);
+
+  const ended = await reload(subscription);
+  assert.equal(ended.status, "cancelled");
+  assert.equal(ended.grantsIssued, 1);
+  assert.equal((await reload(user)).credits.remaining, 10);
+});
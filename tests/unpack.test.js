@@ -0,0 +1,176 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+import { Readable } from "stream";
+import unpackService from "../services/unpack.service.js";
+import { ExtractionBudget, normalizeEntryName } from "../services/unpackers/extraction.budget.js";
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "unpack-test-"));
+after(() => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const ELF = Buffer.concat([Buffer.from([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1]), Buffer.alloc(121)]);
+
+/**
+ * ZIP archive from { name, data, deflate } entries
+ */
+const buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const { name, data, deflate = false } of entries) {
+    const body = deflate ? zlib.deflateRawSync(data) : data;
+    const nameBytes = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, body);
+    centrals.push(central, nameBytes);
+    offset += 30 + nameBytes.length + body.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+const writeSample = (name, contents) => {
+  const filePath = path.join(scratch, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+};
+
+test("rejects absolute and traversing member names", () => {
+  assert.equal(normalizeEntryName("../etc/passwd"), null);
+  assert.equal(normalizeEntryName("a/../../b"), null);
+  assert.equal(normalizeEntryName("/etc/passwd"), null);
+  assert.equal(normalizeEntryName("C:\\Windows\\evil.dll"), null);
+  assert.equal(normalizeEntryName("..\\evil.exe"), null);
+  assert.equal(normalizeEntryName("./bin/./tool"), "bin/tool");
+  assert.equal(normalizeEntryName("bin\\tool.exe"), "bin/tool.exe");
+  assert.equal(normalizeEntryName("firmware/"), "firmware");
+});
+
+test("limits the number of files across archives", () => {
+  const budget = new ExtractionBudget({ maxFiles: 2, maxTotalBytes: 1024, maxRatio: 10 });
+  const first = budget.forArchive("outer.zip", 100);
+  const second = budget.forArchive("inner.zip", 100);
+
+  first.addEntry(scratch);
+  const entryPath = second.addEntry(scratch);
+
+  assert.equal(path.dirname(entryPath), scratch);
+  assert.throws(() => second.addEntry(scratch), /Archive limit exceeded: more than 2 files/);
+});
+
+test("limits the compression ratio and the total size", () => {
+  const limits = { maxFiles: 10, maxTotalBytes: 3 * 1024 * 1024, maxRatio: 100 };
+
+  const ratio = new ExtractionBudget(limits).forArchive("bomb.gz", 20 * 1024);
+  ratio.consume(100 * 20 * 1024);
+  assert.throws(() => ratio.consume(1), /compression ratio over 100:1/);
+
+  const total = new ExtractionBudget(limits);
+  total.forArchive("a.zip", 1024 * 1024).consume(2 * 1024 * 1024);
+  assert.throws(
+    () => total.forArchive("b.zip", 1024 * 1024).consume(2 * 1024 * 1024),
+    /extracted size over 3145728 bytes/
+  );
+});
+
+test("checks sizes external tools declare before extracting", () => {
+  const budget = new ExtractionBudget({ maxFiles: 5, maxTotalBytes: 10 * 1024 * 1024, maxRatio: 2 });
+  const archive = budget.forArchive("image.7z", 1024 * 1024);
+
+  assert.doesNotThrow(() => archive.checkDeclared(5, 1024 * 1024));
+  assert.throws(() => archive.checkDeclared(6, 1), /more than 5 files/);
+  assert.throws(() => archive.checkDeclared(1, 3 * 1024 * 1024), /compression ratio/);
+});
+
+test("stops writing an entry as soon as a limit is crossed", async () => {
+  const budget = new ExtractionBudget({ maxFiles: 10, maxTotalBytes: 1024 * 1024, maxRatio: 1000 });
+  const archive = budget.forArchive("bomb.gz", 1024);
+  const bomb = zlib.gzipSync(Buffer.alloc(8 * 1024 * 1024));
+  const destination = archive.addEntry(scratch);
+
+  await assert.rejects(
+    archive.writeEntry(destination, Readable.from([bomb]), zlib.createGunzip()),
+    /Archive limit exceeded: extracted size over 1048576 bytes/
+  );
+  assert.ok(fs.statSync(destination).size <= 1024 * 1024);
+});
+
+test("unpacks executable members of nested archives", async () => {
+  const zip = buildZip([
+    { name: "bin/tool", data: ELF, deflate: true },
+    { name: "README.txt", data: Buffer.from("not a binary") },
+    { name: "../escape", data: ELF },
+    { name: "nested/payload.gz", data: zlib.gzipSync(ELF) },
+  ]);
+  const samplePath = writeSample("firmware.zip", zip);
+
+  const result = await unpackService.unpack(samplePath, "firmware.zip");
+  try {
+    assert.equal(result.format, "zip");
+    assert.deepEqual(
+      result.members.map((member) => [member.archivePath, member.format, member.size]).sort(),
+      [
+        ["bin/tool", "elf", ELF.length],
+        ["nested/payload.gz/payload", "elf", ELF.length],
+      ]
+    );
+    assert.deepEqual(result.skipped, [{ path: "../escape", reason: "unsafe path" }]);
+    assert.equal(result.ignored, 1);
+
+    // Members are written under the work dir with generated names
+    for (const member of result.members) {
+      assert.ok(member.path.startsWith(result.workDir));
+      assert.match(path.basename(member.path), /^entry-\d+$/);
+    }
+  } finally {
+    await unpackService.cleanup(result.workDir);
+  }
+
+  assert.equal(fs.existsSync(result.workDir), false);
+});
+
+test("fails the whole upload when a nested archive is a bomb", async () => {
+  const zip = buildZip([{ name: "huge.gz", data: zlib.gzipSync(Buffer.alloc(4 * 1024 * 1024)) }]);
+  const samplePath = writeSample("bomb.zip", zip);
+
+  await assert.rejects(
+    unpackService.unpack(samplePath, "bomb.zip"),
+    /^Error: Archive limit exceeded: compression ratio over \d+:1 \(bomb\.zip\/huge\.gz\)$/
+  );
+});
+
+test("rejects files that aren't containers", async () => {
+  const samplePath = writeSample("tool.elf", ELF);
+
+  assert.equal(await unpackService.detect(samplePath), null);
+  await assert.rejects(unpackService.unpack(samplePath, "tool.elf"), /unsupported container format/);
+});
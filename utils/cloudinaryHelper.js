@@ -4,12 +4,6 @@ import cloudinary, {
 } from "../config/cloudinary.js";
 import axios from "axios";
 import { queueLogger } from "./logger.js";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
 /**
  * Upload file to Cloudinary
@@ -175,68 +169,6 @@ export const deleteFromCloudinary = async (publicId) => {
   }
 };
 
-/**
- * Download from Cloudinary and save to temp file
- * Used for ML service processing
- * @param {String} publicId - Cloudinary public ID
- * @param {String} filename - Original filename
- * @returns {Promise<String>} Temporary file path
- */
-export const downloadToTempFile = async (publicId, filename) => {
-  try {
-    // Create temp directory if it doesn't exist
-    const tempDir = path.join(__dirname, "../temp");
-    if (!fs.existsSync(tempDir)) {
-      fs.mkdirSync(tempDir, { recursive: true });
-    }
-
-    // Download buffer from Cloudinary
-    const buffer = await downloadFromCloudinary(publicId);
-
-    // Generate unique temp filename
-    const timestamp = Date.now();
-    const tempFilename = `${timestamp}-${filename}`;
-    const tempPath = path.join(tempDir, tempFilename);
-
-    // Write buffer to temp file
-    await fs.promises.writeFile(tempPath, buffer);
-
-    queueLogger.info("File downloaded to temp location", {
-      publicId,
-      tempPath,
-      bytes: buffer.length,
-    });
-
-    return tempPath;
-  } catch (error) {
-    queueLogger.error("Failed to download to temp file", {
-      publicId,
-      filename,
-      error: error.message,
-    });
-    throw error;
-  }
-};
-
-/**
- * Delete temp file
- * @param {String} filePath - Temp file path
- */
-export const deleteTempFile = async (filePath) => {
-  try {
-    if (fs.existsSync(filePath)) {
-      await fs.promises.unlink(filePath);
-      queueLogger.info("Temp file deleted", { filePath });
-    }
-  } catch (error) {
-    queueLogger.error("Failed to delete temp file", {
-      filePath,
-      error: error.message,
-    });
-    // Don't throw - temp file cleanup is not critical
-  }
-};
-
 /**
  * Batch upload files to Cloudinary with concurrency limit
  * @param {Array} files - Array of {filePath, publicId} objects
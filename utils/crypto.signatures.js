@@ -0,0 +1,470 @@
+/**
+ * Cryptographic Constant Signatures
+ * Well-known tables and constants used to fingerprint crypto implementations
+ * in compiled binaries. Everything here is generated or hardcoded locally -
+ * the scanner never needs network access.
+ */
+
+/**
+ * Multiply in GF(2^8) with the AES polynomial x^8 + x^4 + x^3 + x + 1
+ */
+const gfMul = (a, b) => {
+  let result = 0;
+  while (b) {
+    if (b & 1) result ^= a;
+    a = ((a << 1) ^ (a & 0x80 ? 0x1b : 0)) & 0xff;
+    b >>= 1;
+  }
+  return result;
+};
+
+const rotl8 = (value, shift) => ((value << shift) | (value >> (8 - shift))) & 0xff;
+
+/**
+ * Generate the AES forward S-box (multiplicative inverse + affine transform)
+ */
+const buildAesSbox = () => {
+  const sbox = new Array(256);
+  let p = 1;
+  let q = 1;
+
+  do {
+    // p iterates over generator powers, q tracks its inverse
+    p = (p ^ (p << 1) ^ (p & 0x80 ? 0x1b : 0)) & 0xff;
+    q ^= q << 1;
+    q ^= q << 2;
+    q ^= q << 4;
+    q &= 0xff;
+    if (q & 0x80) q ^= 0x09;
+
+    sbox[p] = q ^ rotl8(q, 1) ^ rotl8(q, 2) ^ rotl8(q, 3) ^ rotl8(q, 4) ^ 0x63;
+  } while (p !== 1);
+
+  sbox[0] = 0x63;
+  return sbox;
+};
+
+const AES_SBOX = buildAesSbox();
+const AES_INV_SBOX = AES_SBOX.reduce((inv, value, index) => {
+  inv[value] = index;
+  return inv;
+}, new Array(256));
+
+// Encryption/decryption T-tables in the OpenSSL Te0/Td0 layout
+const AES_TE0 = AES_SBOX.map(
+  (s) => ((gfMul(s, 2) << 24) | (s << 16) | (s << 8) | gfMul(s, 3)) >>> 0,
+);
+const AES_TD0 = AES_INV_SBOX.map(
+  (s) =>
+    ((gfMul(s, 14) << 24) |
+      (gfMul(s, 9) << 16) |
+      (gfMul(s, 13) << 8) |
+      gfMul(s, 11)) >>>
+    0,
+);
+
+/**
+ * Generate a reflected CRC-32 lookup table for a polynomial
+ */
+const buildCrc32Table = (polynomial) =>
+  Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? (polynomial ^ (c >>> 1)) >>> 0 : c >>> 1;
+    }
+    return c >>> 0;
+  });
+
+/**
+ * Generate a non-reflected CRC-16 lookup table for a polynomial
+ */
+const buildCrc16Table = (polynomial) =>
+  Array.from({ length: 256 }, (_, n) => {
+    let c = n << 8;
+    for (let k = 0; k < 8; k++) {
+      c = c & 0x8000 ? ((c << 1) ^ polynomial) & 0xffff : (c << 1) & 0xffff;
+    }
+    return c;
+  });
+
+/**
+ * Generate the 24 Keccak-f[1600] round constants from the LFSR definition
+ */
+const buildKeccakRoundConstants = () => {
+  const rcBit = (t) => {
+    let r = 1;
+    for (let i = 0; i < t % 255; i++) {
+      r <<= 1;
+      if (r & 0x100) r ^= 0x171;
+    }
+    return r & 1;
+  };
+
+  return Array.from({ length: 24 }, (_, round) => {
+    let constant = 0n;
+    for (let j = 0; j < 7; j++) {
+      if (rcBit(j + 7 * round)) {
+        constant |= 1n << BigInt(2 ** j - 1);
+      }
+    }
+    return constant;
+  });
+};
+
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+const SHA256_IV = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+  0x1f83d9ab, 0x5be0cd19,
+];
+
+const SHA512_IV = [
+  0x6a09e667f3bcc908n, 0xbb67ae8584caa73bn, 0x3c6ef372fe94f82bn,
+  0xa54ff53a5f1d36f1n, 0x510e527fade682d1n, 0x9b05688c2b3e6c1fn,
+  0x1f83d9abfb41bd6bn, 0x5be0cd19137e2179n,
+];
+
+const SHA1_IV = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+const SHA1_ROUND_CONSTANTS = [0x5a827999, 0x6ed9eba1, 0x8f1bbcdc, 0xca62c1d6];
+
+// MD5 T[i] = floor(abs(sin(i + 1)) * 2^32)
+const MD5_SINE_TABLE = [
+  0xd76aa478, 0xe8c7b756, 0x242070db, 0xc1bdceee, 0xf57c0faf, 0x4787c62a,
+  0xa8304613, 0xfd469501, 0x698098d8, 0x8b44f7af, 0xffff5bb1, 0x895cd7be,
+  0x6b901122, 0xfd987193, 0xa679438e, 0x49b40821, 0xf61e2562, 0xc040b340,
+  0x265e5a51, 0xe9b6c7aa, 0xd62f105d, 0x02441453, 0xd8a1e681, 0xe7d3fbc8,
+  0x21e1cde6, 0xc33707d6, 0xf4d50d87, 0x455a14ed, 0xa9e3e905, 0xfcefa3f8,
+  0x676f02d9, 0x8d2a4c8a, 0xfffa3942, 0x8771f681, 0x6d9d6122, 0xfde5380c,
+  0xa4beea44, 0x4bdecfa9, 0xf6bb4b60, 0xbebfbc70, 0x289b7ec6, 0xeaa127fa,
+  0xd4ef3085, 0x04881d05, 0xd9d4d039, 0xe6db99e5, 0x1fa27cf8, 0xc4ac5665,
+  0xf4292244, 0x432aff97, 0xab9423a7, 0xfc93a039, 0x655b59c3, 0x8f0ccc92,
+  0xffeff47d, 0x85845dd1, 0x6fa87e4f, 0xfe2ce6e0, 0xa3014314, 0x4e0811a1,
+  0xf7537e82, 0xbd3af235, 0x2ad7d2bb, 0xeb86d391,
+];
+
+// Blowfish P-array: fractional hex digits of pi
+const BLOWFISH_P_ARRAY = [
+  0x243f6a88, 0x85a308d3, 0x13198a2e, 0x03707344, 0xa4093822, 0x299f31d0,
+  0x082efa98, 0xec4e6c89, 0x452821e6, 0x38d01377, 0xbe5466cf, 0x34e90c6c,
+  0xc0ac29b7, 0xc97c50dd, 0x3f84d5b5, 0xb5470917, 0x9216d5d9, 0x8979fb1b,
+];
+
+// DES S1 in the FIPS 46-3 row layout, one 4-bit value per byte
+const DES_SBOX1 = [
+  14, 4, 13, 1, 2, 15, 11, 8, 3, 10, 6, 12, 5, 9, 0, 7, 0, 15, 7, 4, 14, 2,
+  13, 1, 10, 6, 12, 11, 9, 5, 3, 8, 4, 1, 14, 8, 13, 6, 2, 11, 15, 12, 9, 7, 3,
+  10, 5, 0, 15, 12, 8, 2, 4, 9, 1, 7, 5, 11, 3, 14, 10, 0, 6, 13,
+];
+
+// Elliptic curve domain parameters (big-endian field elements)
+const hex = (value) => Buffer.from(value.replace(/\s+/g, ""), "hex");
+
+const P256_PRIME = hex(
+  "ffffffff 00000001 00000000 00000000 00000000 ffffffff ffffffff ffffffff",
+);
+const P256_B = hex(
+  "5ac635d8 aa3a93e7 b3ebbd55 769886bc 651d06b0 cc53b0f6 3bce3c3e 27d2604b",
+);
+const P256_GX = hex(
+  "6b17d1f2 e12c4247 f8bce6e5 63a440f2 77037d81 2deb33a0 f4a13945 d898c296",
+);
+const SECP256K1_PRIME = hex(
+  "ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff fffffffe fffffc2f",
+);
+const SECP256K1_GX = hex(
+  "79be667e f9dcbbac 55a06295 ce870b07 029bfcdb 2dce28d9 59f2815b 16f81798",
+);
+// 2^255 - 19
+const CURVE25519_PRIME = hex(
+  "7fffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffff ffffffed",
+);
+
+/**
+ * Signature catalog
+ *
+ * kind:
+ *  - "bytes":     raw byte sequence, endianness independent
+ *  - "words":     array of 16/32/64-bit words, matched in both byte orders
+ *  - "bignum":    big-endian field element, matched as-is and byte-reversed
+ *  - "constants": every word must appear somewhere (code immediates)
+ *
+ * prefixWords/prefixBytes limit the search needle for large tables;
+ * a full-table match then raises confidence.
+ */
+export const CRYPTO_SIGNATURES = [
+  {
+    id: "aes-sbox",
+    algorithm: "AES",
+    algorithmClass: "block_cipher",
+    structure: "lookup-table",
+    description: "AES forward S-box",
+    kind: "bytes",
+    values: AES_SBOX,
+    confidence: 0.95,
+  },
+  {
+    id: "aes-inv-sbox",
+    algorithm: "AES",
+    algorithmClass: "block_cipher",
+    structure: "lookup-table",
+    description: "AES inverse S-box",
+    kind: "bytes",
+    values: AES_INV_SBOX,
+    confidence: 0.95,
+  },
+  {
+    id: "aes-te0",
+    algorithm: "AES",
+    algorithmClass: "block_cipher",
+    structure: "lookup-table",
+    description: "AES encryption T-table (Te0)",
+    kind: "words",
+    wordSize: 4,
+    values: AES_TE0,
+    prefixWords: 16,
+    confidence: 0.95,
+  },
+  {
+    id: "aes-td0",
+    algorithm: "AES",
+    algorithmClass: "block_cipher",
+    structure: "lookup-table",
+    description: "AES decryption T-table (Td0)",
+    kind: "words",
+    wordSize: 4,
+    values: AES_TD0,
+    prefixWords: 16,
+    confidence: 0.95,
+  },
+  {
+    id: "des-sbox1",
+    algorithm: "DES",
+    algorithmClass: "block_cipher",
+    structure: "lookup-table",
+    description: "DES S-box S1",
+    kind: "bytes",
+    values: DES_SBOX1,
+    confidence: 0.75,
+  },
+  {
+    id: "blowfish-p-array",
+    algorithm: "Blowfish",
+    algorithmClass: "block_cipher",
+    structure: "lookup-table",
+    description: "Blowfish P-array (pi digits)",
+    kind: "words",
+    wordSize: 4,
+    values: BLOWFISH_P_ARRAY,
+    confidence: 0.9,
+  },
+  {
+    id: "sha256-k",
+    algorithm: "SHA-256",
+    algorithmClass: "hash",
+    structure: "round-constants",
+    description: "SHA-224/256 round constants",
+    kind: "words",
+    wordSize: 4,
+    values: SHA256_K,
+    prefixWords: 16,
+    confidence: 0.95,
+  },
+  {
+    id: "sha256-iv",
+    algorithm: "SHA-256",
+    algorithmClass: "hash",
+    structure: "initialization-vector",
+    description: "SHA-256 initial hash values",
+    kind: "words",
+    wordSize: 4,
+    values: SHA256_IV,
+    confidence: 0.85,
+  },
+  {
+    id: "sha512-iv",
+    algorithm: "SHA-512",
+    algorithmClass: "hash",
+    structure: "initialization-vector",
+    description: "SHA-512 initial hash values",
+    kind: "words",
+    wordSize: 8,
+    values: SHA512_IV,
+    confidence: 0.9,
+  },
+  {
+    id: "sha1-iv",
+    algorithm: "SHA-1",
+    algorithmClass: "hash",
+    structure: "initialization-vector",
+    description: "SHA-1 initial hash values",
+    kind: "words",
+    wordSize: 4,
+    values: SHA1_IV,
+    confidence: 0.7,
+  },
+  {
+    id: "sha1-k",
+    algorithm: "SHA-1",
+    algorithmClass: "hash",
+    structure: "round-constants",
+    description: "SHA-1 round constants (code immediates)",
+    kind: "constants",
+    wordSize: 4,
+    values: SHA1_ROUND_CONSTANTS,
+    confidence: 0.75,
+  },
+  {
+    id: "md5-sine-table",
+    algorithm: "MD5",
+    algorithmClass: "hash",
+    structure: "round-constants",
+    description: "MD5 sine-derived constant table",
+    kind: "words",
+    wordSize: 4,
+    values: MD5_SINE_TABLE,
+    prefixWords: 16,
+    confidence: 0.95,
+  },
+  {
+    id: "keccak-rc",
+    algorithm: "SHA-3/Keccak",
+    algorithmClass: "hash",
+    structure: "round-constants",
+    description: "Keccak-f[1600] round constants",
+    kind: "words",
+    wordSize: 8,
+    values: buildKeccakRoundConstants(),
+    prefixWords: 8,
+    confidence: 0.95,
+  },
+  {
+    id: "chacha-sigma",
+    algorithm: "ChaCha20/Salsa20",
+    algorithmClass: "stream_cipher",
+    structure: "magic-string",
+    description: 'ChaCha/Salsa "expand 32-byte k" constant',
+    kind: "bytes",
+    values: [...Buffer.from("expand 32-byte k", "latin1")],
+    confidence: 0.9,
+  },
+  {
+    id: "chacha-tau",
+    algorithm: "ChaCha20/Salsa20",
+    algorithmClass: "stream_cipher",
+    structure: "magic-string",
+    description: 'ChaCha/Salsa "expand 16-byte k" constant',
+    kind: "bytes",
+    values: [...Buffer.from("expand 16-byte k", "latin1")],
+    confidence: 0.85,
+  },
+  {
+    id: "crc32-table",
+    algorithm: "CRC-32",
+    algorithmClass: "checksum",
+    structure: "lookup-table",
+    description: "CRC-32 (IEEE 802.3) lookup table",
+    kind: "words",
+    wordSize: 4,
+    values: buildCrc32Table(0xedb88320),
+    prefixWords: 16,
+    confidence: 0.9,
+  },
+  {
+    id: "crc32c-table",
+    algorithm: "CRC-32C",
+    algorithmClass: "checksum",
+    structure: "lookup-table",
+    description: "CRC-32C (Castagnoli) lookup table",
+    kind: "words",
+    wordSize: 4,
+    values: buildCrc32Table(0x82f63b78),
+    prefixWords: 16,
+    confidence: 0.9,
+  },
+  {
+    id: "crc16-ccitt-table",
+    algorithm: "CRC-16/CCITT",
+    algorithmClass: "checksum",
+    structure: "lookup-table",
+    description: "CRC-16/CCITT lookup table",
+    kind: "words",
+    wordSize: 2,
+    values: buildCrc16Table(0x1021),
+    prefixWords: 32,
+    confidence: 0.85,
+  },
+  {
+    id: "p256-prime",
+    algorithm: "ECC NIST P-256",
+    algorithmClass: "public_key",
+    structure: "curve-parameters",
+    description: "NIST P-256 field prime",
+    kind: "bignum",
+    value: P256_PRIME,
+    confidence: 0.8,
+  },
+  {
+    id: "p256-b",
+    algorithm: "ECC NIST P-256",
+    algorithmClass: "public_key",
+    structure: "curve-parameters",
+    description: "NIST P-256 curve coefficient b",
+    kind: "bignum",
+    value: P256_B,
+    confidence: 0.95,
+  },
+  {
+    id: "p256-gx",
+    algorithm: "ECC NIST P-256",
+    algorithmClass: "public_key",
+    structure: "curve-parameters",
+    description: "NIST P-256 generator x-coordinate",
+    kind: "bignum",
+    value: P256_GX,
+    confidence: 0.95,
+  },
+  {
+    id: "secp256k1-prime",
+    algorithm: "ECC secp256k1",
+    algorithmClass: "public_key",
+    structure: "curve-parameters",
+    description: "secp256k1 field prime",
+    kind: "bignum",
+    value: SECP256K1_PRIME,
+    confidence: 0.8,
+  },
+  {
+    id: "secp256k1-gx",
+    algorithm: "ECC secp256k1",
+    algorithmClass: "public_key",
+    structure: "curve-parameters",
+    description: "secp256k1 generator x-coordinate",
+    kind: "bignum",
+    value: SECP256K1_GX,
+    confidence: 0.95,
+  },
+  {
+    id: "curve25519-prime",
+    algorithm: "Curve25519/Ed25519",
+    algorithmClass: "public_key",
+    structure: "curve-parameters",
+    description: "Curve25519 field prime 2^255-19",
+    kind: "bignum",
+    value: CURVE25519_PRIME,
+    confidence: 0.8,
+  },
+];
+
+export default CRYPTO_SIGNATURES;
@@ -0,0 +1,167 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import zlib from "zlib";
+import { Readable, Transform, pipeline } from "stream";
+
+/**
+ * Password-protected ZIP writer (traditional PKWARE "ZipCrypto")
+ * ZipCrypto is weak, but it is what malware exchanges expect: it keeps AV
+ * scanners and mail gateways from acting on the sample and opens with any
+ * unzip tool using the conventional password "infected".
+ */
+
+export const DEFAULT_ARCHIVE_PASSWORD = "infected";
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32Byte = (crc, byte) => (CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)) >>> 0;
+
+const crc32 = (buffer, crc = 0) => {
+  let value = ~crc >>> 0;
+  for (const byte of buffer) value = crc32Byte(value, byte);
+  return ~value >>> 0;
+};
+
+/**
+ * ZipCrypto key schedule, initialised from the password
+ */
+const createZipCryptoCipher = (password) => {
+  const keys = [0x12345678, 0x23456789, 0x34567890];
+
+  const updateKeys = (byte) => {
+    keys[0] = crc32Byte(keys[0], byte);
+    keys[1] = (Math.imul(keys[1] + (keys[0] & 0xff), 134775813) + 1) >>> 0;
+    keys[2] = crc32Byte(keys[2], keys[1] >>> 24);
+  };
+
+  const keystreamByte = () => {
+    const temp = (keys[2] | 2) & 0xffff;
+    return (Math.imul(temp, temp ^ 1) >>> 8) & 0xff;
+  };
+
+  for (const byte of Buffer.from(password, "utf8")) updateKeys(byte);
+
+  return (buffer) => {
+    const output = Buffer.alloc(buffer.length);
+    for (let i = 0; i < buffer.length; i++) {
+      output[i] = buffer[i] ^ keystreamByte();
+      updateKeys(buffer[i]);
+    }
+    return output;
+  };
+};
+
+const toDosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date:
+    ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// Bit 0: encrypted, bit 3: sizes/CRC in data descriptor, bit 11: UTF-8 name
+const FLAGS = 0x0001 | 0x0008 | 0x0800;
+const METHOD_DEFLATE = 8;
+const VERSION = 20;
+
+async function* generateArchive(filePath, entryName, password) {
+  const name = Buffer.from(entryName, "utf8");
+  const { time, date } = toDosDateTime(new Date());
+
+  const localHeader = Buffer.alloc(30);
+  localHeader.writeUInt32LE(0x04034b50, 0);
+  localHeader.writeUInt16LE(VERSION, 4);
+  localHeader.writeUInt16LE(FLAGS, 6);
+  localHeader.writeUInt16LE(METHOD_DEFLATE, 8);
+  localHeader.writeUInt16LE(time, 10);
+  localHeader.writeUInt16LE(date, 12);
+  // CRC and sizes (14-25) are zero - they follow in the data descriptor
+  localHeader.writeUInt16LE(name.length, 26);
+  yield Buffer.concat([localHeader, name]);
+
+  // 12-byte encryption header; with a data descriptor the check byte is the
+  // high byte of the modification time instead of the CRC
+  const encrypt = createZipCryptoCipher(password);
+  const encryptionHeader = crypto.randomBytes(12);
+  encryptionHeader[11] = (time >> 8) & 0xff;
+  yield encrypt(encryptionHeader);
+
+  let crc = 0;
+  let size = 0;
+  let compressedSize = encryptionHeader.length;
+
+  const deflated = pipeline(
+    fs.createReadStream(filePath),
+    new Transform({
+      transform(chunk, encoding, callback) {
+        crc = crc32(chunk, crc);
+        size += chunk.length;
+        callback(null, chunk);
+      },
+    }),
+    zlib.createDeflateRaw(),
+    () => {} // Errors surface through the iterator below
+  );
+
+  for await (const chunk of deflated) {
+    compressedSize += chunk.length;
+    yield encrypt(chunk);
+  }
+
+  const dataDescriptor = Buffer.alloc(16);
+  dataDescriptor.writeUInt32LE(0x08074b50, 0);
+  dataDescriptor.writeUInt32LE(crc, 4);
+  dataDescriptor.writeUInt32LE(compressedSize, 8);
+  dataDescriptor.writeUInt32LE(size, 12);
+  yield dataDescriptor;
+
+  const centralDirectoryOffset =
+    localHeader.length + name.length + compressedSize + dataDescriptor.length;
+
+  const centralHeader = Buffer.alloc(46);
+  centralHeader.writeUInt32LE(0x02014b50, 0);
+  centralHeader.writeUInt16LE(VERSION, 4);
+  centralHeader.writeUInt16LE(VERSION, 6);
+  centralHeader.writeUInt16LE(FLAGS, 8);
+  centralHeader.writeUInt16LE(METHOD_DEFLATE, 10);
+  centralHeader.writeUInt16LE(time, 12);
+  centralHeader.writeUInt16LE(date, 14);
+  centralHeader.writeUInt32LE(crc, 16);
+  centralHeader.writeUInt32LE(compressedSize, 20);
+  centralHeader.writeUInt32LE(size, 24);
+  centralHeader.writeUInt16LE(name.length, 28);
+  // Extra/comment lengths, disk, attributes and local header offset stay 0
+  yield Buffer.concat([centralHeader, name]);
+
+  const endOfCentralDirectory = Buffer.alloc(22);
+  endOfCentralDirectory.writeUInt32LE(0x06054b50, 0);
+  endOfCentralDirectory.writeUInt16LE(1, 8);
+  endOfCentralDirectory.writeUInt16LE(1, 10);
+  endOfCentralDirectory.writeUInt32LE(centralHeader.length + name.length, 12);
+  endOfCentralDirectory.writeUInt32LE(centralDirectoryOffset, 16);
+  yield endOfCentralDirectory;
+}
+
+/**
+ * Stream a single file as a password-protected ZIP archive
+ * @param {String} filePath - File to archive
+ * @param {String} entryName - Name of the file inside the archive
+ * @param {String} password - Archive password
+ * @returns {Readable} ZIP byte stream
+ */
+export const createEncryptedZipStream = (
+  filePath,
+  entryName = path.basename(filePath),
+  password = DEFAULT_ARCHIVE_PASSWORD
+) => Readable.from(generateArchive(filePath, entryName, password));
+
+export default {
+  DEFAULT_ARCHIVE_PASSWORD,
+  createEncryptedZipStream,
+};
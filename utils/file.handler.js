@@ -1,46 +1,92 @@
 import multer from "multer";
-import { CloudinaryStorage } from "multer-storage-cloudinary";
-import path from "path";
 import fs from "fs";
 import crypto from "crypto";
-import { fileURLToPath } from "url";
-import cloudinary, {
-  generatePublicId,
-  CLOUDINARY_CONFIG,
-} from "../config/cloudinary.js";
+import { Transform } from "stream";
+import storageService from "../services/storage.service.js";
+import quarantineService from "../services/quarantine.service.js";
 import { queueLogger } from "./logger.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+/**
+ * Wrap a multer storage engine so SHA-256, SHA-1 and MD5 are computed while
+ * the upload streams through. Hashes are exposed as `req.file.hashes`.
+ */
+export const createHashingStorage = (innerStorage) => ({
+  _handleFile(req, file, cb) {
+    const digests = {
+      sha256: crypto.createHash("sha256"),
+      sha1: crypto.createHash("sha1"),
+      md5: crypto.createHash("md5"),
+    };
+
+    // Transform stays paused until the inner storage pipes it, so no bytes
+    // are lost while it resolves upload params asynchronously
+    const hashingStream = new Transform({
+      transform(chunk, encoding, callback) {
+        Object.values(digests).forEach((digest) => digest.update(chunk));
+        callback(null, chunk);
+      },
+    });
+    file.stream.on("error", (error) => hashingStream.destroy(error));
+
+    innerStorage._handleFile(
+      req,
+      { ...file, stream: file.stream.pipe(hashingStream) },
+      (error, info) => {
+        if (error) return cb(error);
+
+        cb(null, {
+          ...info,
+          hashes: {
+            sha256: digests.sha256.digest("hex"),
+            sha1: digests.sha1.digest("hex"),
+            md5: digests.md5.digest("hex"),
+          },
+        });
+      },
+    );
+  },
 
-// Configure Cloudinary storage
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: async (req, file) => {
-    // Get userId from authenticated request
-    const userId = req.user?._id?.toString() || "anonymous";
+  _removeFile(req, file, cb) {
+    innerStorage._removeFile(req, file, cb);
+  },
+});
 
-    // Generate unique public ID (without extension to avoid Cloudinary validation)
-    const baseFilename = file.originalname.replace(/\.[^/.]+$/, ""); // Remove extension
-    const publicId = generatePublicId(userId, baseFilename);
+/**
+ * Wrap a multer storage engine so samples are encrypted before they reach
+ * storage (see quarantine.service.js). `file.size` stays the plaintext size.
+ * Passes uploads through unchanged when no master key is configured.
+ */
+export const createEncryptingStorage = (innerStorage) => ({
+  _handleFile(req, file, cb) {
+    if (!quarantineService.enabled) {
+      return innerStorage._handleFile(req, file, (error, info) =>
+        error ? cb(error) : cb(null, { ...info, encrypted: false })
+      );
+    }
 
-    queueLogger.info("Cloudinary upload initiated", {
-      userId,
-      filename: file.originalname,
-      publicId,
+    let size = 0;
+    const encryptingStream = quarantineService.createEncryptStream();
+    const countingStream = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, chunk);
+      },
     });
+    file.stream.on("error", (error) => countingStream.destroy(error));
+    countingStream.on("error", (error) => encryptingStream.destroy(error));
+
+    innerStorage._handleFile(
+      req,
+      { ...file, stream: file.stream.pipe(countingStream).pipe(encryptingStream) },
+      (error, info) => {
+        if (error) return cb(error);
+        cb(null, { ...info, size, encrypted: true });
+      },
+    );
+  },
 
-    return {
-      folder: CLOUDINARY_CONFIG.baseFolder,
-      public_id: publicId,
-      resource_type: "raw", // Use 'raw' for any file type including binaries
-      type: "private", // Private files
-      access_mode: "authenticated",
-      use_filename: false, // Use our generated public_id
-      unique_filename: true,
-      overwrite: false,
-      allowed_formats: null, // Accept any format (disable format validation)
-    };
+  _removeFile(req, file, cb) {
+    innerStorage._removeFile(req, file, cb);
   },
 });
 
@@ -56,21 +102,24 @@ const fileFilter = (req, file, cb) => {
   cb(null, true); // Accept all files
 };
 
-// Create multer instance with Cloudinary storage
+// Create multer instance with the configured storage provider
 const upload = multer({
-  storage: storage,
+  // Hash the plaintext, then encrypt it on the way to storage
+  storage: createHashingStorage(
+    createEncryptingStorage(storageService.createUploadEngine()),
+  ),
   fileFilter: fileFilter,
   limits: {
-    fileSize: CLOUDINARY_CONFIG.maxFileSize, // 80MB for free tier
+    fileSize: storageService.maxFileSize, // 80MB on Cloudinary free tier
   },
 });
 
 /**
- * Calculate file hash (SHA-256) from buffer
+ * Calculate file hash (SHA-256 by default) from a file on disk
  */
-export const calculateFileHash = (filePath) => {
+export const calculateFileHash = (filePath, algorithm = "sha256") => {
   return new Promise((resolve, reject) => {
-    const hash = crypto.createHash("sha256");
+    const hash = crypto.createHash(algorithm);
     const stream = fs.createReadStream(filePath);
 
     stream.on("data", (data) => hash.update(data));
@@ -80,7 +129,33 @@ export const calculateFileHash = (filePath) => {
 };
 
 /**
- * Calculate file hash from buffer (for Cloudinary files)
+ * Calculate SHA-256, SHA-1 and MD5 in one pass (same shape as `req.file.hashes`)
+ */
+export const calculateFileHashes = (filePath) => {
+  return new Promise((resolve, reject) => {
+    const digests = {
+      sha256: crypto.createHash("sha256"),
+      sha1: crypto.createHash("sha1"),
+      md5: crypto.createHash("md5"),
+    };
+    const stream = fs.createReadStream(filePath);
+
+    stream.on("data", (data) =>
+      Object.values(digests).forEach((digest) => digest.update(data)),
+    );
+    stream.on("end", () =>
+      resolve({
+        sha256: digests.sha256.digest("hex"),
+        sha1: digests.sha1.digest("hex"),
+        md5: digests.md5.digest("hex"),
+      }),
+    );
+    stream.on("error", reject);
+  });
+};
+
+/**
+ * Calculate file hash from buffer (for downloaded files)
  */
 export const calculateBufferHash = (buffer) => {
   const hash = crypto.createHash("sha256");
@@ -136,7 +211,10 @@ export const uploadBatch = upload.array("files", 50); // Max 50 files
 export default {
   uploadSingle,
   uploadBatch,
+  createHashingStorage,
+  createEncryptingStorage,
   calculateFileHash,
+  calculateFileHashes,
   calculateBufferHash,
   deleteFile,
   validateBinaryFile,
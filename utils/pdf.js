@@ -0,0 +1,216 @@
+import zlib from "zlib";
+
+/**
+ * Minimal PDF writer
+ * Enough for generated documents such as invoices: A4 pages with text in the
+ * standard Helvetica fonts (every PDF reader has them, nothing is embedded),
+ * lines and filled rectangles. Coordinates are in points from the top-left
+ * corner. Text is WinAnsi (Latin-1) - other characters print as "?".
+ */
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Glyph widths (1/1000 em) of ASCII 32-126 - Adobe Helvetica AFM metrics
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+const DEFAULT_WIDTH = 556; // Latin-1 letters outside ASCII
+
+// Typographic characters WinAnsi can't hold as-is
+const REPLACEMENTS = { "–": "-", "—": "-", "‘": "'", "’": "'", "“": '"', "”": '"', "₹": "Rs." };
+
+/**
+ * Text as WinAnsi bytes (one per character)
+ */
+const toWinAnsi = (text) =>
+  Array.from(String(text ?? ""), (char) => REPLACEMENTS[char] ?? char)
+    .join("")
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+
+const escapeText = (text) => text.replace(/([\\()])/g, "\\$1");
+
+const rgb = (color = [0, 0, 0]) => color.map((value) => (value / 255).toFixed(3)).join(" ");
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+export class PdfDocument {
+  /**
+   * @param {Object} options - { title, author }
+   */
+  constructor({ title = "", author = "" } = {}) {
+    this.info = { title, author };
+    this.pages = [];
+    this.addPage();
+  }
+
+  /**
+   * Start a new page - drawing goes to the last page
+   */
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  /**
+   * Width of a string in points
+   * @param {String} text - Text
+   * @param {Number} size - Font size
+   * @param {Boolean} bold - Helvetica-Bold
+   * @returns {Number}
+   */
+  textWidth(text, size = 10, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of toWinAnsi(text)) {
+      const code = char.charCodeAt(0);
+      total += code <= 126 ? widths[code - 32] : DEFAULT_WIDTH;
+    }
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Split text into lines no wider than `width`
+   * @returns {Array<String>}
+   */
+  wrap(text, width, size = 10, bold = false) {
+    const lines = [];
+    for (const paragraph of String(text ?? "").split("\n")) {
+      let line = "";
+      for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && this.textWidth(candidate, size, bold) > width) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      }
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Draw text with its baseline at y
+   * @param {String} text - Text
+   * @param {Number} x - Left edge (right edge for align "right", centre for "center")
+   * @param {Number} y - Baseline, from the top of the page
+   * @param {Object} options - { size, bold, align, color: [r, g, b] }
+   */
+  text(text, x, y, { size = 10, bold = false, align = "left", color } = {}) {
+    const value = toWinAnsi(text);
+    const width = this.textWidth(value, size, bold);
+    const left = align === "right" ? x - width : align === "center" ? x - width / 2 : x;
+
+    this.page.push(
+      `BT ${rgb(color)} rg /${bold ? "F2" : "F1"} ${num(size)} Tf ${num(left)} ${num(A4.height - y)} Td (${escapeText(value)}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a straight line
+   * @param {Object} options - { width, color: [r, g, b] }
+   */
+  line(x1, y1, x2, y2, { width = 0.5, color } = {}) {
+    this.page.push(
+      `${rgb(color)} RG ${num(width)} w ${num(x1)} ${num(A4.height - y1)} m ${num(x2)} ${num(A4.height - y2)} l S`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a filled rectangle (x, y is its top-left corner)
+   * @param {Object} options - { color: [r, g, b] }
+   */
+  rect(x, y, width, height, { color } = {}) {
+    this.page.push(
+      `${rgb(color)} rg ${num(x)} ${num(A4.height - y - height)} ${num(width)} ${num(height)} re f`
+    );
+    return this;
+  }
+
+  /**
+   * The document as a PDF file
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => objects.push(body); // Object number
+
+    const catalog = add(null); // Filled in once the page tree exists
+    const pageTree = add(null);
+    const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+    const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+
+    const pageIds = this.pages.map((operations) => {
+      const content = zlib.deflateSync(Buffer.from(operations.join("\n"), "latin1"));
+      const stream = add(
+        Buffer.concat([
+          Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+          content,
+          Buffer.from("\nendstream"),
+        ])
+      );
+      return add(
+        `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${stream} 0 R >>`
+      );
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+    objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+    const date = new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
+    const info = add(
+      `<< /Title (${escapeText(toWinAnsi(this.info.title))}) /Author (${escapeText(toWinAnsi(this.info.author))}) ` +
+        `/Producer (Cypher-Ray) /CreationDate (D:${date}Z) >>`
+    );
+
+    // Body, then the cross-reference table of object offsets
+    const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    let offset = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+        Buffer.from("\nendobj\n"),
+      ]);
+      chunks.push(chunk);
+      const start = offset;
+      offset += chunk.length;
+      return start;
+    });
+
+    const xref = [
+      "xref",
+      `0 ${objects.length + 1}`,
+      "0000000000 65535 f ",
+      ...offsets.map((start) => `${String(start).padStart(10, "0")} 00000 n `),
+      "trailer",
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>`,
+      "startxref",
+      String(offset),
+      "%%EOF",
+    ].join("\n");
+    chunks.push(Buffer.from(`${xref}\n`));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+export default PdfDocument;
@@ -0,0 +1,87 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { queueLogger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const TEMP_DIR = path.join(__dirname, "../temp");
+const WIPE_CHUNK_SIZE = 1024 * 1024; // 1MB
+
+/**
+ * Generate a unique storage key for an upload
+ * Format: {userId}/{timestamp}-{randomHash}-{filename}
+ */
+export const generateStorageKey = (userId, filename) => {
+  const timestamp = Date.now();
+  const randomHash = Math.random().toString(36).substring(2, 15);
+  const sanitizedFilename = filename
+    .replace(/[^a-zA-Z0-9.-]/g, "_")
+    .substring(0, 50);
+
+  return `${userId}/${timestamp}-${randomHash}-${sanitizedFilename}`;
+};
+
+/**
+ * Build a unique path in the temp directory (created on demand)
+ * @param {String} filename - Original filename
+ * @returns {Promise<String>} Temp file path
+ */
+export const createTempFilePath = async (filename) => {
+  // Decrypted samples only ever live here - keep it private to the service user
+  await fs.promises.mkdir(TEMP_DIR, { recursive: true, mode: 0o700 });
+
+  const safeFilename = path.basename(filename).replace(/[^a-zA-Z0-9._-]/g, "_");
+  return path.join(TEMP_DIR, `${Date.now()}-${safeFilename}`);
+};
+
+/**
+ * Overwrite a file with random bytes and flush it to disk
+ * Best effort: copy-on-write filesystems and SSD wear levelling may keep
+ * old blocks around, which is why samples are encrypted at rest.
+ * @param {String} filePath - File to overwrite
+ */
+export const wipeFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r+");
+
+  try {
+    const { size } = await handle.stat();
+    const noise = crypto.randomBytes(Math.min(size, WIPE_CHUNK_SIZE));
+
+    for (let offset = 0; offset < size; offset += noise.length) {
+      await handle.write(noise, 0, Math.min(noise.length, size - offset), offset);
+    }
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Securely wipe and delete temp file
+ * @param {String} filePath - Temp file path
+ */
+export const deleteTempFile = async (filePath) => {
+  try {
+    if (fs.existsSync(filePath)) {
+      await wipeFile(filePath);
+      await fs.promises.unlink(filePath);
+      queueLogger.info("Temp file wiped and deleted", { filePath });
+    }
+  } catch (error) {
+    queueLogger.error("Failed to delete temp file", {
+      filePath,
+      error: error.message,
+    });
+    // Don't throw - temp file cleanup is not critical
+  }
+};
+
+export default {
+  generateStorageKey,
+  createTempFilePath,
+  wipeFile,
+  deleteTempFile,
+};
@@ -0,0 +1,49 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Database connection
+import database from "./db/db.js";
+
+// Redis and Queue initialization
+import "./config/redis.js";
+import { sdkAnalysisQueue } from "./config/queue.js";
+import { initializeQueueWorkers } from "./services/queue.worker.js";
+
+// Logger
+import logger from "./utils/logger.js";
+
+/**
+ * Standalone queue worker
+ * Processes analysis jobs without serving HTTP, so workers and API nodes
+ * scale independently. Job events are published through Redis
+ * (config/socket.js) and delivered by whichever API node holds the socket.
+ *
+ * Run the API with RUN_QUEUE_WORKERS=false when workers are deployed this way.
+ */
+
+// Connect to the database
+database.connect();
+
+initializeQueueWorkers();
+
+console.log(`⚙️  Queue worker running (pid ${process.pid})`);
+logger.info("Queue worker started", {
+  pid: process.pid,
+  environment: process.env.NODE_ENV || "development",
+});
+
+// Graceful shutdown - active jobs are not awaited; Bull hands stalled jobs to
+// another worker, which resumes a submitted CAPE task (dynamicTask)
+process.on("SIGTERM", async () => {
+  logger.info("SIGTERM received, stopping queue worker");
+
+  try {
+    await sdkAnalysisQueue.close(true);
+    await database.disconnect();
+  } catch (error) {
+    logger.error("Queue worker shutdown failed", { error: error.message });
+  }
+
+  process.exit(0);
+});